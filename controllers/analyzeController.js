@@ -1,7 +1,8 @@
-import { EnhancedAnalyzer } from '../services/enhancedAnalyzer.js';
-import { generateParagraphRewrite } from '../services/paragraphRewriter.js';
-import { generatePdfReport } from '../services/reportGenerator.js';
-import Report from '../models/Report.js';
+import { runAnalysisPipeline } from '../services/analysisPipeline.js';
+import { submitAnalysisJob } from '../services/jobManager.js';
+import { resolveCrawlOptions } from '../services/enhancedAnalyzer.js';
+import { resolveCompetitors } from '../services/competitorBenchmark.js';
+import { reserveAnalysis, releaseAnalysis, analysisQuota } from '../services/usage.js';
 
 export const analyze = async (req, res) => {
   const { url, keywords } = req.body;
@@ -9,66 +10,69 @@ export const analyze = async (req, res) => {
     return res.status(400).json({ error: 'Missing or invalid url or keywords in request body' }
     );
   }
+  // Keywords are tokenized as text; numbers or blanks would fail mid-analysis
+  if (!keywords.every(keyword => typeof keyword === 'string' && keyword.trim())) {
+    return res.status(400).json({ error: 'keywords must be non-empty strings' });
+  }
 
-  const analyzer = new EnhancedAnalyzer();
-
+  // Optional crawl scope: { maxPages, maxDepth, include, exclude, subdomains,
+  // concurrency, render, checkExternalLinks }
+  // Optional competitors: URLs analyzed the same way and compared side by side
+  let crawl;
+  let competitors;
   try {
-    const analysisResult = await analyzer.analyzeWebsite(url, keywords);
-
-    // Save to database immediately after analysis
-    const report = new Report({
-      url,
-      keywords,
-      analysis: {
-        metaTags: analysisResult.analysis.metaTags,
-        keywordDensity: analysisResult.analysis.keywordDensity,
-        pageSpeed: analysisResult.analysis.pageSpeed,
-        mobileFriendly: analysisResult.analysis.mobileFriendly,
-        readabilityScore: analysisResult.analysis.readabilityScore,
-        semanticClarity: analysisResult.analysis.aiInsights.semanticClarity || "AI analysis failed.",
-      },
-      createdAt: new Date()
-    });
+    crawl = resolveCrawlOptions(req.body.crawl);
+    competitors = resolveCompetitors(req.body.competitors, url);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    // Save immediately to ensure data persistence
-    const savedReport = await report.save();
+  const { tenant } = req.auth;
+  try {
+    if (!await reserveAnalysis(tenant)) {
+      return res.status(429).json({
+        error: `Monthly analysis quota of ${analysisQuota(tenant)} reached`,
+        usageUrl: '/api/usage'
+      });
+    }
+  } catch (error) {
+    console.error('Quota check error:', error);
+    return res.status(500).json({ error: 'Failed to check analysis quota' });
+  }
+  const release = () => releaseAnalysis(tenant._id)
+    .catch(error => console.warn(`⚠️ Failed to release quota: ${error.message}`));
 
-    // Generate comprehensive analysis for PDF
-    const analysis = {
-      url,
-      keywords,
-      analysis: {
-        metaTags: analysisResult.analysis.metaTags,
-        keywordDensity: analysisResult.analysis.keywordDensity,
-        pageSpeed: analysisResult.analysis.pageSpeed,
-        mobileFriendly: analysisResult.analysis.mobileFriendly,
-        readabilityScore: analysisResult.analysis.readabilityScore,
-        semanticClarity: analysisResult.analysis.aiInsights.semanticClarity || "AI analysis failed.",
-        internalPages: analysisResult.analysis.internalPages,
-        internalPagesSuggestions: analysisResult.analysis.internalPagesSuggestions,
-        homepageSuggestions: analysisResult.analysis.homepageSuggestions,
-        structuredDataPresent: analysisResult.analysis.structuredData,
-        sampleParagraph: analysisResult.analysis.sampleParagraph,
-        rewrittenParagraph: analysisResult.analysis.rewrittenParagraph,
-        aiInsights: analysisResult.analysis.aiInsights,
-      },
-      timestamp: new Date().toISOString()
-    };
+  // By default the analysis runs as a background job so the request returns
+  // immediately; `?wait=true` keeps the old blocking behaviour.
+  if (req.query.wait !== 'true') {
+    try {
+      const job = await submitAnalysisJob({ url, keywords, crawl, competitors, tenant: tenant._id });
+      return res.status(202).json({
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`,
+        eventsUrl: `/api/jobs/${job._id}/events`
+      });
+    } catch (error) {
+      console.error('Job submission error:', error);
+      await release();
+      return res.status(500).json({ error: 'Failed to queue analysis job' });
+    }
+  }
 
-    // Generate PDF report
-    const timestamp = Date.now();
-    const pdfPath = `reports/report_${timestamp}.pdf`;
-    await generatePdfReport(analysis, pdfPath);
+  try {
+    const { analysisResult, report, pdfUrl } = await runAnalysisPipeline({ url, keywords, crawl, competitors, tenant: tenant._id });
 
     // Return the saved report with database ID
     res.json({
       ...analysisResult,
       reportId: report._id,
-      pdfPath: pdfPath,
+      pdfUrl,
       savedToDatabase: true
     });
   } catch (error) {
     console.error('Analysis error:', error);
+    await release();
     res.status(500).json({ error: 'Failed to analyze the website' });
   }
 };
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { serializeJob, subscribeToJob, isFinished } from '../services/jobManager.js';
+import { ownedBy } from '../middleware/auth.js';
+
+const HEARTBEAT_INTERVAL = 15000;
+
+export const getJob = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  try {
+    const job = await Job.findOne({ _id: id, ...ownedBy(req) });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job));
+  } catch (error) {
+    console.error('Job lookup error:', error);
+    res.status(500).json({ error: 'Failed to load job' });
+  }
+};
+
+/**
+ * Server-Sent Events stream of job progress. Sends the current state
+ * immediately, then every update until the job completes or fails.
+ */
+export const streamJobEvents = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  // Subscribe before loading the snapshot, so an update (even the final
+  // one) landing in between is buffered instead of lost.
+  const buffered = [];
+  let deliver = (update) => buffered.push(update);
+  const unsubscribe = subscribeToJob(id, (update) => deliver(update));
+
+  let job;
+  try {
+    job = await Job.findOne({ _id: id, ...ownedBy(req) });
+  } catch (error) {
+    unsubscribe();
+    console.error('Job lookup error:', error);
+    return res.status(500).json({ error: 'Failed to load job' });
+  }
+  if (!job) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let heartbeat;
+  let ended = false;
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const send = (data) => {
+    if (ended) return;
+    const event = isFinished(data) ? data.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (isFinished(data)) {
+      ended = true;
+      cleanup();
+      res.end();
+    }
+  };
+
+  send(serializeJob(job));
+  buffered.forEach(send);
+  if (ended) return;
+
+  deliver = send;
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', cleanup);
+};
@@ -0,0 +1,240 @@
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import { compareReports as diffReports } from '../services/reportComparison.js';
+import { renderReport, reportFormatNames } from '../services/reportRenderer.js';
+import { storeReportPdf } from '../services/reportGenerator.js';
+import { getReportStorage } from '../services/reportStorage.js';
+import { ownedBy } from '../middleware/auth.js';
+
+const MAX_PAGE_SIZE = 100;
+const FORMAT_ALIASES = { md: 'markdown' };
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.REPORT_SIGNED_URL_TTL, 10) || 900;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `?a=1&a=2` and `?a[b]=1` parse to arrays and objects; only plain strings
+// are accepted.
+function invalidQueryParam(query, names) {
+  return names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+}
+
+// The report's stored PDF, if it was written to the backend in use now.
+function storedPdfKey(report, storage) {
+  const file = report.pdfFile;
+  return file?.key && file.backend === storage.name ? file.key : null;
+}
+
+async function findReport(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: 'Invalid report id' });
+    return null;
+  }
+  const report = await Report.findOne({ _id: id, ...ownedBy(req) });
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
+  }
+  return report;
+}
+
+/**
+ * GET /api/reports
+ * Query: page, limit, url (substring), keyword, from, to (ISO dates)
+ */
+export const listReports = async (req, res) => {
+  const invalid = invalidQueryParam(req.query, ['page', 'limit', 'url', 'keyword', 'from', 'to']);
+  if (invalid) {
+    return res.status(400).json({ error: `Query parameter ${invalid} must be a single value` });
+  }
+
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const { url, keyword, from, to } = req.query;
+
+    const filter = ownedBy(req);
+    if (url) filter.url = { $regex: escapeRegExp(url), $options: 'i' };
+    if (keyword) filter.keywords = { $regex: `^${escapeRegExp(keyword)}$`, $options: 'i' };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Invalid from or to date' });
+      }
+    }
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .select('url keywords pdfFile createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Report.countDocuments(filter)
+    ]);
+
+    res.json({
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Report listing error:', error);
+    res.status(500).json({ error: 'Failed to list reports' });
+  }
+};
+
+/**
+ * GET /api/reports/compare?from=:id&to=:id
+ * GET /api/reports/compare?url=... (latest vs previous run for that URL)
+ */
+export const compareReports = async (req, res) => {
+  const invalid = invalidQueryParam(req.query, ['from', 'to', 'url']);
+  if (invalid) {
+    return res.status(400).json({ error: `Query parameter ${invalid} must be a single value` });
+  }
+  const { from, to, url } = req.query;
+
+  try {
+    let fromReport;
+    let toReport;
+
+    if (from && to) {
+      if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+        return res.status(400).json({ error: 'Invalid report id' });
+      }
+      [fromReport, toReport] = await Promise.all([
+        Report.findOne({ _id: from, ...ownedBy(req) }),
+        Report.findOne({ _id: to, ...ownedBy(req) })
+      ]);
+      if (!fromReport || !toReport) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+    } else if (url) {
+      [toReport, fromReport] = await Report.find({ url, ...ownedBy(req) }).sort({ createdAt: -1 }).limit(2);
+      if (!fromReport) {
+        return res.status(404).json({ error: 'At least two reports for this URL are needed to compare' });
+      }
+    } else {
+      return res.status(400).json({ error: 'Provide either from and to report ids, or a url' });
+    }
+
+    res.json(diffReports(fromReport, toReport));
+  } catch (error) {
+    console.error('Report comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare reports' });
+  }
+};
+
+export const getReport = async (req, res) => {
+  try {
+    const report = await findReport(req, res);
+    if (!report) return;
+    res.json(report);
+  } catch (error) {
+    console.error('Report lookup error:', error);
+    res.status(500).json({ error: 'Failed to load report' });
+  }
+};
+
+/**
+ * GET /api/reports/:id/pdf[?redirect=false]
+ * Redirects to a short-lived signed URL when the storage backend supports
+ * it, otherwise streams the file. A PDF that has expired or gone missing is
+ * rendered again and stored.
+ */
+export const downloadReportPdf = async (req, res) => {
+  try {
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    const storage = getReportStorage();
+    const filename = `seo-report-${report._id}.pdf`;
+    let key = storedPdfKey(report, storage);
+    let file = null;
+
+    if (key && req.query.redirect !== 'false') {
+      const signedUrl = await storage.signedUrl(key, { expiresIn: SIGNED_URL_TTL_SECONDS, filename });
+      if (signedUrl) return res.redirect(302, signedUrl);
+    }
+    if (key) {
+      try {
+        file = await storage.get(key);
+      } catch (error) {
+        if (error.code !== 'STORAGE_NOT_FOUND') throw error;
+      }
+    }
+    if (!file) {
+      console.log(`📄 Regenerating PDF for report ${report._id}`);
+      report.pdfFile = await storeReportPdf(report);
+      await report.save();
+      key = report.pdfFile.key;
+      file = await storage.get(key);
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (file.size) res.setHeader('Content-Length', file.size);
+    file.stream
+      .on('error', (error) => {
+        console.error('PDF stream error:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Report PDF error:', error);
+    res.status(500).json({ error: 'Failed to load report PDF' });
+  }
+};
+
+/**
+ * GET /api/reports/:id/export?format=pdf|html|markdown|md|json|csv
+ * Renders the report on demand (default pdf). The CSV lists issues only.
+ */
+export const exportReport = async (req, res) => {
+  const requested = String(req.query.format || 'pdf').toLowerCase();
+  const format = FORMAT_ALIASES[requested] || requested;
+  if (!reportFormatNames().includes(format)) {
+    return res.status(400).json({ error: `Unknown format: ${requested}. Use one of: ${reportFormatNames().join(', ')}` });
+  }
+
+  try {
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    const { body, contentType, extension } = await renderReport(report, format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="seo-report-${report._id}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Report export error:', error);
+    res.status(500).json({ error: 'Failed to export report' });
+  }
+};
+
+export const deleteReport = async (req, res) => {
+  try {
+    const report = await findReport(req, res);
+    if (!report) return;
+
+    const storage = getReportStorage();
+    const key = storedPdfKey(report, storage);
+    if (key) {
+      await storage.delete(key);
+    }
+    await report.deleteOne();
+
+    res.json({ deleted: true, id: report._id });
+  } catch (error) {
+    console.error('Report deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete report' });
+  }
+};
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import { LlmClient } from '../services/llmClient.js';
+import { recordUsage } from '../services/usage.js';
+import { ownedBy } from '../middleware/auth.js';
+import {
+  resolveRewriteOptions,
+  rewriteParagraph,
+  selectWeakestParagraphs,
+  MAX_REWRITE_LENGTH
+} from '../services/paragraphRewriter.js';
+
+const MAX_BATCH_SIZE = 10;
+
+/**
+ * POST /api/rewrite
+ * Body: { text, keywords?, tone?, readingLevel? }
+ */
+export const rewrite = async (req, res) => {
+  const { text } = req.body;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Missing text in request body' });
+  }
+  if (text.length > MAX_REWRITE_LENGTH) {
+    return res.status(400).json({ error: `text must be at most ${MAX_REWRITE_LENGTH} characters` });
+  }
+
+  let options;
+  try {
+    options = resolveRewriteOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const llm = new LlmClient();
+  try {
+    const result = await rewriteParagraph(text.trim(), options, { llm });
+    await recordUsage(req.auth.tenant._id, { llmUsage: llm.usageSummary(), rewrites: 1 });
+    res.json({
+      tone: options.tone,
+      readingLevel: options.readingLevel,
+      ...result,
+      llmUsage: llm.usageSummary()
+    });
+  } catch (error) {
+    console.error('Rewrite error:', error);
+    await recordUsage(req.auth.tenant._id, { llmUsage: llm.usageSummary() });
+    res.status(502).json({ error: 'Failed to rewrite text' });
+  }
+};
+
+/**
+ * POST /api/rewrite/batch
+ * Body: { reportId, url?, count?, keywords?, tone?, readingLevel? }
+ * Rewrites the weakest paragraphs of `url` in the report (or of the whole
+ * site without `url`). Keywords default to the report's.
+ */
+export const rewriteBatch = async (req, res) => {
+  const { reportId, url } = req.body;
+  if (!mongoose.isValidObjectId(reportId)) {
+    return res.status(400).json({ error: 'Invalid report id' });
+  }
+  const count = Math.min(Math.max(parseInt(req.body.count, 10) || 3, 1), MAX_BATCH_SIZE);
+
+  let report;
+  try {
+    report = await Report.findOne({ _id: reportId, ...ownedBy(req) });
+  } catch (error) {
+    console.error('Report lookup error:', error);
+    return res.status(500).json({ error: 'Failed to load report' });
+  }
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+
+  let options;
+  try {
+    options = resolveRewriteOptions({
+      ...req.body,
+      keywords: req.body.keywords ?? report.keywords.slice(0, 10)
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const paragraphs = selectWeakestParagraphs(report.toObject(), { url, count });
+  if (!paragraphs) {
+    return res.status(404).json({ error: 'Page not found in report' });
+  }
+
+  // One at a time, so a shared token budget stops the batch early
+  const llm = new LlmClient();
+  const rewrites = [];
+  for (const paragraph of paragraphs) {
+    const { text, ...source } = paragraph;
+    try {
+      rewrites.push({ ...source, ...await rewriteParagraph(text, options, { llm }) });
+    } catch (error) {
+      console.error(`Rewrite error for ${paragraph.url} paragraph ${paragraph.index}:`, error.message);
+      rewrites.push({ ...source, original: text, error: 'Failed to rewrite paragraph' });
+    }
+  }
+
+  await recordUsage(req.auth.tenant._id, {
+    llmUsage: llm.usageSummary(),
+    rewrites: rewrites.filter(entry => !entry.error).length
+  });
+  res.json({
+    reportId,
+    url: url || null,
+    tone: options.tone,
+    readingLevel: options.readingLevel,
+    rewrites,
+    llmUsage: llm.usageSummary()
+  });
+};
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import Schedule from '../models/Schedule.js';
+import { runSchedule, claimSchedule } from '../services/scheduler.js';
+import { resolveCrawlOptions } from '../services/enhancedAnalyzer.js';
+import { ownedBy } from '../middleware/auth.js';
+
+const EDITABLE_FIELDS = ['name', 'url', 'keywords', 'crawl', 'cron', 'enabled', 'thresholds', 'notifiers'];
+
+function pickEditable(body) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
+
+function handleError(res, error, message) {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+async function findSchedule(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: 'Invalid schedule id' });
+    return null;
+  }
+  const schedule = await Schedule.findOne({ _id: id, ...ownedBy(req) });
+  if (!schedule) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  return schedule;
+}
+
+export const listSchedules = async (req, res) => {
+  try {
+    const schedules = await Schedule.find(ownedBy(req)).sort({ createdAt: -1 });
+    res.json({ schedules });
+  } catch (error) {
+    handleError(res, error, 'Failed to list schedules');
+  }
+};
+
+export const createSchedule = async (req, res) => {
+  const fields = pickEditable(req.body);
+  if (!fields.url || !Array.isArray(fields.keywords) || !fields.cron) {
+    return res.status(400).json({ error: 'Missing or invalid url, keywords or cron in request body' });
+  }
+
+  try {
+    if (fields.crawl) fields.crawl = resolveCrawlOptions(fields.crawl);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const schedule = await Schedule.create({ ...fields, ...ownedBy(req) });
+    res.status(201).json(schedule);
+  } catch (error) {
+    handleError(res, error, 'Failed to create schedule');
+  }
+};
+
+export const getSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+    res.json(schedule);
+  } catch (error) {
+    handleError(res, error, 'Failed to load schedule');
+  }
+};
+
+export const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+    const fields = pickEditable(req.body);
+    if (fields.crawl) {
+      try {
+        fields.crawl = resolveCrawlOptions(fields.crawl);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    schedule.set(fields);
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    handleError(res, error, 'Failed to update schedule');
+  }
+};
+
+export const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+    await schedule.deleteOne();
+    res.json({ deleted: true, id: schedule._id });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete schedule');
+  }
+};
+
+/**
+ * POST /api/schedules/:id/run
+ * Trigger a run immediately; it continues in the background.
+ */
+export const runScheduleNow = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid schedule id' });
+  }
+
+  try {
+    const schedule = await claimSchedule(id, ownedBy(req));
+    if (!schedule) {
+      const exists = await Schedule.exists({ _id: id, ...ownedBy(req) });
+      return exists
+        ? res.status(409).json({ error: 'Schedule is already running' })
+        : res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    runSchedule(schedule).catch(error => console.error(`❌ Manual run of schedule ${id} failed:`, error));
+    res.status(202).json({ started: true, id: schedule._id });
+  } catch (error) {
+    handleError(res, error, 'Failed to start schedule');
+  }
+};
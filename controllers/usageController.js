@@ -0,0 +1,31 @@
+import { getUsage, currentPeriod } from '../services/usage.js';
+
+const PERIOD = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * GET /api/usage?period=YYYY-MM
+ * The caller's tenant usage for a month (default: the current one):
+ * analyses against the quota, rewrites and LLM tokens and cost.
+ */
+export const getTenantUsage = async (req, res) => {
+  const period = req.query.period || currentPeriod();
+  if (!PERIOD.test(period)) {
+    return res.status(400).json({ error: 'period must be YYYY-MM' });
+  }
+
+  try {
+    const { tenant, apiKey } = req.auth;
+    res.json({
+      tenant: { id: tenant._id, name: tenant.name },
+      apiKey: apiKey ? { id: apiKey._id, name: apiKey.name || null, prefix: apiKey.prefix } : null,
+      ...await getUsage(tenant, period),
+      rateLimit: {
+        perMinute: Number(res.get('X-RateLimit-Limit')),
+        remaining: Number(res.get('X-RateLimit-Remaining'))
+      }
+    });
+  } catch (error) {
+    console.error('Usage lookup error:', error);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+};
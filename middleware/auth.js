@@ -0,0 +1,49 @@
+import { authenticateRequest } from '../services/auth.js';
+import { RateLimiter } from '../services/rateLimiter.js';
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60;
+
+const limiter = new RateLimiter();
+
+/**
+ * Require an API key or JWT; sets `req.auth` (see `authenticateRequest`).
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    req.auth = await authenticateRequest(req);
+    next();
+  } catch (error) {
+    if (error.status) {
+      if (error.status === 401) res.set('WWW-Authenticate', 'Bearer');
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+/**
+ * Per-caller requests per minute: the key's own limit, else the tenant's,
+ * else RATE_LIMIT_PER_MINUTE (default 60). Runs after `authenticate`.
+ */
+export const rateLimit = (req, res, next) => {
+  const { tenant, apiKey, subject } = req.auth;
+  const limit = apiKey?.rateLimitPerMinute || tenant.rateLimitPerMinute || DEFAULT_RATE_LIMIT;
+  const { allowed, remaining, resetAt } = limiter.hit(subject, limit);
+
+  res.set({
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000))
+  });
+  if (!allowed) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+    return res.status(429).json({ error: `Rate limit of ${limit} requests per minute exceeded` });
+  }
+  next();
+};
+
+/**
+ * Query filter for documents owned by the caller's tenant.
+ */
+export const ownedBy = (req) => ({ tenant: req.auth.tenant._id });
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const ApiKeySchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  name: String,
+  // SHA-256 of the key; the key itself is only shown once, when created
+  keyHash: { type: String, required: true, unique: true },
+  // Leading characters of the key, to tell keys apart in listings
+  prefix: { type: String, index: true },
+  // Overrides the tenant's limit for this key
+  rateLimitPerMinute: { type: Number, min: 1 },
+  lastUsedAt: Date,
+  revokedAt: Date,
+}, { timestamps: true });
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+export default ApiKey;
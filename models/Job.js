@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+export const JOB_STAGES = ['queued', 'crawling', 'analyzing', 'ai_insights', 'benchmarking', 'pdf', 'completed', 'failed'];
+
+const JobSchema = new mongoose.Schema({
+  type: { type: String, default: 'analysis' },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued', index: true },
+  stage: { type: String, enum: JOB_STAGES, default: 'queued' },
+  request: {
+    url: { type: String, required: true },
+    keywords: { type: [String], required: true },
+    crawl: mongoose.Schema.Types.Mixed,
+    competitors: [String],
+  },
+  progress: {
+    pagesCrawled: { type: Number, default: 0 },
+    maxPages: { type: Number, default: 0 },
+    currentUrl: String,
+  },
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+  attempts: { type: Number, default: 0 },
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  pdfUrl: String,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  finishedAt: Date,
+}, { timestamps: true });
+
+const Job = mongoose.model('Job', JobSchema);
+
+export default Job;
@@ -1,19 +1,807 @@
 import mongoose from 'mongoose';
+import { SEVERITIES } from '../services/technicalChecks.js';
+import { INSIGHT_SOURCES } from '../services/aiInsights.js';
+
+/**
+ * Report schema, versioned so older documents can be upgraded in place.
+ *
+ * v1 - lossy subset (metaTags, keywordDensity, pageSpeed, mobileFriendly,
+ *      readabilityScore, semanticClarity) with no version field.
+ * v2 - full `EnhancedAnalyzer.analyzeWebsite` output, including per-page data.
+ * v3 - `technical.mobileFriendly` is a per-page audit instead of a boolean.
+ * v4 - page structured data is stored as `{ format, types, data }` items
+ *      (JSON-LD, Microdata, RDFa) instead of raw JSON-LD objects.
+ * v5 - the PDF lives in report storage (`pdfFile`) instead of at a local
+ *      `pdfPath`.
+ *
+ * Keyword density is stored as an array (`{ keyword, overall, byPage }`)
+ * rather than an object keyed by keyword, since user-supplied keywords may
+ * contain characters MongoDB does not allow in field names.
+ */
+export const REPORT_SCHEMA_VERSION = 5;
+
+const { Mixed } = mongoose.Schema.Types;
+
+const RedirectHopSchema = new mongoose.Schema({
+  url: String,
+  status: Number,
+  location: String,
+}, { _id: false });
+
+const PageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  finalUrl: String,
+  canonicalUrl: String,
+  lang: String,
+  hreflang: [{
+    _id: false,
+    lang: String,
+    url: String,
+  }],
+  depth: Number,
+  status: Number,
+  redirectChain: [RedirectHopSchema],
+  contentType: String,
+  xRobotsTag: String,
+  contentSize: Number,
+  transferSize: Number,
+  timing: {
+    ttfbMs: Number,
+    totalMs: Number,
+  },
+  fromCache: Boolean,
+  title: String,
+  description: String,
+  content: String,
+  paragraphs: [String],
+  headings: {
+    h1: [String],
+    h2: [String],
+    h3: [String],
+    h4: [String],
+    h5: [String],
+    h6: [String],
+  },
+  images: [{
+    _id: false,
+    src: String,
+    alt: String,
+    title: String,
+  }],
+  links: [String],
+  outlinks: [{
+    _id: false,
+    url: String,
+    text: String,
+    internal: Boolean,
+    nofollow: Boolean,
+  }],
+  // Free-form name -> content map; names such as `og:title` vary per site.
+  metaTags: Mixed,
+  structuredData: [{
+    _id: false,
+    format: { type: String },
+    types: [String],
+    // JSON-LD shaped; property names are whatever the site used
+    data: Mixed,
+  }],
+  structuredDataErrors: [String],
+  answerBlocks: [{
+    _id: false,
+    question: String,
+    level: String,
+    answer: String,
+    answerWords: Number,
+    concise: Boolean,
+  }],
+  authorship: {
+    author: String,
+    datePublished: String,
+    dateModified: String,
+  },
+  wordCount: Number,
+  loadTime: Number,
+  rendering: {
+    mode: { type: String },
+    reason: String,
+    error: String,
+    renderMs: Number,
+    diff: {
+      onlyAfterJs: [String],
+      changed: [{
+        _id: false,
+        field: String,
+        raw: String,
+        rendered: String,
+      }],
+      rawWordCount: Number,
+      renderedWordCount: Number,
+      linksOnlyAfterJs: Number,
+      structuredDataOnlyAfterJs: Number,
+    },
+  },
+}, { _id: false });
+
+const PageTextSchema = new mongoose.Schema({
+  url: String,
+  text: String,
+  length: Number,
+  valid: Boolean,
+}, { _id: false });
+
+const MetaTagsSchema = new mongoose.Schema({
+  title: [PageTextSchema],
+  description: [PageTextSchema],
+  issues: [String],
+  findings: [{
+    _id: false,
+    url: String,
+    severity: { type: String, enum: SEVERITIES },
+    check: String,
+    message: String,
+  }],
+  suggestions: [{
+    _id: false,
+    url: String,
+    type: { type: String },
+    current: String,
+    suggested: String,
+  }],
+}, { _id: false });
+
+const TermScoreSchema = new mongoose.Schema({
+  term: String,
+  score: Number,
+}, { _id: false });
+
+const KeywordDensitySchema = new mongoose.Schema({
+  keyword: { type: String, required: true },
+  overall: Number,
+  byPage: [{
+    _id: false,
+    url: String,
+    occurrences: Number,
+    variantOccurrences: Number,
+    density: Number,
+    placement: {
+      title: Boolean,
+      description: Boolean,
+      h1: Boolean,
+      first100Words: Boolean,
+      urlSlug: Boolean,
+      imageAlt: Boolean,
+    },
+  }],
+  relatedTerms: [TermScoreSchema],
+  issues: [String],
+}, { _id: false });
+
+const StructuredDataSummarySchema = new mongoose.Schema({
+  pagesWithData: Number,
+  types: [String],
+  formats: {
+    'json-ld': Number,
+    microdata: Number,
+    rdfa: Number,
+  },
+  errorCount: Number,
+  warningCount: Number,
+  pages: [{
+    _id: false,
+    url: String,
+    items: [{
+      _id: false,
+      format: { type: String },
+      types: [String],
+      validated: Boolean,
+      issues: [String],
+      warnings: [String],
+    }],
+    issues: [String],
+    warnings: [String],
+  }],
+  issues: [String],
+  warnings: [String],
+  generated: [{
+    _id: false,
+    type: { type: String },
+    url: String,
+    reason: String,
+    jsonLd: Mixed,
+    snippet: String,
+  }],
+}, { _id: false });
+
+const CrawlabilitySchema = new mongoose.Schema({
+  robotsTxt: {
+    url: String,
+    found: Boolean,
+    status: Number,
+    crawlDelay: Number,
+    sitemaps: [String],
+  },
+  sitemap: {
+    files: [{
+      _id: false,
+      url: String,
+      status: Number,
+      type: { type: String },
+      urlCount: Number,
+      error: String,
+    }],
+    urlCount: Number,
+    errors: [{
+      _id: false,
+      url: String,
+      status: Number,
+      error: String,
+    }],
+    missingFromSitemap: [String],
+  },
+  disallowed: [{
+    _id: false,
+    url: String,
+    inSitemap: Boolean,
+    linked: Boolean,
+  }],
+  blockedDuringCrawl: [String],
+  issues: [String],
+}, { _id: false });
+
+const MobileAuditSchema = new mongoose.Schema({
+  url: String,
+  passed: Boolean,
+  rendered: Boolean,
+  viewport: {
+    present: Boolean,
+    content: String,
+    issues: [String],
+  },
+  checks: {
+    horizontalOverflow: Mixed,
+    tapTargets: Mixed,
+    fontSizes: Mixed,
+    fixedWidth: Mixed,
+  },
+  screenshotPath: String,
+  issues: [String],
+  error: String,
+}, { _id: false });
+
+const TechnicalSchema = new mongoose.Schema({
+  mobileFriendly: {
+    passed: Boolean,
+    pagesPassed: Number,
+    pagesFailed: Number,
+    pages: [MobileAuditSchema],
+    issues: [String],
+  },
+  pageSpeed: {
+    score: Number,
+    source: { type: String },
+    pages: [{
+      _id: false,
+      url: String,
+      source: { type: String },
+      score: Number,
+      metrics: {
+        ttfb: Number,
+        fcp: Number,
+        lcp: Number,
+        cls: Number,
+        tbt: Number,
+        inpProxy: Number,
+        domContentLoaded: Number,
+        load: Number,
+        transferSize: Number,
+        requestCount: Number,
+      },
+      renderBlocking: [{
+        _id: false,
+        url: String,
+        type: { type: String },
+        durationMs: Number,
+      }],
+      issues: [String],
+      error: String,
+    }],
+    issues: [String],
+  },
+  headingStructure: {
+    issues: [String],
+    hierarchy: [{
+      _id: false,
+      url: String,
+      headings: Mixed,
+    }],
+  },
+  imageOptimization: {
+    total: Number,
+    missingAlt: Number,
+    issues: [String],
+  },
+  internalLinks: {
+    total: Number,
+    internal: Number,
+    external: Number,
+    unchecked: Number,
+    broken: Number,
+    redirected: Number,
+    redirectLoops: Number,
+    results: [{
+      _id: false,
+      url: String,
+      internal: Boolean,
+      status: Number,
+      finalUrl: String,
+      redirectChain: [RedirectHopSchema],
+      redirectLoop: Boolean,
+      error: String,
+      broken: Boolean,
+      sources: [String],
+      sourceCount: Number,
+    }],
+    mixedContent: [{
+      _id: false,
+      page: String,
+      url: String,
+    }],
+    inbound: [{
+      _id: false,
+      url: String,
+      count: Number,
+    }],
+    orphanedSitemapPages: [String],
+    // Orphans are only judged when the crawl reached every sitemap URL
+    orphanCheck: {
+      checked: Boolean,
+      reason: String,
+    },
+    anchorText: [{
+      _id: false,
+      url: String,
+      anchors: [{
+        _id: false,
+        text: String,
+        count: Number,
+      }],
+    }],
+    issues: [String],
+  },
+  structuredData: StructuredDataSummarySchema,
+  readabilityScore: Number,
+  crawlability: CrawlabilitySchema,
+  rendering: {
+    mode: { type: String },
+    pagesRendered: Number,
+    renderFailures: Number,
+    issues: [String],
+  },
+}, { _id: false });
+
+const ParagraphReadabilitySchema = new mongoose.Schema({
+  url: String,
+  index: Number,
+  excerpt: String,
+  score: Number,
+  gradeLevel: Number,
+  words: Number,
+  reasons: [String],
+}, { _id: false });
+
+const ContentQualitySchema = new mongoose.Schema({
+  averageWordCount: Number,
+  readabilityScores: [{
+    _id: false,
+    url: String,
+    score: Number,
+    fleschReadingEase: Number,
+    fleschKincaidGrade: Number,
+    gunningFog: Number,
+    smog: Number,
+    colemanLiau: Number,
+    gradeLevel: Number,
+    words: Number,
+    sentences: Number,
+    syllables: Number,
+    complexWords: Number,
+    averageSentenceLength: Number,
+    longestSentence: Number,
+    paragraphs: [ParagraphReadabilitySchema],
+    hardestParagraphs: [ParagraphReadabilitySchema],
+  }],
+  hardestParagraphs: [ParagraphReadabilitySchema],
+  keyTerms: [TermScoreSchema],
+}, { _id: false });
+
+const AiVisibilitySchema = new mongoose.Schema({
+  // Weighted mean of the checks; `llmScore` is the LLM's opinion alongside it
+  score: Number,
+  llmScore: Number,
+  checks: [{
+    _id: false,
+    id: String,
+    label: String,
+    weight: Number,
+    score: Number,
+    passed: Boolean,
+    summary: String,
+    recommendation: String,
+    details: Mixed,
+  }],
+  crawlers: [{
+    _id: false,
+    agent: String,
+    operator: String,
+    purpose: String,
+    allowed: Boolean,
+    blockedPages: [String],
+    explicitRule: Boolean,
+  }],
+  llmsTxt: {
+    url: String,
+    found: Boolean,
+    status: Number,
+    title: String,
+    summary: String,
+    linkCount: Number,
+    issues: [String],
+  },
+  issues: [String],
+}, { _id: false });
+
+const insightSource = { type: String, enum: INSIGHT_SOURCES };
+
+const PageRecommendationSchema = new mongoose.Schema({
+  url: String,
+  summary: String,
+  optimizedTitle: String,
+  optimizedDescription: String,
+  headingSuggestions: [String],
+  contentGaps: [{
+    _id: false,
+    keyword: String,
+    suggestion: String,
+  }],
+  sources: {
+    summary: insightSource,
+    optimizedTitle: insightSource,
+    optimizedDescription: insightSource,
+    headingSuggestions: insightSource,
+    contentGaps: insightSource,
+  },
+  generatedBy: { type: String, enum: [...INSIGHT_SOURCES, 'mixed'] },
+  issues: [String],
+}, { _id: false });
+
+const AiInsightsSchema = new mongoose.Schema({
+  aiVisibilityScore: Number,
+  aiSummary: String,
+  optimizedTitle: String,
+  optimizedDescription: String,
+  suggestedFaqs: [{
+    _id: false,
+    question: String,
+    answer: String,
+  }],
+  contentSuggestions: [String],
+  // Per field: written by the LLM or derived from the crawl
+  sources: {
+    aiVisibilityScore: insightSource,
+    aiSummary: insightSource,
+    optimizedTitle: insightSource,
+    optimizedDescription: insightSource,
+    suggestedFaqs: insightSource,
+    contentSuggestions: insightSource,
+  },
+  generatedBy: { type: String, enum: [...INSIGHT_SOURCES, 'mixed'] },
+  issues: [String],
+  pages: [PageRecommendationSchema],
+  semanticClarity: String,
+  // Failed generations before heuristic fallbacks existed
+  error: Boolean,
+  message: String,
+  details: String,
+}, { _id: false });
+
+// One site's side of a competitor benchmark (see summarizeSite)
+const BenchmarkSiteSchema = new mongoose.Schema({
+  url: String,
+  pagesAnalyzed: Number,
+  wordCount: {
+    total: Number,
+    average: Number,
+  },
+  headings: {
+    h1: Number,
+    h2: Number,
+    h3: Number,
+    averagePerPage: Number,
+  },
+  keywords: [{
+    _id: false,
+    keyword: String,
+    density: Number,
+    occurrences: Number,
+    pagesWithKeyword: Number,
+    // Number of pages with the keyword in each place
+    placement: {
+      title: Number,
+      description: Number,
+      h1: Number,
+      first100Words: Number,
+      urlSlug: Number,
+      imageAlt: Number,
+    },
+  }],
+  structuredDataTypes: [String],
+  performanceScore: Number,
+  readabilityScore: Number,
+  aiVisibilityScore: Number,
+  topics: [String],
+  headingOutline: [String],
+}, { _id: false });
+
+const BenchmarkSchema = new mongoose.Schema({
+  target: BenchmarkSiteSchema,
+  competitors: [BenchmarkSiteSchema],
+  failed: [{
+    _id: false,
+    url: String,
+    error: String,
+  }],
+  // `values`, `density` and `placements` follow [target, ...competitors]
+  metrics: [{
+    _id: false,
+    id: String,
+    label: String,
+    values: [Number],
+    leader: String,
+  }],
+  keywords: [{
+    _id: false,
+    keyword: String,
+    density: [Number],
+    placements: [[String]],
+    leader: String,
+  }],
+  missingStructuredData: [String],
+  contentGaps: [{
+    _id: false,
+    topic: String,
+    competitors: String,
+    recommendation: String,
+  }],
+  sources: {
+    contentGaps: insightSource,
+  },
+  generatedBy: { type: String, enum: [...INSIGHT_SOURCES, 'mixed'] },
+  issues: [String],
+}, { _id: false });
+
+const CrawlOptionsSchema = new mongoose.Schema({
+  maxPages: Number,
+  maxDepth: Number,
+  include: [String],
+  exclude: [String],
+  subdomains: String,
+  concurrency: Number,
+  render: String,
+  checkExternalLinks: Boolean,
+}, { _id: false });
+
+// Token usage and cost of the LLM calls made for the report (see LlmClient)
+const LlmUsageSchema = new mongoose.Schema({
+  provider: String,
+  requests: Number,
+  failures: Number,
+  promptTokens: Number,
+  completionTokens: Number,
+  totalTokens: Number,
+  tokenBudget: Number,
+  costUsd: Number,
+  byTask: [{
+    _id: false,
+    task: String,
+    model: String,
+    requests: Number,
+    promptTokens: Number,
+    completionTokens: Number,
+    costUsd: Number,
+  }],
+}, { _id: false });
+
+// A rendered file in report storage (see services/reportStorage.js)
+const StoredFileSchema = new mongoose.Schema({
+  backend: String,
+  key: String,
+  size: Number,
+  contentType: String,
+  storedAt: Date,
+}, { _id: false });
 
 const ReportSchema = new mongoose.Schema({
+  schemaVersion: { type: Number, default: REPORT_SCHEMA_VERSION },
   url: { type: String, required: true },
   keywords: { type: [String], required: true },
+  crawlOptions: CrawlOptionsSchema,
+  pagesAnalyzed: Number,
   analysis: {
-    metaTags: Object,
-    keywordDensity: Object,
-    pageSpeed: Object,
-    mobileFriendly: Boolean,
-    readabilityScore: Number,
-    semanticClarity: String,
+    pages: [PageSchema],
+    metaTags: MetaTagsSchema,
+    keywordDensity: [KeywordDensitySchema],
+    technical: TechnicalSchema,
+    contentQuality: ContentQualitySchema,
+    structuredData: StructuredDataSummarySchema,
+    aiVisibility: AiVisibilitySchema,
+    aiInsights: AiInsightsSchema,
+    // Side-by-side comparison with the requested competitors, if any
+    benchmark: BenchmarkSchema,
+    // The site's hardest paragraph and its rewrite
+    sampleRewrite: {
+      url: String,
+      index: Number,
+      original: String,
+      rewritten: String,
+    },
   },
+  llmUsage: LlmUsageSchema,
+  analyzedAt: Date,
+  // Owner. Reports from before authentication have none and stay hidden
+  // until claimed (`npm run apikeys -- create ... --claim-unowned`).
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' },
+  // Set when the run was triggered by a scheduled audit
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule', index: true },
+  pdfFile: StoredFileSchema,
   createdAt: { type: Date, default: Date.now },
 });
 
+ReportSchema.index({ url: 1, createdAt: -1 });
+ReportSchema.index({ tenant: 1, createdAt: -1 });
+ReportSchema.index({ 'pdfFile.key': 1 });
+
+// Upgrade legacy documents as they are loaded, so reads always see the
+// current version.
+// Run `npm run migrate:reports` to persist the upgrade for every document.
+ReportSchema.pre('init', function (raw) {
+  if ((raw.schemaVersion || 1) < REPORT_SCHEMA_VERSION) {
+    Object.assign(raw, migrateReportDocument(raw));
+  }
+});
+
+function keywordDensityToArray(keywordDensity = {}) {
+  if (Array.isArray(keywordDensity)) return keywordDensity;
+  return Object.entries(keywordDensity).map(([keyword, value]) => {
+    // v1 sometimes held a bare number (or numeric string) per keyword
+    if (typeof value !== 'object' || value === null) {
+      return { keyword, overall: Number(value) || 0, byPage: [] };
+    }
+    return {
+      ...value,
+      keyword,
+      overall: Number(value.overall) || 0,
+      // v1 stored density as a string
+      byPage: (value.byPage || []).map(entry => ({ ...entry, density: Number(entry.density) || 0 })),
+    };
+  });
+}
+
+/**
+ * Map an `analyzeWebsite` result onto the current document shape.
+ */
+export function reportFieldsFromAnalysis(analysisResult) {
+  const { analysis } = analysisResult;
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    url: analysisResult.url,
+    keywords: analysisResult.keywords,
+    crawlOptions: analysisResult.crawlOptions,
+    pagesAnalyzed: analysisResult.pagesAnalyzed,
+    analysis: {
+      pages: (analysis.pages || []).map(({ rawHtml, ...page }) => ({
+        ...page,
+        loadTime: Number(page.loadTime) || 0,
+      })),
+      metaTags: analysis.metaTags,
+      keywordDensity: keywordDensityToArray(analysis.keywordDensity),
+      technical: analysis.technical,
+      contentQuality: analysis.contentQuality,
+      structuredData: analysis.structuredData,
+      aiVisibility: analysis.aiVisibility,
+      aiInsights: analysis.aiInsights,
+      benchmark: analysis.benchmark || undefined,
+      sampleRewrite: analysis.sampleRewrite || undefined,
+    },
+    llmUsage: analysisResult.llmUsage,
+    analyzedAt: analysisResult.timestamp ? new Date(analysisResult.timestamp) : new Date(),
+  };
+}
+
+// Each step upgrades a raw document by one version. Fields an older version
+// never captured are left empty rather than guessed.
+const MIGRATIONS = {
+  1: (raw) => {
+    const legacy = raw.analysis || {};
+    return {
+      ...raw,
+      analysis: {
+        pages: [],
+        metaTags: legacy.metaTags,
+        keywordDensity: keywordDensityToArray(legacy.keywordDensity),
+        technical: {
+          mobileFriendly: legacy.mobileFriendly,
+          pageSpeed: legacy.pageSpeed,
+          readabilityScore: legacy.readabilityScore,
+        },
+        aiInsights: legacy.semanticClarity ? { semanticClarity: legacy.semanticClarity } : undefined,
+      },
+      analyzedAt: raw.analyzedAt || raw.createdAt,
+    };
+  },
+  2: (raw) => {
+    const technical = raw.analysis?.technical;
+    if (!technical || typeof technical.mobileFriendly !== 'boolean') return raw;
+    return {
+      ...raw,
+      analysis: {
+        ...raw.analysis,
+        technical: {
+          ...technical,
+          mobileFriendly: { passed: technical.mobileFriendly, pages: [], issues: [] },
+        },
+      },
+    };
+  },
+  3: (raw) => {
+    if (!raw.analysis) return raw;
+    const wrap = (data) => ({
+      format: 'json-ld',
+      types: [].concat(data?.['@type'] || []).map(String),
+      data,
+    });
+    // `@type` may itself have been an array of types
+    const flattenTypes = (summary) => summary && {
+      ...summary,
+      types: [...new Set((summary.types || []).flat().map(String))],
+    };
+    return {
+      ...raw,
+      analysis: {
+        ...raw.analysis,
+        pages: (raw.analysis.pages || []).map(page => ({
+          ...page,
+          structuredData: (page.structuredData || []).map(wrap),
+        })),
+        structuredData: flattenTypes(raw.analysis.structuredData),
+        technical: raw.analysis.technical && {
+          ...raw.analysis.technical,
+          structuredData: flattenTypes(raw.analysis.technical.structuredData),
+        },
+      },
+    };
+  },
+  4: (raw) => {
+    const { pdfPath, ...rest } = raw;
+    if (!pdfPath) return rest;
+    // Older PDFs were written to reports/ on local disk
+    return {
+      ...rest,
+      pdfFile: { backend: 'local', key: pdfPath.split(/[\\/]/).pop(), contentType: 'application/pdf' },
+    };
+  },
+};
+
+/**
+ * Upgrade a raw document of any older version to the current shape.
+ */
+export function migrateReportDocument(raw) {
+  let migrated = raw;
+  for (let version = raw.schemaVersion || 1; version < REPORT_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return { ...migrated, schemaVersion: REPORT_SCHEMA_VERSION };
+}
+
 const Report = mongoose.model('Report', ReportSchema);
 
 export default Report;
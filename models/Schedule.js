@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { isValidCron, nextCronDate } from '../utils/cron.js';
+
+export const THRESHOLD_TYPES = [
+  'newMissingH1',
+  'titleTooLong',
+  'descriptionTooLong',
+  'keywordDensityBelow',
+  'missingAltAbove',
+  'aiVisibilityBelow',
+];
+
+export const NOTIFIER_TYPES = ['webhook', 'email', 'log'];
+
+const ThresholdSchema = new mongoose.Schema({
+  type: { type: String, enum: THRESHOLD_TYPES, required: true },
+  // Numeric limit; meaning depends on the type (chars, %, count, score)
+  value: Number,
+  // Only used by keywordDensityBelow
+  keyword: String,
+}, { _id: false });
+
+const NotifierSchema = new mongoose.Schema({
+  type: { type: String, enum: NOTIFIER_TYPES, required: true },
+  // Webhook URL or comma-separated email recipients
+  target: String,
+}, { _id: false });
+
+const ScheduleSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+  name: String,
+  url: { type: String, required: true },
+  keywords: { type: [String], required: true },
+  // Per-run crawl options, see resolveCrawlOptions in the analyzer
+  crawl: mongoose.Schema.Types.Mixed,
+  cron: {
+    type: String,
+    required: true,
+    validate: { validator: isValidCron, message: 'Invalid cron expression' },
+  },
+  enabled: { type: Boolean, default: true },
+  thresholds: [ThresholdSchema],
+  notifiers: { type: [NotifierSchema], default: [{ type: 'log' }] },
+  nextRunAt: { type: Date, index: true },
+  lockedUntil: Date,
+  lastRunAt: Date,
+  lastStatus: { type: String, enum: ['success', 'failed'] },
+  lastError: String,
+  lastReport: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  lastAlerts: [mongoose.Schema.Types.Mixed],
+}, { timestamps: true });
+
+ScheduleSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('cron') || (this.isModified('enabled') && this.enabled)) {
+    this.nextRunAt = nextCronDate(this.cron);
+  }
+  next();
+});
+
+const Schedule = mongoose.model('Schedule', ScheduleSchema);
+
+export default Schedule;
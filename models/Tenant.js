@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+/**
+ * An account that owns reports, jobs and schedules. API keys and JWTs
+ * authenticate as a tenant.
+ */
+const TenantSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  active: { type: Boolean, default: true },
+  // Unset falls back to TENANT_MONTHLY_ANALYSES; 0 means unlimited
+  monthlyAnalysisQuota: { type: Number, min: 0 },
+  // Unset falls back to RATE_LIMIT_PER_MINUTE
+  rateLimitPerMinute: { type: Number, min: 1 },
+}, { timestamps: true });
+
+const Tenant = mongoose.model('Tenant', TenantSchema);
+
+export default Tenant;
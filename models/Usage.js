@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+/**
+ * Per-tenant usage for one calendar month (UTC): analyses run, paragraph
+ * rewrites and the LLM tokens and cost they consumed.
+ */
+const UsageSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  period: { type: String, required: true, match: /^\d{4}-\d{2}$/ },
+  analyses: { type: Number, default: 0 },
+  rewrites: { type: Number, default: 0 },
+  llm: {
+    requests: { type: Number, default: 0 },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+  },
+}, { timestamps: true });
+
+UsageSchema.index({ tenant: 1, period: 1 }, { unique: true });
+
+const Usage = mongoose.model('Usage', UsageSchema);
+
+export default Usage;
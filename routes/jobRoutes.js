@@ -0,0 +1,9 @@
+import express from 'express';
+import { getJob, streamJobEvents } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+router.get('/:id', getJob);
+router.get('/:id/events', streamJobEvents);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { listReports, compareReports, getReport, downloadReportPdf, exportReport, deleteReport } from '../controllers/reportController.js';
+
+const router = express.Router();
+
+router.get('/', listReports);
+router.get('/compare', compareReports);
+router.get('/:id', getReport);
+router.get('/:id/pdf', downloadReportPdf);
+router.get('/:id/export', exportReport);
+router.delete('/:id', deleteReport);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { rewrite, rewriteBatch } from '../controllers/rewriteController.js';
+
+const router = express.Router();
+
+router.post('/', rewrite);
+router.post('/batch', rewriteBatch);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  listSchedules,
+  createSchedule,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow
+} from '../controllers/scheduleController.js';
+
+const router = express.Router();
+
+router.get('/', listSchedules);
+router.post('/', createSchedule);
+router.get('/:id', getSchedule);
+router.put('/:id', updateSchedule);
+router.delete('/:id', deleteSchedule);
+router.post('/:id/run', runScheduleNow);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from 'express';
+import { getTenantUsage } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+router.get('/', getTenantUsage);
+
+export default router;
@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import Tenant from '../models/Tenant.js';
+import ApiKey from '../models/ApiKey.js';
+import Report from '../models/Report.js';
+import Job from '../models/Job.js';
+import Schedule from '../models/Schedule.js';
+import { createApiKey } from '../services/auth.js';
+
+/**
+ * Manage tenants and their API keys.
+ * Usage:
+ *   npm run apikeys -- create --tenant <name> [--name <label>] [--quota <analyses/month>]
+ *                             [--rate-limit <requests/minute>] [--claim-unowned]
+ *   npm run apikeys -- list [--tenant <name>]
+ *   npm run apikeys -- revoke <key prefix>
+ *
+ * `--claim-unowned` gives the tenant every report, job and schedule created
+ * before authentication existed.
+ */
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+const numberOption = (name) => (option(name) === undefined ? undefined : Number(option(name)));
+
+async function create() {
+  const name = option('tenant');
+  if (!name) throw new Error('--tenant is required');
+
+  let tenant = await Tenant.findOne({ name });
+  if (!tenant) {
+    tenant = await Tenant.create({ name });
+    console.log(`Created tenant ${name} (${tenant._id})`);
+  }
+  const quota = numberOption('quota');
+  if (quota !== undefined) {
+    tenant.monthlyAnalysisQuota = quota;
+    await tenant.save();
+  }
+
+  const { apiKey, key } = await createApiKey(tenant._id, {
+    name: option('name'),
+    rateLimitPerMinute: numberOption('rate-limit')
+  });
+  console.log(`API key ${apiKey.prefix}... for ${name}; store it now, it is not shown again:\n${key}`);
+
+  if (args.includes('--claim-unowned')) {
+    const unowned = { tenant: { $exists: false } };
+    const [reports, jobs, schedules] = await Promise.all(
+      [Report, Job, Schedule].map(model => model.updateMany(unowned, { tenant: tenant._id }))
+    );
+    console.log(`Claimed ${reports.modifiedCount} reports, ${jobs.modifiedCount} jobs and ${schedules.modifiedCount} schedules`);
+  }
+}
+
+async function list() {
+  const name = option('tenant');
+  const tenants = await Tenant.find(name ? { name } : {}).sort({ name: 1 });
+  for (const tenant of tenants) {
+    console.log(`${tenant.name} (${tenant._id})${tenant.active ? '' : ' [disabled]'}`);
+    const keys = await ApiKey.find({ tenant: tenant._id }).sort({ createdAt: 1 });
+    keys.forEach(key => {
+      const status = key.revokedAt ? `revoked ${key.revokedAt.toISOString()}` : `last used ${key.lastUsedAt?.toISOString() || 'never'}`;
+      console.log(`  ${key.prefix}...  ${key.name || '(unnamed)'}  ${status}`);
+    });
+  }
+}
+
+async function revoke() {
+  const prefix = args[1];
+  if (!prefix) throw new Error('Give the prefix of the key to revoke');
+  const keys = await ApiKey.find({ prefix: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }, revokedAt: null });
+  if (keys.length !== 1) throw new Error(`${keys.length} active keys match ${prefix}; give a longer prefix`);
+  keys[0].revokedAt = new Date();
+  await keys[0].save();
+  console.log(`Revoked ${keys[0].prefix}...`);
+}
+
+const commands = { create, list, revoke };
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => {
+    const command = commands[args[0]];
+    if (!command) throw new Error(`Unknown command ${args[0] || ''}; use create, list or revoke`);
+    return command();
+  })
+  .catch((error) => {
+    console.error('API key command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import { cleanupReportStorage } from '../services/reportRetention.js';
+
+/**
+ * Delete expired and orphaned report files from report storage once.
+ * Usage: npm run cleanup:reports [-- --dry-run]
+ */
+async function cleanupReports({ dryRun }) {
+  const { scanned, expired, orphaned, failed } = await cleanupReportStorage({ dryRun });
+  console.log(`${dryRun ? '[dry run] Would delete' : 'Deleted'} ${expired} expired and ${orphaned} orphaned file(s) of ${scanned}${failed ? `, ${failed} failed` : ''}`);
+  if (failed) process.exitCode = 1;
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => cleanupReports({ dryRun: process.argv.includes('--dry-run') }))
+  .catch((error) => {
+    console.error('Report cleanup failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import Report, { REPORT_SCHEMA_VERSION, migrateReportDocument } from '../models/Report.js';
+
+/**
+ * Upgrade every stored Report to the current schema version.
+ * Usage: npm run migrate:reports [-- --dry-run]
+ */
+async function migrateReports({ dryRun }) {
+  const filter = {
+    $or: [
+      { schemaVersion: { $exists: false } },
+      { schemaVersion: { $lt: REPORT_SCHEMA_VERSION } }
+    ]
+  };
+
+  // Read through the raw collection so documents are not upgraded by the
+  // model's init hook before we see them.
+  const cursor = Report.collection.find(filter);
+  let migrated = 0;
+
+  for await (const raw of cursor) {
+    const doc = Report.hydrate(migrateReportDocument(raw));
+    await doc.validate();
+
+    if (!dryRun) {
+      await Report.collection.replaceOne({ _id: raw._id }, doc.toObject({ depopulate: true }));
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? '[dry run] Would migrate' : 'Migrated'} ${migrated} report(s) to schema v${REPORT_SCHEMA_VERSION}`);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => migrateReports({ dryRun: process.argv.includes('--dry-run') }))
+  .catch((error) => {
+    console.error('Report migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
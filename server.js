@@ -10,6 +10,15 @@ console.log(`Is the OpenAI Key loaded? ${process.env.OPENAI_API_KEY ? 'Yes, it i
 import express from 'express';
 import mongoose from 'mongoose';
 import analyzeRoutes from './routes/analyzeRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import rewriteRoutes from './routes/rewriteRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import { authenticate, rateLimit } from './middleware/auth.js';
+import { resumeInterruptedJobs } from './services/jobManager.js';
+import { startScheduler } from './services/scheduler.js';
+import { startReportRetention } from './services/reportRetention.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -17,8 +26,16 @@ const PORT = process.env.PORT || 5000;
 // Middleware
 app.use(express.json());
 
+// Every API route needs an API key or JWT (see middleware/auth.js)
+app.use('/api', authenticate, rateLimit);
+
 // Routes
 app.use('/api', analyzeRoutes); // Changed to /api for clarity
+app.use('/api/jobs', jobRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/rewrite', rewriteRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -29,8 +46,18 @@ app.get('/', (req, res) => {
 mongoose.connect(process.env.MONGODB_URI)
 .then(() => {
   console.log('Connected to MongoDB Atlas');
+  resumeInterruptedJobs().catch((error) => {
+    console.error('Failed to resume interrupted jobs:', error);
+  });
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    startScheduler();
+  }
+  if (process.env.DISABLE_REPORT_CLEANUP !== 'true') {
+    startReportRetention();
+  }
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    console.log(`LLM provider: ${process.env.LLM_PROVIDER || 'openai'}`);
   });
 })
 .catch((error) => {
@@ -0,0 +1,534 @@
+import { splitSentences } from '../utils/readability.js';
+import { describeAudit } from './aiVisibility.js';
+
+/**
+ * AI insights for a report, at two levels:
+ * - per page (`buildPageRecommendations`): optimized title and description
+ *   within the 60/155 limits, heading changes and keyword content gaps
+ * - per site (`buildAiInsights`): visibility score, summary, FAQs and
+ *   suggestions, prompted with the page-level results
+ *
+ * Every LLM reply is validated against a field schema, repaired where the
+ * fix is mechanical (clamping the score, dropping malformed FAQ entries)
+ * and re-prompted once when fields are missing or unusable. Whatever is
+ * still missing, or all of it when the LLM is unavailable, comes from
+ * heuristics over the crawl, so insights are always complete. `sources`
+ * records per field whether it is `ai` or `heuristic`.
+ */
+export const AI_INSIGHT_FIELDS = {
+  aiVisibilityScore: {
+    type: 'number', min: 0, max: 100, integer: true,
+    description: 'how well AI assistants can understand and cite the site, judged on content quality alongside the audit above'
+  },
+  aiSummary: { type: 'string', maxLength: 1000, description: 'a concise summary of what the site offers' },
+  optimizedTitle: { type: 'string', maxLength: 60, description: 'an SEO title for the homepage' },
+  optimizedDescription: { type: 'string', maxLength: 155, description: 'a meta description for the homepage' },
+  suggestedFaqs: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', maxLength: 300 },
+        answer: { type: 'string', maxLength: 1000 }
+      }
+    },
+    description: 'questions visitors ask, answered from the content'
+  },
+  contentSuggestions: {
+    type: 'array',
+    maxItems: 10,
+    items: { type: 'string', maxLength: 500 },
+    description: 'concrete content improvements'
+  }
+};
+
+export const PAGE_RECOMMENDATION_FIELDS = {
+  summary: { type: 'string', maxLength: 300, description: 'one or two sentences on what the page covers' },
+  optimizedTitle: { type: 'string', maxLength: 60, description: 'an SEO title for this page' },
+  optimizedDescription: { type: 'string', maxLength: 155, description: 'a meta description for this page' },
+  headingSuggestions: {
+    type: 'array',
+    maxItems: 8,
+    items: { type: 'string', maxLength: 300 },
+    description: 'changes to the H1-H3 outline (rename, split, merge, reorder)'
+  },
+  contentGaps: {
+    type: 'array',
+    maxItems: 8,
+    items: {
+      type: 'object',
+      properties: {
+        keyword: { type: 'string', maxLength: 100 },
+        suggestion: { type: 'string', maxLength: 500 }
+      }
+    },
+    description: 'what the page should add to rank for each target keyword'
+  }
+};
+
+export const INSIGHT_SOURCES = ['ai', 'heuristic'];
+
+const MAX_PROMPT_CONTENT = 8000;
+const MAX_PAGE_CONTENT = 4000;
+
+export function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.substring(0, maxLength - 3);
+  // Prefer a word boundary when one is close
+  const space = cut.lastIndexOf(' ');
+  return `${space > maxLength * 0.6 ? cut.substring(0, space) : cut}...`;
+}
+
+/**
+ * Check `value` against a field rule. Returns `{ value, problem }`, where
+ * `value` is the (possibly repaired) value, or undefined with a `problem`
+ * when it cannot be used. `repairs` collects what was fixed. With `strict`,
+ * overlong text is a problem rather than being shortened.
+ */
+function checkValue(value, rule, path, repairs, strict) {
+  if (value === undefined || value === null) return { problem: `${path} is missing` };
+
+  if (rule.type === 'number') {
+    let number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || isNaN(number)) return { problem: `${path} is not a number` };
+    if (number < rule.min || number > rule.max) {
+      repairs.push(`${path} clamped to ${rule.min}-${rule.max}`);
+      number = Math.min(rule.max, Math.max(rule.min, number));
+    }
+    return { value: rule.integer ? Math.round(number) : number };
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value === 'number') value = String(value);
+    if (typeof value !== 'string') return { problem: `${path} is not a string` };
+    const text = value.trim().replace(/\s+/g, ' ');
+    if (!text) return { problem: `${path} is empty` };
+    if (text.length > rule.maxLength) {
+      if (strict) return { problem: `${path} is ${text.length} characters (max ${rule.maxLength})` };
+      repairs.push(`${path} shortened to ${rule.maxLength} characters`);
+      return { value: truncate(text, rule.maxLength) };
+    }
+    return { value: text };
+  }
+
+  if (rule.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) return { problem: `${path} is not an object` };
+    const result = {};
+    for (const [key, propertyRule] of Object.entries(rule.properties)) {
+      const checked = checkValue(value[key], propertyRule, `${path}.${key}`, repairs, false);
+      if (checked.problem) return checked;
+      result[key] = checked.value;
+    }
+    return { value: result };
+  }
+
+  // array; an empty one is a valid "nothing to suggest"
+  if (Array.isArray(value) && value.length === 0) return { value: [] };
+  let items = value;
+  if (!Array.isArray(items)) {
+    repairs.push(`${path} wrapped in an array`);
+    items = [items];
+  }
+  const valid = [];
+  items.forEach((item, i) => {
+    const checked = checkValue(item, rule.items, `${path}[${i}]`, repairs, false);
+    if (checked.problem) {
+      repairs.push(`dropped ${path}[${i}] (${checked.problem})`);
+    } else {
+      valid.push(checked.value);
+    }
+  });
+  if (valid.length === 0) return { problem: `${path} has no valid entries` };
+  if (valid.length > rule.maxItems) repairs.push(`${path} cut to ${rule.maxItems} entries`);
+  return { value: valid.slice(0, rule.maxItems) };
+}
+
+/**
+ * Validate and repair a parsed reply against `fields`. `value` holds the
+ * usable fields, `problems` lists the fields that are not usable, `repairs`
+ * what changed.
+ */
+export function validateFields(reply, fields, { strict = false } = {}) {
+  const value = {};
+  const problems = [];
+  const repairs = [];
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    return { value, problems: ['reply is not a JSON object'], repairs };
+  }
+  for (const [field, rule] of Object.entries(fields)) {
+    const checked = checkValue(reply[field], rule, field, repairs, strict);
+    if (checked.problem) {
+      problems.push(checked.problem);
+    } else {
+      value[field] = checked.value;
+    }
+  }
+  return { value, problems, repairs };
+}
+
+export function validateAiInsights(reply) {
+  return validateFields(reply, AI_INSIGHT_FIELDS);
+}
+
+/**
+ * Parse a reply that should be a JSON object, tolerating code fences or
+ * text around it. Returns null when there is no parsable object.
+ */
+export function parseJsonReply(content = '') {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+      return JSON.parse(content.substring(start, end + 1));
+    } catch (innerError) {
+      return null;
+    }
+  }
+}
+
+function describeShape(rule) {
+  if (rule.type === 'number') return `${rule.integer ? 'integer' : 'number'} ${rule.min}-${rule.max}`;
+  if (rule.type === 'string') return `string (max ${rule.maxLength} characters)`;
+  if (rule.type === 'object') {
+    return `{${Object.keys(rule.properties).map(key => `"${key}": string`).join(', ')}}`;
+  }
+  return `up to ${rule.maxItems} ${rule.items.type === 'object' ? `objects ${describeShape(rule.items)}` : 'strings'}`;
+}
+
+export function describeFields(fields) {
+  const lines = Object.entries(fields)
+    .map(([field, rule]) => `  "${field}": ${describeShape(rule)}, ${rule.description}`);
+  return `{\n${lines.join(',\n')}\n}`;
+}
+
+function repairPrompt(problems, fields) {
+  return `Your reply did not match the required format: ${problems.join('; ')}. ` +
+    `Reply again with only the corrected JSON object:\n${describeFields(fields)}`;
+}
+
+function headingOutline(page, levels = ['h1', 'h2', 'h3']) {
+  return levels
+    .flatMap(level => (page.headings?.[level] || []).map(text => `${level.toUpperCase()}: ${text}`))
+    .join('\n') || '(no headings)';
+}
+
+function keywordStatus(page, keywordDensity) {
+  return Object.entries(keywordDensity).map(([keyword, entry]) => {
+    const onPage = (entry.byPage || []).find(byPage => byPage.url === page.url);
+    if (!onPage) return `- "${keyword}"`;
+    const placed = Object.entries(onPage.placement || {})
+      .filter(([, present]) => present)
+      .map(([where]) => where);
+    return `- "${keyword}": ${onPage.occurrences} exact and ${onPage.variantOccurrences || 0} variant matches, ` +
+      `density ${onPage.density}%, found in: ${placed.join(', ') || 'nowhere'}`;
+  }).join('\n') || '(none given)';
+}
+
+export function pagePrompt(page, keywordDensity = {}) {
+  const title = page.title || '';
+  const description = page.description || '';
+  return `
+Review this web page for SEO and suggest improvements.
+
+URL: ${page.url || '(unknown)'}
+Title (${title.length} characters): ${title || '(missing)'}
+Meta description (${description.length} characters): ${description || '(missing)'}
+
+Headings:
+${headingOutline(page)}
+
+Target keywords:
+${keywordStatus(page, keywordDensity)}
+
+Content: ${(page.content || '').substring(0, MAX_PAGE_CONTENT)}
+
+Reply with only a JSON object of this shape:
+${describeFields(PAGE_RECOMMENDATION_FIELDS)}
+`;
+}
+
+/**
+ * Site prompt built from the per-page results, so every page is
+ * represented instead of only the first few thousand characters.
+ */
+export function insightsPrompt(analysis, pageRecommendations = []) {
+  const digest = analysis.pages.map((page, i) => [
+    `URL: ${page.url || '(unknown)'}`,
+    `Title: ${page.title || '(missing)'}`,
+    `Headings: ${headingOutline(page, ['h1', 'h2']).replace(/\n/g, ' | ')}`,
+    `Summary: ${pageRecommendations[i]?.summary || truncate(page.content || '', 300)}`
+  ].join('\n')).join('\n\n');
+  const keywords = Object.keys(analysis.keywordDensity || {});
+  const [home = {}] = analysis.pages;
+
+  return `
+Analyze this website for SEO and AI visibility.
+
+Target keywords: ${keywords.join(', ') || '(none given)'}
+${analysis.aiVisibility ? `
+AI visibility audit (score ${analysis.aiVisibility.score}/100):
+${describeAudit(analysis.aiVisibility)}
+` : ''}
+Pages:
+${truncate(digest, MAX_PROMPT_CONTENT / 2)}
+
+Homepage content: ${(home.content || '').substring(0, MAX_PROMPT_CONTENT / 2)}
+
+Reply with only a JSON object of this shape:
+${describeFields(AI_INSIGHT_FIELDS)}
+`;
+}
+
+/**
+ * Take each field from `fromAi` when present, else from `heuristic`.
+ */
+function mergeWithHeuristic(fields, fromAi, heuristic, issues) {
+  const values = {};
+  const sources = {};
+  Object.keys(fields).forEach(field => {
+    if (fromAi[field] !== undefined) {
+      values[field] = fromAi[field];
+      sources[field] = 'ai';
+    } else {
+      values[field] = heuristic[field] ?? (fields[field].type === 'array' ? [] : null);
+      sources[field] = 'heuristic';
+    }
+  });
+  const used = new Set(Object.values(sources));
+  return { ...values, sources, generatedBy: used.size === 1 ? [...used][0] : 'mixed', issues };
+}
+
+/**
+ * Ask `llm` for a JSON object matching `fields`, re-prompting once with the
+ * problems found, and fill whatever is still missing from `heuristic`.
+ * Never throws.
+ */
+export async function completeWithFallback(llm, task, prompt, fields, heuristic, label) {
+  const issues = [];
+  let fromAi = {};
+
+  const messages = [{ role: 'user', content: prompt }];
+  let pending = fields;
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const response = await llm.complete(task, messages, {
+        json: true,
+        stub: () => JSON.stringify(heuristic)
+      });
+      // Overlong text earns a re-prompt first; the last attempt shortens it
+      const { value, problems, repairs } = validateFields(parseJsonReply(response.content), pending, { strict: attempt === 0 });
+      fromAi = { ...fromAi, ...value };
+      repairs.forEach(repair => issues.push(`Repaired AI output: ${repair}`));
+      if (problems.length === 0) break;
+
+      // Only ask again for the fields still missing
+      issues.push(`Invalid AI output: ${problems.join('; ')}`);
+      pending = Object.fromEntries(Object.entries(fields).filter(([field]) => fromAi[field] === undefined));
+      messages.push({ role: 'assistant', content: response.content });
+      messages.push({ role: 'user', content: repairPrompt(problems, pending) });
+    }
+  } catch (error) {
+    console.warn(`⚠️ AI ${label} unavailable, using heuristics: ${error.message}`);
+    issues.push(`AI unavailable: ${error.message}`);
+  }
+
+  return mergeWithHeuristic(fields, fromAi, heuristic, issues);
+}
+
+const firstSentences = (text, maxLength) => {
+  const sentences = splitSentences(text || '').filter(sentence => sentence.length > 20);
+  return sentences.length > 0 ? truncate(sentences.slice(0, 2).join(' '), maxLength) : '';
+};
+
+/**
+ * FAQs the site already answers: question headings with the text that
+ * follows them on the page.
+ */
+function questionHeadingFaqs(pages) {
+  const faqs = [];
+  pages.forEach(page => {
+    if (page.answerBlocks) {
+      page.answerBlocks.forEach(({ question, answer }) => {
+        const firstAnswer = firstSentences(answer, 300);
+        if (firstAnswer) faqs.push({ question, answer: firstAnswer });
+      });
+      return;
+    }
+    ['h2', 'h3'].flatMap(level => page.headings?.[level] || [])
+      .filter(heading => heading.trim().endsWith('?'))
+      .forEach(question => {
+        const content = page.content || '';
+        const at = content.indexOf(question);
+        const answer = at === -1 ? '' : firstSentences(content.substring(at + question.length, at + question.length + 600), 300);
+        if (answer) faqs.push({ question: question.trim(), answer });
+      });
+  });
+  return faqs.slice(0, AI_INSIGHT_FIELDS.suggestedFaqs.maxItems);
+}
+
+// The deterministic AI visibility audit, or a rough score from crawl
+// signals for analyses that predate it
+function heuristicScore(analysis) {
+  if (typeof analysis.aiVisibility?.score === 'number') return analysis.aiVisibility.score;
+  const pages = analysis.pages;
+  if (pages.length === 0) return 0;
+  const share = (test) => pages.filter(test).length / pages.length;
+  const readability = analysis.technical?.readabilityScore;
+  const averageWords = analysis.contentQuality?.averageWordCount
+    ?? pages.reduce((sum, page) => sum + (page.wordCount || 0), 0) / pages.length;
+
+  const score =
+    20 * share(page => (page.structuredData || []).length > 0) +
+    15 * share(page => Boolean(page.description)) +
+    15 * share(page => (page.headings?.h1 || []).length === 1) +
+    15 * (questionHeadingFaqs(pages).length > 0 ? 1 : 0) +
+    15 * (typeof readability === 'number' ? Math.min(readability, 60) / 60 : 0.5) +
+    20 * Math.min(1, averageWords / 300);
+  return Math.round(score);
+}
+
+function heuristicSuggestions(analysis) {
+  const pages = analysis.pages;
+  const suggestions = [];
+  const thin = pages.filter(page => (page.wordCount || 0) < 300);
+  if (thin.length > 0) {
+    suggestions.push(`Expand thin pages (under 300 words): ${thin.slice(0, 3).map(page => page.url).join(', ')}`);
+  }
+  const noDescription = pages.filter(page => page.url && !page.description);
+  if (noDescription.length > 0) {
+    suggestions.push(`Write meta descriptions for ${noDescription.length} page(s) that have none`);
+  }
+  if (!pages.some(page => (page.structuredData || []).length > 0)) {
+    suggestions.push('Add structured data (JSON-LD) describing the organization and main content');
+  }
+  if (analysis.aiVisibility) {
+    suggestions.push(...analysis.aiVisibility.issues);
+  } else if (questionHeadingFaqs(pages).length === 0) {
+    suggestions.push('Add question-style headings with short, direct answers so AI assistants can quote them');
+  }
+  (analysis.contentQuality?.hardestParagraphs || []).slice(0, 2).forEach(paragraph => {
+    suggestions.push(`Simplify the paragraph starting "${truncate(paragraph.excerpt, 60)}" on ${paragraph.url}`);
+  });
+  Object.entries(analysis.keywordDensity || {}).forEach(([keyword, entry]) => {
+    if ((entry.issues || []).length > 0) suggestions.push(`Review use of "${keyword}": ${entry.issues[0].replace(/^\S+: /, '')}`);
+  });
+  if (suggestions.length === 0) {
+    suggestions.push('Keep content fresh and add supporting detail to key pages');
+  }
+  return suggestions.slice(0, AI_INSIGHT_FIELDS.contentSuggestions.maxItems);
+}
+
+/**
+ * Site insights computed from crawl data alone. Fields that cannot be
+ * derived (e.g. no question headings for FAQs) are left out.
+ */
+export function heuristicInsights(analysis) {
+  const [home = {}] = analysis.pages;
+  const keyTerms = (analysis.contentQuality?.keyTerms || []).slice(0, 2)
+    .map(({ term }) => term.replace(/\b\w/g, letter => letter.toUpperCase()));
+  const insights = {
+    aiVisibilityScore: heuristicScore(analysis),
+    aiSummary: home.description || firstSentences(home.content, 300),
+    optimizedTitle: home.title || keyTerms.join(' | '),
+    optimizedDescription: home.description || firstSentences(home.content, 155),
+    suggestedFaqs: questionHeadingFaqs(analysis.pages),
+    contentSuggestions: heuristicSuggestions(analysis)
+  };
+  // Run through the same rules, e.g. to shorten an overlong title
+  return validateAiInsights(insights).value;
+}
+
+function heuristicHeadingSuggestions(page, keywords) {
+  const headings = page.headings || {};
+  const h1 = headings.h1 || [];
+  const suggestions = [];
+  if (h1.length === 0) {
+    suggestions.push(`Add an H1 that states the page topic${keywords[0] ? ` and includes "${keywords[0]}"` : ''}`);
+  } else if (h1.length > 1) {
+    suggestions.push(`Keep one H1 ("${h1[0]}") and turn the others into H2s`);
+  }
+  if ((headings.h2 || []).length === 0 && (page.wordCount || 0) > 300) {
+    suggestions.push('Break the content into sections with H2 headings');
+  }
+  if ((headings.h3 || []).length > 0 && (headings.h2 || []).length === 0) {
+    suggestions.push('Use H2 headings before H3s so the outline has no skipped level');
+  }
+  return suggestions;
+}
+
+function heuristicContentGaps(page, keywordDensity) {
+  const gaps = [];
+  Object.entries(keywordDensity).forEach(([keyword, entry]) => {
+    const onPage = (entry.byPage || []).find(byPage => byPage.url === page.url);
+    if (!onPage) return;
+    if (onPage.occurrences + (onPage.variantOccurrences || 0) === 0) {
+      gaps.push({ keyword, suggestion: `The page never mentions "${keyword}"; add a section covering it or target a different keyword` });
+      return;
+    }
+    const placement = onPage.placement || {};
+    const missing = [['title', 'the title'], ['h1', 'the H1'], ['first100Words', 'the opening paragraph']]
+      .filter(([key]) => placement[key] === false)
+      .map(([, label]) => label);
+    if (missing.length > 0) {
+      gaps.push({ keyword, suggestion: `Mention "${keyword}" in ${missing.join(', ')}` });
+    }
+  });
+  return gaps;
+}
+
+/**
+ * Page recommendations computed from crawl data alone.
+ */
+export function heuristicPageRecommendations(page, keywordDensity = {}) {
+  const keywords = Object.keys(keywordDensity);
+  const description = page.description || '';
+  const recommendations = {
+    summary: description || firstSentences(page.content, 300),
+    optimizedTitle: page.title || page.headings?.h1?.[0] || '',
+    optimizedDescription: description.length > 0 && description.length <= 155
+      ? description
+      : firstSentences(page.content, 155),
+    headingSuggestions: heuristicHeadingSuggestions(page, keywords),
+    contentGaps: heuristicContentGaps(page, keywordDensity)
+  };
+  return validateFields(recommendations, PAGE_RECOMMENDATION_FIELDS).value;
+}
+
+/**
+ * Recommendations for each page through `llm` (task `page`), `concurrency`
+ * pages at a time. Only the first `maxPages` pages are sent to the LLM; the
+ * rest, and any page the token budget no longer covers, get heuristics.
+ */
+export async function buildPageRecommendations(llm, analysis, { concurrency = 3, maxPages = 10 } = {}) {
+  const keywordDensity = analysis.keywordDensity || {};
+  const pages = analysis.pages;
+  const recommendations = [];
+
+  for (let start = 0; start < pages.length; start += concurrency) {
+    const batch = pages.slice(start, start + concurrency).map(async (page, i) => {
+      const heuristic = heuristicPageRecommendations(page, keywordDensity);
+      const result = start + i < maxPages
+        ? await completeWithFallback(llm, 'page', pagePrompt(page, keywordDensity),
+          PAGE_RECOMMENDATION_FIELDS, heuristic, `recommendations for ${page.url}`)
+        : mergeWithHeuristic(PAGE_RECOMMENDATION_FIELDS, {}, heuristic, [`Beyond the first ${maxPages} pages sent to the LLM`]);
+      return { url: page.url, ...result };
+    });
+    recommendations.push(...await Promise.all(batch));
+  }
+  return recommendations;
+}
+
+/**
+ * Site-level insights through `llm` (task `insights`), prompted with the
+ * page recommendations, falling back to heuristics per field.
+ */
+export async function buildAiInsights(llm, analysis, pageRecommendations = []) {
+  return completeWithFallback(
+    llm, 'insights', insightsPrompt(analysis, pageRecommendations), AI_INSIGHT_FIELDS,
+    heuristicInsights(analysis), 'insights'
+  );
+}
@@ -0,0 +1,303 @@
+import { isAllowed } from '../utils/robotsTxt.js';
+import { splitWords } from '../utils/readability.js';
+import { baseType } from './structuredData.js';
+
+/**
+ * Generative-engine readiness: a deterministic audit of how well AI
+ * crawlers and answer engines can reach, understand and cite a site.
+ *
+ * Each check scores 0-1 and carries a weight; the audit score (0-100) is
+ * the weighted mean of the checks that could run, so every point can be
+ * traced to a check. The LLM's own `aiVisibilityScore` is kept next to it
+ * as `llmScore` but never changes `score`.
+ */
+
+// User-agent tokens AI operators document for robots.txt
+export const AI_CRAWLERS = [
+  { agent: 'GPTBot', operator: 'OpenAI', purpose: 'Model training and ChatGPT' },
+  { agent: 'ClaudeBot', operator: 'Anthropic', purpose: 'Model training and Claude' },
+  { agent: 'PerplexityBot', operator: 'Perplexity', purpose: 'Perplexity search answers' },
+  { agent: 'Google-Extended', operator: 'Google', purpose: 'Gemini and Vertex AI grounding' }
+];
+
+export const AI_VISIBILITY_WEIGHTS = {
+  crawlerAccess: 20,
+  llmsTxt: 10,
+  questionHeadings: 15,
+  faqHowToSchema: 15,
+  entityClarity: 15,
+  citations: 10,
+  authorDate: 15
+};
+
+// A check at or above this score passes
+const PASS_SCORE = 0.8;
+
+// Answer engines quote short, direct answers right below the question
+const CONCISE_ANSWER_WORDS = { min: 10, max: 80 };
+
+const QUESTION_START = /^(what|why|how|when|where|who|whom|which|can|could|does|do|did|is|are|was|should|will|would)\b/i;
+const ABOUT_PATH = /\/(about|about-us|company|who-we-are|our-story|team)(\/|$)/i;
+const FAQ_TYPES = ['FAQPage', 'QAPage', 'HowTo'];
+const ENTITY_TYPES = ['Organization', 'LocalBusiness', 'Person'];
+// Content pages shorter than this are not expected to cite sources
+const MIN_CITATION_WORDS = 150;
+
+const isQuestion = (text) => text.endsWith('?') || QUESTION_START.test(text);
+
+/**
+ * Question-style headings (h2-h4) with the text that answers them: the
+ * first block between the heading and the next heading.
+ */
+export function extractAnswerBlocks($) {
+  const blocks = [];
+  $('h2, h3, h4').each((_, el) => {
+    const question = $(el).text().replace(/\s+/g, ' ').trim();
+    if (!question || !isQuestion(question)) return;
+
+    const answer = $(el).nextUntil('h1, h2, h3, h4, h5, h6')
+      .toArray()
+      .map(sibling => $(sibling).text().replace(/\s+/g, ' ').trim())
+      .find(Boolean) || '';
+    const answerWords = splitWords(answer).length;
+    blocks.push({
+      question,
+      level: el.tagName.toLowerCase(),
+      answer: answer.length > 300 ? `${answer.substring(0, 297)}...` : answer,
+      answerWords,
+      concise: answerWords >= CONCISE_ANSWER_WORDS.min && answerWords <= CONCISE_ANSWER_WORDS.max
+    });
+  });
+  return blocks;
+}
+
+function personName(value) {
+  const [first] = [].concat(value || []);
+  if (!first) return null;
+  if (typeof first === 'string') return first.trim() || null;
+  return typeof first.name === 'string' ? first.name.trim() || null : null;
+}
+
+// Dates may be repeated (`["2024-01-01", "2024-01-01"]`) or JSON-LD value
+// objects (`{"@value": "2024-01-01"}`); the report stores one string
+function dateValue(value) {
+  const [first] = [].concat(value ?? []);
+  const date = first && typeof first === 'object' ? first['@value'] : first;
+  return typeof date === 'string' ? date.trim() || null : null;
+}
+
+/**
+ * Author and publication dates from meta tags, `rel=author` links,
+ * `<time>` elements and structured data `items`.
+ */
+export function extractAuthorship($, items = []) {
+  const meta = (selector) => ($(selector).attr('content') || '').trim() || null;
+  const fromData = (property, read) => items.map(item => read(item.data?.[property])).find(Boolean);
+
+  return {
+    author: meta('meta[name="author"]')
+      || meta('meta[property="article:author"]')
+      || $('a[rel~="author"]').first().text().trim()
+      || fromData('author', personName)
+      || null,
+    datePublished: meta('meta[property="article:published_time"]')
+      || fromData('datePublished', dateValue)
+      || $('time[datetime]').first().attr('datetime')
+      || null,
+    dateModified: meta('meta[property="article:modified_time"]')
+      || fromData('dateModified', dateValue)
+      || null
+  };
+}
+
+function check(id, label, score, summary, recommendation, details = {}) {
+  return {
+    id,
+    label,
+    weight: AI_VISIBILITY_WEIGHTS[id],
+    score: score === null ? null : Number(score.toFixed(2)),
+    passed: score === null ? null : score >= PASS_SCORE,
+    summary,
+    recommendation: score === null || score >= PASS_SCORE ? null : recommendation,
+    details
+  };
+}
+
+function crawlerAccessCheck(pages, site) {
+  const robots = site?.robots;
+  if (!robots) {
+    return { check: check('crawlerAccess', 'AI crawler access', null, 'robots.txt was not checked', null), crawlers: [] };
+  }
+
+  const urls = pages.map(page => page.url);
+  const crawlers = AI_CRAWLERS.map(crawler => {
+    const blockedPages = urls.filter(url => !isAllowed(robots.rules, crawler.agent, url));
+    return {
+      ...crawler,
+      allowed: isAllowed(robots.rules, crawler.agent, site.origin),
+      blockedPages,
+      // Named in its own group rather than covered by `User-agent: *`
+      explicitRule: Boolean(robots.rules?.groups.some(group => group.agents.includes(crawler.agent.toLowerCase())))
+    };
+  });
+
+  const score = urls.length === 0
+    ? 0
+    : crawlers.reduce((sum, crawler) => sum + (1 - crawler.blockedPages.length / urls.length), 0) / crawlers.length;
+  const blocked = crawlers.filter(crawler => crawler.blockedPages.length > 0);
+  const summary = blocked.length === 0
+    ? `All ${crawlers.length} AI crawlers may fetch every crawled page${robots.found ? '' : ' (no robots.txt)'}`
+    : `Blocked for ${blocked.map(crawler => `${crawler.agent} (${crawler.blockedPages.length} page(s))`).join(', ')}`;
+  const recommendation = `Allow ${blocked.map(crawler => crawler.agent).join(', ')} in robots.txt if the site should appear in AI answers`;
+
+  return { check: check('crawlerAccess', 'AI crawler access', score, summary, recommendation, { blocked: blocked.length }), crawlers };
+}
+
+function llmsTxtCheck(site) {
+  const llmsTxt = site?.llmsTxt;
+  if (!llmsTxt) return check('llmsTxt', 'llms.txt', null, 'llms.txt was not checked', null);
+  if (!llmsTxt.found) {
+    return check('llmsTxt', 'llms.txt', 0, `No llms.txt at ${llmsTxt.url}`,
+      'Publish /llms.txt with a title, a one-line summary and links to the key pages');
+  }
+  const score = llmsTxt.issues.length === 0 ? 1 : 0.5;
+  return check('llmsTxt', 'llms.txt', score,
+    `llms.txt found with ${llmsTxt.linkCount} link(s)${llmsTxt.issues.length > 0 ? ` and ${llmsTxt.issues.length} problem(s)` : ''}`,
+    'Fix the llms.txt format: ' + llmsTxt.issues.map(issue => issue.replace(/^\S+: /, '')).join('; '),
+    { linkCount: llmsTxt.linkCount });
+}
+
+function questionHeadingsCheck(pages) {
+  const blocks = pages.flatMap(page => (page.answerBlocks || []).map(block => ({ url: page.url, ...block })));
+  const concise = blocks.filter(block => block.concise);
+  if (blocks.length === 0) {
+    return check('questionHeadings', 'Question headings with concise answers', 0, 'No question-style headings found',
+      `Add question headings (e.g. "What is ...?") answered in the first ${CONCISE_ANSWER_WORDS.max} words below them`);
+  }
+  const score = 0.4 + 0.6 * concise.length / blocks.length;
+  return check('questionHeadings', 'Question headings with concise answers', score,
+    `${concise.length} of ${blocks.length} question heading(s) are answered concisely`,
+    `Answer each question in ${CONCISE_ANSWER_WORDS.min}-${CONCISE_ANSWER_WORDS.max} words right below its heading`,
+    {
+      questions: blocks.length,
+      concise: concise.length,
+      needsWork: blocks.filter(block => !block.concise).slice(0, 10)
+        .map(({ url, question, answerWords }) => ({ url, question, answerWords }))
+    });
+}
+
+function faqHowToCheck(pages) {
+  const marked = pages
+    .map(page => ({
+      url: page.url,
+      types: [...new Set((page.structuredData || []).flatMap(item => item.types).filter(type => FAQ_TYPES.includes(type)))]
+    }))
+    .filter(page => page.types.length > 0);
+  const unmarked = pages.filter(page => (page.answerBlocks || []).length > 0 && !marked.some(entry => entry.url === page.url));
+
+  if (marked.length === 0) {
+    return check('faqHowToSchema', 'FAQ / HowTo schema', 0, 'No FAQPage, QAPage or HowTo structured data',
+      unmarked.length > 0
+        ? `Mark up the question headings on ${unmarked.length} page(s) with FAQPage schema`
+        : 'Add FAQPage or HowTo structured data for question and step-by-step content');
+  }
+  const score = unmarked.length === 0 ? 1 : 0.6;
+  return check('faqHowToSchema', 'FAQ / HowTo schema', score,
+    `${[...new Set(marked.flatMap(page => page.types))].join(', ')} on ${marked.length} page(s)`,
+    `Add FAQPage schema to ${unmarked.length} more page(s) with question headings`,
+    { pages: marked.map(page => page.url), unmarkedPages: unmarked.map(page => page.url) });
+}
+
+function entityClarityCheck(pages) {
+  const entity = pages
+    .flatMap(page => page.structuredData || [])
+    .find(item => item.types.some(type => ENTITY_TYPES.includes(baseType(type))));
+  const name = typeof entity?.data.name === 'string' ? entity.data.name.trim() : null;
+  const sameAs = [].concat(entity?.data.sameAs || []).filter(Boolean);
+  const aboutPage = pages.map(page => page.url).find(url => ABOUT_PATH.test(url))
+    || pages.flatMap(page => page.links || []).find(url => ABOUT_PATH.test(url))
+    || null;
+
+  const score = (name ? 0.4 : 0) + (sameAs.length > 0 ? 0.2 : 0) + (aboutPage ? 0.4 : 0);
+  const missing = [
+    !name && 'Organization (or Person) schema with a name',
+    name && sameAs.length === 0 && '"sameAs" links to official profiles',
+    !aboutPage && 'an About page linked from the site'
+  ].filter(Boolean);
+  return check('entityClarity', 'Entity clarity', score,
+    [
+      name ? `${entity.types.join('/')} "${name}"` : 'No Organization schema',
+      `${sameAs.length} sameAs link(s)`,
+      aboutPage ? `About page: ${aboutPage}` : 'no About page'
+    ].join(', '),
+    `Add ${missing.join(', ')}`,
+    { name, sameAs: sameAs.length, aboutPage });
+}
+
+const contentPages = (pages) => {
+  const substantial = pages.filter(page => (page.wordCount || 0) >= MIN_CITATION_WORDS);
+  return substantial.length > 0 ? substantial : pages;
+};
+
+function citationsCheck(pages) {
+  const checked = contentPages(pages);
+  const citing = checked.filter(page => (page.outlinks || []).some(link => !link.internal));
+  const score = checked.length === 0 ? 0 : citing.length / checked.length;
+  return check('citations', 'Citations to sources', score,
+    `${citing.length} of ${checked.length} content page(s) link to external sources`,
+    'Link claims and statistics to their original sources',
+    { pagesChecked: checked.length, pagesWithCitations: citing.length });
+}
+
+function authorDateCheck(pages) {
+  // Homepages rarely carry a byline; judge the other pages when there are any
+  const checked = contentPages(pages.length > 1 ? pages.slice(1) : pages);
+  const withAuthor = checked.filter(page => page.authorship?.author);
+  const withDate = checked.filter(page => page.authorship?.datePublished || page.authorship?.dateModified);
+  const score = checked.length === 0 ? 0 : (withAuthor.length + withDate.length) / (2 * checked.length);
+  return check('authorDate', 'Author and date signals', score,
+    `${withAuthor.length} of ${checked.length} page(s) name an author, ${withDate.length} show a date`,
+    'Show an author byline and a published or updated date (with Article schema) on content pages',
+    { pagesChecked: checked.length, withAuthor: withAuthor.length, withDate: withDate.length });
+}
+
+/**
+ * Run every check over the crawled `pages`. `site` (from `discoverSite`)
+ * supplies robots.txt and llms.txt; without it those checks are skipped.
+ */
+export function auditAiVisibility(pages, site = null) {
+  const crawlerAccess = crawlerAccessCheck(pages, site);
+  const checks = [
+    crawlerAccess.check,
+    llmsTxtCheck(site),
+    questionHeadingsCheck(pages),
+    faqHowToCheck(pages),
+    entityClarityCheck(pages),
+    citationsCheck(pages),
+    authorDateCheck(pages)
+  ];
+
+  const scored = checks.filter(item => item.score !== null);
+  const totalWeight = scored.reduce((sum, item) => sum + item.weight, 0);
+  const score = totalWeight === 0
+    ? 0
+    : Math.round(100 * scored.reduce((sum, item) => sum + item.weight * item.score, 0) / totalWeight);
+
+  return {
+    score,
+    llmScore: null, // set once AI insights are generated
+    checks,
+    crawlers: crawlerAccess.crawlers,
+    llmsTxt: site?.llmsTxt || null,
+    issues: checks.filter(item => item.recommendation).map(item => item.recommendation)
+  };
+}
+
+/**
+ * One line per check, for LLM prompts.
+ */
+export function describeAudit(audit) {
+  return audit.checks
+    .map(item => `- ${item.label}: ${item.score === null ? 'not checked' : `${Math.round(item.score * 100)}%`} (${item.summary})`)
+    .join('\n');
+}
@@ -0,0 +1,79 @@
+import { compareReports, splitIssue } from './reportComparison.js';
+
+/**
+ * Threshold checks for scheduled audits. Each rule receives the new report,
+ * the previous report for the same schedule (may be null) and the threshold
+ * config, and returns zero or more alerts.
+ */
+const rules = {
+  newMissingH1(report, previous) {
+    const issues = previous
+      ? compareReports(previous, report).changes.headings
+        .filter(change => change.change === 'introduced')
+      : (report.analysis?.technical?.headingStructure?.issues || []).map(splitIssue);
+
+    return issues
+      .filter(issue => issue.message === 'Missing H1')
+      .map(issue => ({ url: issue.url, message: `${issue.url}: H1 is now missing` }));
+  },
+
+  titleTooLong(report, previous, { value = 60 }) {
+    return (report.analysis?.metaTags?.title || [])
+      .filter(title => title.length > value)
+      .map(title => ({
+        url: title.url,
+        actual: title.length,
+        message: `${title.url}: Title is ${title.length} characters (limit ${value})`
+      }));
+  },
+
+  descriptionTooLong(report, previous, { value = 155 }) {
+    return (report.analysis?.metaTags?.description || [])
+      .filter(description => description.length > value)
+      .map(description => ({
+        url: description.url,
+        actual: description.length,
+        message: `${description.url}: Description is ${description.length} characters (limit ${value})`
+      }));
+  },
+
+  keywordDensityBelow(report, previous, { value = 0.5, keyword }) {
+    return (report.analysis?.keywordDensity || [])
+      .filter(entry => !keyword || entry.keyword.toLowerCase() === keyword.toLowerCase())
+      .filter(entry => entry.overall < value)
+      .map(entry => ({
+        keyword: entry.keyword,
+        actual: Number(entry.overall.toFixed(2)),
+        message: `Keyword "${entry.keyword}" density is ${entry.overall.toFixed(2)}% (minimum ${value}%)`
+      }));
+  },
+
+  missingAltAbove(report, previous, { value = 0 }) {
+    const missingAlt = report.analysis?.technical?.imageOptimization?.missingAlt ?? 0;
+    if (missingAlt <= value) return [];
+    return [{ actual: missingAlt, message: `${missingAlt} images are missing alt text (allowed ${value})` }];
+  },
+
+  aiVisibilityBelow(report, previous, { value = 50 }) {
+    const score = report.analysis?.aiVisibility?.score ?? report.analysis?.aiInsights?.aiVisibilityScore;
+    if (typeof score !== 'number' || score >= value) return [];
+    return [{ actual: score, message: `AI visibility score is ${score} (minimum ${value})` }];
+  },
+};
+
+export function evaluateThresholds(report, previousReport, thresholds = []) {
+  const current = typeof report.toObject === 'function' ? report.toObject() : report;
+  const previous = previousReport && typeof previousReport.toObject === 'function'
+    ? previousReport.toObject()
+    : previousReport;
+
+  return thresholds.flatMap(threshold => {
+    const rule = rules[threshold.type];
+    if (!rule) return [];
+    return rule(current, previous, threshold).map(alert => ({
+      type: threshold.type,
+      threshold: threshold.value ?? null,
+      ...alert
+    }));
+  });
+}
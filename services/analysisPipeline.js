@@ -0,0 +1,79 @@
+import { EnhancedAnalyzer } from './enhancedAnalyzer.js';
+import { storeReportPdf } from './reportGenerator.js';
+import { generateParagraphRewrite, selectWeakestParagraphs } from './paragraphRewriter.js';
+import { benchmarkCompetitors } from './competitorBenchmark.js';
+import { recordUsage } from './usage.js';
+import Report, { reportFieldsFromAnalysis } from '../models/Report.js';
+
+/**
+ * Shared analysis pipeline used by both the synchronous `/api/analyze`
+ * route and background jobs: crawl + analyze (and benchmark any
+ * `competitors`), persist the Report for `tenant`, then render the PDF
+ * into report storage. LLM usage is added to the tenant's monthly usage.
+ */
+export async function runAnalysisPipeline({ url, keywords, crawl, competitors = [], tenant }, { onProgress = () => {} } = {}) {
+  const analyzer = new EnhancedAnalyzer({ crawl });
+  const analysisResult = await analyzer.analyzeWebsite(url, keywords, { onProgress });
+  analysisResult.analysis.sampleRewrite = await rewriteWeakestParagraph(analyzer, analysisResult, keywords);
+  if (competitors.length > 0) {
+    analysisResult.analysis.benchmark = await benchmarkCompetitors(analysisResult, competitors, {
+      crawl: analyzer.crawlOptions,
+      llm: analyzer.getLlmClient(),
+      onProgress
+    });
+  }
+  analysisResult.llmUsage = analyzer.getLlmClient().usageSummary();
+  await recordUsage(tenant, { llmUsage: analysisResult.llmUsage });
+
+  // Save to database immediately after analysis
+  const report = new Report({ ...reportFieldsFromAnalysis(analysisResult), tenant });
+
+  // Save immediately to ensure data persistence
+  await report.save();
+
+  // Generate PDF report
+  onProgress({ stage: 'pdf', pagesCrawled: analysisResult.pagesAnalyzed });
+  report.pdfFile = await storeReportPdf(report);
+  await report.save();
+
+  return { analysisResult, report, pdfUrl: reportPdfUrl(report._id) };
+}
+
+/**
+ * API path that serves a report's PDF (see `downloadReportPdf`).
+ */
+export const reportPdfUrl = (reportId) => `/api/reports/${reportId}/pdf`;
+
+/**
+ * Rewrite the site's hardest paragraph as a sample for the report, on the
+ * analyzer's LLM client so it counts towards the same budget. Returns null
+ * when there is nothing to rewrite or the rewrite fails.
+ */
+async function rewriteWeakestParagraph(analyzer, analysisResult, keywords) {
+  const [weakest] = selectWeakestParagraphs(analysisResult, { count: 1 });
+  if (!weakest) return null;
+  try {
+    const rewritten = await generateParagraphRewrite(weakest.text, {
+      llm: analyzer.getLlmClient(),
+      keywords: keywords.slice(0, 10)
+    });
+    return { url: weakest.url, index: weakest.index, original: weakest.text, rewritten };
+  } catch (error) {
+    console.warn(`⚠️ Sample paragraph rewrite failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Strip bulky crawl artifacts (raw HTML) so a result can be stored or sent
+ * without duplicating every page's markup.
+ */
+export function compactAnalysisResult(analysisResult) {
+  return {
+    ...analysisResult,
+    analysis: {
+      ...analysisResult.analysis,
+      pages: (analysisResult.analysis.pages || []).map(({ rawHtml, ...page }) => page)
+    }
+  };
+}
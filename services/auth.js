@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import Tenant from '../models/Tenant.js';
+
+/**
+ * Request authentication, as a tenant:
+ * - API keys (`seo_...`), sent as `Authorization: Bearer <key>` or
+ *   `X-API-Key: <key>`. Only a SHA-256 hash is stored.
+ * - Optionally, HS256 JWTs signed with JWT_SECRET, sent as a bearer token.
+ *   The tenant id is read from the JWT_TENANT_CLAIM claim (default
+ *   `tenant`); `exp` is required, and `iss` / `aud` are checked against
+ *   JWT_ISSUER / JWT_AUDIENCE when set.
+ *
+ * Failures throw errors with an HTTP `status`.
+ */
+const KEY_PREFIX = 'seo_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const LAST_USED_PRECISION = 60 * 1000;
+
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create an API key for `tenantId`. Resolves to `{ apiKey, key }`; `key` is
+ * the secret and cannot be recovered later.
+ */
+export async function createApiKey(tenantId, { name, rateLimitPerMinute } = {}) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    tenant: tenantId,
+    name,
+    keyHash: hashApiKey(key),
+    prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+    rateLimitPerMinute
+  });
+  return { apiKey, key };
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw authError('Malformed token');
+  }
+}
+
+/**
+ * Verify an HS256 JWT and return its claims.
+ */
+export function verifyJwt(token, {
+  secret = process.env.JWT_SECRET,
+  issuer = process.env.JWT_ISSUER,
+  audience = process.env.JWT_AUDIENCE,
+  now = Date.now()
+} = {}) {
+  if (!secret) throw authError('Invalid API key');
+  const parts = token.split('.');
+  if (parts.length !== 3) throw authError('Malformed token');
+
+  const header = decodeSegment(parts[0]);
+  if (header.alg !== 'HS256') throw authError('Unsupported token algorithm');
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw authError('Invalid token signature');
+  }
+
+  const claims = decodeSegment(parts[1]);
+  const seconds = now / 1000;
+  if (typeof claims.exp !== 'number') throw authError('Token has no expiry');
+  if (claims.exp <= seconds) throw authError('Token has expired');
+  if (typeof claims.nbf === 'number' && claims.nbf > seconds) throw authError('Token is not valid yet');
+  if (issuer && claims.iss !== issuer) throw authError('Token issuer is not accepted');
+  if (audience && ![].concat(claims.aud || []).includes(audience)) throw authError('Token audience is not accepted');
+  return claims;
+}
+
+function credentialsFrom(req) {
+  const header = req.get('authorization') || '';
+  const bearer = header.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : req.get('x-api-key') || null;
+}
+
+async function activeTenant(tenantId) {
+  const tenant = mongoose.isValidObjectId(tenantId) ? await Tenant.findById(tenantId) : null;
+  if (!tenant || !tenant.active) throw authError('Tenant is disabled or does not exist', 403);
+  return tenant;
+}
+
+/**
+ * Authenticate a request. Resolves to `{ tenant, apiKey, subject, method }`,
+ * where `subject` identifies the caller for rate limiting.
+ */
+export async function authenticateRequest(req) {
+  const credentials = credentialsFrom(req);
+  if (!credentials) throw authError('Missing API key or bearer token');
+
+  if (credentials.startsWith(KEY_PREFIX)) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(credentials), revokedAt: null });
+    if (!apiKey) throw authError('Invalid API key');
+    const tenant = await activeTenant(apiKey.tenant);
+    // Coarse, so busy keys do not write on every request
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_PRECISION) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+        .catch(error => console.warn(`⚠️ Failed to record API key use: ${error.message}`));
+    }
+    return { tenant, apiKey, subject: `key:${apiKey._id}`, method: 'apiKey' };
+  }
+
+  const claims = verifyJwt(credentials);
+  const tenant = await activeTenant(claims[process.env.JWT_TENANT_CLAIM || 'tenant']);
+  return { tenant, apiKey: null, subject: `jwt:${tenant._id}:${claims.sub || ''}`, method: 'jwt' };
+}
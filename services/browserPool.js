@@ -0,0 +1,85 @@
+import puppeteer from 'puppeteer';
+
+/**
+ * Shared headless Chromium for rendering and lab measurements.
+ * The browser is launched on first use, limited to MAX_BROWSER_PAGES open
+ * tabs, and closed again after it has been idle for a while so a long-running
+ * server does not hold on to it.
+ */
+const MAX_PAGES = parseInt(process.env.MAX_BROWSER_PAGES, 10) || 2;
+const IDLE_TIMEOUT = 60000;
+
+let browserPromise = null;
+let openPages = 0;
+let idleTimer = null;
+const waiting = [];
+
+function launchBrowser() {
+  const browser = puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  });
+  browser.catch(() => {
+    browserPromise = null;
+  });
+  return browser;
+}
+
+async function acquirePage() {
+  if (openPages >= MAX_PAGES) {
+    await new Promise(resolve => waiting.push(resolve));
+  } else {
+    openPages++;
+  }
+  clearTimeout(idleTimer);
+}
+
+function releasePage() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+    return;
+  }
+  openPages--;
+  if (openPages === 0) {
+    idleTimer = setTimeout(closeBrowser, IDLE_TIMEOUT);
+    idleTimer.unref();
+  }
+}
+
+/**
+ * Run `fn(page)` with a fresh browser tab, closing the tab afterwards.
+ */
+export async function withBrowserPage(fn) {
+  await acquirePage();
+  let page = null;
+  try {
+    if (!browserPromise) browserPromise = launchBrowser();
+    const browser = await browserPromise;
+    page = await browser.newPage();
+    return await fn(page);
+  } finally {
+    if (page) await page.close().catch(() => {});
+    releasePage();
+  }
+}
+
+/**
+ * Whether an error means Chromium is unavailable altogether (as opposed to
+ * one page failing to load).
+ */
+export function isBrowserLaunchError(message = '') {
+  return /Could not find (Chrome|Chromium|expected browser)|Failed to launch/i.test(message);
+}
+
+export async function closeBrowser() {
+  const pending = browserPromise;
+  browserPromise = null;
+  if (!pending) return;
+  try {
+    const browser = await pending;
+    await browser.close();
+  } catch (error) {
+    // Launch failed or browser already gone
+  }
+}
@@ -0,0 +1,274 @@
+import { EnhancedAnalyzer } from './enhancedAnalyzer.js';
+import { completeWithFallback, describeFields, truncate, validateFields } from './aiInsights.js';
+import { normalizeUrl, urlKey } from '../utils/urlUtils.js';
+import { containsPhrase } from '../utils/keywords.js';
+
+/**
+ * Competitor benchmarking: each competitor URL goes through the same
+ * `EnhancedAnalyzer` crawl and analysis as the target (without the LLM
+ * insights step), then the sites are compared side by side on keyword
+ * density and placement, word count, headings, structured data,
+ * performance and AI visibility. Content gaps, i.e. topics competitors cover
+ * that the target does not, are suggested by the LLM from a heuristic
+ * shortlist, which is also the fallback.
+ */
+export const MAX_COMPETITORS = parseInt(process.env.COMPETITOR_MAX, 10) || 3;
+const MAX_GAP_CANDIDATES = 20;
+const MAX_TOPICS_PER_SITE = 15;
+
+export const CONTENT_GAP_FIELDS = {
+  contentGaps: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string', maxLength: 100 },
+        competitors: { type: 'string', maxLength: 300 },
+        recommendation: { type: 'string', maxLength: 500 }
+      }
+    },
+    description: 'topics the competitors cover that the target site does not, most valuable first; "competitors" lists the hosts covering it'
+  }
+};
+
+// Placements counted per site, in the order shown in reports
+export const PLACEMENTS = ['title', 'description', 'h1', 'first100Words', 'urlSlug', 'imageAlt'];
+
+/**
+ * Validate the `competitors` request field: up to MAX_COMPETITORS http(s)
+ * URLs, normalized, deduplicated and excluding the target itself. Throws
+ * with a client-facing message when invalid.
+ */
+export function resolveCompetitors(competitors, targetUrl) {
+  if (competitors === undefined || competitors === null) return [];
+  if (!Array.isArray(competitors)) throw new Error('competitors must be an array of URLs');
+
+  const seen = new Set([urlKey(targetUrl)]);
+  const urls = [];
+  competitors.forEach(value => {
+    const url = typeof value === 'string' ? normalizeUrl(value.trim()) : null;
+    if (!url) throw new Error(`Invalid competitor URL: ${value}`);
+    if (!seen.has(urlKey(url))) urls.push(url);
+    seen.add(urlKey(url));
+  });
+  if (urls.length > MAX_COMPETITORS) {
+    throw new Error(`At most ${MAX_COMPETITORS} competitors can be benchmarked`);
+  }
+  return urls;
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+};
+
+const average = (total, count) => (count > 0 ? Math.round(total / count) : 0);
+
+// Keyword density arrives as an object from the analyzer and as an array
+// from a stored Report
+const keywordEntries = (keywordDensity = {}) => (Array.isArray(keywordDensity)
+  ? keywordDensity.map(entry => [entry.keyword, entry])
+  : Object.entries(keywordDensity));
+
+/**
+ * The numbers a site is compared on, from an `analyzeWebsite` result.
+ */
+export function summarizeSite(analysisResult) {
+  const analysis = analysisResult.analysis || {};
+  const pages = analysis.pages || [];
+  const count = (level) => pages.reduce((sum, page) => sum + (page.headings?.[level] || []).length, 0);
+  const totalWords = pages.reduce((sum, page) => sum + (page.wordCount || 0), 0);
+
+  return {
+    url: analysisResult.url,
+    pagesAnalyzed: pages.length,
+    wordCount: { total: totalWords, average: average(totalWords, pages.length) },
+    headings: {
+      h1: count('h1'),
+      h2: count('h2'),
+      h3: count('h3'),
+      averagePerPage: pages.length > 0 ? Number(((count('h2') + count('h3')) / pages.length).toFixed(1)) : 0
+    },
+    keywords: keywordEntries(analysis.keywordDensity).map(([keyword, entry]) => {
+      const byPage = entry.byPage || [];
+      return {
+        keyword,
+        density: Number((Number(entry.overall) || 0).toFixed(2)),
+        occurrences: byPage.reduce((sum, page) => sum + (page.occurrences || 0), 0),
+        pagesWithKeyword: byPage.filter(page => page.occurrences + (page.variantOccurrences || 0) > 0).length,
+        placement: Object.fromEntries(PLACEMENTS.map(where => [where, byPage.filter(page => page.placement?.[where]).length]))
+      };
+    }),
+    structuredDataTypes: analysis.structuredData?.types || [],
+    performanceScore: analysis.technical?.pageSpeed?.score ?? null,
+    readabilityScore: analysis.technical?.readabilityScore ?? null,
+    aiVisibilityScore: analysis.aiVisibility?.score ?? null,
+    topics: (analysis.contentQuality?.keyTerms || []).slice(0, MAX_TOPICS_PER_SITE).map(({ term }) => term),
+    headingOutline: pages.flatMap(page => [...(page.headings?.h2 || []), ...(page.headings?.h3 || [])]).slice(0, 30)
+  };
+}
+
+const METRICS = [
+  { id: 'wordCount', label: 'Average words per page', get: (site) => site.wordCount.average },
+  { id: 'headings', label: 'H2/H3 headings per page', get: (site) => site.headings.averagePerPage },
+  { id: 'structuredData', label: 'Structured data types', get: (site) => site.structuredDataTypes.length },
+  { id: 'performance', label: 'Performance score', get: (site) => site.performanceScore },
+  { id: 'readability', label: 'Readability score', get: (site) => site.readabilityScore },
+  { id: 'aiVisibility', label: 'AI visibility score', get: (site) => site.aiVisibilityScore }
+];
+
+/**
+ * Side-by-side rows: `values` follow `[target, ...competitors]`, `leader`
+ * is the URL with the highest value (null when nothing was measured).
+ */
+export function compareSites(target, competitors) {
+  const sites = [target, ...competitors];
+  const leaderOf = (values) => {
+    const best = Math.max(...values.filter(value => typeof value === 'number'));
+    return Number.isFinite(best) ? sites[values.indexOf(best)].url : null;
+  };
+
+  const metrics = METRICS.map(({ id, label, get }) => {
+    const values = sites.map(site => get(site) ?? null);
+    return { id, label, values, leader: leaderOf(values) };
+  });
+
+  const keywords = target.keywords.map(({ keyword }) => {
+    const entries = sites.map(site => site.keywords.find(entry => entry.keyword === keyword) || null);
+    const densities = entries.map(entry => entry?.density ?? null);
+    return {
+      keyword,
+      density: densities,
+      placements: entries.map(entry => (entry ? PLACEMENTS.filter(where => entry.placement[where] > 0) : [])),
+      leader: leaderOf(densities)
+    };
+  });
+
+  const targetTypes = new Set(target.structuredDataTypes);
+  const missingStructuredData = [...new Set(competitors.flatMap(site => site.structuredDataTypes))]
+    .filter(type => !targetTypes.has(type));
+
+  return { metrics, keywords, missingStructuredData };
+}
+
+/**
+ * Topics (key terms and headings) at least one competitor covers that
+ * never appear in the target's content or headings, the most widely
+ * covered first.
+ */
+export function findTopicGaps(targetResult, target, competitors) {
+  const targetText = (targetResult.analysis?.pages || [])
+    .map(page => `${page.title || ''}\n${Object.values(page.headings || {}).flat().join('\n')}\n${page.content || ''}`)
+    .join('\n');
+  const keywords = target.keywords.map(({ keyword }) => keyword.toLowerCase());
+
+  const gaps = new Map();
+  competitors.forEach(site => {
+    site.topics.forEach(topic => {
+      if (keywords.includes(topic) || containsPhrase(targetText, topic)) return;
+      const gap = gaps.get(topic) || { topic, competitors: [], headings: [] };
+      if (!gap.competitors.includes(site.url)) gap.competitors.push(site.url);
+      site.headingOutline
+        .filter(heading => containsPhrase(heading, topic) && !gap.headings.includes(heading))
+        .slice(0, 2)
+        .forEach(heading => gap.headings.push(heading));
+      gaps.set(topic, gap);
+    });
+  });
+
+  // "installation" and "widget installation" are one gap; keep the better ranked
+  const words = (topic) => topic.split(' ');
+  const overlaps = (a, b) => words(a).every(word => words(b).includes(word)) || words(b).every(word => words(a).includes(word));
+  const kept = [];
+  [...gaps.values()]
+    .sort((a, b) => b.competitors.length - a.competitors.length || b.headings.length - a.headings.length)
+    .forEach(gap => {
+      if (!kept.some(other => overlaps(gap.topic, other.topic))) kept.push(gap);
+    });
+  return kept.slice(0, MAX_GAP_CANDIDATES);
+}
+
+function heuristicContentGaps(candidates) {
+  const gaps = candidates.slice(0, CONTENT_GAP_FIELDS.contentGaps.maxItems).map(({ topic, competitors, headings }) => ({
+    topic,
+    competitors: competitors.map(hostOf).join(', '),
+    recommendation: headings.length > 0
+      ? `Add a section on ${topic}; competitors cover it under headings such as "${headings[0]}"`
+      : `Add content on ${topic}, which ${competitors.length > 1 ? `${competitors.length} competitors cover` : `${hostOf(competitors[0])} covers`}`
+  }));
+  return validateFields({ contentGaps: gaps }, CONTENT_GAP_FIELDS).value;
+}
+
+function siteDigest(site) {
+  return [
+    `URL: ${site.url}`,
+    `Pages: ${site.pagesAnalyzed}, average words per page: ${site.wordCount.average}`,
+    `Key topics: ${site.topics.join(', ') || '(none)'}`,
+    `Headings: ${truncate(site.headingOutline.join(' | '), 800) || '(none)'}`,
+    `Structured data: ${site.structuredDataTypes.join(', ') || '(none)'}`
+  ].join('\n');
+}
+
+export function contentGapPrompt(target, competitors, candidates) {
+  return `
+Compare a website with its competitors and find content gaps: topics the competitors cover that the target site does not.
+
+Target keywords: ${target.keywords.map(({ keyword }) => keyword).join(', ') || '(none given)'}
+
+Target site:
+${siteDigest(target)}
+
+Competitors:
+${competitors.map(siteDigest).join('\n\n')}
+
+Topics only competitors mention (from their content):
+${candidates.map(({ topic, competitors: urls }) => `- ${topic} (${urls.map(hostOf).join(', ')})`).join('\n') || '(none found)'}
+
+Recommend what the target site should add, each with a concrete recommendation. Skip topics unrelated to the target keywords.
+
+Reply with only a JSON object of this shape:
+${describeFields(CONTENT_GAP_FIELDS)}
+`;
+}
+
+/**
+ * Crawl and analyze each competitor with `crawl` (the target's scope, so
+ * the comparison is like for like), then compare them with the target's
+ * `analysisResult`. A competitor that fails to load is listed with its
+ * error and left out of the comparison. Content gaps go through `llm`
+ * (task `benchmark`).
+ */
+export async function benchmarkCompetitors(analysisResult, competitorUrls, { crawl, llm, onProgress = () => {} } = {}) {
+  const keywords = analysisResult.keywords || [];
+  const target = summarizeSite(analysisResult);
+  const competitors = [];
+  const failed = [];
+
+  for (const url of competitorUrls) {
+    onProgress({ stage: 'benchmarking', url });
+    try {
+      const result = await new EnhancedAnalyzer({ crawl }).analyzeWebsite(url, keywords, { insights: false });
+      if (result.pagesAnalyzed === 0) throw new Error('no pages could be crawled');
+      competitors.push(summarizeSite(result));
+    } catch (error) {
+      console.warn(`⚠️ Competitor ${url} could not be analyzed: ${error.message}`);
+      failed.push({ url, error: error.message });
+    }
+  }
+
+  const benchmark = { target, competitors, failed, ...compareSites(target, competitors) };
+  if (competitors.length === 0) {
+    return { ...benchmark, contentGaps: [], sources: { contentGaps: 'heuristic' }, generatedBy: 'heuristic', issues: ['No competitor could be analyzed'] };
+  }
+
+  const candidates = findTopicGaps(analysisResult, target, competitors);
+  const gaps = await completeWithFallback(
+    llm, 'benchmark', contentGapPrompt(target, competitors, candidates), CONTENT_GAP_FIELDS,
+    heuristicContentGaps(candidates), 'content gaps'
+  );
+  return { ...benchmark, ...gaps };
+}
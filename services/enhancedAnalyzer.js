@@ -1,53 +1,196 @@
-import OpenAI from 'openai';
-import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { URL } from 'url';
+import { discoverSite } from './siteDiscovery.js';
+import { HttpFetcher } from './httpFetcher.js';
+import { renderPage } from './pageRenderer.js';
+import { auditPagePerformance } from './performanceAudit.js';
+import { auditMobileFriendliness, staticMobileAudit } from './mobileAudit.js';
+import { auditLinks, checkLink } from './linkAudit.js';
+import { runTechnicalChecks, urlsToVerify } from './technicalChecks.js';
+import { extractStructuredData, validateStructuredDataItem, generateStructuredData } from './structuredData.js';
+import { isBrowserLaunchError } from './browserPool.js';
+import { LlmClient } from './llmClient.js';
+import { buildAiInsights, buildPageRecommendations } from './aiInsights.js';
+import { auditAiVisibility, extractAnswerBlocks, extractAuthorship } from './aiVisibility.js';
+import { isAllowed } from '../utils/robotsTxt.js';
+import { analyzeDocument } from '../utils/readability.js';
+import { tokenize, countPhrase, containsPhrase, buildTermIndex, topTerms, relatedTerms } from '../utils/keywords.js';
+import { normalizeUrl, urlKey, isSameSite, compilePattern, matchesAny, SUBDOMAIN_POLICIES } from '../utils/urlUtils.js';
+
+export const DEFAULT_CRAWL_OPTIONS = {
+  maxPages: 5,
+  maxDepth: 3,
+  include: [],
+  exclude: [],
+  subdomains: 'www',
+  concurrency: 3,
+  render: 'auto',
+  checkExternalLinks: false
+};
+
+export const RENDER_MODES = ['auto', 'always', 'never'];
+
+// In `auto` mode, raw HTML with fewer visible words than this gets rendered.
+const RENDER_WORD_THRESHOLD = 20;
+
+const CRAWL_LIMITS = {
+  maxPages: parseInt(process.env.MAX_CRAWL_PAGES, 10) || 50,
+  maxDepth: 10,
+  concurrency: 8
+};
+
+/**
+ * Validate per-request crawl options and fill in defaults. Throws on
+ * invalid input so callers can answer with a 400.
+ */
+export function resolveCrawlOptions(options = {}) {
+  const resolved = { ...DEFAULT_CRAWL_OPTIONS };
+
+  for (const key of ['maxPages', 'maxDepth', 'concurrency']) {
+    if (options[key] === undefined) continue;
+    const value = Number(options[key]);
+    if (!Number.isInteger(value) || value < (key === 'maxDepth' ? 0 : 1) || value > CRAWL_LIMITS[key]) {
+      throw new Error(`crawl.${key} must be an integer up to ${CRAWL_LIMITS[key]}`);
+    }
+    resolved[key] = value;
+  }
+
+  for (const key of ['include', 'exclude']) {
+    if (options[key] === undefined) continue;
+    const patterns = Array.isArray(options[key]) ? options[key] : [options[key]];
+    patterns.forEach(pattern => {
+      if (typeof pattern !== 'string' || !pattern) {
+        throw new Error(`crawl.${key} must be a list of glob or /regex/ strings`);
+      }
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        throw new Error(`Invalid crawl.${key} pattern "${pattern}": ${error.message}`);
+      }
+    });
+    resolved[key] = patterns;
+  }
+
+  if (options.subdomains !== undefined) {
+    if (!SUBDOMAIN_POLICIES.includes(options.subdomains)) {
+      throw new Error(`crawl.subdomains must be one of: ${SUBDOMAIN_POLICIES.join(', ')}`);
+    }
+    resolved.subdomains = options.subdomains;
+  }
+
+  if (options.render !== undefined) {
+    if (!RENDER_MODES.includes(options.render)) {
+      throw new Error(`crawl.render must be one of: ${RENDER_MODES.join(', ')}`);
+    }
+    resolved.render = options.render;
+  }
+
+  if (options.checkExternalLinks !== undefined) {
+    if (typeof options.checkExternalLinks !== 'boolean') {
+      throw new Error('crawl.checkExternalLinks must be a boolean');
+    }
+    resolved.checkExternalLinks = options.checkExternalLinks;
+  }
+
+  return resolved;
+}
 
 /**
  * Enhanced SEO & AI Visibility Analyzer
  * Provides comprehensive website analysis including:
- * - Multi-page crawling (homepage + 5 linked pages)
+ * - Multi-page crawling with a configurable scope (default homepage + 4 linked pages)
  * - Technical SEO analysis
- * - AI visibility scoring
+ * - AI visibility audit (AI crawler access, llms.txt, answer-ready content)
  * - Content optimization suggestions
  * - Structured data detection
+ * - robots.txt / sitemap.xml aware crawling
+ * - Optional headless Chromium rendering for client-rendered pages
  */
 export class EnhancedAnalyzer {
-  constructor() {
-    this.openai = null;
-    this.maxPages = 5;
+  constructor(options = {}) {
+    this.llmOptions = options.llm || {}; // see LlmClient
+    this.llm = null; // one client (and usage tally) per analyzeWebsite run
+    this.maxAiPages = parseInt(process.env.LLM_MAX_PAGES, 10) || 10;
+    this.aiPageConcurrency = parseInt(process.env.LLM_PAGE_CONCURRENCY, 10) || 3;
+    this.crawlOptions = resolveCrawlOptions(options.crawl);
+    this.maxPages = this.crawlOptions.maxPages;
+    this.maxDepth = this.crawlOptions.maxDepth;
+    this.includePatterns = this.crawlOptions.include.map(compilePattern);
+    this.excludePatterns = this.crawlOptions.exclude.map(compilePattern);
+    this.subdomainPolicy = this.crawlOptions.subdomains;
+    this.renderMode = this.crawlOptions.render;
+    this.renderError = null; // set once Chromium fails to launch
+    this.rootHost = null;
     this.timeout = 15000;
+    this.userAgent = 'Mozilla/5.0 (compatible; SEO-AI-Bot/1.0)';
+    this.fetcher = new HttpFetcher({
+      userAgent: this.userAgent,
+      timeout: this.timeout,
+      concurrency: this.crawlOptions.concurrency
+    });
+    this.robotsAgent = 'SEO-AI-Bot';
+    this.maxCrawlDelay = 10; // seconds; cap for robots.txt crawl-delay
+    this.maxSitemapChecks = 25;
+    this.maxLinkChecks = parseInt(process.env.LINK_CHECK_MAX, 10) || 100;
+    this.statusFetcher = null; // created on first status check
+    this.maxPerformancePages = parseInt(process.env.PERF_MAX_PAGES, 10) || 5;
+    this.measurePerformance = process.env.PERFORMANCE_AUDIT !== 'false';
+    this.maxMobilePages = process.env.MOBILE_AUDIT === 'false'
+      ? 0
+      : parseInt(process.env.MOBILE_MAX_PAGES, 10) || 5;
   }
 
-  initializeOpenAI() {
-    if (!this.openai) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-    }
+  getLlmClient() {
+    if (!this.llm) this.llm = new LlmClient(this.llmOptions);
+    return this.llm;
   }
 
-  async analyzeWebsite(url, keywords = []) {
+  /**
+   * Run the full crawl + analysis pipeline.
+   * `options.onProgress` receives `{ stage, pagesCrawled, maxPages, url }`
+   * updates so callers (e.g. background jobs) can report progress.
+   * `options.insights: false` skips the LLM insights step (e.g. for
+   * competitors), leaving `aiInsights` null.
+   */
+  async analyzeWebsite(url, keywords = [], options = {}) {
+    const onProgress = options.onProgress || (() => {});
     try {
       console.log(`🔍 Starting comprehensive analysis for: ${url}`);
+      this.llm = new LlmClient(this.llmOptions);
       
       // Step 1: Crawl website pages
-      const pages = await this.crawlWebsite(url);
+      onProgress({ stage: 'crawling', pagesCrawled: 0, maxPages: this.maxPages });
+      const site = await discoverSite(url, {
+        userAgent: this.userAgent,
+        robotsAgent: this.robotsAgent,
+        timeout: this.timeout,
+        maxContentLength: this.fetcher.maxContentLength
+      });
+      const pages = await this.crawlWebsite(url, onProgress, site);
       
       // Step 2: Analyze each page
-      const analysis = await this.analyzePages(pages, keywords);
+      onProgress({ stage: 'analyzing', pagesCrawled: pages.length, maxPages: this.maxPages });
+      const analysis = await this.analyzePages(pages, keywords, site);
       
       // Step 3: Generate AI insights
-      const aiInsights = await this.generateAiInsights(analysis);
+      let aiInsights = null;
+      if (options.insights !== false) {
+        onProgress({ stage: 'ai_insights', pagesCrawled: pages.length, maxPages: this.maxPages });
+        aiInsights = await this.generateAiInsights(analysis);
+        analysis.aiVisibility.llmScore = aiInsights.sources.aiVisibilityScore === 'ai' ? aiInsights.aiVisibilityScore : null;
+      }
+      analysis.structuredData.generated = generateStructuredData({ pages, aiInsights });
       
       return {
         url,
         keywords,
+        crawlOptions: this.crawlOptions,
         pagesAnalyzed: pages.length,
         analysis: {
           ...analysis,
           aiInsights
         },
+        llmUsage: this.llm.usageSummary(),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -56,63 +199,246 @@ export class EnhancedAnalyzer {
     }
   }
 
-  async crawlWebsite(url) {
+  /**
+   * BFS crawl from `url`, seeded with in-scope sitemap URLs, within the
+   * configured page budget, depth and include/exclude patterns. Each BFS
+   * step fetches a batch of URLs in parallel through the fetch pool. URLs
+   * are canonicalized and deduped by `urlKey` (slash variants are one
+   * page), and pages declaring a `rel=canonical` already crawled are
+   * dropped as duplicates. When `site` (from `discoverSite`)
+   * is given, robots.txt rules and crawl-delay are obeyed and
+   * blocked/failed URLs are recorded on it.
+   */
+  async crawlWebsite(url, onProgress = () => {}, site = null) {
     const pages = [];
     const visited = new Set();
-    const toVisit = [url];
+    const crawledCanonicals = new Set();
+    const startUrl = normalizeUrl(url);
+    this.rootHost = new URL(startUrl).hostname;
+
+    const sitemapSeeds = (site?.sitemap.urls || [])
+      .map(link => normalizeUrl(link))
+      .filter(link => link && this.isInSite(link));
+    const toVisit = [
+      { url: startUrl, depth: 0 },
+      ...sitemapSeeds.map(link => ({ url: link, depth: 1 }))
+    ];
+    if (site?.robots.crawlDelay) {
+      this.fetcher.setHostInterval(Math.min(site.robots.crawlDelay, this.maxCrawlDelay) * 1000);
+    }
     
     while (toVisit.length > 0 && pages.length < this.maxPages) {
-      const currentUrl = toVisit.shift();
-      
-      if (visited.has(currentUrl)) continue;
-      
-      try {
+      const batch = [];
+      while (toVisit.length > 0 && batch.length < this.maxPages - pages.length) {
+        const entry = toVisit.shift();
+        if (visited.has(urlKey(entry.url))) continue;
+        visited.add(urlKey(entry.url));
+
+        // The start URL is always crawled; patterns only narrow what follows it
+        if (entry.url !== startUrl && !this.isInCrawlScope(entry.url)) continue;
+
+        if (site && !isAllowed(site.robots.rules, this.robotsAgent, entry.url)) {
+          console.log(`🚫 Disallowed by robots.txt: ${entry.url}`);
+          site.blockedUrls.push(entry.url);
+          continue;
+        }
+        batch.push(entry);
+      }
+
+      const results = await Promise.allSettled(batch.map(({ url: currentUrl }) => {
         console.log(`🕷️ Crawling: ${currentUrl}`);
-        const page = await this.crawlPage(currentUrl);
+        return this.crawlPage(currentUrl);
+      }));
+
+      results.forEach((result, i) => {
+        const { url: currentUrl, depth } = batch[i];
+        if (result.status === 'rejected') {
+          const error = result.reason;
+          console.warn(`⚠️ Failed to crawl ${currentUrl}: ${error.message}`);
+          site?.failedUrls.push({
+            url: currentUrl,
+            status: error.status || null,
+            error: error.message,
+            code: error.code || null,
+            redirectChain: error.redirectChain || []
+          });
+          return;
+        }
+
+        const page = result.value;
+        page.depth = depth;
+
+        // Redirects and rel=canonical can both point at a page we already have
+        const identity = urlKey(page.canonicalUrl && this.isInSite(page.canonicalUrl)
+          ? page.canonicalUrl
+          : page.finalUrl) || urlKey(currentUrl);
+        if (crawledCanonicals.has(identity) || pages.length >= this.maxPages) {
+          console.log(`↪️ Skipping duplicate of ${identity}: ${currentUrl}`);
+          return;
+        }
+        crawledCanonicals.add(identity);
+        visited.add(identity);
+
         pages.push(page);
-        visited.add(currentUrl);
-        
-        // Load raw HTML into Cheerio instance for link extraction
-        const $ = cheerio.load(page.rawHtml);
-        const links = this.extractLinks($, currentUrl);
-        toVisit.push(...links.filter(link => !visited.has(link)));
+        onProgress({ stage: 'crawling', pagesCrawled: pages.length, maxPages: this.maxPages, url: currentUrl });
         
-      } catch (error) {
-        console.warn(`⚠️ Failed to crawl ${currentUrl}: ${error.message}`);
-      }
+        if (depth < this.maxDepth) {
+          toVisit.push(...page.links
+            .filter(link => !visited.has(urlKey(link)))
+            .map(link => ({ url: link, depth: depth + 1 })));
+        }
+      });
     }
     
     return pages;
   }
 
+  isInSite(url) {
+    if (!this.rootHost) return true;
+    return isSameSite(new URL(url).hostname, this.rootHost, this.subdomainPolicy);
+  }
+
+  isInCrawlScope(url) {
+    if (!this.isInSite(url)) return false;
+    if (this.includePatterns.length > 0 && !matchesAny(this.includePatterns, url)) return false;
+    return !matchesAny(this.excludePatterns, url);
+  }
+
   async crawlPage(url) {
+    let response;
     try {
-      const response = await axios.get(url, {
-        timeout: this.timeout,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; SEO-AI-Bot/1.0)'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      
-      return {
-        url,
-        rawHtml: response.data,
-        title: $('title').text().trim(),
-        description: $('meta[name="description"]').attr('content') || '',
-        content: this.extractContent(cheerio.load(response.data)),
-        headings: this.extractHeadings($),
-        images: this.extractImages($),
-        links: this.extractLinks($, url),
-        metaTags: this.extractMetaTags($),
-        structuredData: this.extractStructuredData($),
-        wordCount: this.getWordCount($),
-        loadTime: response.headers['x-response-time'] || 0
-      };
+      response = await this.fetcher.fetch(url);
     } catch (error) {
-      throw new Error(`Failed to crawl page ${url}: ${error.message}`);
+      const crawlError = new Error(`Failed to crawl page ${url}: ${error.message}`);
+      crawlError.code = error.code;
+      crawlError.redirectChain = error.redirectChain;
+      throw crawlError;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      const crawlError = new Error(`Failed to crawl page ${url}: HTTP ${response.status}`);
+      crawlError.status = response.status;
+      crawlError.redirectChain = response.redirectChain;
+      throw crawlError;
     }
+
+    // Links and canonicals resolve against where we actually ended up
+    const finalUrl = response.url;
+    const raw = this.parseHtml(response.body, finalUrl);
+    const rendering = await this.renderIfNeeded(finalUrl, raw);
+    const parsed = rendering.html ? this.parseHtml(rendering.html, finalUrl) : raw;
+    
+    return {
+      url,
+      finalUrl,
+      status: response.status,
+      redirectChain: response.redirectChain,
+      contentType: response.headers['content-type'] || '',
+      xRobotsTag: [].concat(response.headers['x-robots-tag'] || []).join(', '),
+      contentSize: response.contentSize,
+      transferSize: response.transferSize,
+      timing: response.timing,
+      fromCache: response.fromCache,
+      rawHtml: response.body,
+      ...parsed,
+      rendering: {
+        mode: rendering.html ? 'rendered' : 'raw',
+        reason: rendering.reason,
+        error: rendering.error || null,
+        renderMs: rendering.renderMs || null,
+        diff: rendering.html ? this.compareRendering(raw, parsed) : null
+      },
+      loadTime: response.timing.totalMs
+    };
+  }
+
+  /**
+   * Extract everything we analyze from an HTML document.
+   */
+  parseHtml(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const outlinks = this.extractOutlinks($, baseUrl);
+    const structuredData = extractStructuredData($, baseUrl);
+    const contentDoc = cheerio.load(html);
+    return {
+      title: $('title').text().trim(),
+      lang: ($('html').attr('lang') || '').trim(),
+      description: $('meta[name="description"]').attr('content') || '',
+      content: this.extractContent(contentDoc),
+      paragraphs: this.extractParagraphs(contentDoc),
+      headings: this.extractHeadings($),
+      images: this.extractImages($),
+      links: [...new Set(outlinks.filter(link => link.internal).map(link => link.url))],
+      outlinks,
+      canonicalUrl: this.extractCanonical($, baseUrl),
+      hreflang: this.extractHreflang($, baseUrl),
+      metaTags: this.extractMetaTags($),
+      structuredData: structuredData.items,
+      structuredDataErrors: structuredData.errors,
+      answerBlocks: extractAnswerBlocks($),
+      authorship: extractAuthorship($, structuredData.items),
+      wordCount: this.getWordCount($)
+    };
+  }
+
+  /**
+   * Decide whether a page needs JavaScript rendering and, if so, render it.
+   * Rendering failures (e.g. no Chromium available) fall back to raw HTML.
+   */
+  async renderIfNeeded(url, raw) {
+    if (this.renderMode === 'never') return { reason: 'disabled' };
+    if (this.renderMode === 'auto' && raw.wordCount >= RENDER_WORD_THRESHOLD) {
+      return { reason: 'raw-html-sufficient' };
+    }
+
+    const reason = this.renderMode === 'always' ? 'requested' : 'thin-raw-html';
+    if (this.renderError) return { reason, error: this.renderError };
+    try {
+      console.log(`🖥️ Rendering with headless Chromium (${reason}): ${url}`);
+      const rendered = await renderPage(url, { userAgent: this.userAgent, timeout: this.timeout * 2 });
+      return { reason, html: rendered.html, renderMs: rendered.renderMs };
+    } catch (error) {
+      console.warn(`⚠️ Rendering failed for ${url}, using raw HTML: ${error.message}`);
+      // A browser that cannot start will not start for the next page either
+      if (isBrowserLaunchError(error.message)) {
+        this.renderError = error.message;
+      }
+      return { reason, error: error.message };
+    }
+  }
+
+  /**
+   * What crawlers that do not execute JavaScript miss on this page.
+   */
+  compareRendering(raw, rendered) {
+    const onlyAfterJs = [];
+    const changed = [];
+    const compare = (field, rawValue, renderedValue) => {
+      if (rawValue === renderedValue) return;
+      if (!rawValue && renderedValue) {
+        onlyAfterJs.push(field);
+      } else {
+        changed.push({ field, raw: rawValue, rendered: renderedValue });
+      }
+    };
+
+    compare('title', raw.title, rendered.title);
+    compare('description', raw.description, rendered.description);
+    compare('canonical', raw.canonicalUrl || '', rendered.canonicalUrl || '');
+    compare('robots', raw.metaTags.robots || '', rendered.metaTags.robots || '');
+    compare('h1', (raw.headings.h1 || []).join(' | '), (rendered.headings.h1 || []).join(' | '));
+
+    const rawLinks = new Set(raw.links);
+    const rawTypes = new Set(raw.structuredData.map(item => item.types.join(',')));
+    return {
+      onlyAfterJs,
+      changed,
+      rawWordCount: raw.wordCount,
+      renderedWordCount: rendered.wordCount,
+      linksOnlyAfterJs: rendered.links.filter(link => !rawLinks.has(link)).length,
+      structuredDataOnlyAfterJs: rendered.structuredData
+        .filter(item => !rawTypes.has(item.types.join(','))).length
+    };
   }
 
   extractContent($) {
@@ -127,6 +453,25 @@ export class EnhancedAnalyzer {
     return content.substring(0, 10000);
   }
 
+  /**
+   * Text of each paragraph-level block, for per-paragraph readability.
+   * Expects a document `extractContent` has already stripped.
+   */
+  extractParagraphs($) {
+    const blocks = 'p, li, blockquote, dd';
+    const paragraphs = [];
+    let length = 0;
+    $(blocks).each((_, el) => {
+      // Innermost blocks only, so nested lists are not counted twice
+      if ($(el).find(blocks).length > 0) return;
+      const text = $(el).text().replace(/\s+/g, ' ').trim();
+      if (!text || length >= 10000) return;
+      paragraphs.push(text);
+      length += text.length;
+    });
+    return paragraphs;
+  }
+
   extractHeadings($) {
     const headings = {};
     for (let i = 1; i <= 6; i++) {
@@ -143,20 +488,37 @@ export class EnhancedAnalyzer {
     })).get();
   }
 
-  extractLinks($, baseUrl) {
+  /**
+   * Every http(s) link on the page, canonicalized, with its anchor text
+   * (or the alt text of a linked image). `internal` marks same-site links.
+   */
+  extractOutlinks($, baseUrl) {
     const links = [];
+    if (!this.rootHost) this.rootHost = new URL(baseUrl).hostname;
     $('a[href]').each((_, el) => {
-      const href = $(el).attr('href');
-      try {
-        const absoluteUrl = new URL(href, baseUrl).href;
-        if (absoluteUrl.startsWith(baseUrl)) {
-          links.push(absoluteUrl);
-        }
-      } catch (error) {
-        // Invalid URL, skip
-      }
+      const absoluteUrl = normalizeUrl($(el).attr('href'), baseUrl);
+      if (!absoluteUrl) return;
+      const text = $(el).text().replace(/\s+/g, ' ').trim() || $(el).find('img[alt]').attr('alt') || '';
+      links.push({
+        url: absoluteUrl,
+        text: text.substring(0, 100),
+        internal: this.isInSite(absoluteUrl),
+        nofollow: /\bnofollow\b/i.test($(el).attr('rel') || '')
+      });
     });
-    return [...new Set(links)];
+    return links;
+  }
+
+  extractCanonical($, baseUrl) {
+    const href = $('link[rel="canonical"]').attr('href');
+    return href ? normalizeUrl(href, baseUrl) : null;
+  }
+
+  extractHreflang($, baseUrl) {
+    return $('link[rel="alternate"][hreflang]').map((_, el) => ({
+      lang: $(el).attr('hreflang').trim(),
+      url: normalizeUrl($(el).attr('href'), baseUrl)
+    })).get().filter(alternate => alternate.url);
   }
 
   extractMetaTags($) {
@@ -171,42 +533,40 @@ export class EnhancedAnalyzer {
     return metaTags;
   }
 
-  extractStructuredData($) {
-    const structuredData = [];
-    $('script[type="application/ld+json"]').each((_, el) => {
-      try {
-        const data = JSON.parse($(el).html());
-        structuredData.push(data);
-      } catch (error) {
-        console.warn('Invalid structured data:', error);
-      }
-    });
-    return structuredData;
-  }
-
   getWordCount($) {
     const text = this.extractContent($);
     return text.split(/\s+/).filter(word => word.length > 0).length;
   }
 
-  async analyzePages(pages, keywords) {
+  async analyzePages(pages, keywords, site = null) {
+    const termIndex = this.buildTermIndex(pages);
     return {
       pages,
-      metaTags: this.analyzeMetaTags(pages),
-      keywordDensity: this.analyzeKeywordDensity(pages, keywords),
-      technical: await this.analyzeTechnicalSEO(pages),
-      contentQuality: this.analyzeContentQuality(pages),
-      structuredData: this.analyzeStructuredData(pages)
+      metaTags: await this.analyzeMetaTags(pages, site, termIndex),
+      keywordDensity: this.analyzeKeywordDensity(pages, keywords, termIndex),
+      technical: await this.analyzeTechnicalSEO(pages, site),
+      contentQuality: this.analyzeContentQuality(pages, termIndex),
+      structuredData: this.analyzeStructuredData(pages),
+      aiVisibility: auditAiVisibility(pages, site)
     };
   }
 
-  analyzeMetaTags(pages) {
+  /**
+   * Titles, descriptions and the technical on-page checks (canonical,
+   * robots directives, hreflang, html lang, social cards, duplicates).
+   * `findings` carry a severity; `issues` lists the same as "url: message".
+   */
+  async analyzeMetaTags(pages, site = null, termIndex = this.buildTermIndex(pages)) {
     const metaTags = {
       title: [],
       description: [],
       issues: [],
+      findings: [],
       suggestions: []
     };
+    const addFinding = (url, severity, check, message) => {
+      metaTags.findings.push({ url, severity, check, message });
+    };
     
     pages.forEach(page => {
       metaTags.title.push({
@@ -229,7 +589,7 @@ export class EnhancedAnalyzer {
           url: page.url,
           type: 'title',
           current: page.title,
-          suggested: this.optimizeTitle(page.title, page.content)
+          suggested: this.optimizeTitle(page.title, topTerms(termIndex, { ids: [page.url], limit: 2 }))
         });
       }
       
@@ -242,19 +602,28 @@ export class EnhancedAnalyzer {
         });
       }
       
-      if (page.title.length === 0) metaTags.issues.push(`${page.url}: Missing title`);
-      if (page.title.length > 60) metaTags.issues.push(`${page.url}: Title too long`);
-      if (page.description.length === 0) metaTags.issues.push(`${page.url}: Missing description`);
-      if (page.description.length > 155) metaTags.issues.push(`${page.url}: Description too long`);
+      if (page.title.length === 0) addFinding(page.url, 'error', 'title', 'Missing title');
+      if (page.title.length > 60) addFinding(page.url, 'warning', 'title', 'Title too long');
+      if (page.description.length === 0) addFinding(page.url, 'warning', 'description', 'Missing description');
+      if (page.description.length > 155) addFinding(page.url, 'warning', 'description', 'Description too long');
     });
+
+    metaTags.findings.push(...runTechnicalChecks(pages, {
+      statuses: await this.checkUrlStatuses(pages, urlsToVerify(pages), site),
+      isSameSite: (url) => this.isInSite(url)
+    }));
+    metaTags.issues = metaTags.findings.map(finding => `${finding.url}: ${finding.message}`);
     
     return metaTags;
   }
 
-  optimizeTitle(currentTitle, content) {
-    // Simple optimization - extract key phrases and limit to 60 chars
-    const keyPhrases = this.extractKeyPhrases(content);
-    const optimized = keyPhrases.slice(0, 2).join(' | ');
+  /**
+   * Title from the page's highest TF-IDF terms (see `buildTermIndex`),
+   * limited to 60 characters.
+   */
+  optimizeTitle(currentTitle, keyTerms) {
+    const capitalize = (term) => term.replace(/\b\w/g, letter => letter.toUpperCase());
+    const optimized = keyTerms.slice(0, 2).map(({ term }) => capitalize(term)).join(' | ') || currentTitle;
     return optimized.substring(0, 57) + (optimized.length > 57 ? '...' : '');
   }
 
@@ -265,85 +634,324 @@ export class EnhancedAnalyzer {
     return description.substring(0, 152) + (description.length > 152 ? '...' : '');
   }
 
-  extractKeyPhrases(content) {
-    // Simple keyword extraction
-    const words = content.toLowerCase().split(/\s+/);
-    const wordFreq = {};
-    words.forEach(word => {
-      if (word.length > 3 && !['this', 'that', 'with', 'have', 'will', 'construction', 'environmental'].includes(word)) {
-        wordFreq[word] = (wordFreq[word] || 0) + 1;
-      }
-    });
-    return Object.entries(wordFreq)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([word]) => word);
+  /**
+   * TF-IDF index over page titles and content, keyed by page URL.
+   */
+  buildTermIndex(pages) {
+    return buildTermIndex(pages.map(page => ({
+      id: page.url,
+      text: `${page.title || ''}\n${page.content || ''}`
+    })));
   }
 
-  analyzeKeywordDensity(pages, keywords) {
+  /**
+   * Keyword usage per page. Matching is on whole words: `occurrences`
+   * counts the exact phrase, `variantOccurrences` plural and stemmed forms
+   * ("optimize" -> "optimizing"). `placement` records where the keyword
+   * appears, `relatedTerms` what the site mentions alongside it.
+   */
+  analyzeKeywordDensity(pages, keywords, termIndex = this.buildTermIndex(pages)) {
     const density = {};
     
     keywords.forEach(keyword => {
       density[keyword] = {
         overall: 0,
-        byPage: []
+        byPage: [],
+        relatedTerms: relatedTerms(termIndex, keyword),
+        issues: []
       };
+      const addIssue = (url, message) => density[keyword].issues.push(`${url}: ${message}`);
       
       let totalOccurrences = 0;
       let totalWords = 0;
       
       pages.forEach(page => {
-        const content = page.content.toLowerCase();
-        const keywordLower = keyword.toLowerCase();
-        const occurrences = (content.match(new RegExp(keywordLower, 'gi')) || []).length;
-        const pageDensity = page.wordCount > 0 ? (occurrences / page.wordCount) * 100 : 0;
+        const tokens = tokenize(page.content);
+        const { exact, variants } = countPhrase(tokens, keyword);
+        const pageDensity = tokens.length > 0 ? (exact / tokens.length) * 100 : 0;
+        const matchedDensity = tokens.length > 0 ? ((exact + variants) / tokens.length) * 100 : 0;
+        const placement = this.keywordPlacement(page, keyword, tokens);
         
         density[keyword].byPage.push({
           url: page.url,
-          occurrences,
-          density: pageDensity.toFixed(2)
+          occurrences: exact,
+          variantOccurrences: variants,
+          density: Number(pageDensity.toFixed(2)),
+          placement
         });
+
+        if (matchedDensity > 3 && exact + variants >= 3) {
+          addIssue(page.url, `"${keyword}" makes up ${matchedDensity.toFixed(1)}% of the content (keyword stuffing)`);
+        }
+        const inTitle = countPhrase(page.title, keyword);
+        if (inTitle.exact + inTitle.variants > 1) {
+          addIssue(page.url, `"${keyword}" is repeated in the title`);
+        }
         
-        totalOccurrences += occurrences;
-        totalWords += page.wordCount;
+        totalOccurrences += exact;
+        totalWords += tokens.length;
       });
       
       density[keyword].overall = totalWords > 0 ? (totalOccurrences / totalWords) * 100 : 0;
+
+      const placements = density[keyword].byPage.map(entry => entry.placement);
+      if (pages.length > 0 && !placements.some(placement => placement.title || placement.h1 || placement.description)) {
+        addIssue(pages[0].url, `"${keyword}" does not appear in any title, description or H1`);
+      }
     });
     
     return density;
   }
 
-  async analyzeTechnicalSEO(pages) {
+  keywordPlacement(page, keyword, tokens = tokenize(page.content)) {
+    const slug = new URL(page.url).pathname.replace(/[^a-z0-9]+/gi, ' ');
+    return {
+      title: containsPhrase(page.title || '', keyword),
+      description: containsPhrase(page.description || '', keyword),
+      h1: (page.headings?.h1 || []).some(heading => containsPhrase(heading, keyword)),
+      first100Words: countPhrase(tokens.slice(0, 100), keyword).positions.length > 0,
+      urlSlug: containsPhrase(slug, keyword),
+      imageAlt: (page.images || []).some(image => containsPhrase(image.alt || '', keyword))
+    };
+  }
+
+  async analyzeTechnicalSEO(pages, site = null) {
     return {
-      mobileFriendly: true,
-      pageSpeed: { score: 85, issues: [] },
+      mobileFriendly: await this.analyzeMobileFriendliness(pages),
+      pageSpeed: await this.analyzePerformance(pages),
       headingStructure: this.analyzeHeadingStructure(pages),
       imageOptimization: this.analyzeImageOptimization(pages),
-      internalLinks: this.analyzeInternalLinks(pages),
+      internalLinks: await this.analyzeInternalLinks(pages, site),
       structuredData: this.analyzeStructuredData(pages),
-      readabilityScore: this.calculateReadabilityScore(pages)
+      readabilityScore: this.calculateReadabilityScore(pages),
+      crawlability: await this.analyzeCrawlability(pages, site),
+      rendering: this.analyzeRendering(pages)
     };
   }
 
-  calculateReadabilityScore(pages) {
-    // Simple readability calculation based on average sentence length and word complexity
-    let totalScore = 0;
+  /**
+   * Run a headless-browser audit for each page. The first page goes alone so
+   * that, if Chromium cannot launch, the rest are skipped with that error
+   * instead of each failing slowly.
+   */
+  async auditPagesInBrowser(pages, audit) {
+    if (pages.length === 0) return [];
+    const first = await audit(pages[0]);
+    if (first.error && isBrowserLaunchError(first.error)) {
+      return [first, ...pages.slice(1).map(() => ({ error: first.error }))];
+    }
+    return [first, ...await Promise.all(pages.slice(1).map(audit))];
+  }
+
+  /**
+   * Mobile-friendliness per page (viewport meta, overflow, tap targets,
+   * font sizes, fixed-width elements). Pages past `maxMobilePages` only get
+   * the static viewport check; MOBILE_AUDIT=false skips rendering entirely.
+   */
+  async analyzeMobileFriendliness(pages) {
+    const mobile = { passed: false, pagesPassed: 0, pagesFailed: 0, pages: [], issues: [] };
+    const options = { userAgent: this.userAgent, timeout: this.timeout * 4 };
+
+    const rendered = await this.auditPagesInBrowser(
+      pages.slice(0, this.maxMobilePages),
+      page => auditMobileFriendliness(page.url, { ...options, viewportContent: page.metaTags.viewport })
+    );
+
+    pages.forEach((page, i) => {
+      // Skipped pages (browser unavailable or over the limit) get the static check only
+      const audit = rendered[i]?.viewport
+        ? rendered[i]
+        : staticMobileAudit(page.url, page.metaTags.viewport, rendered[i]?.error || null);
+      mobile.pages.push(audit);
+      audit.passed ? mobile.pagesPassed++ : mobile.pagesFailed++;
+      audit.issues.forEach(issue => mobile.issues.push(`${page.url}: ${issue}`));
+    });
+
+    mobile.passed = mobile.pages.length > 0 && mobile.pagesFailed === 0;
+    return mobile;
+  }
+
+  /**
+   * Measured page performance (PageSpeed Insights or local lab run) for up
+   * to `maxPerformancePages` pages. Pages that cannot be measured fall back
+   * to the crawl's own HTTP timing and are left unscored.
+   */
+  async analyzePerformance(pages) {
+    const pageSpeed = { score: null, source: null, pages: [], issues: [] };
+    if (!this.measurePerformance || pages.length === 0) return pageSpeed;
+
+    const targets = pages.slice(0, this.maxPerformancePages);
+    const options = { userAgent: this.userAgent, timeout: this.timeout * 4 };
+    const results = await this.auditPagesInBrowser(targets, page => auditPagePerformance(page.finalUrl || page.url, options));
+
+    results.forEach((result, i) => {
+      const page = targets[i];
+      if (result.error) {
+        pageSpeed.pages.push({
+          url: page.url,
+          source: 'http',
+          score: null,
+          metrics: {
+            ttfb: page.timing?.ttfbMs ?? null,
+            transferSize: page.transferSize ?? null,
+            requestCount: 1
+          },
+          renderBlocking: [],
+          issues: [],
+          error: result.error
+        });
+        return;
+      }
+      pageSpeed.pages.push({ ...result, url: page.url });
+      result.issues.forEach(issue => pageSpeed.issues.push(`${page.url}: ${issue}`));
+    });
+
+    const scores = pageSpeed.pages.map(page => page.score).filter(score => typeof score === 'number');
+    if (scores.length > 0) {
+      pageSpeed.score = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+      pageSpeed.source = pageSpeed.pages.find(page => page.score !== null).source;
+    } else {
+      pageSpeed.source = 'http';
+      pageSpeed.issues.push(`Performance could not be measured: ${pageSpeed.pages[0].error}`);
+    }
+
+    return pageSpeed;
+  }
+
+  /**
+   * Site-level summary of content that only exists after JavaScript runs.
+   * Search engines may render it later (or not at all); most AI crawlers
+   * never do.
+   */
+  analyzeRendering(pages) {
+    const rendering = { mode: this.renderMode, pagesRendered: 0, renderFailures: 0, issues: [] };
+
     pages.forEach(page => {
-      const sentences = page.content.split(/[.!?]+/).filter(s => s.trim().length > 10);
-      const words = page.content.split(/\s+/).filter(w => w.length > 0);
-      
-      if (sentences.length > 0 && words.length > 0) {
-        const avgWordsPerSentence = words.length / sentences.length;
-        const avgWordLength = words.reduce((sum, word) => sum + word.length, 0) / words.length;
-        
-        // Flesch-Kincaid inspired score (simplified)
-        const score = Math.max(0, Math.min(100, 206.835 - (1.015 * avgWordsPerSentence) - (84.6 * (avgWordLength / 10))));
-        totalScore += score;
+      if (page.rendering?.error) rendering.renderFailures++;
+      const diff = page.rendering?.diff;
+      if (!diff) return;
+      rendering.pagesRendered++;
+
+      diff.onlyAfterJs.forEach(field => {
+        rendering.issues.push(`${page.url}: ${field} only present after JavaScript rendering`);
+      });
+      diff.changed.forEach(({ field }) => {
+        rendering.issues.push(`${page.url}: ${field} differs between raw and rendered HTML`);
+      });
+      const extraWords = diff.renderedWordCount - diff.rawWordCount;
+      if (extraWords > 0 && extraWords >= diff.renderedWordCount / 2) {
+        rendering.issues.push(`${page.url}: ${extraWords} of ${diff.renderedWordCount} words only present after JavaScript rendering`);
+      }
+      if (diff.linksOnlyAfterJs > 0) {
+        rendering.issues.push(`${page.url}: ${diff.linksOnlyAfterJs} internal links only present after JavaScript rendering`);
+      }
+      if (diff.structuredDataOnlyAfterJs > 0) {
+        rendering.issues.push(`${page.url}: Structured data injected by JavaScript`);
       }
     });
-    
-    return pages.length > 0 ? Math.round(totalScore / pages.length) : 75;
+
+    return rendering;
+  }
+
+  /**
+   * robots.txt / sitemap findings: important pages that are disallowed,
+   * sitemap entries that error, and crawled pages missing from the sitemap.
+   */
+  async analyzeCrawlability(pages, site) {
+    if (!site) return null;
+
+    const { robots, sitemap } = site;
+    const normalize = (link) => urlKey(link) || link;
+    const sitemapUrls = new Set(sitemap.urls.map(normalize));
+    const crawledUrls = new Set(pages.map(page => normalize(page.url)));
+    const issues = [...robots.issues, ...sitemap.issues];
+
+    // Important = listed in the sitemap or linked from a crawled page
+    const linkedUrls = new Set(pages.flatMap(page => page.links).map(normalize));
+    const disallowed = [];
+    for (const link of new Set([...sitemap.urls, ...site.blockedUrls])) {
+      if (isAllowed(robots.rules, this.robotsAgent, link)) continue;
+      const inSitemap = sitemapUrls.has(normalize(link));
+      const linked = linkedUrls.has(normalize(link)) || normalize(link) === normalize(site.origin);
+      if (!inSitemap && !linked) continue;
+      disallowed.push({ url: link, inSitemap, linked });
+      issues.push(`${link}: ${inSitemap ? 'Listed in sitemap' : 'Linked internally'} but disallowed by robots.txt`);
+    }
+
+    const sitemapErrors = await this.checkSitemapUrls(site, crawledUrls, normalize);
+    sitemapErrors.forEach(({ url, status, error }) => {
+      issues.push(`${url}: Sitemap URL ${status ? `returned ${status}` : `failed (${error})`}`);
+    });
+
+    const missingFromSitemap = sitemapUrls.size > 0
+      ? pages.map(page => page.url).filter(link => !sitemapUrls.has(normalize(link)))
+      : [];
+    missingFromSitemap.forEach(link => issues.push(`${link}: Crawled page missing from sitemap`));
+
+    return {
+      robotsTxt: {
+        url: robots.url,
+        found: robots.found,
+        status: robots.status,
+        crawlDelay: robots.crawlDelay,
+        sitemaps: robots.sitemaps
+      },
+      sitemap: {
+        files: sitemap.sitemaps,
+        urlCount: sitemap.urls.length,
+        errors: sitemapErrors,
+        missingFromSitemap
+      },
+      disallowed,
+      blockedDuringCrawl: site.blockedUrls,
+      issues
+    };
+  }
+
+  /**
+   * Sitemap URLs the crawl did not reach that error or redirect. Requests
+   * go through the status-check pool, so robots crawl-delay and the
+   * per-host interval apply.
+   */
+  async checkSitemapUrls(site, crawledUrls, normalize) {
+    const failed = new Map(site.failedUrls.map(entry => [normalize(entry.url), entry]));
+    const errors = [];
+    const toCheck = [];
+
+    for (const link of site.sitemap.urls) {
+      const key = normalize(link);
+      if (crawledUrls.has(key)) continue;
+      if (!isAllowed(site.robots.rules, this.robotsAgent, link)) continue;
+
+      if (failed.has(key)) {
+        const { status, error } = failed.get(key);
+        errors.push({ url: link, status, error: status ? null : error });
+      } else if (toCheck.length < this.maxSitemapChecks) {
+        toCheck.push(link);
+      }
+    }
+
+    const results = await Promise.all(toCheck.map(link => checkLink(this.checkFetcher(site), link)));
+    results.forEach((result, i) => {
+      // Sitemaps should list final URLs, so a redirect counts as an error
+      const status = result.redirectChain[0]?.status || result.status;
+      if (result.error) {
+        errors.push({ url: toCheck[i], status: null, error: result.error });
+      } else if (status >= 300) {
+        errors.push({ url: toCheck[i], status, error: null });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Site readability: mean Flesch Reading Ease (0-100) across pages.
+   */
+  calculateReadabilityScore(pages) {
+    const scores = pages.map(page => analyzeDocument(page).score).filter(score => score !== null);
+    if (scores.length === 0) return null;
+    return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
   }
 
   analyzeHeadingStructure(pages) {
@@ -383,88 +991,158 @@ export class EnhancedAnalyzer {
     return images;
   }
 
-  analyzeInternalLinks(pages) {
-    const links = { total: 0, issues: [] };
-    
+  /**
+   * Fetch pool for status checks (links, canonicals, images) once the
+   * crawl is done: no caching and a single retry.
+   */
+  checkFetcher(site = null) {
+    if (!this.statusFetcher) {
+      this.statusFetcher = new HttpFetcher({
+        userAgent: this.userAgent,
+        timeout: this.timeout,
+        concurrency: this.crawlOptions.concurrency,
+        maxRetries: 1,
+        cache: false
+      });
+      if (site?.robots.crawlDelay) {
+        this.statusFetcher.setHostInterval(Math.min(site.robots.crawlDelay, this.maxCrawlDelay) * 1000);
+      }
+    }
+    return this.statusFetcher;
+  }
+
+  /**
+   * Status of each URL in `urls`, plus what the crawl already knows about
+   * crawled pages. Same-site URLs disallowed by robots.txt are not requested.
+   */
+  async checkUrlStatuses(pages, urls, site = null) {
+    const statuses = new Map();
     pages.forEach(page => {
-      links.total += page.links.length;
+      const status = { status: page.status, finalUrl: page.finalUrl, redirectChain: [], redirectLoop: false, error: null };
+      statuses.set(page.url, { ...status, redirectChain: page.redirectChain || [] });
+      statuses.set(normalizeUrl(page.finalUrl) || page.url, status);
     });
-    
-    return links;
+
+    const toCheck = urls
+      .filter(url => !statuses.has(url))
+      .filter(url => !site || !this.isInSite(url) || isAllowed(site.robots.rules, this.robotsAgent, url))
+      .slice(0, this.maxLinkChecks);
+    const results = await Promise.all(toCheck.map(url => checkLink(this.checkFetcher(site), url)));
+    toCheck.forEach((url, i) => statuses.set(url, results[i]));
+    return statuses;
   }
 
+  /**
+   * Link health (status, redirects, mixed content) and the internal link
+   * graph. External links are only requested when `checkExternalLinks` is
+   * set; internal ones only when robots.txt allows them.
+   */
+  async analyzeInternalLinks(pages, site = null) {
+    return auditLinks(pages, {
+      site,
+      fetcher: this.checkFetcher(site),
+      maxChecks: this.maxLinkChecks,
+      shouldCheck: (url, internal) => internal
+        ? !site || isAllowed(site.robots.rules, this.robotsAgent, url)
+        : this.crawlOptions.checkExternalLinks
+    });
+  }
+
+  /**
+   * Structured data found on each page (JSON-LD, Microdata, RDFa), validated
+   * against the required and recommended properties of the rich-result types
+   * we know. Errors and warnings are listed per page and site-wide.
+   */
   analyzeStructuredData(pages) {
-    const structuredData = { pagesWithData: 0, types: [] };
-    
+    const structuredData = {
+      pagesWithData: 0,
+      types: [],
+      formats: { 'json-ld': 0, microdata: 0, rdfa: 0 },
+      errorCount: 0,
+      warningCount: 0,
+      pages: [],
+      issues: [],
+      warnings: []
+    };
+    const types = new Set();
+
     pages.forEach(page => {
-      if (page.structuredData && page.structuredData.length > 0) {
-        structuredData.pagesWithData++;
-        page.structuredData.forEach(data => {
-          if (data['@type']) {
-            structuredData.types.push(data['@type']);
-          }
-        });
+      const items = page.structuredData || [];
+      const parseErrors = page.structuredDataErrors || [];
+      if (items.length > 0) structuredData.pagesWithData++;
+
+      const validated = items.map(item => {
+        item.types.forEach(type => types.add(type));
+        structuredData.formats[item.format]++;
+        return validateStructuredDataItem(item);
+      });
+      const errors = [...parseErrors, ...validated.flatMap(item => item.issues)];
+      const warnings = validated.flatMap(item => item.warnings);
+
+      structuredData.errorCount += errors.length;
+      structuredData.warningCount += warnings.length;
+      errors.forEach(error => structuredData.issues.push(`${page.url}: ${error}`));
+      warnings.forEach(warning => structuredData.warnings.push(`${page.url}: ${warning}`));
+      if (items.length > 0 || parseErrors.length > 0) {
+        structuredData.pages.push({ url: page.url, items: validated, issues: errors, warnings });
       }
     });
-    
+
+    structuredData.types = [...types];
     return structuredData;
   }
 
-  analyzeContentQuality(pages) {
-    const quality = { averageWordCount: 0, readabilityScores: [] };
+  /**
+   * Word counts and readability per page: Flesch Reading Ease, FK Grade,
+   * Gunning Fog, SMOG and Coleman-Liau, per-paragraph scores and the
+   * hardest paragraphs with what makes them hard. `keyTerms` are the
+   * site's highest TF-IDF terms.
+   */
+  analyzeContentQuality(pages, termIndex = this.buildTermIndex(pages)) {
+    const quality = {
+      averageWordCount: 0,
+      readabilityScores: [],
+      hardestParagraphs: [],
+      keyTerms: topTerms(termIndex)
+    };
     
     let totalWords = 0;
     pages.forEach(page => {
       totalWords += page.wordCount;
+      const readability = analyzeDocument(page);
       quality.readabilityScores.push({
         url: page.url,
-        score: 75 // Placeholder readability score
+        score: readability.score,
+        ...readability.scores,
+        paragraphs: readability.paragraphs,
+        hardestParagraphs: readability.hardestParagraphs
+      });
+      readability.hardestParagraphs.forEach(paragraph => {
+        quality.hardestParagraphs.push({ url: page.url, ...paragraph });
       });
     });
     
-    quality.averageWordCount = Math.round(totalWords / pages.length);
+    quality.hardestParagraphs = quality.hardestParagraphs
+      .sort((a, b) => a.score - b.score)
+      .slice(0, 5);
+    quality.averageWordCount = pages.length > 0 ? Math.round(totalWords / pages.length) : 0;
     return quality;
   }
 
+  /**
+   * Per-page recommendations (the first `maxAiPages` pages, in parallel
+   * batches of `aiPageConcurrency`), then site insights built from them.
+   * Output is validated against a schema, with heuristic fallbacks per
+   * field; `sources` marks which is which.
+   */
   async generateAiInsights(analysis) {
-    this.initializeOpenAI();
-    
-    const combinedContent = analysis.pages
-      .map(page => page.content)
-      .join('\n\n')
-      .substring(0, 8000);
-    
-    const prompt = `
-Analyze this website content for SEO and AI visibility:
-
-Content: ${combinedContent}
-
-Provide JSON with:
-{
-  "aiVisibilityScore": 0-100,
-  "aiSummary": "concise summary",
-  "optimizedTitle": "optimized title",
-  "optimizedDescription": "optimized description",
-  "suggestedFaqs": [{"question": "Q", "answer": "A"}],
-  "contentSuggestions": ["suggestions"]
-}
-`;
-    
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-      });
-      
-      return JSON.parse(response.choices[0].message.content);
-    } catch (error) {
-      return {
-        error: true,
-        message: 'Failed to generate AI insights',
-        details: error.message
-      };
-    }
+    const llm = this.getLlmClient();
+    const pages = await buildPageRecommendations(llm, analysis, {
+      concurrency: this.aiPageConcurrency,
+      maxPages: this.maxAiPages
+    });
+    const insights = await buildAiInsights(llm, analysis, pages);
+    return { ...insights, pages };
   }
 }
 
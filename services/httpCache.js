@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * On-disk cache of fetched pages keyed by URL. Only responses carrying an
+ * ETag or Last-Modified are stored, since those are the only ones we can
+ * cheaply revalidate with a conditional request.
+ *
+ * Entries older than HTTP_CACHE_TTL_DAYS (default 7) are ignored and
+ * removed, and the directory is kept under HTTP_CACHE_MAX_MB (default 200)
+ * by evicting the least recently written entries.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Analyzers each create a cache; prune a directory at most once per interval
+const lastPruneByDir = new Map();
+
+export class HttpCache {
+  constructor(dir = process.env.HTTP_CACHE_DIR || '.cache/http', options = {}) {
+    this.dir = path.resolve(dir);
+    this.ttlMs = options.ttlMs ?? envNumber('HTTP_CACHE_TTL_DAYS', 7) * DAY_MS;
+    this.maxBytes = options.maxBytes ?? envNumber('HTTP_CACHE_MAX_MB', 200) * 1024 * 1024;
+  }
+
+  filePath(url) {
+    const key = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  async get(url) {
+    const file = this.filePath(url);
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (entry.url !== url) return null;
+      if (Date.now() - new Date(entry.storedAt).getTime() > this.ttlMs) {
+        await fs.promises.rm(file, { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(url, { status, headers, body }) {
+    const etag = headers.etag;
+    const lastModified = headers['last-modified'];
+    if (!etag && !lastModified) return;
+
+    const file = this.filePath(url);
+    const entry = {
+      url,
+      status,
+      etag,
+      lastModified,
+      headers: {
+        'content-type': headers['content-type'],
+        'x-robots-tag': headers['x-robots-tag']
+      },
+      body,
+      storedAt: new Date().toISOString()
+    };
+
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(entry));
+    } catch (error) {
+      console.warn(`⚠️ Failed to write HTTP cache for ${url}: ${error.message}`);
+      return;
+    }
+
+    const lastPrune = lastPruneByDir.get(this.dir) || 0;
+    if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+      lastPruneByDir.set(this.dir, Date.now());
+      this.prune().catch(error => console.warn(`⚠️ Failed to prune HTTP cache: ${error.message}`));
+    }
+  }
+
+  /**
+   * Remove expired entries, then the oldest ones until the cache fits in
+   * `maxBytes`. Resolves to `{ removed, bytes }` (bytes left).
+   */
+  async prune(now = Date.now()) {
+    const entries = [];
+    let buckets;
+    try {
+      buckets = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { removed: 0, bytes: 0 };
+      throw error;
+    }
+    for (const bucket of buckets) {
+      const bucketDir = path.join(this.dir, bucket);
+      let names;
+      try {
+        names = await fs.promises.readdir(bucketDir);
+      } catch (error) {
+        continue;
+      }
+      for (const name of names) {
+        const file = path.join(bucketDir, name);
+        try {
+          const stat = await fs.promises.stat(file);
+          if (stat.isFile()) entries.push({ file, size: stat.size, mtimeMs: stat.mtimeMs });
+        } catch (error) {
+          // Removed by a concurrent prune
+        }
+      }
+    }
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let removed = 0;
+    for (const entry of entries) {
+      if (now - entry.mtimeMs <= this.ttlMs && bytes <= this.maxBytes) break;
+      await fs.promises.rm(entry.file, { force: true });
+      bytes -= entry.size;
+      removed++;
+    }
+    return { removed, bytes };
+  }
+
+  /**
+   * Conditional request headers for a cached entry.
+   */
+  validators(entry) {
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+}
@@ -0,0 +1,221 @@
+import axios from 'axios';
+import { URL } from 'url';
+import { HttpCache } from './httpCache.js';
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const MAX_REDIRECTS = 10;
+export const DEFAULT_MAX_CONTENT_LENGTH = 5 * 1024 * 1024;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polite HTTP client for the crawler:
+ * - at most `concurrency` requests in flight
+ * - at least `hostInterval` ms between requests to the same host
+ * - retries with exponential backoff on 408/429/5xx and network errors,
+ *   honouring Retry-After
+ * - follows redirects itself so the full chain is recorded
+ * - revalidates cached pages with ETag / Last-Modified
+ * - refuses bodies over `maxContentLength` bytes (CRAWL_MAX_BYTES, default
+ *   5 MB) with code RESPONSE_TOO_LARGE, so one huge page cannot exhaust memory
+ */
+export class HttpFetcher {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent;
+    this.timeout = options.timeout || 15000;
+    this.concurrency = options.concurrency || 3;
+    this.hostInterval = options.hostInterval ?? (parseInt(process.env.CRAWL_HOST_INTERVAL_MS, 10) || 250);
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelay = options.retryBaseDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 30000;
+    this.maxContentLength = options.maxContentLength
+      || parseInt(process.env.CRAWL_MAX_BYTES, 10)
+      || DEFAULT_MAX_CONTENT_LENGTH;
+    this.cache = options.cache === false || process.env.HTTP_CACHE === 'false'
+      ? null
+      : options.cache || new HttpCache();
+
+    this.active = 0;
+    this.waiting = [];
+    this.nextSlotByHost = new Map();
+  }
+
+  /**
+   * Raise the per-host spacing, e.g. to honour a robots.txt crawl-delay.
+   */
+  setHostInterval(ms) {
+    this.hostInterval = Math.max(this.hostInterval, ms);
+  }
+
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async waitForHost(host) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotByHost.get(host) || 0);
+    this.nextSlotByHost.set(host, slot + this.hostInterval);
+    if (slot > now) await sleep(slot - now);
+  }
+
+  retryDelay(attempt, response) {
+    const retryAfter = response?.headers['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (ms > 0) return Math.min(ms, this.maxRetryDelay);
+    }
+    const backoff = this.retryBaseDelay * 2 ** attempt;
+    return Math.min(backoff + Math.random() * this.retryBaseDelay, this.maxRetryDelay);
+  }
+
+  /**
+   * One HTTP request (no redirect following), timed to first byte and to
+   * the end of the body.
+   */
+  async request(url, headers, method = 'GET') {
+    await this.acquire();
+    await this.waitForHost(new URL(url).host);
+    const startedAt = Date.now();
+    try {
+      const response = await axios.request({
+        url,
+        method,
+        timeout: this.timeout,
+        headers: { 'User-Agent': this.userAgent, ...headers },
+        maxRedirects: 0,
+        responseType: 'stream',
+        validateStatus: () => true
+      });
+      const ttfbMs = Date.now() - startedAt;
+
+      const tooLarge = () => {
+        response.data.destroy();
+        return Object.assign(
+          new Error(`Response from ${url} is larger than ${this.maxContentLength} bytes`),
+          { code: 'RESPONSE_TOO_LARGE' }
+        );
+      };
+      if (parseInt(response.headers['content-length'], 10) > this.maxContentLength) throw tooLarge();
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.data) {
+        size += chunk.length;
+        if (size > this.maxContentLength) throw tooLarge();
+        chunks.push(chunk);
+      }
+      const body = Buffer.concat(chunks);
+
+      return {
+        status: response.status,
+        headers: response.headers,
+        body,
+        timing: { ttfbMs, totalMs: Date.now() - startedAt }
+      };
+    } finally {
+      this.release();
+    }
+  }
+
+  async requestWithRetry(url, headers, method) {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      try {
+        response = await this.request(url, headers, method);
+        if (!RETRYABLE_STATUS.has(response.status) || attempt >= this.maxRetries) {
+          return { ...response, attempts: attempt + 1 };
+        }
+      } catch (error) {
+        if (attempt >= this.maxRetries || error.code === 'RESPONSE_TOO_LARGE') throw error;
+      }
+
+      const delay = this.retryDelay(attempt, response);
+      console.warn(`🔁 Retrying ${url} in ${Math.round(delay)}ms (${response ? `HTTP ${response.status}` : 'network error'})`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * GET `url` (or HEAD, with `{ method: 'HEAD' }`), following redirects.
+   * Resolves for any final status; callers decide what counts as failure.
+   * Redirect loops and overlong chains reject with `code` REDIRECT_LOOP or
+   * TOO_MANY_REDIRECTS and the chain so far.
+   */
+  async fetch(url, { method = 'GET' } = {}) {
+    const cache = method === 'GET' ? this.cache : null;
+    const redirectChain = [];
+    const seen = new Set();
+    let currentUrl = url;
+    let totalMs = 0;
+    let ttfbMs = null;
+
+    for (;;) {
+      if (seen.has(currentUrl)) {
+        throw Object.assign(new Error(`Redirect loop at ${currentUrl}`), { code: 'REDIRECT_LOOP', redirectChain });
+      }
+      if (redirectChain.length > MAX_REDIRECTS) {
+        throw Object.assign(new Error(`Too many redirects (>${MAX_REDIRECTS})`), { code: 'TOO_MANY_REDIRECTS', redirectChain });
+      }
+      seen.add(currentUrl);
+
+      const cached = cache ? await cache.get(currentUrl) : null;
+      const response = await this.requestWithRetry(currentUrl, cache ? cache.validators(cached) : {}, method);
+      totalMs += response.timing.totalMs;
+      if (ttfbMs === null) ttfbMs = response.timing.ttfbMs;
+
+      if (response.status >= 300 && response.status < 400 && response.status !== 304 && response.headers.location) {
+        const location = new URL(response.headers.location, currentUrl).href;
+        redirectChain.push({ url: currentUrl, status: response.status, location });
+        currentUrl = location;
+        continue;
+      }
+
+      if (response.status === 304 && cached) {
+        return {
+          url: currentUrl,
+          status: cached.status,
+          headers: { ...cached.headers, ...response.headers },
+          body: cached.body,
+          contentSize: Buffer.byteLength(cached.body),
+          transferSize: response.body.length,
+          redirectChain,
+          timing: { ttfbMs, totalMs },
+          attempts: response.attempts,
+          fromCache: true
+        };
+      }
+
+      const body = response.body.toString('utf8');
+      if (cache && response.status === 200) {
+        await cache.set(currentUrl, { status: response.status, headers: response.headers, body });
+      }
+
+      return {
+        url: currentUrl,
+        status: response.status,
+        headers: response.headers,
+        body,
+        contentSize: response.body.length,
+        transferSize: parseInt(response.headers['content-length'], 10) || response.body.length,
+        redirectChain,
+        timing: { ttfbMs, totalMs },
+        attempts: response.attempts,
+        fromCache: false
+      };
+    }
+  }
+}
@@ -0,0 +1,174 @@
+import { EventEmitter } from 'events';
+import Job from '../models/Job.js';
+import { runAnalysisPipeline, compactAnalysisResult } from './analysisPipeline.js';
+import { releaseAnalysis, currentPeriod } from './usage.js';
+
+/**
+ * Background analysis jobs.
+ * Jobs are persisted in MongoDB (next to Report) so their state survives a
+ * restart; live progress is fanned out in-process through an EventEmitter
+ * for the Server-Sent Events endpoint.
+ */
+const MAX_CONCURRENT_JOBS = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const MAX_ATTEMPTS = 3;
+
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const pending = [];
+let active = 0;
+
+export function serializeJob(job) {
+  return {
+    id: job._id,
+    status: job.status,
+    stage: job.stage,
+    request: job.request,
+    progress: job.progress,
+    attempts: job.attempts,
+    reportId: job.report || null,
+    pdfUrl: job.pdfUrl || null,
+    result: job.result || null,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+  };
+}
+
+export function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+/**
+ * Queue an analysis for `tenant` (an id), whose quota the caller has
+ * already reserved; it is released if the job fails.
+ */
+export async function submitAnalysisJob({ url, keywords, crawl, competitors = [], tenant }) {
+  const job = await Job.create({ request: { url, keywords, crawl, competitors }, tenant });
+  enqueue(job._id);
+  return job;
+}
+
+/**
+ * Subscribe to progress events for a single job.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToJob(jobId, listener) {
+  const eventName = `job:${jobId}`;
+  jobEvents.on(eventName, listener);
+  return () => jobEvents.off(eventName, listener);
+}
+
+/**
+ * Re-queue jobs that were queued or mid-run when the process stopped.
+ * Call once after the database connection is established.
+ */
+export async function resumeInterruptedJobs() {
+  const jobs = await Job.find({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+
+  for (const job of jobs) {
+    if (job.attempts >= MAX_ATTEMPTS) {
+      await updateJob(job._id, {
+        status: 'failed',
+        stage: 'failed',
+        error: `Gave up after ${job.attempts} attempts`,
+        finishedAt: new Date(),
+      });
+      await releaseJobQuota(job);
+      continue;
+    }
+    await updateJob(job._id, { status: 'queued', stage: 'queued' });
+    enqueue(job._id);
+  }
+
+  if (jobs.length > 0) {
+    console.log(`🔁 Resumed ${jobs.length} interrupted job(s)`);
+  }
+}
+
+function enqueue(jobId) {
+  pending.push(jobId);
+  drain();
+}
+
+function drain() {
+  while (active < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const jobId = pending.shift();
+    active++;
+    processJob(jobId)
+      .catch(error => console.error(`❌ Job ${jobId} crashed:`, error))
+      .finally(() => {
+        active--;
+        drain();
+      });
+  }
+}
+
+async function updateJob(jobId, update) {
+  const job = await Job.findByIdAndUpdate(jobId, update, { new: true });
+  if (job) {
+    jobEvents.emit(`job:${jobId}`, serializeJob(job));
+  }
+  return job;
+}
+
+async function processJob(jobId) {
+  const job = await updateJob(jobId, {
+    status: 'running',
+    stage: 'crawling',
+    error: null,
+    startedAt: new Date(),
+    $inc: { attempts: 1 },
+  });
+  if (!job) return;
+
+  // Progress callbacks fire synchronously from the analyzer; chain the
+  // writes so they land in order.
+  let writes = Promise.resolve();
+  const onProgress = ({ stage, pagesCrawled, maxPages, url }) => {
+    const update = { stage };
+    if (pagesCrawled !== undefined) update['progress.pagesCrawled'] = pagesCrawled;
+    if (maxPages !== undefined) update['progress.maxPages'] = maxPages;
+    if (url) update['progress.currentUrl'] = url;
+    writes = writes.then(() => updateJob(jobId, update)).catch(error => {
+      console.warn(`⚠️ Failed to record progress for job ${jobId}: ${error.message}`);
+    });
+  };
+
+  try {
+    const { analysisResult, report, pdfUrl } = await runAnalysisPipeline(
+      { ...job.request.toObject(), tenant: job.tenant },
+      { onProgress }
+    );
+    await writes;
+    await updateJob(jobId, {
+      status: 'completed',
+      stage: 'completed',
+      report: report._id,
+      pdfUrl,
+      result: compactAnalysisResult(analysisResult),
+      finishedAt: new Date(),
+    });
+  } catch (error) {
+    await writes;
+    console.error(`❌ Job ${jobId} failed:`, error);
+    await updateJob(jobId, {
+      status: 'failed',
+      stage: 'failed',
+      error: error.message,
+      finishedAt: new Date(),
+    });
+    await releaseJobQuota(job);
+  }
+}
+
+// A failed job does not count towards the monthly quota
+async function releaseJobQuota(job) {
+  if (!job.tenant) return;
+  try {
+    await releaseAnalysis(job.tenant, currentPeriod(job.createdAt));
+  } catch (error) {
+    console.warn(`⚠️ Failed to release quota for job ${job._id}: ${error.message}`);
+  }
+}
@@ -0,0 +1,237 @@
+import { URL } from 'url';
+import { urlKey } from '../utils/urlUtils.js';
+
+/**
+ * Link health for a crawl: HTTP status of every linked URL (broken links,
+ * redirect chains and loops), insecure http links from https pages, and the
+ * internal link graph (inbound counts, orphaned sitemap pages, anchor text).
+ */
+const GENERIC_ANCHORS = new Set([
+  'click here', 'here', 'read more', 'more', 'learn more', 'this', 'link',
+  'this page', 'continue', 'go', 'details', 'more info'
+]);
+const MAX_SOURCES = 10;
+const MAX_ANCHORS = 10;
+
+/**
+ * HEAD a URL through `fetcher` (GET when HEAD is not supported). Never
+ * throws; network errors and redirect loops come back in the result.
+ */
+export async function checkLink(fetcher, url) {
+  try {
+    let response = await fetcher.fetch(url, { method: 'HEAD' });
+    if (response.status === 405 || response.status === 501) {
+      response = await fetcher.fetch(url);
+    }
+    return {
+      status: response.status,
+      finalUrl: response.url,
+      redirectChain: response.redirectChain,
+      redirectLoop: false,
+      error: null
+    };
+  } catch (error) {
+    return {
+      status: null,
+      finalUrl: null,
+      redirectChain: error.redirectChain || [],
+      redirectLoop: error.code === 'REDIRECT_LOOP',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Who links to what. Internal links are resolved to the crawled page they
+ * reach (via its URL, final URL or canonical, compared by `urlKey`) so
+ * redirects, canonical and trailing-slash variants count towards the same
+ * page.
+ */
+export function buildLinkGraph(pages) {
+  const aliases = new Map();
+  pages.forEach(page => {
+    [page.url, page.finalUrl, page.canonicalUrl].map(alias => alias && urlKey(alias)).forEach(alias => {
+      if (alias && !aliases.has(alias)) aliases.set(alias, page.url);
+    });
+  });
+
+  const targets = new Map(); // linked URL -> { url, internal, sources }
+  const inbound = new Map(); // page URL -> Set of linking pages
+  const anchors = new Map(); // page URL -> Map of anchor text -> count
+  let total = 0;
+
+  pages.forEach(page => {
+    (page.outlinks || []).forEach(link => {
+      total++;
+      if (!targets.has(link.url)) {
+        targets.set(link.url, { url: link.url, internal: link.internal, sources: new Set() });
+      }
+      targets.get(link.url).sources.add(page.url);
+      if (!link.internal) return;
+
+      const target = aliases.get(urlKey(link.url)) || link.url;
+      if (target === page.url) return;
+      if (!inbound.has(target)) inbound.set(target, new Set());
+      inbound.get(target).add(page.url);
+
+      if (!anchors.has(target)) anchors.set(target, new Map());
+      const text = link.text.toLowerCase();
+      anchors.get(target).set(text, (anchors.get(target).get(text) || 0) + 1);
+    });
+  });
+
+  return { aliases, targets, inbound, anchors, total };
+}
+
+function describeStatus(result) {
+  if (result.redirectLoop) return 'redirect loop';
+  if (result.status) return `HTTP ${result.status}`;
+  return result.error;
+}
+
+/**
+ * Audit links across crawled `pages`.
+ * - `site`: output of `discoverSite` after the crawl (sitemap URLs and
+ *   crawl failures are reused rather than fetched again)
+ * - `shouldCheck(url, internal)`: whether a URL may be requested
+ * - `maxChecks`: cap on extra requests for links the crawl did not cover
+ */
+export async function auditLinks(pages, { site = null, fetcher, shouldCheck = () => true, maxChecks = 100 } = {}) {
+  const graph = buildLinkGraph(pages);
+  const issues = [];
+
+  // Statuses the crawl already knows
+  const known = new Map();
+  pages.forEach(page => {
+    known.set(page.url, {
+      status: page.status,
+      finalUrl: page.finalUrl,
+      redirectChain: page.redirectChain || [],
+      redirectLoop: false,
+      error: null
+    });
+  });
+  (site?.failedUrls || []).forEach(failure => {
+    known.set(failure.url, {
+      status: failure.status,
+      finalUrl: null,
+      redirectChain: failure.redirectChain || [],
+      redirectLoop: failure.code === 'REDIRECT_LOOP',
+      error: failure.status ? null : failure.error
+    });
+  });
+
+  const toCheck = [...graph.targets.values()]
+    .filter(target => !known.has(target.url) && shouldCheck(target.url, target.internal))
+    .slice(0, maxChecks);
+  const checked = await Promise.all(toCheck.map(target => checkLink(fetcher, target.url)));
+  toCheck.forEach((target, i) => known.set(target.url, checked[i]));
+
+  const results = [];
+  let unchecked = 0;
+  for (const target of graph.targets.values()) {
+    const result = known.get(target.url);
+    if (!result) {
+      unchecked++;
+      continue;
+    }
+    const sources = [...target.sources];
+    const entry = {
+      url: target.url,
+      internal: target.internal,
+      ...result,
+      broken: result.redirectLoop || !result.status || result.status >= 400,
+      sources: sources.slice(0, MAX_SOURCES),
+      sourceCount: sources.length
+    };
+    results.push(entry);
+
+    const linkedFrom = `linked from ${sources.length} page${sources.length === 1 ? '' : 's'}`;
+    const hops = entry.redirectChain.length;
+    if (entry.broken) {
+      issues.push(`${entry.url}: Broken link (${describeStatus(entry)}), ${linkedFrom}`);
+    } else if (hops > 1) {
+      issues.push(`${entry.url}: Redirect chain of ${hops} hops to ${entry.finalUrl}, ${linkedFrom}`);
+    } else if (hops === 1 && entry.internal && urlKey(entry.url) !== urlKey(entry.finalUrl)) {
+      // A redirect that only adds or drops the trailing slash is the site's
+      // URL style, not something to fix on every link
+      issues.push(`${entry.url}: Internal link redirects to ${entry.finalUrl}, ${linkedFrom}`);
+    }
+  }
+
+  // http links on https pages
+  const mixedContent = [];
+  pages.forEach(page => {
+    if (new URL(page.finalUrl || page.url).protocol !== 'https:') return;
+    (page.outlinks || [])
+      .filter(link => new URL(link.url).protocol === 'http:')
+      .forEach(link => {
+        mixedContent.push({ page: page.url, url: link.url });
+        issues.push(`${page.url}: Insecure http link to ${link.url}`);
+      });
+  });
+
+  // Anchor text: empty or generic anchors on internal links
+  pages.forEach(page => {
+    (page.outlinks || []).filter(link => link.internal).forEach(link => {
+      if (!link.text) {
+        issues.push(`${page.url}: Link to ${link.url} has no anchor text`);
+      } else if (GENERIC_ANCHORS.has(link.text.toLowerCase())) {
+        issues.push(`${page.url}: Generic anchor text "${link.text}" for ${link.url}`);
+      }
+    });
+  });
+  const anchorText = [...graph.anchors.entries()].map(([url, counts]) => ({
+    url,
+    anchors: [...counts.entries()]
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, MAX_ANCHORS)
+      .map(([text, count]) => ({ text, count }))
+  }));
+
+  const inbound = pages.map(page => ({
+    url: page.url,
+    count: graph.inbound.get(page.url)?.size || 0
+  }));
+
+  // Sitemap pages no crawled page links to (the start page needs no links).
+  // Only meaningful when the crawl reached every sitemap URL: a page linked
+  // solely from pages outside the page budget would look orphaned.
+  const startUrl = pages[0]?.url;
+  const attempted = new Set([
+    ...(site?.failedUrls || []).map(failure => failure.url),
+    ...(site?.blockedUrls || [])
+  ].map(link => urlKey(link) || link));
+  const sitemapUrls = [...new Set((site?.sitemap.urls || []).map(link => urlKey(link) || link))];
+  const uncrawled = sitemapUrls.filter(link => !graph.aliases.has(link) && !attempted.has(link));
+  const orphanCheck = { checked: sitemapUrls.length > 0 && uncrawled.length === 0, reason: null };
+  let orphanedSitemapPages = [];
+  if (orphanCheck.checked) {
+    orphanedSitemapPages = sitemapUrls.filter(link => {
+      const page = graph.aliases.get(link);
+      return page && page !== startUrl && !graph.inbound.has(page);
+    });
+    orphanedSitemapPages.forEach(link => issues.push(`${link}: Sitemap page not linked from any crawled page`));
+  } else if (uncrawled.length > 0) {
+    const coverage = `reached ${sitemapUrls.length - uncrawled.length} of ${sitemapUrls.length} sitemap URLs`;
+    orphanCheck.reason = `The crawl ${coverage}`;
+    issues.push(`Orphaned sitemap pages not checked: the crawl ${coverage}; raise crawl.maxPages to cover the sitemap`);
+  }
+
+  return {
+    total: graph.total,
+    internal: results.filter(result => result.internal).length,
+    external: results.filter(result => !result.internal).length,
+    unchecked,
+    broken: results.filter(result => result.broken).length,
+    redirected: results.filter(result => !result.broken && result.redirectChain.length > 0).length,
+    redirectLoops: results.filter(result => result.redirectLoop).length,
+    results,
+    mixedContent,
+    inbound,
+    orphanedSitemapPages,
+    orphanCheck,
+    anchorText,
+    issues
+  };
+}
@@ -0,0 +1,264 @@
+import OpenAI from 'openai';
+
+/**
+ * LLM access for every AI feature (insights, rewrites), behind pluggable
+ * providers:
+ * - `openai`: the OpenAI API (OPENAI_API_KEY)
+ * - `openai-compatible`: any server speaking the OpenAI chat API, e.g. a
+ *   local Ollama or llama.cpp server (LLM_BASE_URL, optional LLM_API_KEY)
+ * - `stub`: deterministic offline responses for tests and CI
+ *
+ * Pick one with LLM_PROVIDER (default `openai`) and add more with
+ * `registerLlmProvider`. A provider is `{ name, complete(request) }`, where
+ * `complete` resolves to `{ content, usage: { promptTokens, completionTokens } }`.
+ *
+ * Each task (`insights`, `page`, `rewrite`, ...) has its own model, temperature,
+ * timeout and output limit, overridable with LLM_MODEL or
+ * LLM_<TASK>_MODEL / _TEMPERATURE / _TIMEOUT_MS / _MAX_TOKENS.
+ */
+const providers = new Map();
+
+export function registerLlmProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+export function createLlmProvider(name = process.env.LLM_PROVIDER || 'openai') {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return factory();
+}
+
+export const DEFAULT_TASKS = {
+  insights: { model: 'gpt-4o-mini', temperature: 0.3, timeout: 60000, maxTokens: 1500 },
+  page: { model: 'gpt-4o-mini', temperature: 0.3, timeout: 45000, maxTokens: 800 },
+  rewrite: { model: 'gpt-4o-mini', temperature: 0.7, timeout: 30000, maxTokens: 800 },
+  benchmark: { model: 'gpt-4o-mini', temperature: 0.3, timeout: 60000, maxTokens: 1200 },
+  default: { model: 'gpt-4o-mini', temperature: 0.5, timeout: 30000, maxTokens: 1000 }
+};
+
+// OpenAI list prices, USD per million tokens. Other providers (local
+// servers, the stub) cost nothing unless LLM_PRICE_INPUT / LLM_PRICE_OUTPUT
+// are set.
+const PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough count for budgeting before the provider reports real usage
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+function envNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? undefined : value;
+}
+
+export function priceFor(model, provider = 'openai') {
+  const input = envNumber('LLM_PRICE_INPUT');
+  const output = envNumber('LLM_PRICE_OUTPUT');
+  if (input !== undefined || output !== undefined) {
+    return { input: input || 0, output: output || 0 };
+  }
+  if (provider !== 'openai') return { input: 0, output: 0 };
+  // Longest prefix first, so "gpt-4o-mini-2024-07-18" is priced as gpt-4o-mini
+  const match = Object.keys(PRICES)
+    .sort((a, b) => b.length - a.length)
+    .find(name => model.startsWith(name));
+  return match ? PRICES[match] : { input: 0, output: 0 };
+}
+
+function openAiProvider(name, client) {
+  return {
+    name,
+    async complete({ model, messages, temperature, timeout, maxTokens, json }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      }, { timeout, maxRetries: 0 });
+      return {
+        content: response.choices[0]?.message?.content || '',
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+registerLlmProvider('openai', () => openAiProvider('openai', new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+})));
+
+registerLlmProvider('openai-compatible', () => {
+  if (!process.env.LLM_BASE_URL) {
+    throw new Error('LLM_BASE_URL is not configured');
+  }
+  return openAiProvider('openai-compatible', new OpenAI({
+    baseURL: process.env.LLM_BASE_URL,
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: process.env.LLM_API_KEY || 'not-needed'
+  }));
+});
+
+// Answers with the request's `stub(messages)` when given, so each task
+// controls its offline output; otherwise `{}` for JSON or an echo.
+registerLlmProvider('stub', () => ({
+  name: 'stub',
+  async complete({ messages, json, stub }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const content = stub ? stub(messages) : (json ? '{}' : messages[messages.length - 1].content);
+    return {
+      content,
+      usage: { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(content) }
+    };
+  }
+}));
+
+function isRetryable(error) {
+  if (error.code === 'LLM_BUDGET_EXCEEDED') return false;
+  // No status means a network error or timeout
+  return !error.status || RETRYABLE_STATUS.has(error.status);
+}
+
+/**
+ * One client per report run: applies the task settings, retries transient
+ * failures, keeps the run within `tokenBudget` (LLM_TOKEN_BUDGET, 0 for no
+ * limit) and records token usage and cost, see `usageSummary`.
+ */
+export class LlmClient {
+  constructor(options = {}) {
+    // Created on first use, so a missing API key only fails the AI steps
+    this.provider = typeof options.provider === 'object' ? options.provider : null;
+    this.providerName = this.provider?.name || options.provider || process.env.LLM_PROVIDER || 'openai';
+    this.tasks = options.tasks || {};
+    this.tokenBudget = options.tokenBudget ?? envNumber('LLM_TOKEN_BUDGET') ?? 50000;
+    this.maxRetries = options.maxRetries ?? envNumber('LLM_MAX_RETRIES') ?? 2;
+    this.retryBaseDelay = options.retryBaseDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 20000;
+    this.reserved = 0; // tokens held by requests in flight
+    this.usage = { requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, byTask: new Map() };
+  }
+
+  taskConfig(task) {
+    const prefix = `LLM_${task.toUpperCase()}_`;
+    const base = { ...(DEFAULT_TASKS[task] || DEFAULT_TASKS.default), ...this.tasks[task] };
+    return {
+      model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || base.model,
+      temperature: envNumber(`${prefix}TEMPERATURE`) ?? base.temperature,
+      timeout: envNumber(`${prefix}TIMEOUT_MS`) ?? base.timeout,
+      maxTokens: envNumber(`${prefix}MAX_TOKENS`) ?? base.maxTokens
+    };
+  }
+
+  get tokensUsed() {
+    return this.usage.promptTokens + this.usage.completionTokens;
+  }
+
+  /**
+   * Output tokens the next request may use, or throws LLM_BUDGET_EXCEEDED
+   * when the prompt alone would not fit. Tokens for requests in flight are
+   * held back so parallel requests cannot overrun the budget together.
+   */
+  reserveTokens(task, prompt, maxTokens) {
+    if (!this.tokenBudget) return maxTokens;
+    const remaining = this.tokenBudget - this.tokensUsed - this.reserved - estimateTokens(prompt);
+    if (remaining < Math.min(maxTokens, 100)) {
+      const error = new Error(`LLM token budget of ${this.tokenBudget} exhausted (${this.tokensUsed} used, ${this.reserved} reserved) before "${task}"`);
+      error.code = 'LLM_BUDGET_EXCEEDED';
+      throw error;
+    }
+    return Math.min(maxTokens, remaining);
+  }
+
+  record(task, model, usage) {
+    const price = priceFor(model, this.providerName);
+    const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+    this.usage.requests++;
+    this.usage.promptTokens += usage.promptTokens;
+    this.usage.completionTokens += usage.completionTokens;
+    this.usage.costUsd += cost;
+
+    const key = `${task}:${model}`;
+    if (!this.usage.byTask.has(key)) {
+      this.usage.byTask.set(key, { task, model, requests: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+    }
+    const entry = this.usage.byTask.get(key);
+    entry.requests++;
+    entry.promptTokens += usage.promptTokens;
+    entry.completionTokens += usage.completionTokens;
+    entry.costUsd += cost;
+  }
+
+  retryDelay(attempt, error) {
+    const retryAfter = Number(error.headers?.['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, this.maxRetryDelay);
+    const backoff = this.retryBaseDelay * 2 ** attempt;
+    return Math.min(backoff + Math.random() * this.retryBaseDelay, this.maxRetryDelay);
+  }
+
+  /**
+   * Run a chat completion for `task`. `json` asks for a JSON object;
+   * `stub(messages)` supplies the offline stub's answer.
+   * Resolves to `{ content, model, usage }`.
+   */
+  async complete(task, messages, { json = false, stub } = {}) {
+    const config = this.taskConfig(task);
+    const prompt = messages.map(message => message.content).join('\n');
+    const maxTokens = this.reserveTokens(task, prompt, config.maxTokens);
+    if (!this.provider) this.provider = createLlmProvider(this.providerName);
+
+    const reservation = estimateTokens(prompt) + maxTokens;
+    this.reserved += reservation;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await this.provider.complete({ ...config, maxTokens, messages, json, stub });
+          this.record(task, config.model, result.usage);
+          return { content: result.content, model: config.model, usage: result.usage };
+        } catch (error) {
+          if (attempt >= this.maxRetries || !isRetryable(error)) {
+            this.usage.failures++;
+            throw error;
+          }
+          const delay = this.retryDelay(attempt, error);
+          console.warn(`🔁 Retrying ${task} LLM request in ${Math.round(delay)}ms (${error.status ? `HTTP ${error.status}` : error.message})`);
+          await sleep(delay);
+        }
+      }
+    } finally {
+      this.reserved -= reservation;
+    }
+  }
+
+  /**
+   * Usage for the run, as stored on the report.
+   */
+  usageSummary() {
+    const round = (cost) => Number(cost.toFixed(6));
+    return {
+      provider: this.providerName,
+      requests: this.usage.requests,
+      failures: this.usage.failures,
+      promptTokens: this.usage.promptTokens,
+      completionTokens: this.usage.completionTokens,
+      totalTokens: this.tokensUsed,
+      tokenBudget: this.tokenBudget,
+      costUsd: round(this.usage.costUsd),
+      byTask: [...this.usage.byTask.values()].map(entry => ({ ...entry, costUsd: round(entry.costUsd) }))
+    };
+  }
+}
@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import { withBrowserPage } from './browserPool.js';
+
+/**
+ * Mobile-friendliness audit: viewport meta check plus a render at a phone
+ * viewport that looks for horizontal overflow, small or overlapping tap
+ * targets, illegible font sizes and fixed-width elements.
+ * Set MOBILE_SCREENSHOT_DIR to keep a screenshot of each audited page.
+ */
+const MOBILE_VIEWPORT = { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true };
+const MIN_TAP_TARGET = 48; // CSS px, per Google's guidance
+const MIN_FONT_SIZE = 12; // CSS px
+const MIN_LEGIBLE_RATIO = 0.6; // share of text that must be legible
+const MAX_EXAMPLES = 10;
+
+export function checkViewportMeta(content) {
+  const issues = [];
+  if (!content) {
+    return { present: false, content: null, issues: ['Missing viewport meta tag'] };
+  }
+
+  const settings = Object.fromEntries(content.split(',').map(part => {
+    const [key, value = ''] = part.split('=').map(item => item.trim().toLowerCase());
+    return [key, value];
+  }));
+  if (settings.width !== 'device-width') {
+    issues.push(`Viewport width is "${settings.width || 'unset'}" instead of device-width`);
+  }
+  if (settings['user-scalable'] === 'no' || settings['user-scalable'] === '0') {
+    issues.push('Viewport disables zooming (user-scalable=no)');
+  }
+  if (settings['maximum-scale'] && parseFloat(settings['maximum-scale']) < 2) {
+    issues.push(`Viewport limits zoom (maximum-scale=${settings['maximum-scale']})`);
+  }
+
+  return { present: true, content, issues };
+}
+
+/**
+ * Runs inside the page at the mobile viewport (serialized by
+ * `page.evaluate`, so it must not use anything from this module).
+ */
+export function inspectLayout({ minTapTarget, minFontSize, maxExamples }) {
+  const viewportWidth = window.innerWidth;
+  const describe = (el) => {
+    let name = el.tagName.toLowerCase();
+    if (el.id) name += `#${el.id}`;
+    else if (el.classList.length) name += `.${[...el.classList].slice(0, 2).join('.')}`;
+    const text = (el.innerText || el.value || el.getAttribute('aria-label') || '').trim().slice(0, 40);
+    return text ? `${name} "${text}"` : name;
+  };
+  const isVisible = (el, rect) => {
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  // Widths declared in px, inline or in stylesheet rules that apply at this
+  // viewport. Computed widths always resolve to px, so only the declared
+  // value tells a fixed width from a fluid one. Cross-origin stylesheets
+  // cannot be read and are skipped.
+  const pxWidth = (style) => [style.width, style.minWidth].find(value => /^\d+(\.\d+)?px$/.test(value || '')) || null;
+  const wideRules = [];
+  const collectRules = (rules) => {
+    for (const rule of rules) {
+      if (rule.selectorText && rule.style) {
+        const width = pxWidth(rule.style);
+        if (width && parseFloat(width) > viewportWidth) wideRules.push({ selector: rule.selectorText, width });
+      } else if (rule.cssRules && (!rule.media || window.matchMedia(rule.media.mediaText).matches)) {
+        collectRules(rule.cssRules);
+      }
+    }
+  };
+  for (const sheet of document.styleSheets) {
+    try {
+      collectRules(sheet.cssRules);
+    } catch (error) {
+      // Cross-origin stylesheet
+    }
+  }
+  const declaredWidth = (el) => {
+    const inline = pxWidth(el.style);
+    if (inline) return inline;
+    const rule = wideRules.find(({ selector }) => {
+      try {
+        return el.matches(selector);
+      } catch (error) {
+        return false;
+      }
+    });
+    return rule ? rule.width : null;
+  };
+
+  // Horizontal overflow
+  const scrollWidth = document.documentElement.scrollWidth;
+  const overflowing = [];
+  const fixedWidth = [];
+  for (const el of document.body.querySelectorAll('*')) {
+    const rect = el.getBoundingClientRect();
+    if (!isVisible(el, rect)) continue;
+    if (rect.right > viewportWidth + 1 && overflowing.length < maxExamples) {
+      overflowing.push({ element: describe(el), right: Math.round(rect.right) });
+    }
+    if (rect.width > viewportWidth + 1 && fixedWidth.length < maxExamples) {
+      const declared = declaredWidth(el);
+      if (declared) fixedWidth.push({ element: describe(el), width: Math.round(rect.width), declared });
+    }
+  }
+
+  // Tap targets
+  const targets = [...document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]')]
+    .map(el => ({ el, rect: el.getBoundingClientRect() }))
+    .filter(({ el, rect }) => isVisible(el, rect));
+  const tooSmall = targets.filter(({ rect }) => rect.width < minTapTarget || rect.height < minTapTarget);
+  const overlapping = [];
+  for (let i = 0; i < targets.length; i++) {
+    for (let j = i + 1; j < targets.length; j++) {
+      const a = targets[i].rect;
+      const b = targets[j].rect;
+      const intersects = a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+      if (intersects && !targets[i].el.contains(targets[j].el) && !targets[j].el.contains(targets[i].el)) {
+        overlapping.push(`${describe(targets[i].el)} / ${describe(targets[j].el)}`);
+      }
+    }
+  }
+
+  // Font sizes, weighted by amount of text
+  let totalChars = 0;
+  let smallChars = 0;
+  const smallText = [];
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const text = node.textContent.trim();
+    if (!text || !node.parentElement) continue;
+    const rect = node.parentElement.getBoundingClientRect();
+    if (!isVisible(node.parentElement, rect)) continue;
+    const size = parseFloat(getComputedStyle(node.parentElement).fontSize);
+    totalChars += text.length;
+    if (size < minFontSize) {
+      smallChars += text.length;
+      if (smallText.length < maxExamples) smallText.push({ text: text.slice(0, 40), fontSize: size });
+    }
+  }
+
+  return {
+    viewportWidth,
+    scrollWidth,
+    overflowing,
+    fixedWidth,
+    tapTargets: {
+      total: targets.length,
+      tooSmall: tooSmall.length,
+      tooSmallExamples: tooSmall.slice(0, maxExamples).map(({ el, rect }) => ({
+        element: describe(el),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      })),
+      overlapping: overlapping.length,
+      overlappingExamples: overlapping.slice(0, maxExamples)
+    },
+    fonts: { totalChars, smallChars, smallText }
+  };
+}
+
+function screenshotPath(url) {
+  const dir = process.env.MOBILE_SCREENSHOT_DIR;
+  if (!dir) return null;
+  const slug = url.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '_').slice(0, 80);
+  return path.join(dir, `mobile_${Date.now()}_${slug}.png`);
+}
+
+async function renderAtMobileViewport(url, { userAgent, timeout }) {
+  return withBrowserPage(async (page) => {
+    await page.setViewport(MOBILE_VIEWPORT);
+    if (userAgent) await page.setUserAgent(userAgent);
+    await page.goto(url, { waitUntil: 'networkidle2', timeout });
+
+    const layout = await page.evaluate(inspectLayout, {
+      minTapTarget: MIN_TAP_TARGET,
+      minFontSize: MIN_FONT_SIZE,
+      maxExamples: MAX_EXAMPLES
+    });
+
+    const file = screenshotPath(url);
+    if (file) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await page.screenshot({ path: file, fullPage: false });
+    }
+    return { layout, screenshotPath: file };
+  });
+}
+
+/**
+ * Result for a page that was not rendered: only the viewport meta is judged.
+ */
+export function staticMobileAudit(url, viewportContent, error = null) {
+  const viewport = checkViewportMeta(viewportContent);
+  return {
+    url,
+    passed: viewport.present && viewport.issues.length === 0,
+    rendered: false,
+    viewport,
+    checks: null,
+    screenshotPath: null,
+    issues: [...viewport.issues],
+    error
+  };
+}
+
+/**
+ * Judge a rendered layout (from `inspectLayout`) on top of the page's
+ * static viewport result.
+ */
+export function judgeMobileLayout(result, layout) {
+  const { viewport } = result;
+  const issues = [...result.issues];
+  const legibleRatio = layout.fonts.totalChars > 0
+    ? 1 - layout.fonts.smallChars / layout.fonts.totalChars
+    : 1;
+  const checks = {
+    horizontalOverflow: {
+      passed: layout.scrollWidth <= layout.viewportWidth + 1,
+      viewportWidth: layout.viewportWidth,
+      scrollWidth: layout.scrollWidth,
+      offenders: layout.overflowing
+    },
+    tapTargets: {
+      passed: layout.tapTargets.tooSmall === 0 && layout.tapTargets.overlapping === 0,
+      ...layout.tapTargets
+    },
+    fontSizes: {
+      passed: legibleRatio >= MIN_LEGIBLE_RATIO,
+      legiblePercent: Math.round(legibleRatio * 100),
+      smallTextExamples: layout.fonts.smallText
+    },
+    fixedWidth: {
+      passed: layout.fixedWidth.length === 0,
+      elements: layout.fixedWidth
+    }
+  };
+
+  if (!checks.horizontalOverflow.passed) {
+    issues.push(`Content is ${layout.scrollWidth}px wide on a ${layout.viewportWidth}px screen (horizontal scrolling)`);
+  }
+  if (layout.tapTargets.tooSmall > 0) {
+    issues.push(`${layout.tapTargets.tooSmall} tap targets smaller than ${MIN_TAP_TARGET}x${MIN_TAP_TARGET}px`);
+  }
+  if (layout.tapTargets.overlapping > 0) {
+    issues.push(`${layout.tapTargets.overlapping} pairs of overlapping tap targets`);
+  }
+  if (!checks.fontSizes.passed) {
+    issues.push(`Only ${checks.fontSizes.legiblePercent}% of text is at least ${MIN_FONT_SIZE}px`);
+  }
+  layout.fixedWidth.forEach(({ element, declared }) => {
+    issues.push(`Fixed-width element wider than the screen: ${element} (width ${declared})`);
+  });
+
+  return {
+    ...result,
+    // Small tap targets alone are a warning; everything else fails the page
+    passed: viewport.present && viewport.issues.length === 0 &&
+      checks.horizontalOverflow.passed && checks.fontSizes.passed &&
+      checks.fixedWidth.passed && layout.tapTargets.overlapping === 0,
+    rendered: true,
+    checks,
+    issues
+  };
+}
+
+/**
+ * Audit one page. `viewportContent` is the page's viewport meta content as
+ * captured by the crawler. When the page cannot be rendered only the
+ * viewport check is applied.
+ */
+export async function auditMobileFriendliness(url, { viewportContent, userAgent, timeout = 60000 } = {}) {
+  const result = staticMobileAudit(url, viewportContent);
+
+  let rendered;
+  try {
+    rendered = await renderAtMobileViewport(url, { userAgent, timeout });
+  } catch (error) {
+    return { ...result, error: error.message };
+  }
+
+  return { ...judgeMobileLayout(result, rendered.layout), screenshotPath: rendered.screenshotPath };
+}
@@ -0,0 +1,97 @@
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+/**
+ * Pluggable alert notifiers. Each factory takes a notifier config
+ * (`{ type, target }`) and returns `{ send(payload) }`. Add new channels
+ * with `registerNotifier`.
+ */
+const factories = new Map();
+
+export function registerNotifier(type, factory) {
+  factories.set(type, factory);
+}
+
+export function createNotifier(config) {
+  const factory = factories.get(config.type);
+  if (!factory) {
+    throw new Error(`Unknown notifier type: ${config.type}`);
+  }
+  return factory(config);
+}
+
+function formatAlertText({ schedule, reportId, alerts }) {
+  const lines = alerts.map(alert => `- [${alert.type}] ${alert.message}`);
+  return [
+    `SEO audit alert for ${schedule.url}${schedule.name ? ` (${schedule.name})` : ''}`,
+    `Report: ${reportId}`,
+    '',
+    ...lines
+  ].join('\n');
+}
+
+registerNotifier('log', () => ({
+  async send(payload) {
+    console.warn(`🚨 ${formatAlertText(payload)}`);
+  }
+}));
+
+registerNotifier('webhook', ({ target }) => ({
+  async send(payload) {
+    await axios.post(target, {
+      event: 'seo.audit.alert',
+      scheduleId: payload.schedule._id,
+      url: payload.schedule.url,
+      reportId: payload.reportId,
+      alerts: payload.alerts,
+      text: formatAlertText(payload)
+    }, { timeout: 10000 });
+  }
+}));
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+registerNotifier('email', ({ target }) => ({
+  async send(payload) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    await getTransporter().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to: target,
+      subject: `SEO audit alert: ${payload.alerts.length} issue(s) on ${payload.schedule.url}`,
+      text: formatAlertText(payload)
+    });
+  }
+}));
+
+/**
+ * Send alerts through every notifier configured on the schedule. A failing
+ * channel is logged and does not stop the others.
+ */
+export async function dispatchAlerts(schedule, reportId, alerts) {
+  if (alerts.length === 0) return;
+
+  const payload = { schedule, reportId, alerts };
+  await Promise.all((schedule.notifiers || []).map(async (config) => {
+    try {
+      await createNotifier(config).send(payload);
+    } catch (error) {
+      console.error(`❌ ${config.type} notifier failed for schedule ${schedule._id}: ${error.message}`);
+    }
+  }));
+}
@@ -0,0 +1,32 @@
+import { withBrowserPage } from './browserPool.js';
+
+// Rendering only needs the DOM; skip payloads that cannot change it.
+const BLOCKED_RESOURCES = new Set(['image', 'media', 'font']);
+
+/**
+ * Load `url` in headless Chromium and return the rendered HTML.
+ */
+export async function renderPage(url, { userAgent, timeout = 30000 } = {}) {
+  return withBrowserPage(async (page) => {
+    if (userAgent) await page.setUserAgent(userAgent);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (BLOCKED_RESOURCES.has(request.resourceType())) {
+        request.abort();
+      } else {
+        request.continue();
+      }
+    });
+
+    const startedAt = Date.now();
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout });
+    const html = await page.content();
+
+    return {
+      html,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      renderMs: Date.now() - startedAt
+    };
+  });
+}
@@ -1,21 +1,171 @@
-export async function generateParagraphRewrite(paragraph) {
-  const OpenAI = (await import('openai')).default;
+import { LlmClient } from './llmClient.js';
+import { analyzeReadability, readabilityScore } from '../utils/readability.js';
+import { countPhrase } from '../utils/keywords.js';
+import { wordDiff, diffStats } from '../utils/wordDiff.js';
 
-  // Create OpenAI client inside the function to ensure API key is loaded
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
+/**
+ * Paragraph rewriting: an LLM rewrite for a tone, reading level and target
+ * keywords, measured against the original (readability, keyword coverage,
+ * word diff).
+ */
+export const TONES = ['neutral', 'professional', 'friendly', 'conversational', 'authoritative', 'persuasive'];
+
+// Named reading levels as US school grades
+export const READING_LEVELS = { simple: 6, standard: 8, advanced: 12 };
+
+export const MAX_REWRITE_LENGTH = 5000;
+const MAX_KEYWORDS = 10;
 
-  const prompt = `Rewrite the following paragraph to improve its clarity, engagement, and SEO value. Return only the rewritten paragraph.\n\nOriginal Paragraph:\n"${paragraph}"`;
-
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-    });
-    return response.choices[0].message.content;
-  } catch (error) {
-    console.error("OpenAI API error in paragraph rewrite:", error.message);
-    return "Could not rewrite paragraph.";
+/**
+ * Validate and fill in rewrite options. `readingLevel` is a name from
+ * READING_LEVELS or a grade from 1 to 18. Throws on invalid input.
+ */
+export function resolveRewriteOptions({ keywords = [], tone = 'neutral', readingLevel = 'standard' } = {}) {
+  if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string')) {
+    throw new Error('keywords must be an array of strings');
+  }
+  if (keywords.length > MAX_KEYWORDS) {
+    throw new Error(`At most ${MAX_KEYWORDS} keywords are supported`);
+  }
+  if (!TONES.includes(tone)) {
+    throw new Error(`tone must be one of: ${TONES.join(', ')}`);
+  }
+  const grade = typeof readingLevel === 'number' ? readingLevel : READING_LEVELS[readingLevel];
+  if (!Number.isInteger(grade) || grade < 1 || grade > 18) {
+    throw new Error(`readingLevel must be one of ${Object.keys(READING_LEVELS).join(', ')} or a grade from 1 to 18`);
   }
+  return {
+    keywords: keywords.map(keyword => keyword.trim()).filter(Boolean),
+    tone,
+    readingLevel: grade
+  };
+}
+
+function rewritePrompt(paragraph, { keywords = [], tone = 'neutral', readingLevel = READING_LEVELS.standard } = {}) {
+  const keywordLine = keywords.length > 0
+    ? `Work in these keywords naturally, without repeating them unnaturally: ${keywords.map(keyword => `"${keyword}"`).join(', ')}.`
+    : null;
+  return [
+    'Rewrite the following paragraph to improve its clarity, engagement, and SEO value.',
+    `Use a ${tone} tone.`,
+    `Aim for a US grade ${readingLevel} reading level: ${readingLevel <= 8 ? 'short sentences and everyday words' : 'precise language, but no needless jargon'}.`,
+    keywordLine,
+    'Keep the meaning and facts; do not add claims. Return only the rewritten paragraph.',
+    '',
+    'Original Paragraph:',
+    `"${paragraph}"`
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Rewrite a paragraph for clarity and SEO through the `rewrite` LLM task.
+ * Pass `llm` to share a client (and its token budget) with other calls.
+ * Throws when the LLM fails.
+ */
+export async function generateParagraphRewrite(paragraph, { llm = new LlmClient(), ...options } = {}) {
+  const response = await llm.complete('rewrite', [{ role: 'user', content: rewritePrompt(paragraph, options) }], {
+    // Offline: hand the paragraph back unchanged
+    stub: () => paragraph
+  });
+  // Models sometimes echo the quotes around the original
+  return response.content.trim().replace(/^"([\s\S]*)"$/, '$1').trim();
+}
+
+function readabilitySummary(text) {
+  const scores = analyzeReadability(text);
+  if (!scores) return null;
+  return {
+    score: readabilityScore(scores),
+    gradeLevel: scores.gradeLevel,
+    fleschReadingEase: scores.fleschReadingEase,
+    fleschKincaidGrade: scores.fleschKincaidGrade,
+    averageSentenceLength: scores.averageSentenceLength,
+    words: scores.words,
+    sentences: scores.sentences
+  };
+}
+
+function keywordCoverage(before, after, keywords) {
+  const entries = keywords.map(keyword => {
+    const original = countPhrase(before, keyword);
+    const rewritten = countPhrase(after, keyword);
+    return {
+      keyword,
+      before: { occurrences: original.exact, variantOccurrences: original.variants },
+      after: { occurrences: rewritten.exact, variantOccurrences: rewritten.variants }
+    };
+  });
+  const covered = (side) => entries
+    .filter(entry => entry[side].occurrences + entry[side].variantOccurrences > 0).length;
+  return {
+    keywords: entries,
+    coveredBefore: covered('before'),
+    coveredAfter: covered('after'),
+    missingAfter: entries
+      .filter(entry => entry.after.occurrences + entry.after.variantOccurrences === 0)
+      .map(entry => entry.keyword)
+  };
+}
+
+/**
+ * Rewrite `text` and compare the result with the original. `options` are
+ * the output of `resolveRewriteOptions`.
+ */
+export async function rewriteParagraph(text, options, { llm = new LlmClient() } = {}) {
+  const rewritten = await generateParagraphRewrite(text, { llm, ...options });
+  const before = readabilitySummary(text);
+  const after = readabilitySummary(rewritten);
+  const diff = wordDiff(text, rewritten);
+
+  return {
+    original: text,
+    rewritten,
+    readability: {
+      before,
+      after,
+      scoreChange: before && after ? after.score - before.score : null,
+      gradeLevelChange: before && after ? Number((after.gradeLevel - before.gradeLevel).toFixed(1)) : null
+    },
+    keywordCoverage: keywordCoverage(text, rewritten, options.keywords),
+    diff,
+    diffStats: diffStats(diff)
+  };
+}
+
+/**
+ * The weakest paragraphs of an analyzed page in a Report: the ones the
+ * readability analysis called out as hardest, topped up with the lowest
+ * scoring others. Without `url`, paragraphs are picked site-wide.
+ * Returns `[{ url, index, score, reasons, text }]`, or null when `url` is
+ * not in the report.
+ */
+export function selectWeakestParagraphs(report, { url = null, count = 3 } = {}) {
+  const pages = report.analysis?.pages || [];
+  const quality = report.analysis?.contentQuality || {};
+  const textOf = (pageUrl, index) => pages.find(page => page.url === pageUrl)?.paragraphs?.[index];
+
+  const entries = url
+    ? (quality.readabilityScores || []).filter(entry => entry.url === url)
+    : quality.readabilityScores || [];
+  if (url && entries.length === 0) return null;
+
+  const withUrl = (entry, paragraphs = []) => paragraphs.map(paragraph => ({ url: entry.url, ...paragraph }));
+  const hardest = url ? withUrl(entries[0], entries[0].hardestParagraphs) : quality.hardestParagraphs || [];
+  const isHardest = (paragraph) => hardest.some(hard => hard.url === paragraph.url && hard.index === paragraph.index);
+  const others = entries
+    .flatMap(entry => withUrl(entry, entry.paragraphs))
+    .filter(paragraph => !isHardest(paragraph))
+    .sort((a, b) => a.score - b.score);
+  const candidates = [...hardest, ...others];
+
+  return candidates
+    .map(paragraph => ({
+      url: paragraph.url,
+      index: paragraph.index,
+      score: paragraph.score,
+      reasons: paragraph.reasons || [],
+      text: textOf(paragraph.url, paragraph.index)
+    }))
+    .filter(paragraph => paragraph.text)
+    .slice(0, count);
 }
@@ -0,0 +1,269 @@
+import axios from 'axios';
+import { PredefinedNetworkConditions } from 'puppeteer';
+import { withBrowserPage } from './browserPool.js';
+
+/**
+ * Page performance measurement.
+ * Uses the PageSpeed Insights API when PAGESPEED_API_KEY is set, otherwise a
+ * local Lighthouse-style lab run in headless Chromium (mobile viewport,
+ * 4x CPU slowdown, Fast 4G). Either way the score is computed here from the
+ * measured metrics so both sources are comparable.
+ */
+const PSI_ENDPOINT = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
+const MOBILE_VIEWPORT = { width: 412, height: 823, deviceScaleFactor: 2, isMobile: true, hasTouch: true };
+const SETTLE_TIME = 1500;
+
+// Lighthouse v10 mobile scoring curves (p10 / median) and weights,
+// renormalized over the metrics we measure.
+export const METRIC_SCORING = {
+  fcp: { p10: 1800, median: 3000, weight: 10 },
+  lcp: { p10: 2500, median: 4000, weight: 25 },
+  tbt: { p10: 200, median: 600, weight: 30 },
+  cls: { p10: 0.1, median: 0.25, weight: 25 },
+};
+
+// "Good" thresholds used for per-page issues
+const THRESHOLDS = {
+  lcp: 2500,
+  cls: 0.1,
+  tbt: 200,
+  fcp: 1800,
+  ttfb: 800,
+  transferSize: 3 * 1024 * 1024,
+  requestCount: 100,
+};
+
+// Abramowitz & Stegun 7.1.26, accurate to ~1e-7
+function erf(x) {
+  const sign = Math.sign(x);
+  x = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * x);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+function logNormalScore({ p10, median }, value) {
+  if (value <= 0) return 1;
+  const INVERSE_ERFC_ONE_FIFTH = 0.9061938024368232;
+  const standardizedX = Math.log(value / median) * INVERSE_ERFC_ONE_FIFTH / -Math.log(p10 / median);
+  const score = (1 - erf(standardizedX)) / 2;
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * 0-100 performance score from measured metrics; null if none are known.
+ */
+export function scorePerformance(metrics) {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [metric, curve] of Object.entries(METRIC_SCORING)) {
+    const value = metrics[metric];
+    if (typeof value !== 'number' || isNaN(value)) continue;
+    weighted += logNormalScore(curve, value) * curve.weight;
+    totalWeight += curve.weight;
+  }
+  return totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : null;
+}
+
+export function performanceIssues(metrics, renderBlocking = []) {
+  const issues = [];
+  const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+  if (metrics.lcp > THRESHOLDS.lcp) issues.push(`Largest Contentful Paint is ${seconds(metrics.lcp)} (good: ≤ ${seconds(THRESHOLDS.lcp)})`);
+  if (metrics.fcp > THRESHOLDS.fcp) issues.push(`First Contentful Paint is ${seconds(metrics.fcp)} (good: ≤ ${seconds(THRESHOLDS.fcp)})`);
+  if (metrics.cls > THRESHOLDS.cls) issues.push(`Cumulative Layout Shift is ${metrics.cls.toFixed(3)} (good: ≤ ${THRESHOLDS.cls})`);
+  if (metrics.tbt > THRESHOLDS.tbt) issues.push(`Total Blocking Time is ${Math.round(metrics.tbt)}ms (good: ≤ ${THRESHOLDS.tbt}ms)`);
+  if (metrics.ttfb > THRESHOLDS.ttfb) issues.push(`Server response time (TTFB) is ${Math.round(metrics.ttfb)}ms (good: ≤ ${THRESHOLDS.ttfb}ms)`);
+  if (metrics.transferSize > THRESHOLDS.transferSize) {
+    issues.push(`Page transfers ${(metrics.transferSize / 1024 / 1024).toFixed(1)} MB (aim for under 3 MB)`);
+  }
+  if (metrics.requestCount > THRESHOLDS.requestCount) issues.push(`Page makes ${metrics.requestCount} requests`);
+  renderBlocking.forEach(resource => issues.push(`Render-blocking resource: ${resource.url}`));
+
+  return issues;
+}
+
+/**
+ * Installed before any page script runs; collects paint, layout-shift and
+ * long-task entries.
+ */
+function installObservers() {
+  window.__seoPerf = { lcp: null, layoutShifts: [], longTasks: [] };
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch (error) {
+      // Entry type not supported
+    }
+  };
+  observe('largest-contentful-paint', entry => {
+    window.__seoPerf.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+  observe('layout-shift', entry => {
+    if (!entry.hadRecentInput) window.__seoPerf.layoutShifts.push({ time: entry.startTime, value: entry.value });
+  });
+  observe('longtask', entry => {
+    window.__seoPerf.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+function collectInPage() {
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+  const resources = performance.getEntriesByType('resource');
+
+  let renderBlocking = resources
+    .filter(entry => entry.renderBlockingStatus === 'blocking')
+    .map(entry => ({ url: entry.name, type: entry.initiatorType, durationMs: Math.round(entry.duration) }));
+
+  // Older Chromium without renderBlockingStatus: fall back to markup
+  if (resources.length > 0 && resources[0].renderBlockingStatus === undefined) {
+    renderBlocking = [...document.querySelectorAll(
+      'head script[src]:not([async]):not([defer]):not([type="module"]), head link[rel="stylesheet"]:not([media="print"])'
+    )].map(el => ({ url: el.src || el.href, type: el.tagName.toLowerCase(), durationMs: null }));
+  }
+
+  return {
+    ttfb: navigation ? navigation.responseStart - navigation.startTime : null,
+    fcp: fcpEntry ? fcpEntry.startTime : null,
+    domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+    load: navigation ? navigation.loadEventEnd : null,
+    ...window.__seoPerf,
+    renderBlocking,
+  };
+}
+
+// CLS as defined by Core Web Vitals: the worst session window (shifts less
+// than 1s apart, window capped at 5s).
+function cumulativeLayoutShift(shifts) {
+  let worst = 0;
+  let current = 0;
+  let windowStart = 0;
+  let previous = -Infinity;
+  for (const { time, value } of shifts) {
+    if (time - previous > 1000 || time - windowStart > 5000) {
+      current = 0;
+      windowStart = time;
+    }
+    current += value;
+    previous = time;
+    worst = Math.max(worst, current);
+  }
+  return worst;
+}
+
+/**
+ * Local lab measurement of one URL in headless Chromium.
+ */
+export async function measureInBrowser(url, { userAgent, timeout = 60000 } = {}) {
+  return withBrowserPage(async (page) => {
+    let requestCount = 0;
+    let transferSize = 0;
+    const client = await page.createCDPSession();
+    await client.send('Network.enable');
+    client.on('Network.requestWillBeSent', () => requestCount++);
+    client.on('Network.loadingFinished', event => {
+      transferSize += event.encodedDataLength;
+    });
+
+    await page.setViewport(MOBILE_VIEWPORT);
+    if (userAgent) await page.setUserAgent(userAgent);
+    await page.emulateCPUThrottling(4);
+    await page.emulateNetworkConditions(PredefinedNetworkConditions['Fast 4G']);
+    await page.evaluateOnNewDocument(installObservers);
+
+    await page.goto(url, { waitUntil: 'load', timeout });
+    await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+    const raw = await page.evaluate(collectInPage);
+
+    // TBT: blocking portion (over 50ms) of long tasks after first paint
+    const blockingTasks = raw.longTasks.filter(task => raw.fcp === null || task.start >= raw.fcp);
+    const tbt = blockingTasks.reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+    const longestTask = raw.longTasks.reduce((max, task) => Math.max(max, task.duration), 0);
+
+    const metrics = {
+      ttfb: raw.ttfb,
+      fcp: raw.fcp,
+      lcp: raw.lcp ?? raw.fcp,
+      cls: Number(cumulativeLayoutShift(raw.layoutShifts).toFixed(4)),
+      tbt: Math.round(tbt),
+      // No user input in a lab run, so the longest task stands in for INP
+      inpProxy: Math.round(longestTask),
+      domContentLoaded: raw.domContentLoaded,
+      load: raw.load,
+      transferSize,
+      requestCount,
+    };
+
+    return { source: 'lab', metrics, renderBlocking: raw.renderBlocking };
+  });
+}
+
+/**
+ * Google PageSpeed Insights (Lighthouse lab data, mobile strategy).
+ */
+export async function fetchPageSpeedInsights(url, apiKey = process.env.PAGESPEED_API_KEY) {
+  const response = await axios.get(PSI_ENDPOINT, {
+    params: { url, key: apiKey, strategy: 'mobile', category: 'performance' },
+    timeout: 120000
+  });
+  const { audits } = response.data.lighthouseResult;
+  const numeric = (id) => audits[id]?.numericValue ?? null;
+
+  return {
+    source: 'pagespeed-insights',
+    metrics: {
+      ttfb: numeric('server-response-time'),
+      fcp: numeric('first-contentful-paint'),
+      lcp: numeric('largest-contentful-paint'),
+      cls: numeric('cumulative-layout-shift'),
+      tbt: numeric('total-blocking-time'),
+      inpProxy: numeric('max-potential-fid'),
+      domContentLoaded: null,
+      load: null,
+      transferSize: numeric('total-byte-weight'),
+      requestCount: audits['network-requests']?.details?.items?.length ?? null,
+    },
+    renderBlocking: (audits['render-blocking-resources']?.details?.items || []).map(item => ({
+      url: item.url,
+      type: null,
+      durationMs: item.wastedMs ?? null
+    }))
+  };
+}
+
+/**
+ * Measure and score one page. Never throws: when no measurement is
+ * possible the result carries `score: null` and the error.
+ */
+export async function auditPagePerformance(url, options = {}) {
+  let measurement;
+  const attempts = process.env.PAGESPEED_API_KEY
+    ? [() => fetchPageSpeedInsights(url), () => measureInBrowser(url, options)]
+    : [() => measureInBrowser(url, options)];
+  let lastError = null;
+
+  for (const attempt of attempts) {
+    try {
+      measurement = await attempt();
+      break;
+    } catch (error) {
+      console.warn(`⚠️ Performance measurement failed for ${url}: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  if (!measurement) {
+    return { url, source: null, score: null, metrics: null, renderBlocking: [], issues: [], error: lastError.message };
+  }
+
+  return {
+    url,
+    source: measurement.source,
+    score: scorePerformance(measurement.metrics),
+    metrics: measurement.metrics,
+    renderBlocking: measurement.renderBlocking,
+    issues: performanceIssues(measurement.metrics, measurement.renderBlocking),
+    error: null
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Fixed-window request counter per caller. Counts live in process memory,
+ * so each server instance enforces its own limit.
+ */
+export class RateLimiter {
+  constructor({ windowMs = 60 * 1000 } = {}) {
+    this.windowMs = windowMs;
+    this.windows = new Map(); // id -> { count, resetAt }
+    this.lastPrune = Date.now();
+  }
+
+  /**
+   * Count a request for `id` against `limit`. Returns `{ allowed, limit,
+   * remaining, resetAt }`.
+   */
+  hit(id, limit, now = Date.now()) {
+    this.prune(now);
+    let window = this.windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(id, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  // Drop expired windows now and then, so idle callers do not pile up
+  prune(now) {
+    if (now - this.lastPrune < this.windowMs) return;
+    this.lastPrune = now;
+    this.windows.forEach((window, id) => {
+      if (window.resetAt <= now) this.windows.delete(id);
+    });
+  }
+}
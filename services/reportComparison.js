@@ -0,0 +1,221 @@
+/**
+ * Regression diffing between two stored Reports of the same site.
+ *
+ * Every change is labelled:
+ * - improved:  an issue went away or a metric moved the right way
+ * - regressed: a new issue on a page that existed before, or a metric got worse
+ * - new:       something about a page that was not crawled in the earlier run
+ */
+
+// Keyword density outside this band (in %) is considered too thin or stuffed.
+const DENSITY_TARGET = { min: 0.5, max: 2.5 };
+// Ignore density wobble smaller than this many percentage points.
+const DENSITY_TOLERANCE = 0.1;
+
+export function splitIssue(issue) {
+  // Analyzer issues are formatted as `${page.url}: message`
+  const index = issue.indexOf(': ');
+  if (index === -1) return { url: null, message: issue };
+  return { url: issue.slice(0, index), message: issue.slice(index + 2) };
+}
+
+function pageUrls(report) {
+  return new Set((report.analysis?.pages || []).map(page => page.url));
+}
+
+function diffIssues(category, fromIssues = [], toIssues = [], fromPages) {
+  const before = new Set(fromIssues);
+  const after = new Set(toIssues);
+  const changes = [];
+
+  for (const issue of before) {
+    if (!after.has(issue)) {
+      changes.push({ category, label: 'improved', ...splitIssue(issue), change: 'resolved' });
+    }
+  }
+  for (const issue of after) {
+    if (!before.has(issue)) {
+      const { url, message } = splitIssue(issue);
+      // Migrated v1 reports carry no page list, so treat everything as known
+      const label = url && fromPages.size > 0 && !fromPages.has(url) ? 'new' : 'regressed';
+      changes.push({ category, label, url, message, change: 'introduced' });
+    }
+  }
+  return changes;
+}
+
+function missingAltByPage(report) {
+  const counts = {};
+  for (const page of report.analysis?.pages || []) {
+    counts[page.url] = (page.images || []).filter(img => !img.alt).length;
+  }
+  return counts;
+}
+
+function diffMissingAlt(from, to) {
+  const changes = [];
+  const before = missingAltByPage(from);
+  const after = missingAltByPage(to);
+
+  for (const [url, count] of Object.entries(after)) {
+    if (!(url in before)) {
+      if (count > 0) changes.push({ category: 'images', label: 'new', url, before: null, after: count });
+    } else if (count !== before[url]) {
+      changes.push({
+        category: 'images',
+        label: count < before[url] ? 'improved' : 'regressed',
+        url,
+        before: before[url],
+        after: count
+      });
+    }
+  }
+
+  const totalBefore = from.analysis?.technical?.imageOptimization?.missingAlt ?? 0;
+  const totalAfter = to.analysis?.technical?.imageOptimization?.missingAlt ?? 0;
+  if (totalBefore !== totalAfter) {
+    changes.push({
+      category: 'images',
+      label: totalAfter < totalBefore ? 'improved' : 'regressed',
+      url: null,
+      message: 'Total images missing alt text',
+      before: totalBefore,
+      after: totalAfter
+    });
+  }
+  return changes;
+}
+
+function densityDistance(density) {
+  if (density < DENSITY_TARGET.min) return DENSITY_TARGET.min - density;
+  if (density > DENSITY_TARGET.max) return density - DENSITY_TARGET.max;
+  return 0;
+}
+
+function densityByPage(report) {
+  const result = {};
+  for (const entry of report.analysis?.keywordDensity || []) {
+    result[entry.keyword.toLowerCase()] = Object.fromEntries(
+      (entry.byPage || []).map(page => [page.url, Number(page.density) || 0])
+    );
+  }
+  return result;
+}
+
+function diffKeywordDensity(from, to) {
+  const changes = [];
+  const before = densityByPage(from);
+  const after = densityByPage(to);
+
+  for (const [keyword, pages] of Object.entries(after)) {
+    for (const [url, density] of Object.entries(pages)) {
+      const previous = before[keyword]?.[url];
+      if (previous === undefined) {
+        changes.push({ category: 'keywordDensity', label: 'new', keyword, url, before: null, after: density });
+        continue;
+      }
+      if (Math.abs(density - previous) < DENSITY_TOLERANCE) continue;
+
+      const distanceBefore = densityDistance(previous);
+      const distanceAfter = densityDistance(density);
+      if (distanceBefore === distanceAfter) continue;
+      changes.push({
+        category: 'keywordDensity',
+        label: distanceAfter < distanceBefore ? 'improved' : 'regressed',
+        keyword,
+        url,
+        before: previous,
+        after: density
+      });
+    }
+  }
+  return changes;
+}
+
+function structuredDataTypes(report) {
+  // `@type` may itself be an array of types
+  return new Set((report.analysis?.structuredData?.types || []).flat().map(String));
+}
+
+function diffStructuredData(from, to) {
+  const before = structuredDataTypes(from);
+  const after = structuredDataTypes(to);
+  const changes = [];
+
+  for (const type of after) {
+    if (!before.has(type)) changes.push({ category: 'structuredData', label: 'improved', type, change: 'added' });
+  }
+  for (const type of before) {
+    if (!after.has(type)) changes.push({ category: 'structuredData', label: 'regressed', type, change: 'removed' });
+  }
+  return changes;
+}
+
+function diffAiVisibility(from, to) {
+  // Audit scores when both runs have one; the LLM's score is on another scale
+  const audited = typeof to.analysis?.aiVisibility?.score === 'number'
+    && typeof from.analysis?.aiVisibility?.score === 'number';
+  const before = audited ? from.analysis.aiVisibility.score : from.analysis?.aiInsights?.aiVisibilityScore;
+  const after = audited ? to.analysis.aiVisibility.score : to.analysis?.aiInsights?.aiVisibilityScore;
+  if (typeof after !== 'number') return [];
+  if (typeof before !== 'number') {
+    return [{ category: 'aiVisibility', label: 'new', before: null, after }];
+  }
+
+  const changes = before === after
+    ? []
+    : [{ category: 'aiVisibility', label: after > before ? 'improved' : 'regressed', before, after }];
+  if (!audited) return changes;
+
+  // Audit checks that started or stopped passing
+  const previous = new Map(from.analysis.aiVisibility.checks.map(item => [item.id, item]));
+  to.analysis.aiVisibility.checks.forEach(item => {
+    const old = previous.get(item.id);
+    if (!old || typeof old.passed !== 'boolean' || typeof item.passed !== 'boolean' || old.passed === item.passed) return;
+    changes.push({
+      category: 'aiVisibility',
+      label: item.passed ? 'improved' : 'regressed',
+      check: item.id,
+      before: old.score,
+      after: item.score
+    });
+  });
+  return changes;
+}
+
+/**
+ * Diff two Report documents (plain objects or mongoose docs), `from` being
+ * the earlier run.
+ */
+export function compareReports(fromReport, toReport) {
+  const from = typeof fromReport.toObject === 'function' ? fromReport.toObject() : fromReport;
+  const to = typeof toReport.toObject === 'function' ? toReport.toObject() : toReport;
+  const fromPages = pageUrls(from);
+
+  const changes = {
+    metaTags: diffIssues('metaTags', from.analysis?.metaTags?.issues, to.analysis?.metaTags?.issues, fromPages),
+    headings: diffIssues(
+      'headings',
+      from.analysis?.technical?.headingStructure?.issues,
+      to.analysis?.technical?.headingStructure?.issues,
+      fromPages
+    ),
+    images: diffMissingAlt(from, to),
+    keywordDensity: diffKeywordDensity(from, to),
+    structuredData: diffStructuredData(from, to),
+    aiVisibility: diffAiVisibility(from, to)
+  };
+
+  const summary = { improved: 0, regressed: 0, new: 0 };
+  Object.values(changes).flat().forEach(change => {
+    summary[change.label]++;
+  });
+
+  return {
+    url: to.url,
+    from: { id: from._id, url: from.url, createdAt: from.createdAt },
+    to: { id: to._id, url: to.url, createdAt: to.createdAt },
+    summary,
+    changes
+  };
+}
@@ -1,90 +1,306 @@
-
 import PDFDocument from 'pdfkit';
-import fs from 'fs';
-import path from 'path';
+import { storeReportFile } from './reportStorage.js';
+import { buildReportModel, scoreColor, SEVERITY_COLORS } from './reportModel.js';
 
-export function generatePdfReport(analysisData, outputPath) {
-  return new Promise((resolve, reject) => {
-    try {
-      // Ensure the directory exists
-      const dir = path.dirname(outputPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
+/**
+ * PDF rendering of the report model (see `buildReportModel`): a score
+ * summary with bar charts, per-page issue tables, keywords, the AI
+ * visibility audit, AI insights and the competitor benchmark.
+ */
+const MARGIN = 50;
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#6b7280';
+const RULE_COLOR = '#e5e7eb';
+const CELL_PADDING = 3;
 
-      const doc = new PDFDocument();
-      const stream = fs.createWriteStream(outputPath);
-      doc.pipe(stream);
+const contentWidth = (doc) => doc.page.width - 2 * MARGIN;
+const formatValue = (value) => (value === null || value === undefined ? 'N/A' : String(value));
 
-      doc.fontSize(20).text('SEO AI Analysis Report', { align: 'center' });
-      doc.moveDown();
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+}
 
-      doc.fontSize(14).text(`URL: ${analysisData.url}`);
-      doc.text(`Keywords: ${analysisData.keywords.join(', ')}`);
-      doc.moveDown();
+function heading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(TEXT_COLOR).text(text, MARGIN);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10);
+}
 
-      const analysis = analysisData.analysis;
+function paragraph(doc, text, { color = TEXT_COLOR, size = 10 } = {}) {
+  doc.font('Helvetica').fontSize(size).fillColor(color).text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+}
 
-      doc.fontSize(16).text('Meta Tags:');
-      doc.fontSize(12).text(`Title: ${analysis.metaTags.title || 'N/A'}`);
-      doc.text(`Description: ${analysis.metaTags.description || 'N/A'}`);
-      doc.moveDown();
+/**
+ * Horizontal bars, one per `{ label, value }` on a 0-100 scale.
+ */
+function drawScoreBars(doc, scores) {
+  const labelWidth = 170;
+  const barWidth = contentWidth(doc) - labelWidth - 50;
+  const rowHeight = 18;
+  ensureSpace(doc, scores.length * rowHeight);
 
-      doc.fontSize(16).text('Keyword Density:');
-      for (const [keyword, density] of Object.entries(analysis.keywordDensity)) {
-        doc.text(`${keyword}: ${density.toFixed(2)}%`);
-      }
-      doc.moveDown();
-
-      doc.fontSize(16).text('Page Speed Score:');
-      doc.fontSize(12).text(`${analysis.pageSpeed.score !== null ? analysis.pageSpeed.score : 'N/A'}`);
-      doc.moveDown();
-
-      doc.fontSize(16).text('Readability Score:');
-      doc.fontSize(12).text(`${analysis.readabilityScore.toFixed(2)}`);
-      doc.moveDown();
-
-      doc.fontSize(16).text('Semantic Clarity:');
-      doc.fontSize(12).text(analysis.semanticClarity || 'N/A');
-      doc.moveDown();
-
-      doc.fontSize(16).text('Suggestions for Homepage:');
-      analysis.homepageSuggestions.forEach((suggestion, idx) => {
-        doc.text(`${idx + 1}. ${suggestion}`);
-      });
-      doc.moveDown();
-
-      doc.fontSize(16).text('AI Summary:');
-      doc.fontSize(12).text(analysis.aiInsights.aiSummary || 'N/A');
-      doc.moveDown();
-
-      doc.fontSize(16).text('Optimized Meta Title:');
-      doc.fontSize(12).text(analysis.aiInsights.optimizedTitle || 'N/A');
-      doc.moveDown();
-
-      doc.fontSize(16).text('Optimized Meta Description:');
-      doc.fontSize(12).text(analysis.aiInsights.optimizedDescription || 'N/A');
-      doc.moveDown();
-
-      doc.fontSize(16).text('Suggested FAQs:');
-      analysis.aiInsights.suggestedFaqs.forEach((faq, idx) => {
-        doc.text(`${idx + 1}. Q: ${faq.question}`);
-        doc.text(`   A: ${faq.answer}`);
-      });
-      doc.moveDown();
-
-      doc.fontSize(16).text('Sample Paragraph Rewrite:');
-      doc.fontSize(12).text(`Original: ${analysis.sampleParagraph || 'N/A'}`);
-      doc.moveDown();
-      doc.fontSize(12).text(`Rewritten: ${analysis.rewrittenParagraph || 'N/A'}`);
+  scores.forEach(score => {
+    const top = doc.y;
+    const value = score.value ?? null;
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR).text(score.label, MARGIN, top + 3, { width: labelWidth });
+    doc.rect(MARGIN + labelWidth, top + 2, barWidth, 12).fill('#f3f4f6');
+    if (value !== null) doc.rect(MARGIN + labelWidth, top + 2, barWidth * value / 100, 12).fill(scoreColor(value));
+    doc.fillColor(TEXT_COLOR).text(value === null ? 'N/A' : String(value), MARGIN + labelWidth + barWidth + 8, top + 3);
+    doc.y = top + rowHeight;
+  });
+  doc.x = MARGIN;
+}
 
-      doc.end();
+/**
+ * One stacked bar of issue counts by severity, with a legend.
+ */
+function drawSeverityBar(doc, counts) {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  ensureSpace(doc, 40);
+  const top = doc.y + 4;
+  const width = contentWidth(doc);
+  let x = MARGIN;
+  if (total === 0) {
+    doc.rect(MARGIN, top, width, 14).fill('#16a34a');
+  } else {
+    Object.entries(counts).forEach(([severity, count]) => {
+      const segment = width * count / total;
+      if (segment > 0) doc.rect(x, top, segment, 14).fill(SEVERITY_COLORS[severity]);
+      x += segment;
+    });
+  }
+  doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR)
+    .text(`${counts.error} errors   ${counts.warning} warnings   ${counts.info} notices`, MARGIN, top + 20);
+  doc.moveDown(0.5);
+}
+
+/**
+ * A table with wrapped cells that continues, header repeated, across
+ * pages. `columns` are `{ header, width }` with widths as fractions of the
+ * content width; a cell is a value or `{ text, color }`.
+ */
+function drawTable(doc, columns, rows) {
+  const widths = columns.map(column => column.width * contentWidth(doc));
+  const cellText = (cell) => formatValue(cell && typeof cell === 'object' ? cell.text : cell);
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(8);
+    return Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(cellText(cell), { width: widths[i] - 2 * CELL_PADDING }))) + 2 * CELL_PADDING;
+  };
+
+  const drawRow = (cells, { header = false } = {}) => {
+    const font = header ? 'Helvetica-Bold' : 'Helvetica';
+    const height = rowHeight(cells, font);
+    const top = doc.y;
+    if (header) doc.rect(MARGIN, top, contentWidth(doc), height).fill('#f3f4f6');
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      doc.font(font).fontSize(8)
+        .fillColor(cell && typeof cell === 'object' && cell.color ? cell.color : TEXT_COLOR)
+        .text(cellText(cell), x + CELL_PADDING, top + CELL_PADDING, { width: widths[i] - 2 * CELL_PADDING });
+      x += widths[i];
+    });
+    doc.moveTo(MARGIN, top + height).lineTo(MARGIN + contentWidth(doc), top + height).strokeColor(RULE_COLOR).stroke();
+    doc.y = top + height;
+  };
+
+  const headers = columns.map(column => column.header);
+  ensureSpace(doc, rowHeight(headers, 'Helvetica-Bold') * 2);
+  drawRow(headers, { header: true });
+  rows.forEach(cells => {
+    if (doc.y + rowHeight(cells, 'Helvetica') > doc.page.height - MARGIN) {
+      doc.addPage();
+      drawRow(headers, { header: true });
+    }
+    drawRow(cells);
+  });
+  doc.x = MARGIN;
+  doc.moveDown(0.5);
+}
+
+const ISSUE_COLUMNS = [
+  { header: 'Severity', width: 0.12 },
+  { header: 'Category', width: 0.16 },
+  { header: 'Issue', width: 0.72 }
+];
+
+const severityCell = (severity) => ({ text: severity, color: SEVERITY_COLORS[severity] });
+
+function drawReport(doc, model) {
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(TEXT_COLOR).text('SEO AI Analysis Report', { align: 'center' });
+  doc.moveDown(0.5);
+  paragraph(doc, `URL: ${model.url}`, { size: 11 });
+  paragraph(doc, `Keywords: ${model.keywords.join(', ') || 'none'}`, { size: 11 });
+  paragraph(doc, `Analyzed: ${model.analyzedAt ? new Date(model.analyzedAt).toISOString() : 'N/A'} - ${model.pagesAnalyzed} page(s)`, { color: MUTED_COLOR });
 
-      stream.on('finish', () => {
-        resolve(outputPath);
-      });
+  heading(doc, 'Score Summary');
+  drawScoreBars(doc, model.scores);
+  heading(doc, 'Issues by Severity');
+  drawSeverityBar(doc, model.issueCounts);
+
+  heading(doc, 'Pages');
+  drawTable(doc, [
+    { header: 'URL', width: 0.4 },
+    { header: 'Status', width: 0.09 },
+    { header: 'Words', width: 0.09 },
+    { header: 'Readability', width: 0.12 },
+    { header: 'Performance', width: 0.12 },
+    { header: 'Errors', width: 0.09 },
+    { header: 'Warnings', width: 0.09 }
+  ], model.pages.map(page => [
+    page.url,
+    page.status,
+    page.wordCount,
+    page.readability,
+    page.performance,
+    { text: page.issueCounts.error, color: page.issueCounts.error > 0 ? SEVERITY_COLORS.error : TEXT_COLOR },
+    page.issueCounts.warning
+  ]));
+
+  model.pages.filter(page => page.issues.length > 0).forEach(page => {
+    heading(doc, `Issues: ${page.url}`);
+    drawTable(doc, ISSUE_COLUMNS, page.issues.map(issue => [severityCell(issue.severity), issue.category, issue.message]));
+  });
+
+  const siteIssues = model.issues.filter(issue => !model.pages.some(page => page.issues.includes(issue)));
+  if (siteIssues.length > 0) {
+    heading(doc, 'Site-wide Issues');
+    drawTable(doc, [
+      { header: 'Severity', width: 0.12 },
+      { header: 'Category', width: 0.14 },
+      { header: 'URL', width: 0.3 },
+      { header: 'Issue', width: 0.44 }
+    ], siteIssues.map(issue => [severityCell(issue.severity), issue.category, issue.url || '', issue.message]));
+  }
+
+  if (model.keywordSummary.length > 0) {
+    heading(doc, 'Keywords');
+    drawTable(doc, [
+      { header: 'Keyword', width: 0.25 },
+      { header: 'Density %', width: 0.12 },
+      { header: 'Occurrences', width: 0.13 },
+      { header: 'Pages', width: 0.1 },
+      { header: 'In titles', width: 0.1 },
+      { header: 'Related terms', width: 0.3 }
+    ], model.keywordSummary.map(entry => [
+      entry.keyword, entry.density.toFixed(2), entry.occurrences, entry.pagesWithKeyword, entry.inTitles, entry.relatedTerms.join(', ')
+    ]));
+  }
+
+  if (model.aiVisibility) {
+    const { score, llmScore, checks } = model.aiVisibility;
+    heading(doc, `AI Visibility Audit: ${score}/100`);
+    if (typeof llmScore === 'number') paragraph(doc, `AI estimate for comparison: ${llmScore}/100`, { color: MUTED_COLOR });
+    drawScoreBars(doc, checks.map(item => ({
+      label: `${item.label} (${item.weight} pts)`,
+      value: item.score === null ? null : Math.round(item.score * 100)
+    })));
+    drawTable(doc, [
+      { header: 'Check', width: 0.25 },
+      { header: 'Finding', width: 0.4 },
+      { header: 'Recommendation', width: 0.35 }
+    ], checks.map(item => [item.label, item.summary, item.recommendation || '']));
+  }
+
+  const insights = model.aiInsights;
+  // Flag sections that fell back to crawl heuristics
+  const heuristic = (field) => (insights.sources[field] === 'heuristic' ? ' (heuristic)' : '');
+  if (insights.summary) {
+    heading(doc, `AI Summary${heuristic('aiSummary')}`);
+    paragraph(doc, insights.summary);
+  }
+  if (insights.optimizedTitle || insights.optimizedDescription) {
+    heading(doc, 'Optimized Meta Tags');
+    paragraph(doc, `Title${heuristic('optimizedTitle')}: ${formatValue(insights.optimizedTitle)}`);
+    paragraph(doc, `Description${heuristic('optimizedDescription')}: ${formatValue(insights.optimizedDescription)}`);
+  }
+  if (insights.faqs.length > 0) {
+    heading(doc, `Suggested FAQs${heuristic('suggestedFaqs')}`);
+    insights.faqs.forEach((faq, idx) => {
+      ensureSpace(doc, 40);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(TEXT_COLOR).text(`${idx + 1}. ${faq.question}`, MARGIN);
+      paragraph(doc, faq.answer);
+      doc.moveDown(0.3);
+    });
+  }
+  if (insights.contentSuggestions.length > 0) {
+    heading(doc, `Content Suggestions${heuristic('contentSuggestions')}`);
+    insights.contentSuggestions.forEach((suggestion, idx) => paragraph(doc, `${idx + 1}. ${suggestion}`));
+  }
+
+  if (model.benchmark) {
+    const { benchmark } = model;
+    // Metric column, one per site, then the leader
+    const siteWidth = 0.6 / benchmark.headers.length;
+    const columns = (first) => [
+      { header: first, width: 0.22 },
+      ...benchmark.headers.map(header => ({ header, width: siteWidth })),
+      { header: 'Leader', width: 0.18 }
+    ];
+    heading(doc, 'Competitor Benchmark');
+    drawTable(doc, columns('Metric'), benchmark.metrics.map(metric => [metric.label, ...metric.values, metric.leader]));
+    if (benchmark.keywords.length > 0) {
+      drawTable(doc, columns('Keyword density'), benchmark.keywords.map(entry => [entry.keyword, ...entry.values, entry.leader]));
+    }
+    if (benchmark.missingStructuredData.length > 0) {
+      paragraph(doc, `Structured data only competitors have: ${benchmark.missingStructuredData.join(', ')}`);
+    }
+    benchmark.failed.forEach(({ url, error }) => paragraph(doc, `${url} could not be analyzed: ${error}`, { color: MUTED_COLOR }));
+    if (benchmark.contentGaps.length > 0) {
+      heading(doc, `Content Gaps${benchmark.generatedBy === 'heuristic' ? ' (heuristic)' : ''}`);
+      drawTable(doc, [
+        { header: 'Topic', width: 0.2 },
+        { header: 'Covered by', width: 0.25 },
+        { header: 'Recommendation', width: 0.55 }
+      ], benchmark.contentGaps.map(gap => [gap.topic, gap.competitors, gap.recommendation]));
+    }
+  }
+
+  if (model.sampleRewrite) {
+    heading(doc, 'Sample Paragraph Rewrite');
+    paragraph(doc, `Original: ${model.sampleRewrite.original}`, { color: MUTED_COLOR });
+    doc.moveDown(0.5);
+    paragraph(doc, `Rewritten: ${model.sampleRewrite.rewritten}`);
+  }
+}
+
+/**
+ * Render the report model as a PDF. Resolves to a Buffer.
+ */
+export function renderPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: MARGIN, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawReport(doc, model);
+      // Page numbers, once the page count is known
+      const { start, count } = doc.bufferedPageRange();
+      for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise start a new page
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+          .text(`Page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN + 15, { width: contentWidth(doc), align: 'center', lineBreak: false });
+      }
+      doc.end();
     } catch (error) {
       reject(error);
     }
   });
 }
+
+/**
+ * Render a Report document to PDF and put it in report storage. Resolves to
+ * the stored file's metadata, for `report.pdfFile`.
+ */
+export async function storeReportPdf(report) {
+  const pdf = await renderPdf(buildReportModel(report));
+  return storeReportFile(report._id, 'pdf', pdf, { contentType: 'application/pdf' });
+}
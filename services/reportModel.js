@@ -0,0 +1,212 @@
+import { SEVERITIES } from './technicalChecks.js';
+
+/**
+ * One flattened view of a Report that every export format renders from:
+ * headline scores, all issues with a category and severity, a row per
+ * page, keywords, the AI visibility audit, AI insights and the competitor
+ * benchmark.
+ */
+
+// Issue lists stored as "url: message" strings, with their default severity
+const ISSUE_SOURCES = [
+  { category: 'headings', severity: 'warning', get: (analysis) => analysis.technical?.headingStructure?.issues },
+  { category: 'images', severity: 'warning', get: (analysis) => analysis.technical?.imageOptimization?.issues },
+  { category: 'links', severity: 'warning', get: (analysis) => analysis.technical?.internalLinks?.issues },
+  { category: 'crawlability', severity: 'warning', get: (analysis) => analysis.technical?.crawlability?.issues },
+  { category: 'performance', severity: 'warning', get: (analysis) => analysis.technical?.pageSpeed?.issues },
+  { category: 'mobile', severity: 'warning', get: (analysis) => analysis.technical?.mobileFriendly?.issues },
+  { category: 'rendering', severity: 'info', get: (analysis) => analysis.technical?.rendering?.issues },
+  { category: 'structuredData', severity: 'error', get: (analysis) => analysis.structuredData?.issues },
+  { category: 'structuredData', severity: 'info', get: (analysis) => analysis.structuredData?.warnings },
+  { category: 'keywords', severity: 'warning', get: (analysis) => (analysis.keywordDensity || []).flatMap(entry => entry.issues || []) }
+];
+
+// Findings that are errors whatever list they come from
+const ERROR_PATTERNS = [/Broken link/, /returned [45]\d\d/, /Missing H1/, /disallowed by robots\.txt/];
+
+const ISSUE_PREFIX = /^(https?:\/\/\S+?): (.+)$/s;
+
+export function parseIssue(text, category, severity) {
+  const match = String(text).match(ISSUE_PREFIX);
+  const message = match ? match[2] : String(text);
+  return {
+    category,
+    severity: ERROR_PATTERNS.some(pattern => pattern.test(message)) ? 'error' : severity,
+    url: match ? match[1] : null,
+    message
+  };
+}
+
+const countBySeverity = (issues) => Object.fromEntries(
+  SEVERITIES.map(severity => [severity, issues.filter(issue => issue.severity === severity).length])
+);
+
+// Colours shared by the HTML and PDF renderers
+export const SEVERITY_COLORS = { error: '#dc2626', warning: '#d97706', info: '#2563eb' };
+export const scoreColor = (value) => (value === null ? '#9ca3af' : value >= 80 ? '#16a34a' : value >= 50 ? '#d97706' : '#dc2626');
+
+const percent = (part, total) => (total > 0 ? Math.round(100 * part / total) : null);
+
+function collectIssues(analysis) {
+  const issues = (analysis.metaTags?.findings || []).map(finding => ({
+    category: 'metaTags',
+    severity: finding.severity,
+    url: finding.url || null,
+    message: finding.message
+  }));
+  ISSUE_SOURCES.forEach(({ category, severity, get }) => {
+    (get(analysis) || []).forEach(text => issues.push(parseIssue(text, category, severity)));
+  });
+  (analysis.aiVisibility?.checks || [])
+    .filter(item => item.recommendation)
+    .forEach(item => issues.push({ category: 'aiVisibility', severity: 'warning', url: null, message: `${item.label}: ${item.recommendation}` }));
+
+  const order = (issue) => SEVERITIES.indexOf(issue.severity);
+  return issues.sort((a, b) => order(a) - order(b));
+}
+
+function buildScores(analysis) {
+  const pages = analysis.pages || [];
+  const technical = analysis.technical || {};
+  const mobile = technical.mobileFriendly;
+  const mobileAudited = (mobile?.pagesPassed || 0) + (mobile?.pagesFailed || 0);
+  const validMeta = pages.filter((page, i) =>
+    analysis.metaTags?.title?.[i]?.valid && analysis.metaTags?.description?.[i]?.valid).length;
+
+  return [
+    { id: 'aiVisibility', label: 'AI visibility', value: analysis.aiVisibility?.score ?? analysis.aiInsights?.aiVisibilityScore ?? null },
+    { id: 'performance', label: 'Performance', value: technical.pageSpeed?.score ?? null },
+    { id: 'readability', label: 'Readability', value: technical.readabilityScore ?? null },
+    {
+      id: 'mobile',
+      label: 'Mobile-friendly pages',
+      // v1 reports only kept a site-wide pass/fail
+      value: percent(mobile?.pagesPassed || 0, mobileAudited) ?? (typeof mobile?.passed === 'boolean' ? (mobile.passed ? 100 : 0) : null)
+    },
+    { id: 'metaTags', label: 'Valid titles and descriptions', value: percent(validMeta, pages.length) },
+    { id: 'structuredData', label: 'Pages with structured data', value: percent(analysis.structuredData?.pagesWithData || 0, pages.length) }
+  ].map(score => ({ ...score, max: 100 }));
+}
+
+function buildPages(analysis, issues) {
+  const technical = analysis.technical || {};
+  const byUrl = (list = []) => new Map(list.map(entry => [entry.url, entry]));
+  const readability = byUrl(analysis.contentQuality?.readabilityScores);
+  const speed = byUrl(technical.pageSpeed?.pages);
+  const mobile = byUrl(technical.mobileFriendly?.pages);
+
+  return (analysis.pages || []).map(page => {
+    const pageIssues = issues.filter(issue => issue.url && (issue.url === page.url || issue.url === page.finalUrl));
+    return {
+      url: page.url,
+      title: page.title || '',
+      status: page.status ?? null,
+      wordCount: page.wordCount ?? null,
+      loadTimeMs: page.loadTime ?? null,
+      readability: readability.get(page.url)?.score ?? null,
+      performance: speed.get(page.url)?.score ?? null,
+      mobilePassed: mobile.get(page.url)?.passed ?? null,
+      structuredDataTypes: [...new Set((page.structuredData || []).flatMap(item => item.types || []))],
+      issueCounts: countBySeverity(pageIssues),
+      issues: pageIssues
+    };
+  });
+}
+
+function buildKeywords(analysis) {
+  return (analysis.keywordDensity || []).map(entry => ({
+    keyword: entry.keyword,
+    density: Number(entry.overall) || 0,
+    occurrences: (entry.byPage || []).reduce((sum, page) => sum + (page.occurrences || 0), 0),
+    pagesWithKeyword: (entry.byPage || []).filter(page => page.occurrences > 0).length,
+    inTitles: (entry.byPage || []).filter(page => page.placement?.title).length,
+    relatedTerms: (entry.relatedTerms || []).slice(0, 5).map(({ term }) => term),
+    issues: entry.issues || []
+  }));
+}
+
+const siteLabel = (url, isTarget) => {
+  let host = url;
+  try {
+    host = new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    // keep the raw value
+  }
+  return isTarget ? `${host} (you)` : host;
+};
+
+/**
+ * The competitor benchmark as ready-to-render tables: `headers` name the
+ * sites (target first), and each metric and keyword row has one text cell
+ * per site.
+ */
+function buildBenchmark(benchmark) {
+  if (!benchmark?.target) return null;
+  const sites = [benchmark.target, ...(benchmark.competitors || [])];
+  const cell = (value) => (value === null || value === undefined ? 'N/A' : String(value));
+  return {
+    headers: sites.map((site, i) => siteLabel(site.url, i === 0)),
+    metrics: (benchmark.metrics || []).map(metric => ({
+      label: metric.label,
+      values: sites.map((_, i) => cell(metric.values?.[i])),
+      leader: metric.leader ? siteLabel(metric.leader, metric.leader === benchmark.target.url) : null
+    })),
+    keywords: (benchmark.keywords || []).map(entry => ({
+      keyword: entry.keyword,
+      values: sites.map((_, i) => {
+        const density = entry.density?.[i];
+        if (density === null || density === undefined) return 'N/A';
+        const placements = entry.placements?.[i] || [];
+        return `${density}% (${placements.length > 0 ? placements.join(', ') : 'no key placements'})`;
+      }),
+      leader: entry.leader ? siteLabel(entry.leader, entry.leader === benchmark.target.url) : null
+    })),
+    missingStructuredData: benchmark.missingStructuredData || [],
+    contentGaps: benchmark.contentGaps || [],
+    failed: benchmark.failed || [],
+    generatedBy: benchmark.generatedBy || null
+  };
+}
+
+/**
+ * Build the export model from a Report document or a plain object of the
+ * same shape (see `reportFieldsFromAnalysis`).
+ */
+export function buildReportModel(report) {
+  const source = typeof report.toObject === 'function' ? report.toObject() : report;
+  const analysis = source.analysis || {};
+  const issues = collectIssues(analysis);
+  const insights = analysis.aiInsights || {};
+
+  return {
+    id: source._id ? String(source._id) : null,
+    url: source.url,
+    keywords: source.keywords || [],
+    analyzedAt: source.analyzedAt || source.createdAt || null,
+    pagesAnalyzed: source.pagesAnalyzed ?? (analysis.pages || []).length,
+    scores: buildScores(analysis),
+    issueCounts: countBySeverity(issues),
+    issues,
+    pages: buildPages(analysis, issues),
+    keywordSummary: buildKeywords(analysis),
+    metaSuggestions: analysis.metaTags?.suggestions || [],
+    aiVisibility: analysis.aiVisibility || null,
+    aiInsights: {
+      summary: insights.aiSummary || null,
+      optimizedTitle: insights.optimizedTitle || null,
+      optimizedDescription: insights.optimizedDescription || null,
+      faqs: insights.suggestedFaqs || [],
+      contentSuggestions: insights.contentSuggestions || [],
+      generatedBy: insights.generatedBy || null,
+      sources: insights.sources || {}
+    },
+    structuredData: {
+      types: analysis.structuredData?.types || [],
+      pagesWithData: analysis.structuredData?.pagesWithData || 0,
+      generated: (analysis.structuredData?.generated || []).map(({ type, url, reason, snippet }) => ({ type, url, reason, snippet }))
+    },
+    benchmark: buildBenchmark(analysis.benchmark),
+    sampleRewrite: analysis.sampleRewrite?.original ? analysis.sampleRewrite : null,
+    llmUsage: source.llmUsage || null
+  };
+}
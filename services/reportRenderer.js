@@ -0,0 +1,330 @@
+import { buildReportModel, scoreColor, SEVERITY_COLORS } from './reportModel.js';
+import { renderPdf } from './reportGenerator.js';
+
+/**
+ * Report export formats, all rendered from `buildReportModel`. A format is
+ * `{ contentType, extension, render(model) }`, where `render` returns (or
+ * resolves to) a string or Buffer. Add formats with `registerReportFormat`.
+ */
+const formats = new Map();
+
+export function registerReportFormat(name, format) {
+  formats.set(name, format);
+}
+
+export function getReportFormat(name) {
+  const format = formats.get(name);
+  if (!format) {
+    throw new Error(`Unknown report format: ${name}. Use one of: ${[...formats.keys()].join(', ')}`);
+  }
+  return format;
+}
+
+export const reportFormatNames = () => [...formats.keys()];
+
+/**
+ * Render a Report (document or plain object) as `format`.
+ * Resolves to `{ body, contentType, extension }`.
+ */
+export async function renderReport(report, format) {
+  const { contentType, extension, render } = getReportFormat(format);
+  const body = await render(buildReportModel(report));
+  return { body, contentType, extension };
+}
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').substring(0, 16) : 'N/A');
+const formatScore = (value) => (value === null || value === undefined ? 'N/A' : `${value}/100`);
+const formatValue = (value) => (value === null || value === undefined ? 'N/A' : String(value));
+
+// --- JSON ------------------------------------------------------------------
+
+registerReportFormat('json', {
+  contentType: 'application/json; charset=utf-8',
+  extension: 'json',
+  render: (model) => JSON.stringify(model, null, 2)
+});
+
+// --- CSV -------------------------------------------------------------------
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+registerReportFormat('csv', {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  render: (model) => [
+    ['severity', 'category', 'url', 'message'],
+    ...model.issues.map(issue => [issue.severity, issue.category, issue.url, issue.message])
+  ].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+});
+
+// --- Markdown --------------------------------------------------------------
+
+const markdownCell = (value) => formatValue(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function renderMarkdown(model) {
+  const lines = [
+    `# SEO report: ${model.url}`,
+    '',
+    `Analyzed ${formatDate(model.analyzedAt)} · ${model.pagesAnalyzed} page(s) · keywords: ${model.keywords.join(', ') || 'none'}`,
+    '',
+    '## Scores',
+    '',
+    markdownTable(['Score', 'Value'], model.scores.map(score => [score.label, formatScore(score.value)])),
+    '',
+    `**Issues:** ${model.issueCounts.error} errors, ${model.issueCounts.warning} warnings, ${model.issueCounts.info} notices`,
+    ''
+  ];
+
+  const actionable = model.issues.filter(issue => issue.severity !== 'info');
+  if (actionable.length > 0) {
+    lines.push('## To do', '');
+    actionable.forEach(issue => {
+      lines.push(`- [ ] **${issue.severity}** (${issue.category}) ${issue.message}${issue.url ? ` — ${issue.url}` : ''}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Pages', '', markdownTable(
+    ['URL', 'Title', 'Status', 'Words', 'Readability', 'Errors', 'Warnings'],
+    model.pages.map(page => [page.url, page.title, page.status, page.wordCount, page.readability, page.issueCounts.error, page.issueCounts.warning])
+  ), '');
+
+  if (model.keywordSummary.length > 0) {
+    lines.push('## Keywords', '', markdownTable(
+      ['Keyword', 'Density %', 'Occurrences', 'Pages', 'In titles'],
+      model.keywordSummary.map(entry => [entry.keyword, entry.density.toFixed(2), entry.occurrences, entry.pagesWithKeyword, entry.inTitles])
+    ), '');
+  }
+
+  if (model.aiVisibility) {
+    lines.push(`## AI visibility audit (${model.aiVisibility.score}/100)`, '');
+    model.aiVisibility.checks.forEach(item => {
+      const mark = item.passed === null ? '-' : item.passed ? '[x]' : '[ ]';
+      lines.push(`- ${mark} **${item.label}** (${item.score === null ? 'not checked' : `${Math.round(item.score * 100)}%`}): ${item.summary}`);
+    });
+    lines.push('');
+  }
+
+  const insights = model.aiInsights;
+  if (insights.summary || insights.contentSuggestions.length > 0) {
+    lines.push('## AI insights', '');
+    if (insights.summary) lines.push(insights.summary, '');
+    if (insights.optimizedTitle) lines.push(`- **Suggested title:** ${insights.optimizedTitle}`);
+    if (insights.optimizedDescription) lines.push(`- **Suggested description:** ${insights.optimizedDescription}`);
+    insights.contentSuggestions.forEach(suggestion => lines.push(`- ${suggestion}`));
+    lines.push('');
+  }
+
+  if (model.benchmark) {
+    const { benchmark } = model;
+    lines.push('## Competitor benchmark', '', markdownTable(
+      ['Metric', ...benchmark.headers, 'Leader'],
+      benchmark.metrics.map(metric => [metric.label, ...metric.values, metric.leader])
+    ), '');
+    if (benchmark.keywords.length > 0) {
+      lines.push(markdownTable(
+        ['Keyword density', ...benchmark.headers, 'Leader'],
+        benchmark.keywords.map(entry => [entry.keyword, ...entry.values, entry.leader])
+      ), '');
+    }
+    if (benchmark.missingStructuredData.length > 0) {
+      lines.push(`**Structured data only competitors have:** ${benchmark.missingStructuredData.join(', ')}`, '');
+    }
+    if (benchmark.contentGaps.length > 0) {
+      lines.push('### Content gaps', '');
+      benchmark.contentGaps.forEach(gap => lines.push(`- **${gap.topic}** (${gap.competitors}): ${gap.recommendation}`));
+      lines.push('');
+    }
+    benchmark.failed.forEach(({ url, error }) => lines.push(`_${url} could not be analyzed: ${error}_`, ''));
+  }
+
+  if (model.sampleRewrite) {
+    lines.push('## Sample paragraph rewrite', '', `> ${model.sampleRewrite.original}`, '', model.sampleRewrite.rewritten, '');
+  }
+
+  return lines.join('\n');
+}
+
+registerReportFormat('markdown', {
+  contentType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+  render: renderMarkdown
+});
+
+// --- HTML ------------------------------------------------------------------
+
+const escapeHtml = (value) => formatValue(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function htmlScoreChart(scores) {
+  const rowHeight = 28;
+  const bars = scores.map((score, i) => {
+    const y = i * rowHeight;
+    const width = ((score.value ?? 0) / 100) * 300;
+    return `<text x="0" y="${y + 18}">${escapeHtml(score.label)}</text>`
+      + `<rect x="200" y="${y + 5}" width="300" height="18" fill="#f3f4f6"/>`
+      + `<rect x="200" y="${y + 5}" width="${width}" height="18" fill="${scoreColor(score.value ?? null)}"/>`
+      + `<text x="510" y="${y + 18}">${escapeHtml(formatScore(score.value))}</text>`;
+  }).join('');
+  return `<svg class="chart" viewBox="0 0 580 ${scores.length * rowHeight}" role="img" aria-label="Scores">${bars}</svg>`;
+}
+
+function htmlTable(headers, rows) {
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+const severityBadge = (severity) => `<span class="badge" style="background:${SEVERITY_COLORS[severity]}">${severity}</span>`;
+
+function renderHtml(model) {
+  const sections = [];
+
+  sections.push(`<h2>Scores</h2>${htmlScoreChart(model.scores)}`
+    + `<p class="counts">${['error', 'warning', 'info'].map(severity => `${severityBadge(severity)} ${model.issueCounts[severity]}`).join(' ')}</p>`);
+
+  sections.push(`<h2>Pages</h2>${htmlTable(
+    ['URL', 'Title', 'Status', 'Words', 'Readability', 'Performance', 'Issues'],
+    model.pages.map(page => [
+      `<a href="${escapeHtml(page.url)}">${escapeHtml(page.url)}</a>`,
+      escapeHtml(page.title),
+      escapeHtml(page.status),
+      escapeHtml(page.wordCount),
+      escapeHtml(page.readability),
+      escapeHtml(page.performance),
+      page.issues.length === 0
+        ? 'None'
+        : `<ul>${page.issues.map(issue => `<li>${severityBadge(issue.severity)} ${escapeHtml(issue.message)}</li>`).join('')}</ul>`
+    ])
+  )}`);
+
+  const siteIssues = model.issues.filter(issue => !model.pages.some(page => page.issues.includes(issue)));
+  if (siteIssues.length > 0) {
+    sections.push(`<h2>Site-wide issues</h2>${htmlTable(
+      ['Severity', 'Category', 'URL', 'Issue'],
+      siteIssues.map(issue => [severityBadge(issue.severity), escapeHtml(issue.category), escapeHtml(issue.url || ''), escapeHtml(issue.message)])
+    )}`);
+  }
+
+  if (model.keywordSummary.length > 0) {
+    sections.push(`<h2>Keywords</h2>${htmlTable(
+      ['Keyword', 'Density %', 'Occurrences', 'Pages', 'In titles', 'Related terms'],
+      model.keywordSummary.map(entry => [
+        escapeHtml(entry.keyword), entry.density.toFixed(2), entry.occurrences, entry.pagesWithKeyword, entry.inTitles,
+        escapeHtml(entry.relatedTerms.join(', '))
+      ])
+    )}`);
+  }
+
+  if (model.aiVisibility) {
+    sections.push(`<h2>AI visibility audit: ${model.aiVisibility.score}/100</h2>${htmlTable(
+      ['Check', 'Score', 'Finding', 'Recommendation'],
+      model.aiVisibility.checks.map(item => [
+        escapeHtml(item.label),
+        item.score === null ? 'N/A' : `${Math.round(item.score * 100)}% of ${item.weight}`,
+        escapeHtml(item.summary),
+        escapeHtml(item.recommendation || '')
+      ])
+    )}`);
+  }
+
+  const insights = model.aiInsights;
+  if (insights.summary || insights.contentSuggestions.length > 0) {
+    sections.push('<h2>AI insights</h2>'
+      + (insights.summary ? `<p>${escapeHtml(insights.summary)}</p>` : '')
+      + (insights.optimizedTitle ? `<p><strong>Suggested title:</strong> ${escapeHtml(insights.optimizedTitle)}</p>` : '')
+      + (insights.optimizedDescription ? `<p><strong>Suggested description:</strong> ${escapeHtml(insights.optimizedDescription)}</p>` : '')
+      + `<ul>${insights.contentSuggestions.map(suggestion => `<li>${escapeHtml(suggestion)}</li>`).join('')}</ul>`
+      + (insights.faqs.length > 0
+        ? `<h3>Suggested FAQs</h3><dl>${insights.faqs.map(faq => `<dt>${escapeHtml(faq.question)}</dt><dd>${escapeHtml(faq.answer)}</dd>`).join('')}</dl>`
+        : ''));
+  }
+
+  if (model.structuredData.generated.length > 0) {
+    sections.push(`<h2>Suggested structured data</h2>${model.structuredData.generated.map(item =>
+      `<h3>${escapeHtml(item.type)}</h3><p>${escapeHtml(item.reason)}</p><pre>${escapeHtml(item.snippet)}</pre>`).join('')}`);
+  }
+
+  if (model.benchmark) {
+    const { benchmark } = model;
+    sections.push('<h2>Competitor benchmark</h2>'
+      + htmlTable(
+        ['Metric', ...benchmark.headers, 'Leader'],
+        benchmark.metrics.map(metric => [metric.label, ...metric.values, metric.leader].map(escapeHtml))
+      )
+      + (benchmark.keywords.length > 0
+        ? htmlTable(
+          ['Keyword density', ...benchmark.headers, 'Leader'],
+          benchmark.keywords.map(entry => [entry.keyword, ...entry.values, entry.leader].map(escapeHtml))
+        )
+        : '')
+      + (benchmark.missingStructuredData.length > 0
+        ? `<p><strong>Structured data only competitors have:</strong> ${escapeHtml(benchmark.missingStructuredData.join(', '))}</p>`
+        : '')
+      + (benchmark.contentGaps.length > 0
+        ? `<h3>Content gaps</h3><ul>${benchmark.contentGaps.map(gap =>
+          `<li><strong>${escapeHtml(gap.topic)}</strong> (${escapeHtml(gap.competitors)}): ${escapeHtml(gap.recommendation)}</li>`).join('')}</ul>`
+        : '')
+      + benchmark.failed.map(({ url, error }) => `<p><em>${escapeHtml(url)} could not be analyzed: ${escapeHtml(error)}</em></p>`).join(''));
+  }
+
+  if (model.sampleRewrite) {
+    sections.push(`<h2>Sample paragraph rewrite</h2><blockquote>${escapeHtml(model.sampleRewrite.original)}</blockquote>`
+      + `<p>${escapeHtml(model.sampleRewrite.rewritten)}</p>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SEO report: ${escapeHtml(model.url)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; color: #111827; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #e5e7eb; padding: 0.4rem; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+td ul { margin: 0; padding-left: 1rem; }
+.chart { width: 100%; max-width: 580px; font-size: 13px; }
+.badge { color: #fff; border-radius: 4px; padding: 0 0.4rem; font-size: 0.8rem; }
+pre { background: #f3f4f6; padding: 0.75rem; overflow-x: auto; }
+blockquote { color: #4b5563; border-left: 3px solid #d1d5db; margin-left: 0; padding-left: 1rem; }
+</style>
+</head>
+<body>
+<h1>SEO report: ${escapeHtml(model.url)}</h1>
+<p>Analyzed ${escapeHtml(formatDate(model.analyzedAt))} · ${model.pagesAnalyzed} page(s) · keywords: ${escapeHtml(model.keywords.join(', ') || 'none')}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+registerReportFormat('html', {
+  contentType: 'text/html; charset=utf-8',
+  extension: 'html',
+  render: renderHtml
+});
+
+// --- PDF -------------------------------------------------------------------
+
+registerReportFormat('pdf', {
+  contentType: 'application/pdf',
+  extension: 'pdf',
+  render: renderPdf
+});
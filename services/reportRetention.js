@@ -0,0 +1,130 @@
+import Report from '../models/Report.js';
+import { getReportStorage } from './reportStorage.js';
+
+/**
+ * Retention for stored report files:
+ * - files older than REPORT_RETENTION_DAYS (default 30, 0 keeps them
+ *   forever) are deleted and unlinked from their Report; the PDF is
+ *   rendered again if someone downloads it later
+ * - orphans (no Report points at them, e.g. the report was deleted or the
+ *   upload outlived a failed save) are deleted once they are older than
+ *   REPORT_ORPHAN_GRACE_MINUTES (default 60), so in-flight runs are safe
+ *
+ * Runs every REPORT_CLEANUP_INTERVAL_HOURS (default 24) from the server, or
+ * once with `npm run cleanup:reports`.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+const LOOKUP_BATCH_SIZE = 500;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Delete expired and orphaned report files. Resolves to
+ * `{ scanned, expired, orphaned, failed }`; with `dryRun` nothing is deleted.
+ */
+export async function cleanupReportStorage({
+  storage = getReportStorage(),
+  retentionDays = envNumber('REPORT_RETENTION_DAYS', 30),
+  orphanGraceMinutes = envNumber('REPORT_ORPHAN_GRACE_MINUTES', 60),
+  dryRun = false,
+  now = new Date()
+} = {}) {
+  const files = await storage.list();
+  const summary = { scanned: files.length, expired: 0, orphaned: 0, failed: 0 };
+
+  // Keys that a Report still points at on this backend
+  const referenced = new Set();
+  for (let i = 0; i < files.length; i += LOOKUP_BATCH_SIZE) {
+    const keys = files.slice(i, i + LOOKUP_BATCH_SIZE).map(file => file.key);
+    const reports = await Report.find({ 'pdfFile.backend': storage.name, 'pdfFile.key': { $in: keys } })
+      .select('pdfFile.key')
+      .lean();
+    reports.forEach(report => referenced.add(report.pdfFile.key));
+  }
+
+  // Reports not yet migrated to v5 still carry `pdfPath`; until they load
+  // (or `npm run migrate:reports` runs) their files count as referenced
+  const legacyPaths = storage.name === 'local' ? await legacyPdfPaths() : new Map();
+  for (const key of legacyPaths.keys()) referenced.add(key);
+
+  for (const file of files) {
+    const age = now - new Date(file.lastModified);
+    const orphan = !referenced.has(file.key);
+    const expired = retentionDays > 0 && age > retentionDays * DAY;
+    if (orphan ? age <= orphanGraceMinutes * 60 * 1000 : !expired) continue;
+
+    try {
+      if (!dryRun) {
+        await storage.delete(file.key);
+        if (!orphan) {
+          await Report.updateMany(
+            { 'pdfFile.backend': storage.name, 'pdfFile.key': file.key },
+            { $unset: { pdfFile: 1 } }
+          );
+          if (legacyPaths.has(file.key)) {
+            await Report.collection.updateMany(
+              { pdfPath: { $in: legacyPaths.get(file.key) } },
+              { $unset: { pdfPath: 1 } }
+            );
+          }
+        }
+      }
+      summary[orphan ? 'orphaned' : 'expired']++;
+    } catch (error) {
+      summary.failed++;
+      console.warn(`⚠️ Failed to delete stored report file ${file.key}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Storage keys of legacy `pdfPath` values, mapped to the paths that name
+ * them. Read through the raw collection: `pdfPath` is no longer in the
+ * schema.
+ */
+async function legacyPdfPaths() {
+  const paths = new Map();
+  const cursor = Report.collection.find({ pdfPath: { $exists: true, $ne: null } }, { projection: { pdfPath: 1 } });
+  for await (const { pdfPath } of cursor) {
+    const key = String(pdfPath).split(/[\\/]/).pop();
+    paths.set(key, [...(paths.get(key) || []), pdfPath]);
+  }
+  return paths;
+}
+
+async function sweep() {
+  if (running) return;
+  running = true;
+  try {
+    const { scanned, expired, orphaned, failed } = await cleanupReportStorage();
+    if (expired || orphaned || failed) {
+      console.log(`🧹 Report storage cleanup: ${expired} expired, ${orphaned} orphaned, ${failed} failed (of ${scanned})`);
+    }
+  } catch (error) {
+    console.error('❌ Report storage cleanup failed:', error);
+  } finally {
+    running = false;
+  }
+}
+
+export function startReportRetention() {
+  if (timer) return;
+  const hours = envNumber('REPORT_CLEANUP_INTERVAL_HOURS', 24) || 24;
+  timer = setInterval(sweep, hours * 60 * 60 * 1000);
+  timer.unref();
+  console.log(`🧹 Report storage cleanup scheduled every ${hours}h`);
+  sweep();
+}
+
+export function stopReportRetention() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,323 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+
+/**
+ * Where generated report files live, behind pluggable backends:
+ * - `local`: a directory on disk (REPORT_STORAGE_DIR, default `reports`)
+ * - `s3`: any S3-compatible object store, e.g. AWS S3 or MinIO (S3_BUCKET,
+ *   S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *   S3_PREFIX, S3_FORCE_PATH_STYLE)
+ *
+ * Pick one with REPORT_STORAGE (default `local`) and add more with
+ * `registerStorageBackend`. A backend is `{ name, put, get, delete, list,
+ * signedUrl }`; `get` rejects with code `STORAGE_NOT_FOUND` for missing keys
+ * and `signedUrl` resolves to null when the backend cannot sign.
+ */
+const backends = new Map();
+
+export function registerStorageBackend(name, factory) {
+  backends.set(name, factory);
+}
+
+export function createReportStorage(name = process.env.REPORT_STORAGE || 'local') {
+  const factory = backends.get(name);
+  if (!factory) {
+    throw new Error(`Unknown report storage backend: ${name}`);
+  }
+  return factory();
+}
+
+let defaultStorage = null;
+
+/**
+ * The configured backend, created on first use.
+ */
+export function getReportStorage() {
+  if (!defaultStorage) defaultStorage = createReportStorage();
+  return defaultStorage;
+}
+
+function notFound(key) {
+  const error = new Error(`Stored file not found: ${key}`);
+  error.code = 'STORAGE_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Storage key for a report's file: one per report and format, so runs
+ * never overwrite each other and regenerating replaces the old copy.
+ */
+export const reportFileKey = (reportId, extension) => `${reportId}.${extension}`;
+
+/**
+ * Store `body` as the report's `extension` file. Resolves to the metadata
+ * kept on the Report (`pdfFile`).
+ */
+export async function storeReportFile(reportId, extension, body, { contentType, storage = getReportStorage() } = {}) {
+  const key = reportFileKey(reportId, extension);
+  await storage.put(key, body, { contentType });
+  return { backend: storage.name, key, size: body.length, contentType, storedAt: new Date() };
+}
+
+// --- Local disk ------------------------------------------------------------
+
+function localStorage(root = path.resolve(process.env.REPORT_STORAGE_DIR || 'reports')) {
+  // Keys are file names; never let one escape the storage directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (path.dirname(file) !== root) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.promises.mkdir(root, { recursive: true });
+      // Write then rename, so readers never see a half-written file
+      const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(temp, body);
+      await fs.promises.rename(temp, file);
+    },
+
+    async get(key) {
+      const file = resolve(key);
+      let stat;
+      try {
+        stat = await fs.promises.stat(file);
+      } catch (error) {
+        if (error.code === 'ENOENT') throw notFound(key);
+        throw error;
+      }
+      return { stream: fs.createReadStream(file), size: stat.size };
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    async list() {
+      let names;
+      try {
+        names = await fs.promises.readdir(root);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const files = [];
+      for (const name of names) {
+        const stat = await fs.promises.stat(path.join(root, name));
+        if (stat.isFile()) files.push({ key: name, size: stat.size, lastModified: stat.mtime });
+      }
+      return files;
+    },
+
+    async signedUrl() {
+      return null;
+    }
+  };
+}
+
+registerStorageBackend('local', () => localStorage());
+
+// --- S3-compatible -----------------------------------------------------------
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 requires
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+function canonicalQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+    .join('&');
+}
+
+/**
+ * AWS Signature Version 4 for S3. Returns the signature, scope and signed
+ * header list for a request with the given (lowercase) `headers`.
+ */
+export function signS3Request({ method, pathname, query = {}, headers, payloadHash, credentials, region, date }) {
+  const timestamp = amzDate(date);
+  const day = timestamp.substring(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery(query),
+    names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', timestamp, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), region));
+  return {
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+    scope,
+    signedHeaders: names.join(';'),
+    timestamp
+  };
+}
+
+function s3Config() {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const config = {
+    bucket: process.env.S3_BUCKET,
+    region,
+    endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ''),
+    prefix: process.env.S3_PREFIX ?? 'reports/',
+    // MinIO and most self-hosted stores only support path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY
+    }
+  };
+  if (!config.bucket) throw new Error('S3_BUCKET is not configured');
+  if (!config.credentials.accessKeyId || !config.credentials.secretAccessKey) {
+    throw new Error('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are not configured');
+  }
+  return config;
+}
+
+function s3Storage(config = s3Config()) {
+  const endpoint = new URL(config.endpoint);
+  const host = config.forcePathStyle ? endpoint.host : `${config.bucket}.${endpoint.host}`;
+  const objectPath = (key) => {
+    const encoded = `${config.prefix}${key}`.split('/').map(encodeRfc3986).join('/');
+    return config.forcePathStyle ? `/${config.bucket}/${encoded}` : `/${encoded}`;
+  };
+  const bucketPath = config.forcePathStyle ? `/${config.bucket}` : '/';
+  const urlFor = (pathname, query = {}) => {
+    const search = canonicalQuery(query);
+    return `${endpoint.protocol}//${host}${pathname}${search ? `?${search}` : ''}`;
+  };
+
+  async function request(method, pathname, { query = {}, body, headers = {}, responseType } = {}) {
+    const date = new Date();
+    const payloadHash = sha256(body || '');
+    const sentHeaders = {
+      ...headers,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate(date)
+    };
+    const { signature, scope, signedHeaders: names } = signS3Request({
+      method, pathname, query, headers: { ...sentHeaders, host }, payloadHash,
+      credentials: config.credentials, region: config.region, date
+    });
+    const response = await axios({
+      method,
+      url: urlFor(pathname, query),
+      data: body,
+      responseType,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${config.credentials.accessKeyId}/${scope}, SignedHeaders=${names}, Signature=${signature}`
+      },
+      maxBodyLength: Infinity,
+      timeout: 30000,
+      validateStatus: () => true
+    });
+    return response;
+  }
+
+  async function failure(response, action) {
+    let detail = '';
+    if (response.data && typeof response.data.pipe === 'function') {
+      response.data.resume();
+    } else if (response.data) {
+      detail = cheerio.load(String(response.data), { xmlMode: true })('Error > Message').text();
+    }
+    const error = new Error(`S3 ${action} failed: HTTP ${response.status}${detail ? ` (${detail})` : ''}`);
+    error.status = response.status;
+    return error;
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+      const response = await request('PUT', objectPath(key), { body, headers: { 'content-type': contentType } });
+      if (response.status !== 200) throw await failure(response, `upload of ${key}`);
+    },
+
+    async get(key) {
+      const response = await request('GET', objectPath(key), { responseType: 'stream' });
+      if (response.status === 404) {
+        response.data.resume();
+        throw notFound(key);
+      }
+      if (response.status !== 200) throw await failure(response, `download of ${key}`);
+      return {
+        stream: response.data,
+        size: Number(response.headers['content-length']) || null,
+        contentType: response.headers['content-type'] || null
+      };
+    },
+
+    async delete(key) {
+      const response = await request('DELETE', objectPath(key));
+      if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+        throw await failure(response, `delete of ${key}`);
+      }
+    },
+
+    async list() {
+      const files = [];
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': '2', prefix: config.prefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const response = await request('GET', bucketPath, { query });
+        if (response.status !== 200) throw await failure(response, 'listing');
+
+        const $ = cheerio.load(String(response.data), { xmlMode: true });
+        $('Contents').each((_, el) => {
+          files.push({
+            key: $(el).find('Key').text().substring(config.prefix.length),
+            size: Number($(el).find('Size').text()),
+            lastModified: new Date($(el).find('LastModified').text())
+          });
+        });
+        continuationToken = $('IsTruncated').text() === 'true' ? $('NextContinuationToken').text() : null;
+      } while (continuationToken);
+      return files;
+    },
+
+    /**
+     * Presigned GET URL, valid for `expiresIn` seconds (at most 7 days).
+     */
+    async signedUrl(key, { expiresIn = 900, filename } = {}) {
+      const date = new Date();
+      const pathname = objectPath(key);
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${config.credentials.accessKeyId}/${amzDate(date).substring(0, 8)}/${config.region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate(date),
+        'X-Amz-Expires': String(Math.min(expiresIn, 604800)),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      if (filename) query['response-content-disposition'] = `attachment; filename="${filename}"`;
+      const { signature } = signS3Request({
+        method: 'GET', pathname, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD',
+        credentials: config.credentials, region: config.region, date
+      });
+      return urlFor(pathname, { ...query, 'X-Amz-Signature': signature });
+    }
+  };
+}
+
+registerStorageBackend('s3', () => s3Storage());
@@ -0,0 +1,123 @@
+import Schedule from '../models/Schedule.js';
+import Report from '../models/Report.js';
+import { runAnalysisPipeline } from './analysisPipeline.js';
+import { evaluateThresholds } from './alertRules.js';
+import { dispatchAlerts } from './notifiers.js';
+import { nextCronDate } from '../utils/cron.js';
+import Tenant from '../models/Tenant.js';
+import { reserveAnalysis, releaseAnalysis } from './usage.js';
+
+/**
+ * In-process scheduler for recurring audits.
+ * State lives on the Schedule documents (`nextRunAt`, `lockedUntil`), so a
+ * restart simply picks up whatever is due, and a run that died mid-way is
+ * retried once its lock expires.
+ */
+const TICK_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60000;
+const LOCK_DURATION = 30 * 60 * 1000;
+
+let timer = null;
+let ticking = false;
+
+export function startScheduler() {
+  if (timer) return;
+  timer = setInterval(tick, TICK_INTERVAL);
+  timer.unref();
+  console.log(`⏰ Scheduler started (checking every ${TICK_INTERVAL / 1000}s)`);
+  tick();
+}
+
+export function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function claim(filter, options = {}) {
+  const now = new Date();
+  return Schedule.findOneAndUpdate(
+    { ...filter, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+    { lockedUntil: new Date(now.getTime() + LOCK_DURATION) },
+    { new: true, ...options }
+  );
+}
+
+function claimDueSchedule() {
+  return claim({ enabled: true, nextRunAt: { $lte: new Date() } }, { sort: { nextRunAt: 1 } });
+}
+
+/**
+ * Lock a specific schedule (matching `filter`, e.g. its owner) for a manual
+ * run. Resolves to null if it is missing or already running.
+ */
+export function claimSchedule(scheduleId, filter = {}) {
+  return claim({ ...filter, _id: scheduleId });
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    let schedule;
+    while ((schedule = await claimDueSchedule())) {
+      await runSchedule(schedule);
+    }
+  } catch (error) {
+    console.error('❌ Scheduler tick failed:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Run one schedule now: analyze, store the Report, check thresholds against
+ * the previous run and notify. Also used by the "run now" endpoint.
+ */
+export async function runSchedule(schedule) {
+  console.log(`⏰ Running scheduled audit ${schedule._id} for ${schedule.url}`);
+  const update = {
+    lockedUntil: null,
+    lastRunAt: new Date(),
+    nextRunAt: nextCronDate(schedule.cron)
+  };
+
+  // Scheduled runs count towards the owner's monthly quota, unless no
+  // report comes of them
+  let reserved = false;
+  let analyzed = false;
+  try {
+    if (schedule.tenant) {
+      const tenant = await Tenant.findById(schedule.tenant);
+      if (!tenant?.active) throw new Error('Owning tenant is disabled or missing');
+      reserved = await reserveAnalysis(tenant);
+      if (!reserved) throw new Error('Monthly analysis quota reached');
+    }
+
+    const previousReport = schedule.lastReport ? await Report.findById(schedule.lastReport) : null;
+    const { report } = await runAnalysisPipeline({
+      url: schedule.url,
+      keywords: schedule.keywords,
+      crawl: schedule.crawl,
+      tenant: schedule.tenant
+    });
+    analyzed = true;
+    await Report.updateOne({ _id: report._id }, { schedule: schedule._id });
+
+    const alerts = evaluateThresholds(report, previousReport, schedule.thresholds);
+    await dispatchAlerts(schedule, report._id, alerts);
+
+    Object.assign(update, {
+      lastStatus: 'success',
+      lastError: null,
+      lastReport: report._id,
+      lastAlerts: alerts
+    });
+  } catch (error) {
+    console.error(`❌ Scheduled audit ${schedule._id} failed:`, error);
+    Object.assign(update, { lastStatus: 'failed', lastError: error.message });
+    if (reserved && !analyzed) {
+      await releaseAnalysis(schedule.tenant).catch(releaseError => console.warn(`⚠️ Failed to release quota: ${releaseError.message}`));
+    }
+  }
+
+  return Schedule.findByIdAndUpdate(schedule._id, update, { new: true });
+}
@@ -0,0 +1,199 @@
+import axios from 'axios';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import * as cheerio from 'cheerio';
+import { parseRobotsTxt, getCrawlDelay } from '../utils/robotsTxt.js';
+import { DEFAULT_MAX_CONTENT_LENGTH } from './httpFetcher.js';
+
+const gunzip = promisify(zlib.gunzip);
+
+const MAX_SITEMAP_FILES = 20;
+const MAX_SITEMAP_URLS = 5000;
+
+/**
+ * GET a text file, capped at `maxContentLength` bytes both on the wire and
+ * after un-gzipping, so a huge file or a gzip bomb fails with
+ * RESPONSE_TOO_LARGE instead of exhausting memory.
+ */
+async function fetchText(url, { userAgent, timeout, maxContentLength }) {
+  const tooLarge = () => Object.assign(
+    new Error(`Response from ${url} is larger than ${maxContentLength} bytes`),
+    { code: 'RESPONSE_TOO_LARGE' }
+  );
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      timeout,
+      responseType: 'arraybuffer',
+      headers: { 'User-Agent': userAgent },
+      maxContentLength,
+      validateStatus: () => true
+    });
+  } catch (error) {
+    if (/maxContentLength/.test(error.message)) throw tooLarge();
+    throw error;
+  }
+
+  let body = Buffer.from(response.data);
+  // Pre-compressed sitemap files (as opposed to Content-Encoding, which axios handles)
+  if (url.endsWith('.gz') || (body[0] === 0x1f && body[1] === 0x8b)) {
+    try {
+      body = await gunzip(body, { maxOutputLength: maxContentLength });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+      throw error;
+    }
+  }
+  return { status: response.status, text: body.toString('utf8') };
+}
+
+async function fetchRobots(origin, options) {
+  const url = `${origin}/robots.txt`;
+  const robots = { url, found: false, status: null, crawlDelay: null, sitemaps: [], rules: null, issues: [] };
+
+  try {
+    const { status, text } = await fetchText(url, options);
+    robots.status = status;
+    if (status >= 200 && status < 300) {
+      robots.found = true;
+      robots.rules = parseRobotsTxt(text);
+      robots.sitemaps = robots.rules.sitemaps
+        .map(sitemap => {
+          try {
+            return new URL(sitemap, origin).href;
+          } catch (error) {
+            robots.issues.push(`${url}: Invalid sitemap URL "${sitemap}"`);
+            return null;
+          }
+        })
+        .filter(Boolean);
+      robots.crawlDelay = getCrawlDelay(robots.rules, options.robotsAgent);
+    } else if (status >= 500) {
+      robots.issues.push(`${url}: robots.txt returned ${status}; crawlers may stop crawling the site`);
+    }
+  } catch (error) {
+    robots.status = 0;
+    robots.issues.push(`${url}: Failed to fetch robots.txt (${error.message})`);
+  }
+
+  return robots;
+}
+
+/**
+ * /llms.txt (llmstxt.org): a Markdown index of the site for LLMs, with an
+ * H1 title, an optional `>` summary and sections of links.
+ */
+async function fetchLlmsTxt(origin, options) {
+  const url = `${origin}/llms.txt`;
+  const llmsTxt = { url, found: false, status: null, title: null, summary: null, linkCount: 0, issues: [] };
+
+  try {
+    const { status, text } = await fetchText(url, options);
+    llmsTxt.status = status;
+    // Some servers answer every path with their HTML 404 page and a 200
+    if (status < 200 || status >= 300 || /^\s*<(!doctype|html)/i.test(text)) return llmsTxt;
+
+    llmsTxt.found = true;
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const title = lines[0]?.match(/^#\s+(.+)/);
+    llmsTxt.title = title ? title[1] : null;
+    llmsTxt.summary = lines.find(line => line.startsWith('>'))?.replace(/^>\s*/, '') || null;
+    llmsTxt.linkCount = (text.match(/\[[^\]]+\]\([^)\s]+\)/g) || []).length;
+    if (!llmsTxt.title) llmsTxt.issues.push(`${url}: Does not start with an H1 title ("# Site name")`);
+    if (!llmsTxt.summary) llmsTxt.issues.push(`${url}: No "> summary" line describing the site`);
+    if (llmsTxt.linkCount === 0) llmsTxt.issues.push(`${url}: Lists no Markdown links to key pages`);
+  } catch (error) {
+    llmsTxt.status = 0;
+    llmsTxt.issues.push(`${url}: Failed to fetch llms.txt (${error.message})`);
+  }
+
+  return llmsTxt;
+}
+
+async function fetchSitemaps(startUrls, options) {
+  const sitemap = { sitemaps: [], urls: [], issues: [] };
+  const queue = [...startUrls];
+  const seen = new Set();
+  const urls = new Set();
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    const entry = { url: sitemapUrl, status: null, type: null, urlCount: 0, error: null };
+    sitemap.sitemaps.push(entry);
+
+    try {
+      const { status, text } = await fetchText(sitemapUrl, options);
+      entry.status = status;
+      if (status < 200 || status >= 300) {
+        entry.error = `HTTP ${status}`;
+        continue;
+      }
+
+      const $ = cheerio.load(text, { xmlMode: true });
+      if ($('sitemapindex').length > 0) {
+        entry.type = 'index';
+        $('sitemap > loc').each((_, el) => {
+          const loc = $(el).text().trim();
+          entry.urlCount++;
+          if (loc) queue.push(loc);
+        });
+      } else if ($('urlset').length > 0) {
+        entry.type = 'urlset';
+        $('url > loc').each((_, el) => {
+          const loc = $(el).text().trim();
+          entry.urlCount++;
+          if (loc && urls.size < MAX_SITEMAP_URLS) urls.add(loc);
+        });
+      } else {
+        entry.error = 'Not a valid sitemap (no <urlset> or <sitemapindex>)';
+      }
+    } catch (error) {
+      entry.status = entry.status || 0;
+      entry.error = error.message;
+    }
+  }
+
+  sitemap.sitemaps
+    .filter(entry => entry.error)
+    .forEach(entry => sitemap.issues.push(`${entry.url}: Sitemap could not be read (${entry.error})`));
+  if (queue.length > 0) {
+    sitemap.issues.push(`Stopped after ${MAX_SITEMAP_FILES} sitemap files; ${queue.length} not fetched`);
+  }
+
+  sitemap.urls = [...urls];
+  return sitemap;
+}
+
+/**
+ * Fetch robots.txt and every sitemap it points to (or /sitemap.xml as a
+ * fallback), following sitemap indexes, plus /llms.txt. Files over
+ * `maxContentLength` bytes (CRAWL_MAX_BYTES, default 5 MB) are not read.
+ */
+export async function discoverSite(url, { userAgent, robotsAgent, timeout, maxContentLength }) {
+  const { origin } = new URL(url);
+  const options = {
+    userAgent,
+    robotsAgent,
+    timeout,
+    maxContentLength: maxContentLength || parseInt(process.env.CRAWL_MAX_BYTES, 10) || DEFAULT_MAX_CONTENT_LENGTH
+  };
+
+  const robots = await fetchRobots(origin, options);
+  const sitemapUrls = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+  const sitemap = await fetchSitemaps(sitemapUrls, options);
+
+  // A missing default sitemap is only worth noting, not an error
+  if (robots.sitemaps.length === 0) {
+    sitemap.issues = sitemap.sitemaps.every(entry => entry.status === 404)
+      ? [`${origin}: No sitemap declared in robots.txt and none found at /sitemap.xml`]
+      : sitemap.issues;
+  }
+
+  const llmsTxt = await fetchLlmsTxt(origin, options);
+
+  return { origin, robots, sitemap, llmsTxt, blockedUrls: [], failedUrls: [] };
+}
@@ -0,0 +1,382 @@
+import { URL } from 'url';
+
+/**
+ * Structured data: extraction of JSON-LD, Microdata and RDFa into one
+ * JSON-LD-shaped form, validation against the properties Google's rich
+ * results need, and generation of JSON-LD for types a site is missing.
+ *
+ * Each extracted item is `{ format, types, data }`, where `data` is a
+ * JSON-LD style object (`@type` plus properties).
+ */
+
+// Required / recommended properties per rich-result type. `oneOf` lists
+// groups where at least one property must be present.
+const RULES = {
+  Organization: {
+    required: ['name'],
+    recommended: ['url', 'logo', 'sameAs', 'contactPoint'],
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'image', 'geo', 'openingHoursSpecification', 'priceRange'],
+  },
+  Product: {
+    required: ['name'],
+    oneOf: [['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku'],
+  },
+  Article: {
+    required: ['headline'],
+    recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher'],
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    recommended: [],
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: [],
+  },
+};
+
+// schema.org subtypes validated with their parent's rules
+const TYPE_ALIASES = {
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  EducationalOrganization: 'Organization',
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness',
+  MedicalBusiness: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  AutomotiveBusiness: 'LocalBusiness',
+  FoodEstablishment: 'LocalBusiness',
+  HomeAndConstructionBusiness: 'LocalBusiness',
+  LegalService: 'LocalBusiness',
+  RealEstateAgent: 'LocalBusiness',
+};
+
+/**
+ * The type whose rules apply to `type`, e.g. `Organization` for `NGO`.
+ */
+export const baseType = (type) => TYPE_ALIASES[type] || type;
+
+const SCHEMA_ORG = /^(https?:\/\/)?schema\.org\//i;
+
+/**
+ * `https://schema.org/Product`, `schema:Product` and `Product` -> `Product`.
+ */
+function typeName(type) {
+  return String(type).replace(SCHEMA_ORG, '').replace(/^schema:/i, '').split(/[/#]/).pop();
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.some(hasValue);
+  if (typeof value === 'string') return value.trim().length > 0;
+  return value !== undefined && value !== null;
+}
+
+function resolveUrl(value, baseUrl) {
+  if (!value || !baseUrl) return value;
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (error) {
+    return value;
+  }
+}
+
+function makeItem(format, data) {
+  return { format, types: toArray(data['@type']).map(typeName), data };
+}
+
+// --- JSON-LD ---------------------------------------------------------------
+
+function flattenJsonLd(node, context) {
+  if (Array.isArray(node)) return node.flatMap(child => flattenJsonLd(child, context));
+  if (!node || typeof node !== 'object') return [];
+  const nodeContext = node['@context'] || context;
+  if (node['@graph']) return flattenJsonLd(node['@graph'], nodeContext);
+  return [nodeContext && !node['@context'] ? { '@context': nodeContext, ...node } : node];
+}
+
+function extractJsonLd($, errors) {
+  const items = [];
+  $('script[type="application/ld+json"]').each((i, el) => {
+    const text = $(el).html();
+    try {
+      flattenJsonLd(JSON.parse(text)).forEach(data => items.push(makeItem('json-ld', data)));
+    } catch (error) {
+      errors.push(`Invalid JSON-LD in block ${i + 1}: ${error.message}`);
+    }
+  });
+  return items;
+}
+
+// --- Microdata -------------------------------------------------------------
+
+function microdataValue($, el, baseUrl) {
+  const $el = $(el);
+  const tag = el.tagName?.toLowerCase();
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  if (['a', 'link', 'area'].includes(tag)) return resolveUrl($el.attr('href'), baseUrl);
+  if (['img', 'audio', 'video', 'source', 'iframe', 'embed'].includes(tag)) return resolveUrl($el.attr('src'), baseUrl);
+  if (tag === 'time') return $el.attr('datetime') || $el.text().trim();
+  if (['data', 'meter'].includes(tag)) return $el.attr('value');
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function addProperty(data, name, value) {
+  if (data[name] === undefined) {
+    data[name] = value;
+  } else {
+    data[name] = [...toArray(data[name]), value];
+  }
+}
+
+function readMicrodataItem($, scope, baseUrl) {
+  const data = {};
+  const types = ($(scope).attr('itemtype') || '').split(/\s+/).filter(Boolean).map(typeName);
+  if (types.length > 0) data['@type'] = types.length === 1 ? types[0] : types;
+  if ($(scope).attr('itemid')) data['@id'] = $(scope).attr('itemid');
+
+  $(scope).find('[itemprop]').each((_, el) => {
+    // Only properties whose nearest enclosing item is this one
+    const owner = $(el).is('[itemscope]')
+      ? $(el).parent().closest('[itemscope]')
+      : $(el).closest('[itemscope]');
+    if (owner[0] !== scope) return;
+
+    const value = $(el).is('[itemscope]') ? readMicrodataItem($, el, baseUrl) : microdataValue($, el, baseUrl);
+    $(el).attr('itemprop').split(/\s+/).filter(Boolean).forEach(name => addProperty(data, name, value));
+  });
+  return data;
+}
+
+function extractMicrodata($, baseUrl) {
+  return $('[itemscope]')
+    .filter((_, el) => $(el).attr('itemprop') === undefined)
+    .map((_, el) => makeItem('microdata', readMicrodataItem($, el, baseUrl)))
+    .get();
+}
+
+// --- RDFa (Lite) -----------------------------------------------------------
+
+function rdfaValue($, el, baseUrl) {
+  const $el = $(el);
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  const link = $el.attr('href') ?? $el.attr('src') ?? $el.attr('resource');
+  return link !== undefined ? resolveUrl(link, baseUrl) : $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function readRdfaItem($, scope, baseUrl) {
+  const data = {};
+  const types = ($(scope).attr('typeof') || '').split(/\s+/).filter(Boolean).map(typeName);
+  if (types.length > 0) data['@type'] = types.length === 1 ? types[0] : types;
+  if ($(scope).attr('resource')) data['@id'] = $(scope).attr('resource');
+
+  $(scope).find('[property]').each((_, el) => {
+    const owner = $(el).is('[typeof]')
+      ? $(el).parent().closest('[typeof]')
+      : $(el).closest('[typeof]');
+    if (owner[0] !== scope) return;
+
+    const value = $(el).is('[typeof]') ? readRdfaItem($, el, baseUrl) : rdfaValue($, el, baseUrl);
+    $(el).attr('property').split(/\s+/).filter(Boolean)
+      .forEach(name => addProperty(data, typeName(name), value));
+  });
+  return data;
+}
+
+function extractRdfa($, baseUrl) {
+  return $('[typeof]')
+    .filter((_, el) => $(el).attr('property') === undefined)
+    .map((_, el) => makeItem('rdfa', readRdfaItem($, el, baseUrl)))
+    .get();
+}
+
+/**
+ * All structured data on a page. Microdata and RDFa links are resolved
+ * against `baseUrl`. `errors` lists blocks that could not be parsed.
+ */
+export function extractStructuredData($, baseUrl) {
+  const errors = [];
+  const items = [...extractJsonLd($, errors), ...extractMicrodata($, baseUrl), ...extractRdfa($, baseUrl)];
+  return { items, errors };
+}
+
+// --- Validation ------------------------------------------------------------
+
+function validateFaqPage(data, errors) {
+  toArray(data.mainEntity).forEach((question, i) => {
+    if (!hasValue(question?.name)) errors.push(`Question ${i + 1} is missing "name"`);
+    const answer = toArray(question?.acceptedAnswer)[0];
+    if (!hasValue(answer?.text)) errors.push(`Question ${i + 1} is missing "acceptedAnswer.text"`);
+  });
+}
+
+function validateBreadcrumbList(data, errors) {
+  const items = toArray(data.itemListElement);
+  items.forEach((item, i) => {
+    if (!hasValue(item?.position)) errors.push(`Breadcrumb ${i + 1} is missing "position"`);
+    const name = item?.name ?? item?.item?.name;
+    if (!hasValue(name)) errors.push(`Breadcrumb ${i + 1} is missing "name"`);
+    // The last crumb may omit `item` (it is the current page)
+    if (i < items.length - 1 && !hasValue(item?.item)) errors.push(`Breadcrumb ${i + 1} is missing "item"`);
+  });
+}
+
+function validateProduct(data, errors, warnings) {
+  toArray(data.offers).forEach((offer, i) => {
+    if (typeof offer !== 'object') return;
+    const isAggregate = typeName(offer['@type'] || '') === 'AggregateOffer';
+    if (isAggregate ? !hasValue(offer.lowPrice) : !hasValue(offer.price)) {
+      errors.push(`Offer ${i + 1} is missing "${isAggregate ? 'lowPrice' : 'price'}"`);
+    }
+    if (!hasValue(offer.priceCurrency)) errors.push(`Offer ${i + 1} is missing "priceCurrency"`);
+    if (!hasValue(offer.availability)) warnings.push(`Offer ${i + 1} is missing recommended "availability"`);
+  });
+}
+
+function validateArticle(data, errors, warnings) {
+  if (typeof data.headline === 'string' && data.headline.length > 110) {
+    warnings.push(`"headline" is ${data.headline.length} characters (keep it under 110)`);
+  }
+  toArray(data.author).forEach((author, i) => {
+    if (typeof author === 'object' && !hasValue(author.name) && !author['@id']) {
+      warnings.push(`Author ${i + 1} is missing "name"`);
+    }
+  });
+}
+
+const NESTED_CHECKS = {
+  FAQPage: validateFaqPage,
+  BreadcrumbList: validateBreadcrumbList,
+  Product: validateProduct,
+  Article: validateArticle,
+};
+
+/**
+ * Check one item against the rules for each of its types. `issues` are
+ * errors that block the rich result; `warnings` are missing recommended
+ * properties. Items of types we have no rules for come back with
+ * `validated: false`.
+ */
+export function validateStructuredDataItem(item) {
+  const errors = [];
+  const warnings = [];
+  const ruleTypes = [...new Set(item.types.map(baseType))]
+    .filter(type => RULES[type]);
+
+  ruleTypes.forEach(type => {
+    const rules = RULES[type];
+    const { data } = item;
+    rules.required.forEach(property => {
+      if (!hasValue(data[property])) errors.push(`${type} is missing required property "${property}"`);
+    });
+    (rules.oneOf || []).forEach(group => {
+      if (!group.some(property => hasValue(data[property]))) {
+        errors.push(`${type} needs one of: ${group.map(property => `"${property}"`).join(', ')}`);
+      }
+    });
+    rules.recommended.forEach(property => {
+      if (!hasValue(data[property])) warnings.push(`${type} is missing recommended property "${property}"`);
+    });
+    NESTED_CHECKS[type]?.(data, errors, warnings);
+  });
+
+  return { format: item.format, types: item.types, validated: ruleTypes.length > 0, issues: errors, warnings };
+}
+
+// --- Generation ------------------------------------------------------------
+
+function jsonLdSnippet(jsonLd) {
+  return `<script type="application/ld+json">\n${JSON.stringify(jsonLd, null, 2)}\n</script>`;
+}
+
+function suggestion(type, url, reason, jsonLd) {
+  return { type, url, reason, jsonLd, snippet: jsonLdSnippet(jsonLd) };
+}
+
+function titleCase(slug) {
+  let text = slug;
+  try {
+    text = decodeURIComponent(slug);
+  } catch (error) {
+    // A bare `%` (e.g. /100%-off) is not valid percent-encoding
+  }
+  return text.replace(/[-_]+/g, ' ').replace(/\b\w/g, char => char.toUpperCase());
+}
+
+/**
+ * Ready-to-paste JSON-LD for rich-result types the site does not declare:
+ * - FAQPage from the AI-suggested FAQs
+ * - Organization for the home page
+ * - BreadcrumbList for pages below the root, built from the URL path
+ */
+export function generateStructuredData({ pages = [], aiInsights = null, maxBreadcrumbs = 10 } = {}) {
+  const home = pages[0];
+  if (!home) return [];
+  const typesOnPage = (page) => new Set((page.structuredData || [])
+    .flatMap(item => item.types)
+    .map(type => TYPE_ALIASES[type] || type));
+  const siteTypes = new Set(pages.flatMap(page => [...typesOnPage(page)]));
+  const suggestions = [];
+
+  const faqs = (aiInsights?.suggestedFaqs || []).filter(faq => faq?.question && faq?.answer);
+  if (!siteTypes.has('FAQPage') && faqs.length > 0) {
+    suggestions.push(suggestion('FAQPage', home.url, 'No FAQPage markup found; built from suggested FAQs', {
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: faqs.map(faq => ({
+        '@type': 'Question',
+        name: faq.question,
+        acceptedAnswer: { '@type': 'Answer', text: faq.answer },
+      })),
+    }));
+  }
+
+  if (!siteTypes.has('Organization') && !siteTypes.has('LocalBusiness')) {
+    const origin = new URL(home.finalUrl || home.url).origin;
+    const metaTags = home.metaTags || {};
+    const organization = {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      name: metaTags['og:site_name'] || home.title.split(/\s[|\-–—]\s/)[0] || new URL(origin).hostname,
+      url: `${origin}/`,
+    };
+    if (metaTags['og:image']) organization.logo = metaTags['og:image'];
+    suggestions.push(suggestion('Organization', home.url, 'No Organization markup found on the site', organization));
+  }
+
+  pages
+    .filter(page => new URL(page.url).pathname !== '/' && !typesOnPage(page).has('BreadcrumbList'))
+    .slice(0, maxBreadcrumbs)
+    .forEach(page => {
+      const { origin, pathname } = new URL(page.url);
+      const segments = pathname.split('/').filter(Boolean);
+      const crumbs = [{ name: 'Home', item: `${origin}/` }, ...segments.map((segment, i) => ({
+        name: i === segments.length - 1 && page.title ? page.title : titleCase(segment),
+        item: `${origin}/${segments.slice(0, i + 1).join('/')}`,
+      }))];
+      suggestions.push(suggestion('BreadcrumbList', page.url, 'No BreadcrumbList markup on this page', {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: crumbs.map((crumb, i) => ({
+          '@type': 'ListItem',
+          position: i + 1,
+          name: crumb.name,
+          item: crumb.item,
+        })),
+      }));
+    });
+
+  return suggestions;
+}
@@ -0,0 +1,253 @@
+import { normalizeUrl } from '../utils/urlUtils.js';
+
+/**
+ * Technical on-page checks across crawled pages: canonical tags, robots
+ * directives (meta robots and X-Robots-Tag), hreflang, `html lang`, Open
+ * Graph / Twitter cards and duplicate titles or descriptions.
+ *
+ * Each finding is `{ url, severity, check, message }`, where severity is
+ * `error` (hurts indexing or rich display), `warning` (should be fixed) or
+ * `info`.
+ */
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// ISO 639-1 language codes
+const LANGUAGE_CODES = new Set(`aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co
+cr cs cu cv cy da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy
+hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv
+mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw
+sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve
+vi vo wa wo xh yi yo za zh zu`.split(/\s+/));
+
+// Region codes that look right but are not ISO 3166-1
+const REGION_MISTAKES = { UK: 'GB', EN: null, EU: null, LA: null };
+
+const OG_REQUIRED = ['og:title', 'og:type', 'og:image', 'og:url'];
+const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+
+/**
+ * Validate a language tag as used by hreflang and `html lang`
+ * (`en`, `en-GB`, `zh-Hant-TW`, `x-default`). Returns an error message or null.
+ */
+export function checkLanguageCode(code, { allowDefault = false } = {}) {
+  if (allowDefault && code.toLowerCase() === 'x-default') return null;
+  const [language, ...rest] = code.split(/[-_]/);
+  if (!LANGUAGE_CODES.has(language.toLowerCase())) {
+    return `"${code}" does not start with an ISO 639-1 language code`;
+  }
+  if (code.includes('_')) return `"${code}" uses "_" instead of "-"`;
+  const region = rest.find(part => /^[a-z]{2}$|^\d{3}$/i.test(part));
+  if (region && region.toUpperCase() in REGION_MISTAKES) {
+    const fix = REGION_MISTAKES[region.toUpperCase()];
+    return `"${code}" uses invalid region "${region}"${fix ? ` (use ${fix})` : ''}`;
+  }
+  if (rest.some(part => !/^([a-z]{2}|\d{3}|[a-z]{4})$/i.test(part))) {
+    return `"${code}" is not a valid language-region code`;
+  }
+  return null;
+}
+
+// Directives that take a value, so `name: value` is not an agent prefix
+const VALUE_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+/**
+ * Parse robots directives (`noindex, nofollow`, `none`, or X-Robots-Tag
+ * values such as `googlebot: noindex`) that apply to Google or all crawlers.
+ */
+export function parseRobotsDirectives(value) {
+  const directives = new Set();
+  let agent = null;
+  (value || '').split(',').forEach(part => {
+    let directive = part.trim().toLowerCase();
+    const prefixed = directive.match(/^([a-z-]+)\s*:\s*(.*)$/);
+    if (prefixed && !VALUE_DIRECTIVES.includes(prefixed[1])) {
+      [, agent, directive] = prefixed;
+    }
+    if (agent && !['googlebot', 'all'].includes(agent)) return;
+    if (directive === 'none') {
+      directives.add('noindex');
+      directives.add('nofollow');
+    } else if (directive) {
+      directives.add(directive);
+    }
+  });
+  return directives;
+}
+
+function checkRobots(page, add) {
+  const sources = [
+    ['meta robots', [page.metaTags.robots, page.metaTags.googlebot].filter(Boolean).join(', ')],
+    ['X-Robots-Tag', page.xRobotsTag]
+  ];
+  sources.forEach(([source, value]) => {
+    const directives = parseRobotsDirectives(value);
+    if (directives.has('noindex')) add('error', 'robots', `Page is marked noindex (${source})`);
+    if (directives.has('nofollow')) add('warning', 'robots', `Links on this page are marked nofollow (${source})`);
+  });
+}
+
+function checkCanonical(page, statuses, isSameSite, add) {
+  if (!page.canonicalUrl) {
+    add('warning', 'canonical', 'Missing canonical tag');
+    return;
+  }
+  if (!isSameSite(page.canonicalUrl)) {
+    add('warning', 'canonical', `Canonical points to another domain (${page.canonicalUrl})`);
+  }
+  const target = statuses.get(page.canonicalUrl);
+  if (!target) return;
+  if (target.redirectLoop || !target.status || target.status >= 400) {
+    add('error', 'canonical', `Canonical target ${page.canonicalUrl} is unreachable (${target.status ? `HTTP ${target.status}` : target.error})`);
+  } else if (target.redirectChain.length > 0) {
+    add('error', 'canonical', `Canonical target ${page.canonicalUrl} redirects to ${target.finalUrl}`);
+  } else if (target.status !== 200) {
+    add('warning', 'canonical', `Canonical target ${page.canonicalUrl} returns HTTP ${target.status}`);
+  }
+}
+
+function checkLang(page, add) {
+  if (!page.lang) {
+    add('warning', 'lang', 'Missing lang attribute on <html>');
+    return;
+  }
+  const problem = checkLanguageCode(page.lang);
+  if (problem) add('warning', 'lang', `Invalid html lang: ${problem}`);
+}
+
+function checkHreflang(page, pagesByUrl, add) {
+  const alternates = page.hreflang || [];
+  if (alternates.length === 0) return;
+
+  const byLang = new Map();
+  alternates.forEach(({ lang, url }) => {
+    const problem = checkLanguageCode(lang, { allowDefault: true });
+    if (problem) add('error', 'hreflang', `Invalid hreflang: ${problem}`);
+    const key = lang.toLowerCase();
+    if (byLang.has(key) && byLang.get(key) !== url) {
+      add('error', 'hreflang', `hreflang "${lang}" points to more than one URL`);
+    }
+    byLang.set(key, url);
+  });
+
+  const self = normalizeUrl(page.finalUrl || page.url);
+  if (!alternates.some(({ url }) => url === self || url === page.url)) {
+    add('warning', 'hreflang', 'hreflang set does not reference the page itself');
+  }
+
+  // Reciprocity can only be confirmed for alternates we crawled
+  alternates.forEach(({ lang, url }) => {
+    const alternate = pagesByUrl.get(url);
+    if (!alternate || alternate === page) return;
+    const returns = (alternate.hreflang || []).some(entry => pagesByUrl.get(entry.url) === page);
+    if (!returns) {
+      add('error', 'hreflang', `hreflang "${lang}" alternate ${url} does not link back to this page`);
+    }
+  });
+}
+
+function checkSocialCards(page, statuses, add) {
+  const tags = page.metaTags || {};
+  const missingOg = OG_REQUIRED.filter(tag => !tags[tag]);
+  if (missingOg.length === OG_REQUIRED.length) {
+    add('warning', 'openGraph', 'No Open Graph tags');
+  } else if (missingOg.length > 0) {
+    add('warning', 'openGraph', `Incomplete Open Graph tags: missing ${missingOg.join(', ')}`);
+  }
+  if (!tags['og:description'] && missingOg.length < OG_REQUIRED.length) {
+    add('info', 'openGraph', 'Missing og:description');
+  }
+
+  const card = tags['twitter:card'];
+  if (!card) {
+    // Twitter/X falls back to Open Graph for title, description and image
+    add(missingOg.length === 0 ? 'info' : 'warning', 'twitterCard', 'Missing twitter:card');
+  } else if (!TWITTER_CARD_TYPES.includes(card)) {
+    add('warning', 'twitterCard', `Unknown twitter:card type "${card}"`);
+  } else {
+    ['title', 'description', 'image'].forEach(field => {
+      if (!tags[`twitter:${field}`] && !tags[`og:${field}`]) {
+        add('warning', 'twitterCard', `Twitter card has no ${field} (twitter:${field} or og:${field})`);
+      }
+    });
+  }
+
+  socialImageUrls(page).forEach(({ tag, url }) => {
+    if (!url) {
+      add('warning', 'socialImage', `${tag} is not a valid absolute URL (${tags[tag]})`);
+      return;
+    }
+    const result = statuses.get(url);
+    if (result && (result.redirectLoop || !result.status || result.status >= 400)) {
+      add('error', 'socialImage', `${tag} ${url} is unreachable (${result.status ? `HTTP ${result.status}` : result.error})`);
+    }
+  });
+}
+
+function socialImageUrls(page) {
+  return ['og:image', 'twitter:image']
+    .filter(tag => page.metaTags?.[tag])
+    .map(tag => {
+      const value = page.metaTags[tag];
+      // Scrapers do not resolve relative image URLs
+      return { tag, url: /^https?:\/\//i.test(value) ? normalizeUrl(value) : null };
+    });
+}
+
+function checkDuplicates(pages, field, label, findings) {
+  const groups = new Map();
+  pages.forEach(page => {
+    const value = (page[field] || '').trim().toLowerCase();
+    if (!value) return;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(page.url);
+  });
+  for (const urls of groups.values()) {
+    if (urls.length < 2) continue;
+    urls.forEach(url => {
+      const others = urls.filter(other => other !== url);
+      findings.push({ url, severity: 'warning', check: `duplicate${label}`, message: `Duplicate ${label.toLowerCase()} (also on ${others.join(', ')})` });
+    });
+  }
+}
+
+/**
+ * URLs whose status the checks need beyond what the crawl already knows:
+ * canonical targets and social images.
+ */
+export function urlsToVerify(pages) {
+  const crawled = new Set(pages.flatMap(page => [page.url, normalizeUrl(page.finalUrl)]));
+  const urls = new Set();
+  pages.forEach(page => {
+    if (page.canonicalUrl && !crawled.has(page.canonicalUrl)) urls.add(page.canonicalUrl);
+    socialImageUrls(page).forEach(({ url }) => url && urls.add(url));
+  });
+  return [...urls];
+}
+
+/**
+ * Run every check. `statuses` maps URLs (crawled pages plus those from
+ * `urlsToVerify`) to `{ status, finalUrl, redirectChain, redirectLoop, error }`;
+ * `isSameSite(url)` decides what counts as cross-domain.
+ */
+export function runTechnicalChecks(pages, { statuses = new Map(), isSameSite = () => true } = {}) {
+  const findings = [];
+  const pagesByUrl = new Map();
+  pages.forEach(page => {
+    [page.url, normalizeUrl(page.finalUrl), page.canonicalUrl].forEach(alias => {
+      if (alias && !pagesByUrl.has(alias)) pagesByUrl.set(alias, page);
+    });
+  });
+
+  pages.forEach(page => {
+    const add = (severity, check, message) => findings.push({ url: page.url, severity, check, message });
+    checkCanonical(page, statuses, isSameSite, add);
+    checkRobots(page, add);
+    checkLang(page, add);
+    checkHreflang(page, pagesByUrl, add);
+    checkSocialCards(page, statuses, add);
+  });
+  checkDuplicates(pages, 'title', 'Title', findings);
+  checkDuplicates(pages, 'description', 'Description', findings);
+
+  return findings;
+}
@@ -0,0 +1,100 @@
+import Usage from '../models/Usage.js';
+
+/**
+ * Monthly usage per tenant. Analyses are reserved against the tenant's
+ * quota when they are requested and released again if they fail, so
+ * concurrent requests cannot overshoot it. LLM tokens and cost are added
+ * as runs finish.
+ */
+const DEFAULT_MONTHLY_ANALYSES = parseInt(process.env.TENANT_MONTHLY_ANALYSES, 10);
+
+/**
+ * Calendar month (UTC) as `YYYY-MM`.
+ */
+export const currentPeriod = (date = new Date()) => date.toISOString().substring(0, 7);
+
+/**
+ * The tenant's monthly analysis quota; 0 means unlimited.
+ */
+export function analysisQuota(tenant) {
+  return tenant.monthlyAnalysisQuota ?? (Number.isFinite(DEFAULT_MONTHLY_ANALYSES) ? DEFAULT_MONTHLY_ANALYSES : 100);
+}
+
+async function ensureUsage(tenantId, period) {
+  try {
+    await Usage.updateOne({ tenant: tenantId, period }, { $setOnInsert: { tenant: tenantId, period } }, { upsert: true });
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code !== 11000) throw error;
+  }
+}
+
+/**
+ * Count one analysis for `tenant` this month. Resolves to false, counting
+ * nothing, when the quota is used up.
+ */
+export async function reserveAnalysis(tenant) {
+  const period = currentPeriod();
+  const quota = analysisQuota(tenant);
+  await ensureUsage(tenant._id, period);
+  const filter = { tenant: tenant._id, period };
+  if (quota > 0) filter.analyses = { $lt: quota };
+  const usage = await Usage.findOneAndUpdate(filter, { $inc: { analyses: 1 } }, { new: true });
+  return usage !== null;
+}
+
+/**
+ * Give back an analysis reserved in `period` that did not complete.
+ */
+export async function releaseAnalysis(tenantId, period = currentPeriod()) {
+  await Usage.updateOne({ tenant: tenantId, period, analyses: { $gt: 0 } }, { $inc: { analyses: -1 } });
+}
+
+/**
+ * Add an `LlmClient.usageSummary()` (and `rewrites` paragraph rewrites) to
+ * this month's usage. Never throws; usage is not worth failing a request.
+ */
+export async function recordUsage(tenantId, { llmUsage, rewrites = 0 } = {}) {
+  if (!tenantId) return;
+  const period = currentPeriod();
+  const increments = {};
+  if (rewrites) increments.rewrites = rewrites;
+  if (llmUsage) {
+    ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'costUsd'].forEach(field => {
+      if (llmUsage[field]) increments[`llm.${field}`] = llmUsage[field];
+    });
+  }
+  if (Object.keys(increments).length === 0) return;
+
+  try {
+    await ensureUsage(tenantId, period);
+    await Usage.updateOne({ tenant: tenantId, period }, { $inc: increments });
+  } catch (error) {
+    console.warn(`⚠️ Failed to record usage for tenant ${tenantId}: ${error.message}`);
+  }
+}
+
+/**
+ * Usage for `tenant` in `period`, with zeros for a month without any.
+ */
+export async function getUsage(tenant, period = currentPeriod()) {
+  const usage = await Usage.findOne({ tenant: tenant._id, period }).lean();
+  const quota = analysisQuota(tenant);
+  const analyses = usage?.analyses || 0;
+  return {
+    period,
+    analyses: {
+      used: analyses,
+      quota: quota || null,
+      remaining: quota > 0 ? Math.max(0, quota - analyses) : null
+    },
+    rewrites: usage?.rewrites || 0,
+    llm: {
+      requests: usage?.llm?.requests || 0,
+      promptTokens: usage?.llm?.promptTokens || 0,
+      completionTokens: usage?.llm?.completionTokens || 0,
+      totalTokens: usage?.llm?.totalTokens || 0,
+      costUsd: Number((usage?.llm?.costUsd || 0).toFixed(6))
+    }
+  };
+}
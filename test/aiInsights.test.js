@@ -0,0 +1,272 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AI_INSIGHT_FIELDS, validateFields, validateAiInsights, parseJsonReply, truncate, describeFields,
+  completeWithFallback, heuristicInsights, buildAiInsights,
+  heuristicPageRecommendations, buildPageRecommendations, pagePrompt, insightsPrompt
+} from '../services/aiInsights.js';
+import { LlmClient } from '../services/llmClient.js';
+
+afterEach(() => mock.restoreAll());
+
+// An LLM that answers each request with the next reply in `replies`
+// (an Error is thrown instead) and records the conversations it saw
+const scriptedLlm = (replies) => ({
+  calls: [],
+  async complete(task, messages) {
+    this.calls.push({ task, messages: [...messages] });
+    const reply = replies[this.calls.length - 1];
+    if (reply instanceof Error) throw reply;
+    return { content: typeof reply === 'string' ? reply : JSON.stringify(reply) };
+  }
+});
+
+const VALID_INSIGHTS = {
+  aiVisibilityScore: 72,
+  aiSummary: 'Acme sells widgets.',
+  optimizedTitle: 'Acme Widgets',
+  optimizedDescription: 'Widgets for every job.',
+  suggestedFaqs: [{ question: 'Do you ship?', answer: 'Yes, worldwide.' }],
+  contentSuggestions: ['Add pricing']
+};
+
+const ANALYSIS = {
+  pages: [{
+    url: 'https://example.com/',
+    title: 'Acme',
+    description: 'Acme makes widgets for builders.',
+    wordCount: 120,
+    headings: { h1: ['Acme'], h2: ['Do you ship abroad?'] },
+    content: 'Acme Do you ship abroad? Yes, we ship widgets to over forty countries every week. Returns are free.',
+    structuredData: []
+  }],
+  keywordDensity: {},
+  technical: { readabilityScore: 60 }
+};
+
+test('parseJsonReply tolerates code fences and surrounding text', () => {
+  assert.deepEqual(parseJsonReply('{"a":1}'), { a: 1 });
+  assert.deepEqual(parseJsonReply('Sure!\n```json\n{"a": {"b": 2}}\n```'), { a: { b: 2 } });
+  assert.equal(parseJsonReply('no json here'), null);
+  assert.equal(parseJsonReply('{broken'), null);
+  assert.equal(parseJsonReply(), null);
+});
+
+test('truncate prefers a nearby word boundary', () => {
+  assert.equal(truncate('short', 10), 'short');
+  assert.equal(truncate('The quick brown fox jumps', 20), 'The quick brown...');
+  assert.equal(truncate('Supercalifragilistic', 10), 'Superca...');
+});
+
+test('validateFields repairs what it can and reports the rest', () => {
+  const { value, problems, repairs } = validateAiInsights({
+    aiVisibilityScore: '130',
+    aiSummary: '  Acme   sells widgets. ',
+    optimizedTitle: 'A title far longer than the sixty characters a search result shows',
+    optimizedDescription: 42,
+    suggestedFaqs: [{ question: 'Q?', answer: 'A.' }, { question: 'No answer' }, 'junk'],
+    contentSuggestions: 'One suggestion'
+  });
+
+  assert.deepEqual(problems, []);
+  assert.equal(value.aiVisibilityScore, 100);
+  assert.equal(value.aiSummary, 'Acme sells widgets.');
+  assert.ok(value.optimizedTitle.length <= 60 && value.optimizedTitle.endsWith('...'));
+  assert.equal(value.optimizedDescription, '42');
+  assert.deepEqual(value.suggestedFaqs, [{ question: 'Q?', answer: 'A.' }]);
+  assert.deepEqual(value.contentSuggestions, ['One suggestion']);
+  assert.deepEqual(repairs, [
+    'aiVisibilityScore clamped to 0-100',
+    'optimizedTitle shortened to 60 characters',
+    'dropped suggestedFaqs[1] (suggestedFaqs[1].answer is missing)',
+    'dropped suggestedFaqs[2] (suggestedFaqs[2] is not an object)',
+    'contentSuggestions wrapped in an array'
+  ]);
+});
+
+test('validateFields rejects unusable values and overlong text in strict mode', () => {
+  const { value, problems } = validateFields({
+    aiVisibilityScore: 'high',
+    aiSummary: '   ',
+    optimizedTitle: 'x'.repeat(61),
+    suggestedFaqs: [{}],
+    contentSuggestions: []
+  }, AI_INSIGHT_FIELDS, { strict: true });
+
+  assert.deepEqual(value, { contentSuggestions: [] });
+  assert.deepEqual(problems, [
+    'aiVisibilityScore is not a number',
+    'aiSummary is empty',
+    'optimizedTitle is 61 characters (max 60)',
+    'optimizedDescription is missing',
+    'suggestedFaqs has no valid entries'
+  ]);
+  assert.deepEqual(validateFields([], AI_INSIGHT_FIELDS).problems, ['reply is not a JSON object']);
+});
+
+test('describeFields documents the expected shape for the prompt', () => {
+  const shape = describeFields(AI_INSIGHT_FIELDS);
+  assert.match(shape, /"aiVisibilityScore": integer 0-100/);
+  assert.match(shape, /"suggestedFaqs": up to 10 objects \{"question": string, "answer": string\}/);
+  assert.match(shape, /"optimizedTitle": string \(max 60 characters\)/);
+});
+
+test('a valid reply is used as is', async () => {
+  const llm = scriptedLlm([VALID_INSIGHTS]);
+  const insights = await buildAiInsights(llm, ANALYSIS);
+
+  assert.equal(llm.calls.length, 1);
+  assert.equal(llm.calls[0].task, 'insights');
+  assert.equal(insights.generatedBy, 'ai');
+  assert.equal(insights.aiVisibilityScore, 72);
+  assert.deepEqual(insights.issues, []);
+  assert.ok(Object.values(insights.sources).every(source => source === 'ai'));
+});
+
+test('invalid fields are re-prompted once, then filled from heuristics', async () => {
+  const { optimizedDescription, ...partial } = VALID_INSIGHTS;
+  const llm = scriptedLlm([
+    { ...partial, optimizedTitle: 'x'.repeat(80) },
+    'still no description'
+  ]);
+  const heuristic = { ...VALID_INSIGHTS, optimizedDescription: 'From the crawl' };
+  const result = await completeWithFallback(llm, 'insights', 'prompt', AI_INSIGHT_FIELDS, heuristic, 'insights');
+
+  assert.equal(llm.calls.length, 2);
+  const retry = llm.calls[1].messages;
+  assert.equal(retry.length, 3);
+  assert.match(retry[2].content, /optimizedTitle is 80 characters \(max 60\); optimizedDescription is missing/);
+  // Only the fields still missing are asked for again
+  assert.doesNotMatch(retry[2].content, /"aiSummary"/);
+  assert.match(retry[2].content, /"optimizedDescription"/);
+
+  assert.equal(result.optimizedDescription, 'From the crawl');
+  assert.equal(result.optimizedTitle, VALID_INSIGHTS.optimizedTitle);
+  assert.deepEqual([result.sources.aiSummary, result.sources.optimizedTitle, result.sources.optimizedDescription], ['ai', 'heuristic', 'heuristic']);
+  assert.equal(result.generatedBy, 'mixed');
+  assert.equal(result.issues.length, 2);
+});
+
+test('the last attempt shortens overlong text instead of dropping it', async () => {
+  const { aiSummary, ...partial } = VALID_INSIGHTS;
+  const llm = scriptedLlm([partial, { aiSummary: 'y'.repeat(1200) }]);
+  const result = await completeWithFallback(llm, 'insights', 'prompt', AI_INSIGHT_FIELDS, {}, 'insights');
+
+  assert.equal(result.sources.aiSummary, 'ai');
+  assert.equal(result.aiSummary.length, 1000);
+  assert.ok(result.issues.includes('Repaired AI output: aiSummary shortened to 1000 characters'));
+});
+
+test('an unavailable LLM falls back to heuristics without throwing', async () => {
+  mock.method(console, 'warn', () => {});
+  const llm = scriptedLlm([new Error('connect ECONNREFUSED')]);
+  const insights = await buildAiInsights(llm, ANALYSIS);
+
+  assert.equal(insights.generatedBy, 'heuristic');
+  assert.deepEqual(insights.issues, ['AI unavailable: connect ECONNREFUSED']);
+  assert.deepEqual(insights, { ...insights, ...heuristicInsights(ANALYSIS) });
+});
+
+test('heuristic insights come from the crawl', () => {
+  const insights = heuristicInsights(ANALYSIS);
+  assert.equal(insights.aiSummary, 'Acme makes widgets for builders.');
+  assert.equal(insights.optimizedTitle, 'Acme');
+  assert.deepEqual(insights.suggestedFaqs, [{
+    question: 'Do you ship abroad?',
+    answer: 'Yes, we ship widgets to over forty countries every week.'
+  }]);
+  assert.ok(insights.aiVisibilityScore >= 0 && insights.aiVisibilityScore <= 100);
+  assert.ok(insights.contentSuggestions.some(suggestion => suggestion.startsWith('Expand thin pages')));
+  assert.equal(heuristicInsights({ ...ANALYSIS, aiVisibility: { score: 55, issues: [] } }).aiVisibilityScore, 55);
+});
+
+test('the stub provider answers with the heuristics', async () => {
+  const insights = await buildAiInsights(new LlmClient({ provider: 'stub' }), ANALYSIS);
+  assert.equal(insights.generatedBy, 'ai');
+  assert.equal(insights.optimizedTitle, 'Acme');
+});
+
+const KEYWORD_DENSITY = {
+  widgets: {
+    byPage: [
+      { url: 'https://example.com/', occurrences: 3, variantOccurrences: 1, density: 2.5, placement: { title: false, h1: true, first100Words: false } },
+      { url: 'https://example.com/about', occurrences: 0, variantOccurrences: 0, density: 0, placement: {} }
+    ]
+  }
+};
+const pageAt = (path, extra = {}) => ({ url: `https://example.com${path}`, title: `Page ${path}`, content: '', ...extra });
+
+test('page prompts carry the title, headings and keyword placement', () => {
+  const prompt = pagePrompt({ ...ANALYSIS.pages[0], headings: { h1: ['Acme'], h2: ['Shipping'] } }, KEYWORD_DENSITY);
+  assert.match(prompt, /Title \(4 characters\): Acme/);
+  assert.match(prompt, /H1: Acme\nH2: Shipping/);
+  assert.match(prompt, /- "widgets": 3 exact and 1 variant matches, density 2.5%, found in: h1/);
+  assert.match(prompt, /"optimizedTitle": string \(max 60 characters\)/);
+});
+
+test('the site prompt includes every page, summarized', () => {
+  const pages = ['/', '/a', '/b', '/c', '/d', '/e'].map(path => pageAt(path, { content: 'x'.repeat(5000) }));
+  const prompt = insightsPrompt({ pages, keywordDensity: KEYWORD_DENSITY }, [{ summary: 'Home summary' }]);
+  pages.forEach(page => assert.ok(prompt.includes(`URL: ${page.url}`), page.url));
+  assert.match(prompt, /Summary: Home summary/);
+  assert.match(prompt, /Target keywords: widgets/);
+});
+
+test('heuristic page recommendations fix headings and keyword gaps', () => {
+  const home = heuristicPageRecommendations(pageAt('/', {
+    title: 'x'.repeat(70),
+    description: 'd'.repeat(200),
+    content: 'Widgets are built to last for decades. They come in many sizes.',
+    wordCount: 400,
+    headings: { h1: ['One', 'Two'], h3: ['Detail'] }
+  }), KEYWORD_DENSITY);
+
+  assert.ok(home.optimizedTitle.length <= 60);
+  assert.equal(home.optimizedDescription, 'Widgets are built to last for decades. They come in many sizes.');
+  assert.deepEqual(home.headingSuggestions, [
+    'Keep one H1 ("One") and turn the others into H2s',
+    'Break the content into sections with H2 headings',
+    'Use H2 headings before H3s so the outline has no skipped level'
+  ]);
+  assert.deepEqual(home.contentGaps, [{ keyword: 'widgets', suggestion: 'Mention "widgets" in the title, the opening paragraph' }]);
+
+  const about = heuristicPageRecommendations(pageAt('/about'), KEYWORD_DENSITY);
+  assert.deepEqual(about.headingSuggestions, ['Add an H1 that states the page topic and includes "widgets"']);
+  assert.match(about.contentGaps[0].suggestion, /never mentions "widgets"/);
+});
+
+test('page recommendations run in batches and only the first pages reach the LLM', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const prompted = [];
+  const llm = {
+    async complete(task, messages) {
+      assert.equal(task, 'page');
+      prompted.push(messages[0].content.match(/URL: (\S+)/)[1]);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { content: JSON.stringify({ summary: 'AI summary', optimizedTitle: 'AI title', optimizedDescription: 'AI description', headingSuggestions: [], contentGaps: [] }) };
+    }
+  };
+  const pages = ['/', '/a', '/b', '/c', '/d'].map(path => pageAt(path));
+  const recommendations = await buildPageRecommendations(llm, { pages, keywordDensity: {} }, { concurrency: 2, maxPages: 3 });
+
+  assert.deepEqual(recommendations.map(entry => entry.url), pages.map(page => page.url));
+  assert.deepEqual(prompted, pages.slice(0, 3).map(page => page.url));
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(recommendations.map(entry => entry.generatedBy), ['ai', 'ai', 'ai', 'heuristic', 'heuristic']);
+  assert.deepEqual(recommendations[4].issues, ['Beyond the first 3 pages sent to the LLM']);
+  assert.equal(recommendations[4].optimizedTitle, 'Page /d');
+});
+
+test('a page the token budget no longer covers gets heuristics', async () => {
+  mock.method(console, 'warn', () => {});
+  const llm = new LlmClient({ provider: 'stub', tokenBudget: 150 });
+  const pages = [pageAt('/', { content: 'word '.repeat(100) }), pageAt('/a')];
+  const recommendations = await buildPageRecommendations(llm, { pages, keywordDensity: {} }, { concurrency: 1 });
+
+  assert.equal(recommendations[0].generatedBy, 'heuristic');
+  assert.match(recommendations[0].issues[0], /^AI unavailable: LLM token budget of 150 exhausted/);
+});
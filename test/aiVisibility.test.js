@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import Report from '../models/Report.js';
+import {
+  extractAnswerBlocks, extractAuthorship, auditAiVisibility, describeAudit, AI_VISIBILITY_WEIGHTS
+} from '../services/aiVisibility.js';
+import { parseRobotsTxt } from '../utils/robotsTxt.js';
+
+const BASE = 'https://example.com';
+const words = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+const jsonLd = (data) => ({ format: 'json-ld', types: [].concat(data['@type'] || []), data });
+
+test('answer blocks pair question headings with the first text below them', () => {
+  const $ = cheerio.load(`
+    <h2>What is SEO?</h2><p></p><p>${words(20)}</p><p>Ignored</p>
+    <h3>How long does it take</h3><p>Weeks.</p>
+    <h2>Our services</h2><p>${words(30)}</p>
+    <h4>Why?</h4>`);
+  const blocks = extractAnswerBlocks($);
+  assert.deepEqual(blocks.map(block => [block.question, block.level, block.answerWords, block.concise]), [
+    ['What is SEO?', 'h2', 20, true],
+    ['How long does it take', 'h3', 1, false],
+    ['Why?', 'h4', 0, false]
+  ]);
+});
+
+test('authorship prefers meta tags, then links, structured data and <time>', () => {
+  const $ = cheerio.load(`
+    <meta name="author" content=" Ada Lovelace ">
+    <meta property="article:modified_time" content="2024-03-01">
+    <a rel="author" href="/ada">Ada L.</a>
+    <time datetime="2023-12-31">Dec 31</time>`);
+  assert.deepEqual(extractAuthorship($), { author: 'Ada Lovelace', datePublished: '2023-12-31', dateModified: '2024-03-01' });
+
+  const data = cheerio.load('<p>No meta</p>');
+  assert.deepEqual(extractAuthorship(data, [
+    jsonLd({ '@type': 'Organization', name: 'Acme' }),
+    jsonLd({ '@type': 'Article', author: [{ '@type': 'Person', name: 'Grace' }, 'Other'], datePublished: '2024-01-01' })
+  ]), { author: 'Grace', datePublished: '2024-01-01', dateModified: null });
+});
+
+test('repeated or value-object dates reduce to one string', () => {
+  const $ = cheerio.load('<p>No meta</p>');
+  const authorship = extractAuthorship($, [
+    jsonLd({ '@type': 'WebPage', datePublished: { nested: true }, dateModified: 20240101 }),
+    jsonLd({
+      '@type': 'Article',
+      datePublished: ['2024-01-01', '2024-01-01'],
+      dateModified: [{ '@value': '2024-02-01', '@type': 'Date' }]
+    })
+  ]);
+  assert.deepEqual(authorship, { author: null, datePublished: '2024-01-01', dateModified: '2024-02-01' });
+
+  // Stored on the report without a cast error
+  const report = new Report({ url: BASE, analysis: { pages: [{ url: BASE, authorship }] } });
+  assert.equal(report.validateSync(), undefined);
+  assert.equal(report.analysis.pages[0].authorship.datePublished, '2024-01-01');
+});
+
+const site = (robots, llmsTxt = { url: `${BASE}/llms.txt`, found: false, issues: [] }) => ({
+  origin: BASE,
+  robots: { rules: parseRobotsTxt(robots) },
+  llmsTxt
+});
+
+const crawledPage = (path, extra = {}) => ({
+  url: `${BASE}${path}`,
+  wordCount: 200,
+  outlinks: [],
+  structuredData: [],
+  answerBlocks: [],
+  ...extra
+});
+
+test('a well-prepared site scores full marks', () => {
+  const pages = [
+    crawledPage('/', {
+      structuredData: [jsonLd({ '@type': 'NGO', name: 'Acme', sameAs: ['https://x.com/acme'] })],
+      links: [`${BASE}/about`],
+      outlinks: [{ url: 'https://source.org', internal: false }]
+    }),
+    crawledPage('/guide', {
+      answerBlocks: [{ question: 'What is it?', answerWords: 30, concise: true }],
+      structuredData: [jsonLd({ '@type': 'FAQPage' })],
+      authorship: { author: 'Ada', datePublished: '2024-01-01' },
+      outlinks: [{ url: 'https://source.org', internal: false }]
+    })
+  ];
+  const audit = auditAiVisibility(pages, site('User-agent: *\nAllow: /', {
+    url: `${BASE}/llms.txt`, found: true, linkCount: 3, issues: []
+  }));
+
+  assert.equal(audit.score, 100);
+  assert.deepEqual(audit.issues, []);
+  assert.ok(audit.checks.every(item => item.passed));
+  assert.deepEqual(audit.checks.map(item => item.weight), Object.values(AI_VISIBILITY_WEIGHTS));
+});
+
+test('blocked crawlers and missing signals lower the score with recommendations', () => {
+  const pages = [
+    crawledPage('/'),
+    crawledPage('/blog', { answerBlocks: [{ question: 'Why?', answerWords: 200, concise: false }] })
+  ];
+  const audit = auditAiVisibility(pages, site('User-agent: GPTBot\nDisallow: /blog\n\nUser-agent: *\nAllow: /'));
+  const byId = Object.fromEntries(audit.checks.map(item => [item.id, item]));
+
+  const gptBot = audit.crawlers.find(crawler => crawler.agent === 'GPTBot');
+  assert.deepEqual([gptBot.allowed, gptBot.blockedPages, gptBot.explicitRule], [true, [`${BASE}/blog`], true]);
+  assert.equal(byId.crawlerAccess.score, 0.88);
+  assert.equal(byId.crawlerAccess.summary, 'Blocked for GPTBot (1 page(s))');
+  assert.equal(byId.llmsTxt.score, 0);
+  assert.equal(byId.questionHeadings.score, 0.4);
+  assert.match(byId.faqHowToSchema.recommendation, /Mark up the question headings on 1 page\(s\)/);
+  assert.equal(byId.entityClarity.recommendation, 'Add Organization (or Person) schema with a name, an About page linked from the site');
+  assert.equal(byId.authorDate.score, 0);
+  assert.ok(audit.score > 0 && audit.score < 30);
+  assert.equal(audit.issues.length, 6);
+  assert.match(describeAudit(audit), /^- AI crawler access: 88% \(Blocked for GPTBot/);
+});
+
+test('checks without site data are skipped rather than scored zero', () => {
+  const audit = auditAiVisibility([crawledPage('/')]);
+  const skipped = audit.checks.filter(item => item.score === null).map(item => item.id);
+  assert.deepEqual(skipped, ['crawlerAccess', 'llmsTxt']);
+  assert.match(describeAudit(audit), /- llms\.txt: not checked/);
+});
@@ -0,0 +1,211 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import Tenant from '../models/Tenant.js';
+import Usage from '../models/Usage.js';
+import { verifyJwt, hashApiKey, authenticateRequest } from '../services/auth.js';
+import { RateLimiter } from '../services/rateLimiter.js';
+import { authenticate, rateLimit, ownedBy } from '../middleware/auth.js';
+import { currentPeriod, analysisQuota, reserveAnalysis, recordUsage, getUsage } from '../services/usage.js';
+import { getTenantUsage } from '../controllers/usageController.js';
+import { analyze } from '../controllers/analyzeController.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+afterEach(() => mock.restoreAll());
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signJwt(claims, { secret = SECRET, alg = 'HS256' } = {}) {
+  const unsigned = `${segment({ alg, typ: 'JWT' })}.${segment(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+const exp = NOW / 1000 + 60;
+
+test('verifyJwt checks signature, algorithm and claims', () => {
+  const verify = (token, options = {}) => verifyJwt(token, { secret: SECRET, now: NOW, ...options });
+  assert.deepEqual(verify(signJwt({ tenant: 't1', exp })), { tenant: 't1', exp });
+  assert.deepEqual(verify(signJwt({ exp, iss: 'idp', aud: ['api', 'web'] }), { issuer: 'idp', audience: 'web' }).aud, ['api', 'web']);
+
+  const failures = [
+    [signJwt({ exp }), { secret: undefined }, 'Invalid API key'],
+    ['a.b', {}, 'Malformed token'],
+    ['!!.e30.sig', {}, 'Malformed token'],
+    [signJwt({ exp }, { alg: 'none' }), {}, 'Unsupported token algorithm'],
+    [signJwt({ exp }, { secret: 'other' }), {}, 'Invalid token signature'],
+    [signJwt({ tenant: 't1' }), {}, 'Token has no expiry'],
+    [signJwt({ exp: NOW / 1000 }), {}, 'Token has expired'],
+    [signJwt({ exp, nbf: exp - 1 }), {}, 'Token is not valid yet'],
+    [signJwt({ exp, iss: 'other' }), { issuer: 'idp' }, 'Token issuer is not accepted'],
+    [signJwt({ exp, aud: 'web' }), { audience: 'api' }, 'Token audience is not accepted']
+  ];
+  for (const [token, options, message] of failures) {
+    assert.throws(() => verify(token, options), { message, status: 401 });
+  }
+});
+
+test('RateLimiter counts per caller in fixed windows', () => {
+  const limiter = new RateLimiter({ windowMs: 1000 });
+  const start = Date.now();
+  assert.deepEqual(limiter.hit('a', 2, start), { allowed: true, limit: 2, remaining: 1, resetAt: start + 1000 });
+  assert.equal(limiter.hit('a', 2, start + 500).remaining, 0);
+  assert.deepEqual(limiter.hit('a', 2, start + 999), { allowed: false, limit: 2, remaining: 0, resetAt: start + 1000 });
+  assert.equal(limiter.hit('b', 2, start + 999).allowed, true);
+  assert.deepEqual(limiter.hit('a', 2, start + 1000), { allowed: true, limit: 2, remaining: 1, resetAt: start + 2000 });
+
+  // Idle callers are pruned once a window has passed
+  limiter.hit('c', 2, start + 5000);
+  assert.deepEqual([...limiter.windows.keys()], ['c']);
+});
+
+const tenant = (fields = {}) => new Tenant({ name: 'Acme', ...fields });
+
+function stubTenant(found) {
+  return mock.method(Tenant, 'findById', async (id) => (found && String(found._id) === String(id) ? found : null));
+}
+
+test('API keys authenticate as their tenant and record use coarsely', async () => {
+  const acme = tenant();
+  const key = new ApiKey({ tenant: acme._id, keyHash: hashApiKey('seo_secret'), prefix: 'seo_secret' });
+  const lookups = mock.method(ApiKey, 'findOne', async ({ keyHash }) => (keyHash === key.keyHash ? key : null));
+  const touches = mock.method(ApiKey, 'updateOne', async () => ({}));
+  stubTenant(acme);
+
+  const bearer = await authenticateRequest(mockRequest({ headers: { Authorization: 'Bearer seo_secret' } }));
+  assert.deepEqual([bearer.tenant, bearer.apiKey, bearer.subject, bearer.method], [acme, key, `key:${key._id}`, 'apiKey']);
+  assert.deepEqual(lookups.mock.calls[0].arguments[0], { keyHash: hashApiKey('seo_secret'), revokedAt: null });
+  assert.equal(touches.mock.callCount(), 1);
+
+  key.lastUsedAt = new Date();
+  await authenticateRequest(mockRequest({ headers: { 'X-API-Key': 'seo_secret' } }));
+  assert.equal(touches.mock.callCount(), 1);
+
+  await assert.rejects(authenticateRequest(mockRequest({ headers: { 'X-API-Key': 'seo_wrong' } })), { message: 'Invalid API key', status: 401 });
+  await assert.rejects(authenticateRequest(mockRequest()), { message: 'Missing API key or bearer token', status: 401 });
+  acme.active = false;
+  await assert.rejects(authenticateRequest(mockRequest({ headers: { 'X-API-Key': 'seo_secret' } })), { status: 403 });
+});
+
+test('JWTs authenticate as the tenant in the configured claim', async (t) => {
+  const acme = tenant();
+  stubTenant(acme);
+  process.env.JWT_SECRET = SECRET;
+  process.env.JWT_TENANT_CLAIM = 'org';
+  t.after(() => {
+    delete process.env.JWT_SECRET;
+    delete process.env.JWT_TENANT_CLAIM;
+  });
+  const request = (claims) => mockRequest({ headers: { Authorization: `Bearer ${signJwt({ exp: Date.now() / 1000 + 60, ...claims })}` } });
+
+  const auth = await authenticateRequest(request({ org: String(acme._id), sub: 'user-1' }));
+  assert.deepEqual([auth.tenant, auth.apiKey, auth.subject, auth.method], [acme, null, `jwt:${acme._id}:user-1`, 'jwt']);
+  await assert.rejects(authenticateRequest(request({ org: 'not-an-id' })), { message: 'Tenant is disabled or does not exist', status: 403 });
+  await assert.rejects(authenticateRequest(request({ tenant: String(acme._id) })), { status: 403 });
+});
+
+test('authenticate answers auth failures with their status', async () => {
+  stubTenant(null);
+  mock.method(ApiKey, 'findOne', async () => null);
+
+  const res = mockResponse();
+  const next = mock.fn();
+  await authenticate(mockRequest({ headers: { 'X-API-Key': 'seo_unknown' } }), res, next);
+  assert.deepEqual([res.statusCode, res.body, res.get('WWW-Authenticate')], [401, { error: 'Invalid API key' }, 'Bearer']);
+  assert.equal(next.mock.callCount(), 0);
+
+  mock.method(console, 'error', () => {});
+  mock.method(ApiKey, 'findOne', async () => {
+    throw new Error('connection lost');
+  });
+  const failed = mockResponse();
+  await authenticate(mockRequest({ headers: { 'X-API-Key': 'seo_any' } }), failed, next);
+  assert.deepEqual([failed.statusCode, failed.body], [500, { error: 'Failed to authenticate request' }]);
+});
+
+test('rateLimit uses the key limit, then the tenant limit, and sets headers', () => {
+  const acme = tenant({ rateLimitPerMinute: 2 });
+  const run = (auth) => {
+    const req = mockRequest();
+    req.auth = auth;
+    const res = mockResponse();
+    const next = mock.fn();
+    rateLimit(req, res, next);
+    return { res, passed: next.mock.callCount() === 1 };
+  };
+
+  const subject = `test:${new mongoose.Types.ObjectId()}`;
+  const byTenant = { tenant: acme, apiKey: null, subject };
+  assert.equal(run(byTenant).res.get('X-RateLimit-Remaining'), '1');
+  assert.equal(run(byTenant).passed, true);
+  const limited = run(byTenant);
+  assert.deepEqual([limited.passed, limited.res.statusCode], [false, 429]);
+  assert.equal(limited.res.body.error, 'Rate limit of 2 requests per minute exceeded');
+  assert.ok(Number(limited.res.get('Retry-After')) >= 1);
+
+  const byKey = run({ tenant: acme, apiKey: { rateLimitPerMinute: 5 }, subject: `${subject}:key` });
+  assert.deepEqual([byKey.passed, byKey.res.get('X-RateLimit-Limit')], [true, '5']);
+  assert.equal(run({ tenant: tenant(), apiKey: null, subject: `${subject}:default` }).res.get('X-RateLimit-Limit'), '60');
+  assert.deepEqual(ownedBy({ auth: byTenant }), { tenant: acme._id });
+});
+
+test('usage quotas reserve analyses and report remaining', async (t) => {
+  assert.equal(currentPeriod(new Date('2024-02-29T23:59:59Z')), '2024-02');
+  assert.equal(analysisQuota(tenant({ monthlyAnalysisQuota: 0 })), 0);
+  assert.equal(analysisQuota(tenant()), 100);
+
+  const acme = tenant({ monthlyAnalysisQuota: 3 });
+  mock.method(Usage, 'updateOne', async () => {
+    throw Object.assign(new Error('duplicate key'), { code: 11000 });
+  });
+  const reserves = mock.method(Usage, 'findOneAndUpdate', async (filter) => (filter.analyses.$lt > 2 ? {} : null));
+  assert.equal(await reserveAnalysis(acme), true);
+  assert.deepEqual(reserves.mock.calls[0].arguments.slice(0, 2), [
+    { tenant: acme._id, period: currentPeriod(), analyses: { $lt: 3 } },
+    { $inc: { analyses: 1 } }
+  ]);
+  assert.equal(await reserveAnalysis(tenant({ monthlyAnalysisQuota: 2 })), false);
+
+  mock.method(Usage, 'findOne', () => ({ lean: async () => ({ analyses: 2, llm: { requests: 4, costUsd: 0.12345678 } }) }));
+  assert.deepEqual(await getUsage(acme, '2024-05'), {
+    period: '2024-05',
+    analyses: { used: 2, quota: 3, remaining: 1 },
+    rewrites: 0,
+    llm: { requests: 4, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0.123457 }
+  });
+  assert.deepEqual((await getUsage(tenant({ monthlyAnalysisQuota: 0 }))).analyses, { used: 2, quota: null, remaining: null });
+
+  // recordUsage never throws
+  const warn = mock.method(console, 'warn', () => {});
+  mock.method(Usage, 'updateOne', async () => {
+    throw new Error('write failed');
+  });
+  await recordUsage(acme._id, { llmUsage: { requests: 1, totalTokens: 10 }, rewrites: 1 });
+  assert.match(warn.mock.calls[0].arguments[0], /Failed to record usage/);
+  await recordUsage(acme._id, {});
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('GET /api/usage and POST /api/analyze report the quota', async () => {
+  const acme = tenant({ monthlyAnalysisQuota: 1 });
+  mock.method(Usage, 'findOne', () => ({ lean: async () => ({ analyses: 1 }) }));
+  mock.method(Usage, 'updateOne', async () => ({}));
+  mock.method(Usage, 'findOneAndUpdate', async () => null);
+
+  const invalid = mockResponse();
+  await getTenantUsage(mockRequest({ query: { period: '2024-13' }, tenant: acme }), invalid);
+  assert.deepEqual([invalid.statusCode, invalid.body], [400, { error: 'period must be YYYY-MM' }]);
+
+  const res = mockResponse().set({ 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '59' });
+  await getTenantUsage(mockRequest({ tenant: acme }), res);
+  assert.deepEqual(res.body.tenant, { id: acme._id, name: 'Acme' });
+  assert.deepEqual(res.body.analyses, { used: 1, quota: 1, remaining: 0 });
+  assert.deepEqual(res.body.rateLimit, { perMinute: 60, remaining: 59 });
+
+  const over = mockResponse();
+  await analyze(mockRequest({ body: { url: 'https://example.com', keywords: ['seo'] }, tenant: acme }), over);
+  assert.deepEqual([over.statusCode, over.body], [429, { error: 'Monthly analysis quota of 1 reached', usageUrl: '/api/usage' }]);
+});
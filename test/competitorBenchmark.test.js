@@ -0,0 +1,158 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnhancedAnalyzer } from '../services/enhancedAnalyzer.js';
+import { LlmClient } from '../services/llmClient.js';
+import {
+  resolveCompetitors, summarizeSite, compareSites, findTopicGaps, contentGapPrompt, benchmarkCompetitors, MAX_COMPETITORS
+} from '../services/competitorBenchmark.js';
+
+afterEach(() => mock.restoreAll());
+
+const TARGET = 'https://example.com';
+
+test('resolveCompetitors normalizes, dedupes and drops the target', () => {
+  assert.deepEqual(resolveCompetitors(undefined, TARGET), []);
+  assert.deepEqual(resolveCompetitors([' https://Rival.com/ ', 'https://rival.com', 'https://example.com#top', 'http://other.org/a?utm_source=x', 'http://other.org/a/'], TARGET),
+    ['https://rival.com/', 'http://other.org/a']);
+  assert.throws(() => resolveCompetitors('https://rival.com', TARGET), /competitors must be an array of URLs/);
+  assert.throws(() => resolveCompetitors(['ftp://rival.com'], TARGET), /Invalid competitor URL: ftp:\/\/rival\.com/);
+  assert.throws(() => resolveCompetitors([42], TARGET), /Invalid competitor URL: 42/);
+  const many = Array.from({ length: MAX_COMPETITORS + 1 }, (_, i) => `https://rival${i}.com`);
+  assert.throws(() => resolveCompetitors(many, TARGET), new RegExp(`At most ${MAX_COMPETITORS} competitors`));
+});
+
+// An `analyzeWebsite` result with one page per entry of `pages`
+const result = (url, { pages = [], keywordDensity = {}, types = [], performance, aiVisibility, keyTerms = [] } = {}) => ({
+  url,
+  pagesAnalyzed: pages.length,
+  keywords: Object.keys(keywordDensity),
+  analysis: {
+    pages: pages.map(({ words = 100, h2 = [], h3 = [], content = '', title = 'Page' }, i) => ({
+      url: `${url}/${i}`, title, wordCount: words, content, headings: { h1: ['Title'], h2, h3 }
+    })),
+    keywordDensity,
+    structuredData: { types },
+    technical: { pageSpeed: performance === undefined ? undefined : { score: performance }, readabilityScore: 60 },
+    aiVisibility: aiVisibility === undefined ? undefined : { score: aiVisibility },
+    contentQuality: { keyTerms: keyTerms.map(term => ({ term })) }
+  }
+});
+
+const density = (overall, byPage) => ({ overall, byPage });
+
+const targetResult = result(TARGET, {
+  pages: [{ words: 300, h2: ['Widget pricing'], content: 'Our widgets ship fast.' }, { words: 100 }],
+  keywordDensity: { widgets: density(1.234, [{ occurrences: 3, placement: { title: true, h1: true } }, { occurrences: 0 }]) },
+  types: ['Organization'],
+  performance: 80
+});
+const rivalResult = result('https://rival.com', {
+  pages: [{ words: 900, h2: ['Widget installation guide', 'Warranty'], h3: ['Installation tools'] }],
+  keywordDensity: { widgets: density(2.5, [{ occurrences: 9, placement: { title: true, description: true } }]) },
+  types: ['Organization', 'FAQPage', 'Product'],
+  performance: 65,
+  aiVisibility: 70,
+  keyTerms: ['widgets', 'installation', 'widget installation', 'warranty', 'pricing']
+});
+const otherResult = result('https://other.org', {
+  pages: [{ words: 200 }],
+  keyTerms: ['warranty', 'returns'],
+  types: ['FAQPage']
+});
+
+test('summarizeSite reads analyzer results and stored keyword arrays alike', () => {
+  const target = summarizeSite(targetResult);
+  assert.deepEqual(target.wordCount, { total: 400, average: 200 });
+  assert.deepEqual(target.headings, { h1: 2, h2: 1, h3: 0, averagePerPage: 0.5 });
+  assert.deepEqual(target.keywords, [{
+    keyword: 'widgets',
+    density: 1.23,
+    occurrences: 3,
+    pagesWithKeyword: 1,
+    placement: { title: 1, description: 0, h1: 1, first100Words: 0, urlSlug: 0, imageAlt: 0 }
+  }]);
+  assert.equal(target.aiVisibilityScore, null);
+
+  const stored = { ...targetResult, analysis: { ...targetResult.analysis, keywordDensity: [{ keyword: 'widgets', ...targetResult.analysis.keywordDensity.widgets }] } };
+  assert.deepEqual(summarizeSite(stored).keywords, target.keywords);
+  assert.deepEqual(summarizeSite({ url: TARGET }).wordCount, { total: 0, average: 0 });
+});
+
+test('compareSites labels the leader of each metric and keyword', () => {
+  const comparison = compareSites(summarizeSite(targetResult), [summarizeSite(rivalResult), summarizeSite(otherResult)]);
+  const byId = Object.fromEntries(comparison.metrics.map(metric => [metric.id, metric]));
+
+  assert.deepEqual(byId.wordCount.values, [200, 900, 200]);
+  assert.equal(byId.wordCount.leader, 'https://rival.com');
+  assert.deepEqual([byId.performance.values, byId.performance.leader], [[80, 65, null], TARGET]);
+  // Ties go to the first site, unmeasured metrics have no leader
+  assert.equal(byId.readability.leader, TARGET);
+  assert.deepEqual([byId.aiVisibility.values, byId.aiVisibility.leader], [[null, 70, null], 'https://rival.com']);
+  assert.equal(compareSites(summarizeSite(otherResult), []).metrics.find(metric => metric.id === 'aiVisibility').leader, null);
+
+  assert.deepEqual(comparison.keywords, [{
+    keyword: 'widgets',
+    density: [1.23, 2.5, null],
+    placements: [['title', 'h1'], ['title', 'description'], []],
+    leader: 'https://rival.com'
+  }]);
+  assert.deepEqual(comparison.missingStructuredData, ['FAQPage', 'Product']);
+});
+
+test('findTopicGaps skips covered topics and merges overlapping ones', () => {
+  const target = summarizeSite(targetResult);
+  const gaps = findTopicGaps(targetResult, target, [summarizeSite(rivalResult), summarizeSite(otherResult)]);
+
+  // "widgets" is a keyword and "pricing" a target heading; "installation"
+  // folds into the better ranked "widget installation"
+  assert.deepEqual(gaps.map(gap => [gap.topic, gap.competitors]), [
+    ['warranty', ['https://rival.com', 'https://other.org']],
+    ['installation', ['https://rival.com']],
+    ['returns', ['https://other.org']]
+  ]);
+  assert.deepEqual(gaps[1].headings, ['Widget installation guide', 'Installation tools']);
+  assert.deepEqual(findTopicGaps(targetResult, target, []), []);
+
+  const prompt = contentGapPrompt(target, [summarizeSite(rivalResult)], gaps);
+  assert.match(prompt, /Target keywords: widgets/);
+  assert.match(prompt, /- warranty \(rival\.com, other\.org\)/);
+  assert.match(prompt, /"contentGaps"/);
+});
+
+test('benchmarkCompetitors compares analyzable competitors and lists failures', async () => {
+  mock.method(console, 'warn', () => {});
+  const crawled = [];
+  mock.method(EnhancedAnalyzer.prototype, 'analyzeWebsite', async (url, keywords, options) => {
+    crawled.push([url, keywords, options]);
+    if (url === 'https://down.example') throw new Error('ECONNREFUSED');
+    if (url === 'https://empty.example') return result(url);
+    return rivalResult;
+  });
+  const progress = [];
+
+  const benchmark = await benchmarkCompetitors(targetResult, ['https://rival.com', 'https://down.example', 'https://empty.example'], {
+    llm: new LlmClient({ provider: 'stub' }),
+    onProgress: (event) => progress.push(event.url)
+  });
+
+  assert.deepEqual(crawled[0], ['https://rival.com', ['widgets'], { insights: false }]);
+  assert.deepEqual(progress, ['https://rival.com', 'https://down.example', 'https://empty.example']);
+  assert.deepEqual(benchmark.competitors.map(site => site.url), ['https://rival.com']);
+  assert.deepEqual(benchmark.failed, [
+    { url: 'https://down.example', error: 'ECONNREFUSED' },
+    { url: 'https://empty.example', error: 'no pages could be crawled' }
+  ]);
+  assert.equal(benchmark.metrics[0].values.length, 2);
+  assert.deepEqual(benchmark.contentGaps.map(gap => gap.topic), ['installation', 'warranty']);
+  assert.match(benchmark.contentGaps[0].recommendation, /competitors cover it under headings such as "Widget installation guide"/);
+  assert.equal(benchmark.contentGaps[1].competitors, 'rival.com');
+});
+
+test('benchmarkCompetitors falls back when no competitor loads', async () => {
+  mock.method(console, 'warn', () => {});
+  mock.method(EnhancedAnalyzer.prototype, 'analyzeWebsite', async () => {
+    throw new Error('timeout');
+  });
+  const benchmark = await benchmarkCompetitors(targetResult, ['https://rival.com'], { llm: new LlmClient({ provider: 'stub' }) });
+  assert.deepEqual([benchmark.contentGaps, benchmark.generatedBy, benchmark.issues], [[], 'heuristic', ['No competitor could be analyzed']]);
+});
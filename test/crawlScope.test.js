@@ -0,0 +1,129 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeUrl, urlKey, isSameSite, compilePattern, matchesAny, MAX_PATTERN_LENGTH } from '../utils/urlUtils.js';
+import { EnhancedAnalyzer, resolveCrawlOptions, DEFAULT_CRAWL_OPTIONS } from '../services/enhancedAnalyzer.js';
+import { startSite, offlineAnalyzerEnv, page } from './helpers/site.js';
+
+test('normalizeUrl canonicalizes http(s) URLs', () => {
+  assert.equal(
+    normalizeUrl('HTTPS://Example.COM:443/blog/?utm_source=x&b=2&a=1&gclid=z#top'),
+    'https://example.com/blog/?a=1&b=2'
+  );
+  assert.equal(normalizeUrl('/about/', 'http://example.com:80/x'), 'http://example.com/about/');
+  assert.equal(normalizeUrl('https://example.com/'), 'https://example.com/');
+  assert.equal(normalizeUrl('mailto:hi@example.com'), null);
+  assert.equal(normalizeUrl('http://'), null);
+});
+
+test('urlKey collapses trailing-slash variants of a path', () => {
+  assert.equal(urlKey('https://Example.com/blog/?b=2&a=1'), 'https://example.com/blog?a=1&b=2');
+  assert.equal(urlKey('/blog', 'https://example.com/'), urlKey('https://example.com/blog//'));
+  assert.equal(urlKey('https://example.com/'), 'https://example.com/');
+  assert.equal(urlKey('mailto:hi@example.com'), null);
+});
+
+test('isSameSite follows the subdomain policy', () => {
+  assert.equal(isSameSite('www.example.com', 'example.com'), true);
+  assert.equal(isSameSite('www.example.com', 'example.com', 'none'), false);
+  assert.equal(isSameSite('blog.example.com', 'www.example.com'), false);
+  assert.equal(isSameSite('blog.example.com', 'www.example.com', 'all'), true);
+  assert.equal(isSameSite('badexample.com', 'example.com', 'all'), false);
+});
+
+test('compilePattern supports globs and /regex/flags', () => {
+  const url = (path) => `https://example.com${path}`;
+  assert.equal(matchesAny([compilePattern('/blog/*')], url('/blog/post')), true);
+  assert.equal(matchesAny([compilePattern('/blog/*')], url('/blog/2024/post')), false);
+  assert.equal(matchesAny([compilePattern('/blog/**')], url('/blog/2024/post')), true);
+  assert.equal(matchesAny([compilePattern('/blog/*')], url('/blog/post?page=2')), true, 'the path alone may match');
+  assert.equal(matchesAny([compilePattern('/\\/tag\\//i')], url('/news/TAG/seo')), true);
+});
+
+test('compilePattern rejects stateful flags so matching is stable', () => {
+  assert.throws(() => compilePattern('/blog/g'), /g and y/);
+  assert.throws(() => compilePattern('/blog/iy'), /g and y/);
+  const pattern = compilePattern('/blog/i');
+  const results = ['/blog/a', '/blog/b', '/blog/c'].map(path => matchesAny([pattern], `https://example.com${path}`));
+  assert.deepEqual(results, [true, true, true]);
+});
+
+test('compilePattern rejects nested quantifiers', () => {
+  for (const pattern of ['/(a+)+$/', '/(?:\\w*x)*/', '/((ab)*c)+/', '/(a{2,})*/']) {
+    assert.throws(() => compilePattern(pattern), /Nested quantifiers/, pattern);
+  }
+  for (const pattern of ['/(a+)b+/', '/(ab)+/', '/[(a+)]+/', '/\\(a+\\)+/', '/(a?)+/', '/(?:\\/page\\/\\d+)?$/']) {
+    assert.doesNotThrow(() => compilePattern(pattern), pattern);
+  }
+  assert.throws(() => resolveCrawlOptions({ exclude: ['/(a+)+$/'] }), /Invalid crawl.exclude pattern "\/\(a\+\)\+\$\/": Nested quantifiers/);
+});
+
+test('compilePattern caps the pattern length', () => {
+  assert.throws(() => compilePattern(`/${'(a+)+'.repeat(40)}/`), /longer than 200/);
+  assert.doesNotThrow(() => compilePattern('*'.repeat(MAX_PATTERN_LENGTH)));
+});
+
+test('resolveCrawlOptions fills defaults and rejects invalid scope', () => {
+  assert.deepEqual(resolveCrawlOptions(), DEFAULT_CRAWL_OPTIONS);
+  assert.deepEqual(resolveCrawlOptions({ maxPages: '10', include: '/docs/**' }).include, ['/docs/**']);
+  assert.equal(resolveCrawlOptions({ maxDepth: 0 }).maxDepth, 0);
+
+  for (const [options, message] of [
+    [{ maxPages: 0 }, /crawl.maxPages/],
+    [{ maxPages: 1000 }, /crawl.maxPages/],
+    [{ maxDepth: 1.5 }, /crawl.maxDepth/],
+    [{ exclude: ['/x/g'] }, /Invalid crawl.exclude pattern "\/x\/g"/],
+    [{ include: [''] }, /crawl.include/],
+    [{ subdomains: 'some' }, /crawl.subdomains/],
+    [{ render: 'sometimes' }, /crawl.render/],
+    [{ checkExternalLinks: 'yes' }, /crawl.checkExternalLinks/]
+  ]) {
+    assert.throws(() => resolveCrawlOptions(options), message, JSON.stringify(options));
+  }
+});
+
+let site;
+
+before(async () => {
+  offlineAnalyzerEnv();
+  const links = (...paths) => paths.map(path => `<a href="${path}">${path}</a>`).join(' ');
+  site = await startSite({
+    '/': page({ body: links('/docs/a?utm_source=nav', '/docs/b', '/blog/x', '/docs/a#top') }),
+    '/docs/a': page({ body: links('/docs/a/deeper') }),
+    '/docs/a/deeper': page({ body: links('/docs/a/deeper/still') }),
+    '/docs/a/deeper/still': page(),
+    '/docs/b': page({ head: '<link rel="canonical" href="/docs/a">' }),
+    '/blog/x': page()
+  });
+});
+after(() => site.close());
+
+const crawl = async (options) => {
+  const analyzer = new EnhancedAnalyzer({ crawl: { render: 'never', ...options } });
+  const pages = await analyzer.crawlWebsite(site.base);
+  return pages.map(crawled => new URL(crawled.url).pathname);
+};
+
+test('the crawl honours depth, include/exclude patterns and canonical duplicates', async () => {
+  assert.deepEqual(await crawl({ maxPages: 10, maxDepth: 1 }), ['/', '/docs/a', '/blog/x']);
+  assert.deepEqual(await crawl({ maxPages: 10, include: ['/docs/**'] }), ['/', '/docs/a', '/docs/a/deeper', '/docs/a/deeper/still']);
+  assert.deepEqual(await crawl({ maxPages: 10, maxDepth: 1, exclude: ['/\\/blog\\//'] }), ['/', '/docs/a']);
+  assert.deepEqual(await crawl({ maxPages: 2 }), ['/', '/docs/a']);
+});
+
+test('the crawl fetches paths as linked and counts slash variants once', async () => {
+  mock.method(console, 'log', () => {});
+  const slashSite = await startSite({
+    '/': page({ body: '<a href="/guide/">Guide</a> <a href="/guide">Guide again</a>' }),
+    '/guide/': page(),
+    '/guide': { status: 301, headers: { location: '/guide/' } }
+  });
+  try {
+    const analyzer = new EnhancedAnalyzer({ crawl: { render: 'never', maxPages: 10 } });
+    const pages = await analyzer.crawlWebsite(slashSite.base);
+    assert.deepEqual(pages.map(crawled => new URL(crawled.url).pathname), ['/', '/guide/']);
+    assert.deepEqual(slashSite.hits.filter(path => path.startsWith('/guide')), ['/guide/'], 'no redirect hop');
+  } finally {
+    mock.restoreAll();
+    await slashSite.close();
+  }
+});
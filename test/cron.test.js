@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, isValidCron, nextCronDate } from '../utils/cron.js';
+
+// Cron works in server local time, so build dates the same way
+const local = (...parts) => new Date(...parts);
+
+test('parseCron expands lists, ranges, steps and aliases', () => {
+  const cron = parseCron('0,30 9-17/4 * * 1-5');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.equal(cron.dayOfMonth.size, 31);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, false);
+
+  assert.deepEqual([...parseCron('@daily').hour], [0]);
+  assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+  assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0), '7 is Sunday');
+});
+
+test('isValidCron rejects malformed expressions', () => {
+  for (const expression of ['', '* * * *', '60 * * * *', '* 24 * * *', '*/0 * * * *', '5-1 * * * *', 'a * * * *', undefined]) {
+    assert.equal(isValidCron(expression), false, String(expression));
+  }
+  assert.equal(isValidCron('*/15 * * * *'), true);
+});
+
+test('isValidCron rejects expressions that can never match', () => {
+  assert.equal(isValidCron('0 0 31 2 *'), false);
+  assert.equal(isValidCron('0 0 30,31 2 *'), false);
+  assert.equal(isValidCron('0 0 31 4,6,9,11 *'), false);
+  assert.equal(isValidCron('0 0 29 2 *'), true, 'leap days exist');
+  assert.equal(isValidCron('0 0 31 2 1'), true, 'the weekday can still match');
+});
+
+test('nextCronDate returns the next matching minute strictly after from', () => {
+  assert.deepEqual(nextCronDate('*/15 * * * *', local(2024, 0, 1, 10, 15, 30)), local(2024, 0, 1, 10, 30));
+  assert.deepEqual(nextCronDate('@daily', local(2024, 0, 1, 0, 0)), local(2024, 0, 2, 0, 0));
+  assert.deepEqual(nextCronDate('0 9 * * 1', local(2024, 0, 3, 12, 0)), local(2024, 0, 8, 9, 0));
+  assert.deepEqual(nextCronDate('0 0 29 2 *', local(2024, 2, 1)), local(2028, 1, 29));
+});
+
+test('nextCronDate matches either day field when both are restricted', () => {
+  // 2024-01-05 is a Friday; the 10th comes after the next Monday (the 8th)
+  assert.deepEqual(nextCronDate('0 0 10 * 1', local(2024, 0, 5)), local(2024, 0, 8));
+});
+
+test('nextCronDate fails fast for a date that never occurs', () => {
+  const started = Date.now();
+  assert.throws(() => nextCronDate('0 0 31 2 *'), /never matches/);
+  assert.ok(Date.now() - started < 50);
+});
@@ -0,0 +1,68 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+
+/**
+ * Minimal Express req/res stand-ins for calling controllers directly.
+ */
+export const TENANT_ID = new mongoose.Types.ObjectId();
+
+export function mockRequest({ params = {}, query = {}, body = {}, headers = {}, tenant = { _id: TENANT_ID } } = {}) {
+  const req = new EventEmitter();
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return Object.assign(req, {
+    params,
+    query,
+    body,
+    headers: lowered,
+    auth: tenant ? { tenant, apiKey: null, subject: `test:${tenant._id}`, method: 'apiKey' } : undefined,
+    get: (name) => lowered[name.toLowerCase()]
+  });
+}
+
+export function mockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    ended: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      if (typeof name === 'object') Object.entries(name).forEach(([key, val]) => res.set(key, val));
+      else res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      res.set(name, value);
+    },
+    get: (name) => res.headers[name.toLowerCase()],
+    json(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    redirect(code, url) {
+      res.statusCode = code;
+      res.headers.location = url;
+      res.ended = true;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      res.chunks.push(String(chunk));
+      return true;
+    },
+    end(chunk) {
+      if (chunk !== undefined) res.chunks.push(String(chunk));
+      res.ended = true;
+    }
+  };
+  return res;
+}
@@ -0,0 +1,48 @@
+import http from 'http';
+
+/**
+ * Serve a fixture site on a random local port. `routes` maps a path to an
+ * HTML string, `{ status, headers, body }` or a `(req, res) => {}` handler.
+ * `BASE` in bodies is replaced with the site's origin. Requested paths are
+ * recorded in `hits`.
+ */
+export async function startSite(routes) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    hits.push(path);
+    let route = routes[path];
+    if (typeof route === 'function') return route(req, res);
+    if (route === undefined) route = { status: 404, body: 'Not found' };
+    if (typeof route === 'string') route = { body: route };
+
+    const { status = 200, headers = {}, body = '' } = route;
+    const type = path.endsWith('.xml') ? 'application/xml' : path.endsWith('.txt') ? 'text/plain' : 'text/html';
+    res.writeHead(status, { 'content-type': type, ...headers });
+    res.end(Buffer.isBuffer(body) ? body : body.replaceAll('BASE', base));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    base,
+    hits,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Environment for running the analyzer offline: no HTTP cache on disk, no
+ * browser audits, the stub LLM and no per-host delay.
+ */
+export function offlineAnalyzerEnv() {
+  Object.assign(process.env, {
+    HTTP_CACHE: 'false',
+    PERFORMANCE_AUDIT: 'false',
+    MOBILE_AUDIT: 'false',
+    LLM_PROVIDER: 'stub',
+    CRAWL_HOST_INTERVAL_MS: '1'
+  });
+}
+
+export const page = ({ title = 'Page', body = '', head = '' } = {}) =>
+  `<html lang="en"><head><title>${title}</title>${head}</head><body>${body}</body></html>`;
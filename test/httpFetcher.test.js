@@ -0,0 +1,148 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HttpFetcher } from '../services/httpFetcher.js';
+import { HttpCache } from '../services/httpCache.js';
+import { startSite } from './helpers/site.js';
+
+let site;
+let cacheDir;
+let inFlight = 0;
+let maxInFlight = 0;
+let flaky = 0;
+
+before(async () => {
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+  site = await startSite({
+    '/slow': (req, res) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(() => {
+        inFlight--;
+        res.end('ok');
+      }, 30);
+    },
+    '/a': { status: 301, headers: { location: '/b' } },
+    '/b': { status: 302, headers: { location: '/page' } },
+    '/page': 'Final page',
+    '/loop': { status: 302, headers: { location: '/loop' } },
+    '/flaky': (req, res) => {
+      flaky++;
+      if (flaky === 1) {
+        res.writeHead(503, { 'retry-after': '0' });
+        return res.end();
+      }
+      res.end('recovered');
+    },
+    '/etag': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304, { etag: '"v1"' });
+        return res.end();
+      }
+      res.writeHead(200, { etag: '"v1"', 'content-type': 'text/html' });
+      res.end('<p>cached body</p>');
+    },
+    '/big': { body: 'x'.repeat(4096) },
+    '/big-chunked': (req, res) => {
+      res.writeHead(200, { 'content-type': 'text/html' });
+      for (let i = 0; i < 4; i++) res.write('y'.repeat(1024));
+      res.end();
+    }
+  });
+});
+after(async () => {
+  await site.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+const fetcher = (options = {}) => new HttpFetcher({ cache: false, hostInterval: 0, retryBaseDelay: 1, ...options });
+
+test('at most `concurrency` requests are in flight', async () => {
+  maxInFlight = 0;
+  const client = fetcher({ concurrency: 2 });
+  await Promise.all(Array.from({ length: 6 }, () => client.fetch(`${site.base}/slow`)));
+  assert.equal(maxInFlight, 2);
+});
+
+test('requests to one host are spaced by the host interval', async () => {
+  const client = fetcher({ concurrency: 4, hostInterval: 40 });
+  const started = Date.now();
+  await Promise.all([1, 2, 3].map(() => client.fetch(`${site.base}/page`)));
+  assert.ok(Date.now() - started >= 80);
+});
+
+test('redirects are followed and recorded; loops are rejected', async () => {
+  const response = await fetcher().fetch(`${site.base}/a`);
+  assert.equal(response.url, `${site.base}/page`);
+  assert.equal(response.body, 'Final page');
+  assert.deepEqual(response.redirectChain.map(hop => [new URL(hop.url).pathname, hop.status]), [['/a', 301], ['/b', 302]]);
+
+  await assert.rejects(fetcher().fetch(`${site.base}/loop`), { code: 'REDIRECT_LOOP' });
+});
+
+test('retryable statuses are retried', async () => {
+  mock.method(console, 'warn', () => {});
+  const response = await fetcher().fetch(`${site.base}/flaky`);
+  assert.equal(response.status, 200);
+  assert.equal(response.attempts, 2);
+  mock.restoreAll();
+});
+
+test('retryDelay honours Retry-After and caps the backoff', () => {
+  const client = fetcher({ retryBaseDelay: 1000, maxRetryDelay: 5000 });
+  assert.equal(client.retryDelay(0, { headers: { 'retry-after': '2' } }), 2000);
+  assert.equal(client.retryDelay(10, null), 5000);
+});
+
+test('responses over maxContentLength are refused without retrying', async () => {
+  const client = fetcher({ maxContentLength: 2048 });
+  await assert.rejects(client.fetch(`${site.base}/big`), { code: 'RESPONSE_TOO_LARGE' });
+  await assert.rejects(client.fetch(`${site.base}/big-chunked`), { code: 'RESPONSE_TOO_LARGE' });
+  assert.equal(site.hits.filter(hit => hit === '/big-chunked').length, 1);
+  assert.equal((await client.fetch(`${site.base}/page`)).status, 200);
+});
+
+test('cached pages are revalidated with their ETag', async () => {
+  const client = fetcher({ cache: new HttpCache(cacheDir) });
+  const first = await client.fetch(`${site.base}/etag`);
+  const second = await client.fetch(`${site.base}/etag`);
+  assert.equal(first.fromCache, false);
+  assert.equal(second.fromCache, true);
+  assert.equal(second.status, 200);
+  assert.equal(second.body, '<p>cached body</p>');
+});
+
+test('the cache ignores expired entries', async () => {
+  const cache = new HttpCache(path.join(cacheDir, 'ttl'), { ttlMs: 1000 });
+  const url = 'https://example.com/';
+  await cache.set(url, { status: 200, headers: { etag: '"1"' }, body: 'hello' });
+  assert.equal((await cache.get(url)).body, 'hello');
+
+  const file = cache.filePath(url);
+  const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fs.writeFileSync(file, JSON.stringify({ ...entry, storedAt: new Date(Date.now() - 5000).toISOString() }));
+  assert.equal(await cache.get(url), null);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('prune removes expired entries and evicts the oldest over the size cap', async () => {
+  const cache = new HttpCache(path.join(cacheDir, 'prune'), { ttlMs: 60 * 1000, maxBytes: 2500 });
+  const now = Date.now();
+  const urls = ['https://example.com/1', 'https://example.com/2', 'https://example.com/3', 'https://example.com/4'];
+  for (const [i, url] of urls.entries()) {
+    // Written directly, so set() does not start a prune of its own
+    const file = cache.filePath(url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, 'z'.repeat(1000));
+    // Oldest first: /1 is past the TTL, the rest are minutes apart
+    const age = i === 0 ? 120 : 40 - i * 10;
+    fs.utimesSync(file, new Date(now - age * 1000), new Date(now - age * 1000));
+  }
+
+  const { removed, bytes } = await cache.prune(now);
+  assert.equal(removed, 2);
+  assert.equal(bytes, 2000);
+  assert.deepEqual(urls.map(url => fs.existsSync(cache.filePath(url))), [false, false, true, true]);
+});
@@ -0,0 +1,103 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import Usage from '../models/Usage.js';
+import { serializeJob, isFinished, resumeInterruptedJobs } from '../services/jobManager.js';
+import { getJob, streamJobEvents } from '../controllers/jobController.js';
+import { mockRequest, mockResponse, TENANT_ID } from './helpers/http.js';
+
+afterEach(() => mock.restoreAll());
+
+const newJob = (fields = {}) => new Job({
+  request: { url: 'https://example.com', keywords: ['seo'] },
+  tenant: TENANT_ID,
+  ...fields
+});
+
+// A job that ran out of attempts; resuming it marks it failed and emits the update
+function failOnResume(job) {
+  mock.method(Job, 'find', () => ({ sort: async () => [job] }));
+  mock.method(Job, 'findByIdAndUpdate', async (id, update) => {
+    job.set(update);
+    return job;
+  });
+  mock.method(Usage, 'updateOne', async () => ({}));
+  return resumeInterruptedJobs();
+}
+
+const events = (res) => res.chunks.filter(chunk => chunk.startsWith('event:')).map(chunk => chunk.split('\n')[0]);
+
+test('serializeJob exposes the public job fields', () => {
+  const job = newJob({ status: 'completed', stage: 'completed', pdfUrl: '/api/reports/1/pdf' });
+  const data = serializeJob(job);
+  assert.equal(data.id, job._id);
+  assert.equal(data.status, 'completed');
+  assert.equal(data.pdfUrl, '/api/reports/1/pdf');
+  assert.equal(data.reportId, null);
+  assert.equal(data.error, null);
+  assert.equal(isFinished(data), true);
+  assert.equal(isFinished({ status: 'running' }), false);
+});
+
+test('getJob rejects invalid ids and scopes the lookup to the tenant', async () => {
+  let res = mockResponse();
+  await getJob(mockRequest({ params: { id: 'nope' } }), res);
+  assert.equal(res.statusCode, 400);
+
+  const job = newJob();
+  const findOne = mock.method(Job, 'findOne', async () => job);
+  res = mockResponse();
+  await getJob(mockRequest({ params: { id: String(job._id) } }), res);
+  assert.equal(res.body.id, job._id);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: String(job._id), tenant: TENANT_ID });
+
+  mock.method(Job, 'findOne', async () => null);
+  res = mockResponse();
+  await getJob(mockRequest({ params: { id: String(job._id) } }), res);
+  assert.equal(res.statusCode, 404);
+});
+
+test('streamJobEvents ends right away for a finished job', async () => {
+  const job = newJob({ status: 'completed', stage: 'completed' });
+  mock.method(Job, 'findOne', async () => job);
+  const res = mockResponse();
+  await streamJobEvents(mockRequest({ params: { id: String(job._id) } }), res);
+  assert.deepEqual(events(res), ['event: completed']);
+  assert.equal(res.ended, true);
+  assert.equal(res.headers['content-type'], 'text/event-stream');
+});
+
+test('streamJobEvents forwards updates until the job finishes', async () => {
+  const job = newJob({ status: 'running', stage: 'crawling', attempts: 3 });
+  mock.method(Job, 'findOne', async () => newJob({ _id: job._id, status: 'running', stage: 'crawling' }));
+  const req = mockRequest({ params: { id: String(job._id) } });
+  const res = mockResponse();
+  await streamJobEvents(req, res);
+  assert.deepEqual(events(res), ['event: progress']);
+  assert.equal(res.ended, false);
+
+  await failOnResume(job);
+  assert.deepEqual(events(res), ['event: progress', 'event: failed']);
+  assert.equal(res.ended, true);
+});
+
+test('streamJobEvents does not miss a job finishing while the snapshot loads', async () => {
+  const job = newJob({ status: 'running', stage: 'crawling', attempts: 3 });
+  const stale = newJob({ _id: job._id, status: 'running', stage: 'crawling' });
+  mock.method(Job, 'findOne', async () => {
+    await failOnResume(job);
+    return stale;
+  });
+  const res = mockResponse();
+  await streamJobEvents(mockRequest({ params: { id: String(job._id) } }), res);
+  assert.deepEqual(events(res), ['event: progress', 'event: failed']);
+  assert.equal(res.ended, true);
+});
+
+test('streamJobEvents returns 404 for another tenant\'s job', async () => {
+  mock.method(Job, 'findOne', async () => null);
+  const res = mockResponse();
+  await streamJobEvents(mockRequest({ params: { id: String(new mongoose.Types.ObjectId()) } }), res);
+  assert.equal(res.statusCode, 404);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize, singularize, stem, findPhrase, countPhrase, containsPhrase, buildTermIndex, topTerms, relatedTerms
+} from '../utils/keywords.js';
+import { EnhancedAnalyzer } from '../services/enhancedAnalyzer.js';
+import { analyze } from '../controllers/analyzeController.js';
+import { offlineAnalyzerEnv } from './helpers/site.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+test('tokenize lowercases whole words and ignores regex characters', () => {
+  assert.deepEqual(tokenize('SEO (tools) in C++ [Seoul]? .*'), ['seo', 'tools', 'in', 'c', 'seoul']);
+  assert.deepEqual(tokenize('Don’t stop'), ["don't", 'stop']);
+  assert.deepEqual(tokenize(), []);
+});
+
+test('singularize and stem map word forms to a shared stem', () => {
+  assert.deepEqual(['companies', 'boxes', 'classes', 'status', 'analysis', 'tools', 'bus'].map(singularize),
+    ['company', 'box', 'class', 'status', 'analysis', 'tool', 'bus']);
+  const optimize = ['optimize', 'optimized', 'optimizing', 'optimizes'].map(stem);
+  assert.equal(new Set(optimize).size, 1);
+  assert.equal(stem('running'), stem('runs'));
+  assert.equal(stem('agreed'), 'agreed');
+  assert.equal(stem('sing'), 'sing');
+});
+
+test('phrases match on whole words, exactly or as variants', () => {
+  assert.equal(containsPhrase('Visit Seoul today', 'seo'), false);
+  assert.equal(containsPhrase('Best C++ tips', 'c++'), true);
+  assert.deepEqual(countPhrase('SEO tools. An seo tool, seoul tools', 'seo tools'), { exact: 1, variants: 1, positions: [0, 3] });
+  assert.deepEqual(countPhrase(['a', 'b'], ''), { exact: 0, variants: 0, positions: [] });
+  assert.deepEqual(findPhrase(['a', 'b', 'a', 'b'], ['a', 'b']), [0, 2]);
+});
+
+const DOCUMENTS = [
+  { id: 'coffee', text: 'Coffee beans roasting. Coffee beans grinder. Espresso machine espresso machine.' },
+  { id: 'tea', text: 'Tea leaves and tea kettle. Coffee beans are nice.' }
+];
+
+test('topTerms ranks unigrams and bigrams by TF-IDF without stopwords', () => {
+  const index = buildTermIndex(DOCUMENTS);
+  const terms = topTerms(index, { limit: 5 }).map(entry => entry.term);
+  assert.deepEqual(terms, ['tea', 'coffee', 'coffee beans', 'beans', 'espresso']);
+  assert.ok(!terms.includes('and') && !terms.includes('are'));
+
+  // Terms unique to a document outrank terms shared with the others
+  const tea = topTerms(index, { ids: ['tea'], exclude: ['teas'] });
+  assert.ok(tea.every(entry => !entry.term.includes('tea')));
+  assert.ok(tea.findIndex(entry => entry.term === 'leaves') < tea.findIndex(entry => entry.term === 'coffee'));
+});
+
+test('relatedTerms lists what appears near a keyword, minus the keyword itself', () => {
+  const index = buildTermIndex(DOCUMENTS);
+  const related = relatedTerms(index, 'coffee', { limit: 4 }).map(entry => entry.term);
+  assert.ok(related.includes('beans'));
+  assert.ok(!related.some(term => term.includes('coffee')));
+  assert.deepEqual(relatedTerms(index, 'chocolate'), []);
+});
+
+test('analyzeKeywordDensity records placement, variants and stuffing', () => {
+  offlineAnalyzerEnv();
+  const analyzer = new EnhancedAnalyzer();
+  const filler = 'word '.repeat(80);
+  const pages = [
+    {
+      url: 'https://example.com/seo-tools',
+      title: 'SEO tools and more SEO tools',
+      description: 'Compare tools',
+      headings: { h1: ['The best SEO tools'] },
+      images: [{ alt: 'seo tools chart' }],
+      content: `SEO tools help. An SEO tool is cheap. Seoul is nice. ${filler} seo tools`
+    },
+    { url: 'https://example.com/about', title: 'About', content: `Nothing here. ${filler}` }
+  ];
+  const { 'seo tools': result } = analyzer.analyzeKeywordDensity(pages, ['seo tools']);
+
+  const [first, second] = result.byPage;
+  assert.deepEqual([first.occurrences, first.variantOccurrences], [2, 1]);
+  assert.deepEqual(first.placement, {
+    title: true, description: false, h1: true, first100Words: true, urlSlug: true, imageAlt: true
+  });
+  assert.deepEqual(Object.values(second.placement), [false, false, false, false, false, false]);
+  assert.deepEqual(result.issues, [
+    'https://example.com/seo-tools: "seo tools" makes up 3.2% of the content (keyword stuffing)',
+    'https://example.com/seo-tools: "seo tools" is repeated in the title'
+  ]);
+  assert.ok(result.overall > 0);
+
+  const missing = analyzer.analyzeKeywordDensity(pages, ['pricing']).pricing;
+  assert.deepEqual(missing.issues, ['https://example.com/seo-tools: "pricing" does not appear in any title, description or H1']);
+});
+
+test('POST /api/analyze rejects keywords that are not non-empty strings', async () => {
+  for (const keywords of [[2024], ['seo', ''], ['  '], [null], [['seo']]]) {
+    const res = mockResponse();
+    await analyze(mockRequest({ body: { url: 'https://example.com', keywords } }), res);
+    assert.deepEqual([res.statusCode, res.body], [400, { error: 'keywords must be non-empty strings' }], JSON.stringify(keywords));
+  }
+});
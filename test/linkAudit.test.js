@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditLinks, buildLinkGraph, checkLink } from '../services/linkAudit.js';
+
+const BASE = 'https://example.com';
+const link = (path, text = 'Link', internal = true) => ({ url: path.startsWith('http') ? path : `${BASE}${path}`, text, internal });
+const crawled = (path, outlinks = [], extra = {}) => ({ url: `${BASE}${path}`, finalUrl: `${BASE}${path}`, status: 200, outlinks, ...extra });
+
+// Responses by URL; anything else is a 200
+const fakeFetcher = (responses = {}) => {
+  const requests = [];
+  return {
+    requests,
+    async fetch(url, { method = 'GET' } = {}) {
+      requests.push([method, url]);
+      const response = responses[url];
+      if (response instanceof Error) throw response;
+      return { status: 200, url, redirectChain: [], ...response };
+    }
+  };
+};
+
+test('checkLink falls back to GET and reports redirect loops', async () => {
+  const fetcher = {
+    fetch: async (url, { method = 'GET' } = {}) => ({ status: method === 'HEAD' ? 405 : 200, url, redirectChain: [] })
+  };
+  assert.equal((await checkLink(fetcher, `${BASE}/a`)).status, 200);
+
+  const loop = Object.assign(new Error('Redirect loop'), { code: 'REDIRECT_LOOP', redirectChain: [{ url: `${BASE}/l` }] });
+  const result = await checkLink(fakeFetcher({ [`${BASE}/l`]: loop }), `${BASE}/l`);
+  assert.deepEqual([result.status, result.redirectLoop, result.redirectChain.length], [null, true, 1]);
+});
+
+test('buildLinkGraph counts inbound links through canonical, final and slash-variant URLs', () => {
+  const pages = [
+    crawled('/', [link('/about'), link('/old-blog'), link('/', 'Home')]),
+    crawled('/blog', [link('/about/', 'About us')], { finalUrl: `${BASE}/blog/`, canonicalUrl: `${BASE}/old-blog` }),
+    crawled('/about')
+  ];
+  const graph = buildLinkGraph(pages);
+  assert.deepEqual([...graph.inbound.get(`${BASE}/about`)], [`${BASE}/`, `${BASE}/blog`]);
+  assert.deepEqual([...graph.inbound.get(`${BASE}/blog`)], [`${BASE}/`]);
+  assert.equal(graph.inbound.has(`${BASE}/`), false, 'self links do not count');
+  assert.equal(graph.total, 4);
+});
+
+test('auditLinks reports broken links, redirect chains, mixed content and weak anchors', async () => {
+  const pages = [crawled('/', [
+    link('/missing', 'Missing'),
+    link('/moved', 'Moved'),
+    link('/hop', 'here'),
+    link('/jump', 'Jump'),
+    link('/about', ''),
+    link('http://example.org/', 'Partner', false),
+    link('https://external.test/', 'External', false)
+  ])];
+  const fetcher = fakeFetcher({
+    [`${BASE}/missing`]: { status: 404 },
+    [`${BASE}/moved`]: { url: `${BASE}/new`, redirectChain: [{ status: 301 }, { status: 302 }] },
+    [`${BASE}/hop`]: { url: `${BASE}/hop/`, redirectChain: [{ status: 301 }] },
+    [`${BASE}/jump`]: { url: `${BASE}/landing`, redirectChain: [{ status: 301 }] }
+  });
+
+  const audit = await auditLinks(pages, { fetcher, shouldCheck: (url, internal) => internal });
+  assert.deepEqual([audit.broken, audit.redirected, audit.unchecked], [1, 3, 2]);
+  assert.ok(!fetcher.requests.some(([, url]) => url.startsWith('https://external.test')));
+  assert.deepEqual(audit.mixedContent, [{ page: `${BASE}/`, url: 'http://example.org/' }]);
+  assert.deepEqual(audit.issues, [
+    `${BASE}/missing: Broken link (HTTP 404), linked from 1 page`,
+    `${BASE}/moved: Redirect chain of 2 hops to ${BASE}/new, linked from 1 page`,
+    `${BASE}/jump: Internal link redirects to ${BASE}/landing, linked from 1 page`,
+    `${BASE}/: Insecure http link to http://example.org/`,
+    `${BASE}/: Generic anchor text "here" for ${BASE}/hop`,
+    `${BASE}/: Link to ${BASE}/about has no anchor text`
+  ]);
+});
+
+test('auditLinks reuses crawl failures instead of fetching again', async () => {
+  const fetcher = fakeFetcher();
+  const site = { sitemap: { urls: [] }, failedUrls: [{ url: `${BASE}/down`, status: 503, redirectChain: [] }], blockedUrls: [] };
+  const audit = await auditLinks([crawled('/', [link('/down', 'Down')])], { site, fetcher });
+  assert.equal(fetcher.requests.length, 0);
+  assert.equal(audit.results[0].status, 503);
+  assert.equal(audit.broken, 1);
+});
+
+test('orphaned sitemap pages are reported when the crawl covered the sitemap', async () => {
+  const pages = [crawled('/', [link('/about', 'About')]), crawled('/about'), crawled('/lonely')];
+  const site = {
+    sitemap: { urls: [`${BASE}/`, `${BASE}/about`, `${BASE}/lonely`, `${BASE}/private`] },
+    failedUrls: [],
+    blockedUrls: [`${BASE}/private`]
+  };
+  const audit = await auditLinks(pages, { site, fetcher: fakeFetcher() });
+  assert.deepEqual(audit.orphanCheck, { checked: true, reason: null });
+  assert.deepEqual(audit.orphanedSitemapPages, [`${BASE}/lonely`]);
+  assert.ok(audit.issues.includes(`${BASE}/lonely: Sitemap page not linked from any crawled page`));
+});
+
+test('the orphan check is skipped when the crawl did not reach the whole sitemap', async () => {
+  const pages = [crawled('/', [link('/about', 'About')]), crawled('/about')];
+  const urls = [`${BASE}/`, `${BASE}/about`, ...Array.from({ length: 48 }, (_, i) => `${BASE}/post-${i}`)];
+  const audit = await auditLinks(pages, { site: { sitemap: { urls }, failedUrls: [], blockedUrls: [] }, fetcher: fakeFetcher() });
+
+  assert.deepEqual(audit.orphanedSitemapPages, []);
+  assert.deepEqual(audit.orphanCheck, { checked: false, reason: 'The crawl reached 2 of 50 sitemap URLs' });
+  assert.deepEqual(audit.issues, ['Orphaned sitemap pages not checked: the crawl reached 2 of 50 sitemap URLs; raise crawl.maxPages to cover the sitemap']);
+});
@@ -0,0 +1,128 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LlmClient, createLlmProvider, registerLlmProvider, priceFor, estimateTokens, DEFAULT_TASKS
+} from '../services/llmClient.js';
+
+const ENV_NAMES = ['LLM_MODEL', 'LLM_REWRITE_MODEL', 'LLM_REWRITE_TEMPERATURE', 'LLM_PRICE_INPUT', 'LLM_PRICE_OUTPUT'];
+
+afterEach(() => {
+  ENV_NAMES.forEach(name => delete process.env[name]);
+  mock.restoreAll();
+});
+
+// A provider that answers from `responses` in turn (errors are thrown)
+const scriptedProvider = (responses) => {
+  const requests = [];
+  return {
+    name: 'scripted',
+    requests,
+    async complete(request) {
+      requests.push(request);
+      const response = responses[Math.min(requests.length - 1, responses.length - 1)];
+      if (response instanceof Error) throw response;
+      return { content: response, usage: { promptTokens: 10, completionTokens: 5 } };
+    }
+  };
+};
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+const user = (content) => [{ role: 'user', content }];
+
+test('providers come from the registry', async () => {
+  assert.throws(() => createLlmProvider('nope'), /Unknown LLM provider: nope/);
+  registerLlmProvider('fixed', () => ({ name: 'fixed', complete: async () => ({ content: 'hi', usage: { promptTokens: 1, completionTokens: 1 } }) }));
+  const client = new LlmClient({ provider: 'fixed' });
+  assert.equal((await client.complete('page', user('x'))).content, 'hi');
+  assert.equal(client.usageSummary().provider, 'fixed');
+});
+
+test('the stub provider answers from the task stub, or echoes', async () => {
+  const client = new LlmClient({ provider: 'stub' });
+  assert.equal((await client.complete('rewrite', user('Echo me'))).content, 'Echo me');
+  assert.equal((await client.complete('insights', user('x'), { json: true })).content, '{}');
+  const { content, usage } = await client.complete('page', user('abcdefgh'), { stub: messages => `got ${messages.length}` });
+  assert.equal(content, 'got 1');
+  assert.deepEqual(usage, { promptTokens: estimateTokens('abcdefgh'), completionTokens: estimateTokens('got 1') });
+});
+
+test('task settings merge defaults, options and environment overrides', () => {
+  const client = new LlmClient({ provider: 'stub', tasks: { rewrite: { maxTokens: 300 } } });
+  assert.deepEqual(client.taskConfig('rewrite'), { ...DEFAULT_TASKS.rewrite, maxTokens: 300 });
+  assert.deepEqual(client.taskConfig('unknown'), DEFAULT_TASKS.default);
+
+  process.env.LLM_MODEL = 'llama3';
+  process.env.LLM_REWRITE_MODEL = 'gpt-4o';
+  process.env.LLM_REWRITE_TEMPERATURE = '0';
+  assert.equal(client.taskConfig('page').model, 'llama3');
+  assert.deepEqual(client.taskConfig('rewrite'), { model: 'gpt-4o', temperature: 0, timeout: 30000, maxTokens: 300 });
+});
+
+test('priceFor matches dated model names and prices other providers at zero', () => {
+  assert.deepEqual(priceFor('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(priceFor('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.deepEqual(priceFor('gpt-4o', 'openai-compatible'), { input: 0, output: 0 });
+  process.env.LLM_PRICE_INPUT = '1';
+  assert.deepEqual(priceFor('llama3', 'openai-compatible'), { input: 1, output: 0 });
+});
+
+test('transient failures are retried, honouring Retry-After', async () => {
+  mock.method(console, 'warn', () => {});
+  const provider = scriptedProvider([httpError(429, { 'retry-after': '0.001' }), new Error('socket hang up'), 'ok']);
+  const client = new LlmClient({ provider, retryBaseDelay: 1 });
+
+  assert.equal((await client.complete('page', user('x'))).content, 'ok');
+  assert.equal(provider.requests.length, 3);
+  assert.equal(client.retryDelay(0, httpError(503, { 'retry-after': '120' })), client.maxRetryDelay);
+  assert.deepEqual([client.usage.requests, client.usage.failures, client.reserved], [1, 0, 0]);
+});
+
+test('client errors and exhausted retries fail without further attempts', async () => {
+  mock.method(console, 'warn', () => {});
+  const badRequest = scriptedProvider([httpError(400)]);
+  const client = new LlmClient({ provider: badRequest, retryBaseDelay: 1 });
+  await assert.rejects(client.complete('page', user('x')), /HTTP 400/);
+  assert.equal(badRequest.requests.length, 1);
+
+  const down = scriptedProvider([httpError(503)]);
+  const retrying = new LlmClient({ provider: down, retryBaseDelay: 1, maxRetries: 2 });
+  await assert.rejects(retrying.complete('page', user('x')), /HTTP 503/);
+  assert.equal(down.requests.length, 3);
+  assert.deepEqual([retrying.usage.failures, retrying.reserved], [1, 0]);
+});
+
+test('the token budget caps output and stops requests once spent', async () => {
+  const provider = scriptedProvider(['ok']);
+  const client = new LlmClient({ provider, tokenBudget: 400 });
+
+  await client.complete('insights', user('x'.repeat(400)));
+  // 400 budget - 100 estimated prompt tokens
+  assert.equal(provider.requests[0].maxTokens, 300);
+
+  client.usage.promptTokens = 350;
+  await assert.rejects(client.complete('page', user('x'.repeat(40))), (error) => {
+    assert.equal(error.code, 'LLM_BUDGET_EXCEEDED');
+    return true;
+  });
+  assert.equal(provider.requests.length, 1);
+  assert.equal(new LlmClient({ tokenBudget: 0 }).reserveTokens('page', 'x'.repeat(1e6), 800), 800);
+});
+
+test('usageSummary totals tokens and cost per task and model', async () => {
+  const client = new LlmClient({ provider: scriptedProvider(['a']) });
+  client.providerName = 'openai';
+  await client.complete('page', user('x'));
+  await client.complete('page', user('y'));
+  await client.complete('rewrite', user('z'));
+
+  const summary = client.usageSummary();
+  assert.deepEqual(
+    [summary.requests, summary.promptTokens, summary.completionTokens, summary.totalTokens],
+    [3, 30, 15, 45]
+  );
+  // gpt-4o-mini: 30 * 0.15 + 15 * 0.6 per million
+  assert.ok(Math.abs(summary.costUsd - 0.0000135) <= 0.000001);
+  assert.deepEqual(summary.byTask.map(entry => [entry.task, entry.model, entry.requests]), [
+    ['page', 'gpt-4o-mini', 2],
+    ['rewrite', 'gpt-4o-mini', 1]
+  ]);
+});
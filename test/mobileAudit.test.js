@@ -0,0 +1,114 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkViewportMeta, staticMobileAudit, judgeMobileLayout, inspectLayout } from '../services/mobileAudit.js';
+
+const VIEWPORT = 'width=device-width, initial-scale=1';
+
+test('checkViewportMeta flags missing, fixed and zoom-blocking viewports', () => {
+  assert.deepEqual(checkViewportMeta(VIEWPORT).issues, []);
+  assert.deepEqual(checkViewportMeta(null).issues, ['Missing viewport meta tag']);
+  assert.deepEqual(checkViewportMeta('width=1024, user-scalable=no, maximum-scale=1').issues, [
+    'Viewport width is "1024" instead of device-width',
+    'Viewport disables zooming (user-scalable=no)',
+    'Viewport limits zoom (maximum-scale=1)'
+  ]);
+});
+
+test('staticMobileAudit judges the viewport alone', () => {
+  const audit = staticMobileAudit('https://example.com', null, 'Failed to launch the browser process');
+  assert.equal(audit.passed, false);
+  assert.equal(audit.rendered, false);
+  assert.equal(audit.error, 'Failed to launch the browser process');
+  assert.equal(staticMobileAudit('https://example.com', VIEWPORT).passed, true);
+});
+
+const layout = (overrides = {}) => ({
+  viewportWidth: 375,
+  scrollWidth: 375,
+  overflowing: [],
+  fixedWidth: [],
+  tapTargets: { total: 4, tooSmall: 0, tooSmallExamples: [], overlapping: 0, overlappingExamples: [] },
+  fonts: { totalChars: 1000, smallChars: 100, smallText: [] },
+  ...overrides
+});
+
+test('judgeMobileLayout passes a clean layout and only warns on small tap targets', () => {
+  const base = staticMobileAudit('https://example.com', VIEWPORT);
+  assert.equal(judgeMobileLayout(base, layout()).passed, true);
+
+  const small = judgeMobileLayout(base, layout({ tapTargets: { ...layout().tapTargets, tooSmall: 3 } }));
+  assert.equal(small.passed, true);
+  assert.deepEqual(small.issues, ['3 tap targets smaller than 48x48px']);
+  assert.deepEqual(base.issues, [], 'the static result is not modified');
+});
+
+test('judgeMobileLayout fails overflow, illegible text and fixed-width elements', () => {
+  const audit = judgeMobileLayout(staticMobileAudit('https://example.com', VIEWPORT), layout({
+    scrollWidth: 980,
+    fixedWidth: [{ element: 'div.wrapper', width: 980, declared: '980px' }],
+    fonts: { totalChars: 1000, smallChars: 700, smallText: [] }
+  }));
+  assert.equal(audit.passed, false);
+  assert.deepEqual(audit.issues, [
+    'Content is 980px wide on a 375px screen (horizontal scrolling)',
+    'Only 30% of text is at least 12px',
+    'Fixed-width element wider than the screen: div.wrapper (width 980px)'
+  ]);
+});
+
+// Just enough of a DOM for inspectLayout's width checks
+function fakeElement({ name, width, style = {}, selectors = [] }) {
+  const [tagName, className] = name.split('.');
+  return {
+    tagName: tagName.toUpperCase(),
+    id: '',
+    classList: className ? [className] : [],
+    innerText: '',
+    style: { width: '', minWidth: '', ...style },
+    getAttribute: () => null,
+    getBoundingClientRect: () => ({ width, height: 100, right: width, left: 0, top: 0, bottom: 100 }),
+    matches: (selector) => selectors.includes(selector)
+  };
+}
+
+test('inspectLayout only reports widths declared in px as fixed', () => {
+  const elements = [
+    fakeElement({ name: 'table.fluid', width: 600 }),
+    fakeElement({ name: 'div.inline', width: 900, style: { width: '900px' } }),
+    fakeElement({ name: 'div.sheet', width: 1000, selectors: ['.sheet'] }),
+    fakeElement({ name: 'div.mobile', width: 800, selectors: ['.mobile'] }),
+    fakeElement({ name: 'div.desktop', width: 700, selectors: ['.desktop'] })
+  ];
+  const rule = (selectorText, style) => ({ selectorText, style: { width: '', minWidth: '', ...style } });
+  const media = (mediaText, rules) => ({ media: { mediaText }, cssRules: rules });
+
+  Object.assign(globalThis, {
+    window: { innerWidth: 375, matchMedia: (query) => ({ matches: query.includes('max-width') }) },
+    getComputedStyle: (el) => ({ visibility: 'visible', display: 'block', width: `${el.getBoundingClientRect().width}px`, fontSize: '16px' }),
+    NodeFilter: { SHOW_TEXT: 4 },
+    document: {
+      documentElement: { scrollWidth: 1000 },
+      body: { querySelectorAll: () => elements },
+      querySelectorAll: () => [],
+      createTreeWalker: () => ({ nextNode: () => false }),
+      styleSheets: [
+        { cssRules: [rule('.sheet', { width: '1000px' }), rule('.narrow', { width: '200px' })] },
+        { cssRules: [media('(max-width: 600px)', [rule('.mobile', { minWidth: '800px' })])] },
+        { cssRules: [media('(min-width: 1024px)', [rule('.desktop', { width: '700px' })])] },
+        { get cssRules() { throw new Error('SecurityError'); } }
+      ]
+    }
+  });
+
+  const result = inspectLayout({ minTapTarget: 48, minFontSize: 12, maxExamples: 10 });
+  assert.deepEqual(result.overflowing.map(item => item.element), ['table.fluid', 'div.inline', 'div.sheet', 'div.mobile', 'div.desktop']);
+  assert.deepEqual(result.fixedWidth, [
+    { element: 'div.inline', width: 900, declared: '900px' },
+    { element: 'div.sheet', width: 1000, declared: '1000px' },
+    { element: 'div.mobile', width: 800, declared: '800px' }
+  ]);
+});
+
+after(() => {
+  for (const name of ['window', 'getComputedStyle', 'NodeFilter', 'document']) delete globalThis[name];
+});
@@ -0,0 +1,89 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { scorePerformance, performanceIssues, fetchPageSpeedInsights, METRIC_SCORING } from '../services/performanceAudit.js';
+import { EnhancedAnalyzer } from '../services/enhancedAnalyzer.js';
+
+afterEach(() => mock.restoreAll());
+
+const at = (point) => Object.fromEntries(Object.entries(METRIC_SCORING).map(([metric, curve]) => [metric, curve[point]]));
+
+test('scorePerformance follows the Lighthouse log-normal curves', () => {
+  assert.equal(scorePerformance(at('p10')), 90);
+  assert.equal(scorePerformance(at('median')), 50);
+  assert.equal(scorePerformance({ fcp: 0, lcp: 0, tbt: 0, cls: 0 }), 100);
+  assert.ok(scorePerformance({ fcp: 20000, lcp: 30000, tbt: 5000, cls: 1 }) < 5);
+});
+
+test('scorePerformance reweights over the metrics it has', () => {
+  assert.equal(scorePerformance({ lcp: METRIC_SCORING.lcp.median }), 50);
+  assert.equal(scorePerformance({ lcp: null, ttfb: 100 }), null);
+  assert.equal(scorePerformance({}), null);
+});
+
+test('performanceIssues flags metrics past the "good" thresholds', () => {
+  const issues = performanceIssues(
+    { lcp: 4200, fcp: 1000, cls: 0.3, tbt: 150, ttfb: 900, transferSize: 4 * 1024 * 1024, requestCount: 120 },
+    [{ url: 'https://example.com/app.css' }]
+  );
+  assert.deepEqual(issues, [
+    'Largest Contentful Paint is 4.2s (good: ≤ 2.5s)',
+    'Cumulative Layout Shift is 0.300 (good: ≤ 0.1)',
+    'Server response time (TTFB) is 900ms (good: ≤ 800ms)',
+    'Page transfers 4.0 MB (aim for under 3 MB)',
+    'Page makes 120 requests',
+    'Render-blocking resource: https://example.com/app.css'
+  ]);
+});
+
+test('fetchPageSpeedInsights maps Lighthouse audits onto our metrics', async () => {
+  const get = mock.method(axios, 'get', async () => ({
+    data: {
+      lighthouseResult: {
+        audits: {
+          'server-response-time': { numericValue: 120 },
+          'first-contentful-paint': { numericValue: 1500 },
+          'largest-contentful-paint': { numericValue: 2100 },
+          'cumulative-layout-shift': { numericValue: 0.02 },
+          'total-blocking-time': { numericValue: 90 },
+          'total-byte-weight': { numericValue: 500000 },
+          'network-requests': { details: { items: [{}, {}, {}] } },
+          'render-blocking-resources': { details: { items: [{ url: 'https://example.com/a.js', wastedMs: 300 }] } }
+        }
+      }
+    }
+  }));
+
+  const result = await fetchPageSpeedInsights('https://example.com', 'key');
+  assert.equal(get.mock.calls[0].arguments[1].params.strategy, 'mobile');
+  assert.equal(result.source, 'pagespeed-insights');
+  assert.deepEqual(
+    [result.metrics.lcp, result.metrics.cls, result.metrics.requestCount, result.metrics.load],
+    [2100, 0.02, 3, null]
+  );
+  assert.deepEqual(result.renderBlocking, [{ url: 'https://example.com/a.js', type: null, durationMs: 300 }]);
+});
+
+test('auditPagesInBrowser stops after the browser fails to launch', async () => {
+  const analyzer = new EnhancedAnalyzer();
+  let calls = 0;
+  const results = await analyzer.auditPagesInBrowser([{}, {}, {}], async () => {
+    calls++;
+    return { error: 'Failed to launch the browser process' };
+  });
+  assert.equal(calls, 1);
+  assert.deepEqual(results.map(result => result.error), Array(3).fill('Failed to launch the browser process'));
+});
+
+test('analyzePerformance falls back to crawl timing when nothing can be measured', async () => {
+  process.env.PERFORMANCE_AUDIT = 'true';
+  const analyzer = new EnhancedAnalyzer();
+  mock.method(analyzer, 'auditPagesInBrowser', async (pages) => pages.map(() => ({ error: 'Failed to launch the browser process' })));
+  const pageSpeed = await analyzer.analyzePerformance([
+    { url: 'https://example.com', timing: { ttfbMs: 180 }, transferSize: 2048 }
+  ]);
+  assert.equal(pageSpeed.score, null);
+  assert.equal(pageSpeed.source, 'http');
+  assert.deepEqual(pageSpeed.pages[0].metrics, { ttfb: 180, transferSize: 2048, requestCount: 1 });
+  assert.deepEqual(pageSpeed.issues, ['Performance could not be measured: Failed to launch the browser process']);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  countSyllables, splitWords, splitSentences, analyzeReadability, readabilityScore, analyzeDocument
+} from '../utils/readability.js';
+
+const EASY = 'The sun is up. We go out to play. The dog runs with us. We all have fun in the park. Then we go home to eat.';
+const HARD = 'Notwithstanding considerable institutional opposition, the administration systematically implemented '
+  + 'comprehensive organizational restructuring initiatives, fundamentally transforming operational methodologies '
+  + 'and interdepartmental communication infrastructures throughout the organization.';
+
+test('countSyllables handles silent e, -es/-ed endings and exceptions', () => {
+  const expected = {
+    cat: 1, table: 2, makes: 1, boxes: 2, pages: 2, walked: 1, wanted: 2, created: 3,
+    beautiful: 3, area: 3, idea: 3, people: 2, business: 2, queue: 1, readability: 5, university: 5
+  };
+  Object.entries(expected).forEach(([word, syllables]) => assert.equal(countSyllables(word), syllables, word));
+  assert.equal(countSyllables('Cat!'), 1);
+  assert.equal(countSyllables('42'), 0);
+});
+
+test('splitWords keeps contractions and hyphenated compounds together', () => {
+  assert.deepEqual(splitWords("It's a well-known fact — café’s"), ["It's", 'a', 'well-known', 'fact', 'café’s']);
+});
+
+test('splitSentences does not break on abbreviations, initials or decimals', () => {
+  assert.deepEqual(
+    splitSentences('Dr. Smith met Mr. J. Doe at 3.5 p.m. yesterday. He said "hello." Then he left! Did he? e.g. this continues. ok'),
+    ['Dr. Smith met Mr. J. Doe at 3.5 p.m. yesterday.', 'He said "hello."', 'Then he left!', 'Did he?', 'e.g. this continues. ok']
+  );
+  assert.deepEqual(splitSentences('  ...  '), []);
+});
+
+test('analyzeReadability applies the standard formulas', () => {
+  const scores = analyzeReadability('The cat sat on the mat. The dog ran.');
+  assert.deepEqual(
+    [scores.words, scores.sentences, scores.syllables, scores.averageSentenceLength, scores.longestSentence],
+    [9, 2, 9, 4.5, 6]
+  );
+  // 206.835 - 1.015 * 4.5 - 84.6 * 1
+  assert.equal(scores.fleschReadingEase, 117.7);
+  // 0.39 * 4.5 + 11.8 * 1 - 15.59
+  assert.equal(scores.fleschKincaidGrade, -2);
+  assert.equal(scores.gunningFog, 1.8);
+  assert.equal(readabilityScore(scores), 100);
+  assert.equal(analyzeReadability(''), null);
+  assert.equal(readabilityScore(null), null);
+});
+
+test('complex text scores lower on every formula', () => {
+  const easy = analyzeReadability(EASY);
+  const hard = analyzeReadability(HARD);
+  ['fleschKincaidGrade', 'gunningFog', 'smog', 'colemanLiau', 'gradeLevel'].forEach(formula => {
+    assert.ok(hard[formula] > easy[formula], formula);
+  });
+  assert.ok(hard.fleschReadingEase < easy.fleschReadingEase);
+  assert.equal(readabilityScore(hard), 0);
+});
+
+test('analyzeDocument scores paragraphs and flags the hardest ones', () => {
+  const result = analyzeDocument({ paragraphs: [EASY, HARD, 'Too short to score.'] });
+
+  assert.equal(result.scores.sentences, 7);
+  assert.deepEqual(result.paragraphs.map(paragraph => [paragraph.index, paragraph.score]), [[0, 100], [1, 0]]);
+  assert.deepEqual(result.paragraphs[0].reasons, []);
+  assert.equal(result.hardestParagraphs.length, 1);
+  const [hardest] = result.hardestParagraphs;
+  assert.equal(hardest.index, 1);
+  assert.match(hardest.reasons[0], /^\d+% of words have three or more syllables$/);
+  assert.match(hardest.reasons[1], /^Reads at grade /);
+  assert.ok(hardest.excerpt.endsWith('...') && hardest.excerpt.length === 160);
+});
+
+test('analyzeDocument falls back to the page content', () => {
+  const result = analyzeDocument({ content: 'One two three. Four five.' });
+  assert.equal(result.scores.sentences, 2);
+  assert.deepEqual(result.paragraphs, []);
+  assert.equal(analyzeDocument({}).score, null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnhancedAnalyzer } from '../services/enhancedAnalyzer.js';
+import { isBrowserLaunchError } from '../services/browserPool.js';
+
+const SHELL = '<html><head><title>App</title></head><body><div id="root"></div></body></html>';
+const RENDERED = `<html><head><title>App</title><meta name="description" content="Widgets for everyone">
+  <link rel="canonical" href="https://example.com/app">
+  <script type="application/ld+json">{"@context":"https://schema.org","@type":"Organization","name":"Acme"}</script></head>
+  <body><h1>Widgets</h1><p>${'Widgets are small devices that help people get things done every day. '.repeat(3)}</p>
+  <a href="/pricing">Pricing</a><a href="/docs">Docs</a></body></html>`;
+
+const analyzer = (render) => new EnhancedAnalyzer({ crawl: { render } });
+
+test('renderIfNeeded only renders when the mode and raw content call for it', async () => {
+  const thin = analyzer('auto').parseHtml(SHELL, 'https://example.com/app');
+  const rich = analyzer('auto').parseHtml(RENDERED, 'https://example.com/app');
+  assert.deepEqual(await analyzer('never').renderIfNeeded('https://example.com/app', thin), { reason: 'disabled' });
+  assert.deepEqual(await analyzer('auto').renderIfNeeded('https://example.com/app', rich), { reason: 'raw-html-sufficient' });
+});
+
+test('renderIfNeeded falls back to raw HTML once the browser cannot start', async () => {
+  const auto = analyzer('auto');
+  auto.renderError = 'Failed to launch the browser process';
+  const thin = auto.parseHtml(SHELL, 'https://example.com/app');
+  assert.deepEqual(await auto.renderIfNeeded('https://example.com/app', thin), {
+    reason: 'thin-raw-html',
+    error: 'Failed to launch the browser process'
+  });
+
+  const always = analyzer('always');
+  always.renderError = 'Could not find Chrome';
+  assert.equal((await always.renderIfNeeded('https://example.com/app', thin)).reason, 'requested');
+});
+
+test('isBrowserLaunchError recognises launch failures', () => {
+  assert.equal(isBrowserLaunchError('Failed to launch the browser process!'), true);
+  assert.equal(isBrowserLaunchError('Navigation timeout of 30000 ms exceeded'), false);
+});
+
+test('compareRendering and analyzeRendering report what only exists after JavaScript', () => {
+  const auto = analyzer('auto');
+  const raw = auto.parseHtml(SHELL, 'https://example.com/app');
+  const rendered = auto.parseHtml(RENDERED, 'https://example.com/app');
+  const diff = auto.compareRendering(raw, rendered);
+
+  assert.deepEqual(diff.onlyAfterJs, ['description', 'canonical', 'h1']);
+  assert.deepEqual(diff.changed, []);
+  assert.equal(diff.rawWordCount, 0);
+  assert.equal(diff.linksOnlyAfterJs, 2);
+  assert.equal(diff.structuredDataOnlyAfterJs, 1);
+
+  const summary = auto.analyzeRendering([
+    { url: 'https://example.com/app', rendering: { diff } },
+    { url: 'https://example.com/other', rendering: { error: 'boom', diff: null } }
+  ]);
+  assert.equal(summary.pagesRendered, 1);
+  assert.equal(summary.renderFailures, 1);
+  assert.ok(summary.issues.includes('https://example.com/app: h1 only present after JavaScript rendering'));
+  assert.ok(summary.issues.includes('https://example.com/app: 2 internal links only present after JavaScript rendering'));
+  assert.ok(summary.issues.includes('https://example.com/app: Structured data injected by JavaScript'));
+  assert.ok(summary.issues.some(issue => /words only present after JavaScript rendering/.test(issue)));
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareReports, splitIssue } from '../services/reportComparison.js';
+
+const report = (pages, analysis = {}) => ({
+  _id: `id-${pages.length}`,
+  url: 'https://example.com',
+  analysis: { pages: pages.map(url => ({ url, images: [] })), ...analysis }
+});
+
+test('splitIssue separates the page url from the message', () => {
+  assert.deepEqual(splitIssue('https://example.com/a: Missing meta description'), {
+    url: 'https://example.com/a',
+    message: 'Missing meta description'
+  });
+  assert.deepEqual(splitIssue('Site-wide problem'), { url: null, message: 'Site-wide problem' });
+});
+
+test('issues are labelled improved, regressed or new', () => {
+  const from = report(['https://example.com/a'], {
+    metaTags: { issues: ['https://example.com/a: Missing title', 'https://example.com/a: Title too long'] }
+  });
+  const to = report(['https://example.com/a', 'https://example.com/b'], {
+    metaTags: {
+      issues: ['https://example.com/a: Title too long', 'https://example.com/a: Missing meta description', 'https://example.com/b: Missing title']
+    }
+  });
+
+  const { changes, summary } = compareReports(from, to);
+  assert.deepEqual(changes.metaTags.map(({ label, url, message }) => [label, url, message]), [
+    ['improved', 'https://example.com/a', 'Missing title'],
+    ['regressed', 'https://example.com/a', 'Missing meta description'],
+    ['new', 'https://example.com/b', 'Missing title']
+  ]);
+  assert.deepEqual(summary, { improved: 1, regressed: 1, new: 1 });
+});
+
+test('reports without a page list treat every page as known', () => {
+  const from = report([], { metaTags: { issues: [] } });
+  const to = report([], { metaTags: { issues: ['https://example.com/b: Missing title'] } });
+  assert.equal(compareReports(from, to).changes.metaTags[0].label, 'regressed');
+});
+
+test('missing alt text is compared per page and in total', () => {
+  const from = report(['https://example.com/a'], { technical: { imageOptimization: { missingAlt: 3 } } });
+  from.analysis.pages[0].images = [{ alt: '' }, { alt: '' }, { alt: '' }];
+  const to = report(['https://example.com/a'], { technical: { imageOptimization: { missingAlt: 1 } } });
+  to.analysis.pages[0].images = [{ alt: '' }, { alt: 'Logo' }];
+
+  const images = compareReports(from, to).changes.images;
+  assert.deepEqual(images.map(({ label, before, after }) => [label, before, after]), [
+    ['improved', 3, 1],
+    ['improved', 3, 1]
+  ]);
+});
+
+test('keyword density moves are judged against the target band', () => {
+  const density = (value) => [{ keyword: 'SEO', byPage: [{ url: 'https://example.com/a', density: value }] }];
+  const compare = (before, after) => compareReports(
+    report(['https://example.com/a'], { keywordDensity: density(before) }),
+    report(['https://example.com/a'], { keywordDensity: density(after) })
+  ).changes.keywordDensity;
+
+  assert.equal(compare(4, 2)[0].label, 'improved');
+  assert.equal(compare(1, 3.5)[0].label, 'regressed');
+  assert.deepEqual(compare(1, 2), [], 'moves inside the band are not changes');
+  assert.deepEqual(compare(3, 3.05), [], 'wobble below the tolerance is ignored');
+});
+
+test('structured data types and AI visibility scores are diffed', () => {
+  const from = report(['https://example.com/a'], {
+    structuredData: { types: ['Organization', ['Article', 'NewsArticle']] },
+    aiVisibility: { score: 60, checks: [{ id: 'faq', passed: false, score: 0 }] }
+  });
+  const to = report(['https://example.com/a'], {
+    structuredData: { types: ['Organization', 'FAQPage'] },
+    aiVisibility: { score: 75, checks: [{ id: 'faq', passed: true, score: 10 }] }
+  });
+
+  const { changes } = compareReports(from, to);
+  assert.deepEqual(changes.structuredData.map(({ label, type }) => [label, type]), [
+    ['improved', 'FAQPage'],
+    ['regressed', 'Article'],
+    ['regressed', 'NewsArticle']
+  ]);
+  assert.deepEqual(changes.aiVisibility.map(({ label, check }) => [label, check]), [
+    ['improved', undefined],
+    ['improved', 'faq']
+  ]);
+});
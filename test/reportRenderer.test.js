@@ -0,0 +1,153 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Report, { REPORT_SCHEMA_VERSION } from '../models/Report.js';
+import { buildReportModel, parseIssue } from '../services/reportModel.js';
+import { renderReport, reportFormatNames, registerReportFormat, getReportFormat } from '../services/reportRenderer.js';
+import { exportReport } from '../controllers/reportController.js';
+import { mockRequest, mockResponse, TENANT_ID } from './helpers/http.js';
+
+afterEach(() => mock.restoreAll());
+
+const BASE = 'https://example.com';
+const REPORT = {
+  _id: new mongoose.Types.ObjectId(),
+  url: BASE,
+  keywords: ['widgets'],
+  analyzedAt: new Date('2024-05-01T12:30:00Z'),
+  analysis: {
+    pages: [
+      { url: `${BASE}/`, title: 'Home | Acme', status: 200, wordCount: 500, structuredData: [{ types: ['Organization'] }] },
+      { url: `${BASE}/blog`, title: 'Blog', status: 200, wordCount: 90, structuredData: [] }
+    ],
+    metaTags: {
+      title: [{ valid: true }, { valid: false }],
+      description: [{ valid: true }, { valid: true }],
+      findings: [{ url: `${BASE}/blog`, severity: 'info', check: 'openGraph', message: 'Missing og:description' }]
+    },
+    keywordDensity: [{
+      keyword: 'widgets',
+      overall: 1.234,
+      byPage: [{ url: `${BASE}/`, occurrences: 4, placement: { title: true } }, { url: `${BASE}/blog`, occurrences: 0 }],
+      relatedTerms: [{ term: 'gadgets' }],
+      issues: [`${BASE}/blog: "widgets" does not appear in any title, description or H1`]
+    }],
+    technical: {
+      readabilityScore: 62,
+      pageSpeed: { score: 71, pages: [{ url: `${BASE}/`, score: 71 }] },
+      mobileFriendly: { passed: false, pagesPassed: 1, pagesFailed: 1, pages: [{ url: `${BASE}/`, passed: true }] },
+      headingStructure: { issues: [`${BASE}/blog: Missing H1`] },
+      internalLinks: { issues: [`${BASE}/gone: Broken link (HTTP 404), linked from 1 page`, 'Orphaned sitemap pages not checked'] }
+    },
+    structuredData: { types: ['Organization'], pagesWithData: 1, issues: [], warnings: [] },
+    aiInsights: { aiSummary: 'Acme sells widgets, | and more', suggestedFaqs: [{ question: 'Q?', answer: 'A.' }], generatedBy: 'ai' }
+  }
+};
+
+test('parseIssue splits the URL prefix and promotes known errors', () => {
+  assert.deepEqual(parseIssue(`${BASE}/a: Missing H1`, 'headings', 'warning'),
+    { category: 'headings', severity: 'error', url: `${BASE}/a`, message: 'Missing H1' });
+  assert.deepEqual(parseIssue('Site-wide note', 'links', 'info'),
+    { category: 'links', severity: 'info', url: null, message: 'Site-wide note' });
+});
+
+test('buildReportModel flattens scores, issues and pages', () => {
+  const model = buildReportModel(REPORT);
+
+  assert.equal(model.id, String(REPORT._id));
+  assert.deepEqual(Object.fromEntries(model.scores.map(score => [score.id, score.value])), {
+    aiVisibility: null, performance: 71, readability: 62, mobile: 50, metaTags: 50, structuredData: 50
+  });
+  assert.deepEqual(model.issueCounts, { error: 2, warning: 2, info: 1 });
+  assert.deepEqual(model.issues.map(issue => issue.severity), ['error', 'error', 'warning', 'warning', 'info']);
+
+  const [home, blog] = model.pages;
+  assert.deepEqual([home.performance, home.mobilePassed, home.structuredDataTypes], [71, true, ['Organization']]);
+  assert.deepEqual(blog.issueCounts, { error: 1, warning: 1, info: 1 });
+  assert.deepEqual(model.keywordSummary, [{
+    keyword: 'widgets', density: 1.234, occurrences: 4, pagesWithKeyword: 1, inTitles: 1, relatedTerms: ['gadgets'],
+    issues: REPORT.analysis.keywordDensity[0].issues
+  }]);
+  assert.equal(model.aiInsights.faqs.length, 1);
+  assert.equal(model.benchmark, null);
+});
+
+test('buildReportModel reads Report documents and v1-style mobile results', () => {
+  const report = new Report({
+    url: BASE,
+    tenant: TENANT_ID,
+    analysis: { pages: [], technical: { mobileFriendly: { passed: true, pages: [], issues: [] } } }
+  });
+  const model = buildReportModel(report);
+  assert.equal(model.id, String(report._id));
+  assert.equal(model.scores.find(score => score.id === 'mobile').value, 100);
+  assert.equal(model.scores.find(score => score.id === 'metaTags').value, null);
+});
+
+test('every format renders from the model', async () => {
+  assert.deepEqual(reportFormatNames(), ['json', 'csv', 'markdown', 'html', 'pdf']);
+  assert.throws(() => getReportFormat('docx'), /Unknown report format: docx\. Use one of: json, csv/);
+
+  const json = await renderReport(REPORT, 'json');
+  assert.equal(JSON.parse(json.body).url, BASE);
+
+  const csv = (await renderReport(REPORT, 'csv')).body.split('\r\n');
+  assert.equal(csv[0], 'severity,category,url,message');
+  assert.equal(csv[1], `error,headings,${BASE}/blog,Missing H1`);
+  assert.equal(csv[2], `error,links,${BASE}/gone,"Broken link (HTTP 404), linked from 1 page"`);
+  assert.equal(csv.length, 7);
+
+  const markdown = (await renderReport(REPORT, 'markdown')).body;
+  assert.match(markdown, /^# SEO report: https:\/\/example\.com\n\nAnalyzed 2024-05-01 12:30 · 2 page\(s\) · keywords: widgets/);
+  assert.match(markdown, /\| Performance \| 71\/100 \|/);
+  assert.match(markdown, /- \[ \] \*\*error\*\* \(headings\) Missing H1 — https:\/\/example\.com\/blog/);
+  assert.match(markdown, /\| widgets \| 1\.23 \| 4 \| 1 \| 1 \|/);
+
+  const html = await renderReport(REPORT, 'html');
+  assert.equal(html.contentType, 'text/html; charset=utf-8');
+  assert.match(html.body, /^<!DOCTYPE html>/);
+  assert.match(html.body, /<h2>Site-wide issues<\/h2>/);
+
+  const pdf = await renderReport(REPORT, 'pdf');
+  assert.equal(Buffer.from(pdf.body).subarray(0, 5).toString(), '%PDF-');
+});
+
+test('text cells are escaped for each format', async () => {
+  const report = {
+    ...REPORT,
+    url: `${BASE}/?q=<script>`,
+    analysis: {
+      ...REPORT.analysis,
+      pages: [{ url: `${BASE}/`, title: 'Pipe | in\ntitle' }],
+      technical: { headingStructure: { issues: ['=HYPERLINK("http://evil")'] } }
+    }
+  };
+  const csv = (await renderReport(report, 'csv')).body;
+  assert.match(csv, /,"'=HYPERLINK\(""http:\/\/evil""\)"\r\n/);
+  assert.match((await renderReport(report, 'markdown')).body, /\| Pipe \\\| in title \|/);
+  const html = (await renderReport(report, 'html')).body;
+  assert.ok(!html.includes('<script>'));
+  assert.match(html, /&lt;script&gt;/);
+});
+
+test('registered formats are available to exports', async () => {
+  registerReportFormat('txt', { contentType: 'text/plain', extension: 'txt', render: (model) => model.url });
+  assert.deepEqual(await renderReport(REPORT, 'txt'), { body: BASE, contentType: 'text/plain', extension: 'txt' });
+});
+
+test('GET /api/reports/:id/export renders the requested format', async () => {
+  const report = Report.hydrate({ ...REPORT, tenant: TENANT_ID, schemaVersion: REPORT_SCHEMA_VERSION });
+  mock.method(Report, 'findOne', async () => report);
+
+  const res = mockResponse();
+  await exportReport(mockRequest({ params: { id: String(REPORT._id) }, query: { format: 'MD' } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.get('content-type'), 'text/markdown; charset=utf-8');
+  assert.equal(res.get('content-disposition'), `attachment; filename="seo-report-${REPORT._id}.md"`);
+  assert.match(res.body, /^# SEO report/);
+
+  const unknown = mockResponse();
+  await exportReport(mockRequest({ params: { id: String(REPORT._id) }, query: { format: 'docx' } }), unknown);
+  assert.equal(unknown.statusCode, 400);
+  assert.match(unknown.body.error, /^Unknown format: docx\. Use one of: json, csv, markdown, html, pdf/);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Report, { REPORT_SCHEMA_VERSION, reportFieldsFromAnalysis, migrateReportDocument } from '../models/Report.js';
+
+// A report as the original schema stored it
+const v1Report = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  url: 'https://example.com',
+  keywords: ['seo'],
+  analysis: {
+    metaTags: { title: 'Example' },
+    keywordDensity: { seo: { overall: '2.5', byPage: [{ url: 'https://example.com', density: '2.50' }] }, ai: 3 },
+    pageSpeed: { score: 90 },
+    mobileFriendly: true,
+    readabilityScore: 61,
+    semanticClarity: 'Clear'
+  },
+  createdAt: new Date('2023-05-01T00:00:00Z')
+});
+
+test('reportFieldsFromAnalysis keeps the full analysis without raw HTML', () => {
+  const fields = reportFieldsFromAnalysis({
+    url: 'https://example.com',
+    keywords: ['seo'],
+    pagesAnalyzed: 1,
+    timestamp: '2024-03-01T10:00:00.000Z',
+    analysis: {
+      pages: [{ url: 'https://example.com', title: 'Home', loadTime: '120', rawHtml: '<html></html>' }],
+      keywordDensity: { seo: { overall: 1.5, byPage: [] } },
+      technical: { pageSpeed: { score: 80 } }
+    }
+  });
+
+  assert.equal(fields.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.equal(fields.analysis.pages[0].rawHtml, undefined);
+  assert.equal(fields.analysis.pages[0].loadTime, 120);
+  assert.deepEqual(fields.analysis.keywordDensity, [{ keyword: 'seo', overall: 1.5, byPage: [] }]);
+  assert.equal(fields.analyzedAt.toISOString(), '2024-03-01T10:00:00.000Z');
+
+  const report = new Report(fields);
+  assert.equal(report.validateSync(), undefined);
+  assert.equal(report.analysis.pages[0].title, 'Home');
+});
+
+test('migrateReportDocument upgrades a v1 report to the current version', () => {
+  const migrated = migrateReportDocument(v1Report());
+  assert.equal(migrated.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.deepEqual(migrated.analysis.pages, []);
+  assert.deepEqual(migrated.analysis.keywordDensity, [
+    { keyword: 'seo', overall: 2.5, byPage: [{ url: 'https://example.com', density: 2.5 }] },
+    { keyword: 'ai', overall: 3, byPage: [] }
+  ]);
+  assert.deepEqual(migrated.analysis.technical.pageSpeed, { score: 90 });
+  assert.equal(migrated.analysis.technical.readabilityScore, 61);
+  assert.deepEqual(migrated.analysis.aiInsights, { semanticClarity: 'Clear' });
+  assert.equal(migrated.analyzedAt.toISOString(), '2023-05-01T00:00:00.000Z');
+});
+
+test('migrateReportDocument leaves current documents alone', () => {
+  const current = { url: 'https://example.com', keywords: [], schemaVersion: REPORT_SCHEMA_VERSION, analysis: { pages: [] } };
+  assert.deepEqual(migrateReportDocument(current), current);
+});
+
+test('legacy documents are upgraded as they are loaded', () => {
+  const report = Report.hydrate(v1Report());
+  assert.equal(report.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.equal(report.analysis.keywordDensity[0].keyword, 'seo');
+  assert.equal(report.analysis.aiInsights.semanticClarity, 'Clear');
+});
+
+test('v2 reports get the mobile audit shape', () => {
+  const migrated = migrateReportDocument({
+    schemaVersion: 2,
+    url: 'https://example.com',
+    keywords: [],
+    analysis: { pages: [], technical: { mobileFriendly: false, pageSpeed: { score: 70 } } }
+  });
+  assert.deepEqual(migrated.analysis.technical.mobileFriendly, { passed: false, pages: [], issues: [] });
+  assert.deepEqual(migrated.analysis.technical.pageSpeed, { score: 70 });
+});
+
+test('v3 reports get structured data wrapped as JSON-LD items', () => {
+  const migrated = migrateReportDocument({
+    schemaVersion: 3,
+    url: 'https://example.com',
+    keywords: [],
+    analysis: {
+      pages: [{ url: 'https://example.com/', structuredData: [{ '@type': ['Organization', 'Corporation'], name: 'Acme' }] }],
+      structuredData: { count: 1, types: [['Organization', 'Corporation'], 'Organization'] }
+    }
+  });
+  assert.deepEqual(migrated.analysis.pages[0].structuredData, [{
+    format: 'json-ld',
+    types: ['Organization', 'Corporation'],
+    data: { '@type': ['Organization', 'Corporation'], name: 'Acme' }
+  }]);
+  assert.deepEqual(migrated.analysis.structuredData.types, ['Organization', 'Corporation']);
+});
+
+test('v4 reports point their legacy pdfPath at local storage', () => {
+  const migrated = migrateReportDocument({
+    schemaVersion: 4,
+    url: 'https://example.com',
+    keywords: [],
+    pdfPath: 'reports\\seo-report-1.pdf',
+    analysis: { pages: [] }
+  });
+  assert.equal(migrated.pdfPath, undefined);
+  assert.deepEqual(migrated.pdfFile, { backend: 'local', key: 'seo-report-1.pdf', contentType: 'application/pdf' });
+  assert.equal(migrateReportDocument({ schemaVersion: 4, url: 'https://example.com', analysis: { pages: [] } }).pdfFile, undefined);
+});
@@ -0,0 +1,102 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import { listReports, getReport, deleteReport } from '../controllers/reportController.js';
+import { getReportStorage } from '../services/reportStorage.js';
+import { mockRequest, mockResponse, TENANT_ID } from './helpers/http.js';
+
+let storageDir;
+
+before(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+  process.env.REPORT_STORAGE_DIR = storageDir;
+});
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+afterEach(() => mock.restoreAll());
+
+// Report.find(...).select().sort().skip().limit().lean() resolving to `reports`
+function stubFind(reports, total = reports.length) {
+  const calls = {};
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: (value) => { calls.skip = value; return chain; },
+    limit: (value) => { calls.limit = value; return chain; },
+    lean: async () => reports
+  };
+  calls.find = mock.method(Report, 'find', () => chain);
+  calls.count = mock.method(Report, 'countDocuments', async () => total);
+  return calls;
+}
+
+const newReport = (fields = {}) => new Report({ url: 'https://example.com', keywords: ['seo'], tenant: TENANT_ID, ...fields });
+
+test('listReports filters by tenant, escaped url, keyword and dates and paginates', async () => {
+  const calls = stubFind([{ url: 'https://a.example' }], 45);
+  const res = mockResponse();
+  await listReports(mockRequest({
+    query: { page: '2', limit: '20', url: 'a.example', keyword: 'seo', from: '2024-01-01', to: '2024-02-01' }
+  }), res);
+
+  const filter = calls.find.mock.calls[0].arguments[0];
+  assert.equal(filter.tenant, TENANT_ID);
+  assert.deepEqual(filter.url, { $regex: 'a\\.example', $options: 'i' });
+  assert.deepEqual(filter.keywords, { $regex: '^seo$', $options: 'i' });
+  assert.equal(filter.createdAt.$gte.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.equal(calls.skip, 20);
+  assert.deepEqual(res.body.pagination, { page: 2, limit: 20, total: 45, totalPages: 3 });
+});
+
+test('listReports caps the page size', async () => {
+  const calls = stubFind([]);
+  await listReports(mockRequest({ query: { limit: '5000' } }), mockResponse());
+  assert.equal(calls.limit, 100);
+});
+
+test('listReports rejects repeated or nested query parameters', async () => {
+  for (const query of [{ url: ['a', 'b'] }, { keyword: { x: '1' } }, { from: ['2024-01-01', '2024-02-01'] }]) {
+    const res = mockResponse();
+    await listReports(mockRequest({ query }), res);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+  }
+});
+
+test('listReports rejects invalid dates', async () => {
+  stubFind([]);
+  const res = mockResponse();
+  await listReports(mockRequest({ query: { from: 'yesterday' } }), res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid from or to date');
+});
+
+test('getReport validates the id and hides other tenants\' reports', async () => {
+  let res = mockResponse();
+  await getReport(mockRequest({ params: { id: '123' } }), res);
+  assert.equal(res.statusCode, 400);
+
+  const findOne = mock.method(Report, 'findOne', async () => null);
+  const id = String(new mongoose.Types.ObjectId());
+  res = mockResponse();
+  await getReport(mockRequest({ params: { id } }), res);
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: id, tenant: TENANT_ID });
+});
+
+test('deleteReport removes the stored PDF with the report', async () => {
+  const storage = getReportStorage();
+  const report = newReport();
+  report.pdfFile = { backend: 'local', key: `${report._id}.pdf` };
+  await storage.put(report.pdfFile.key, Buffer.from('%PDF'));
+  mock.method(Report, 'findOne', async () => report);
+  const deleteOne = mock.method(report, 'deleteOne', async () => {});
+
+  const res = mockResponse();
+  await deleteReport(mockRequest({ params: { id: String(report._id) } }), res);
+  assert.deepEqual(res.body, { deleted: true, id: report._id });
+  assert.equal(deleteOne.mock.callCount(), 1);
+  assert.equal(fs.existsSync(path.join(storageDir, report.pdfFile.key)), false);
+});
@@ -0,0 +1,201 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Report, { REPORT_SCHEMA_VERSION } from '../models/Report.js';
+import Usage from '../models/Usage.js';
+import { LlmClient } from '../services/llmClient.js';
+import {
+  resolveRewriteOptions, generateParagraphRewrite, rewriteParagraph, selectWeakestParagraphs, READING_LEVELS
+} from '../services/paragraphRewriter.js';
+import { wordDiff, diffStats } from '../utils/wordDiff.js';
+import { rewrite, rewriteBatch } from '../controllers/rewriteController.js';
+import { mockRequest, mockResponse, TENANT_ID } from './helpers/http.js';
+
+before(() => {
+  process.env.LLM_PROVIDER = 'stub';
+});
+afterEach(() => mock.restoreAll());
+
+// Every rewrite request answers with `reply(prompt)`
+const stubRewrites = (reply) => mock.method(LlmClient.prototype, 'complete', async function (task, messages) {
+  const content = reply(messages[0].content);
+  if (content instanceof Error) throw content;
+  this.record(task, 'gpt-4o-mini', { promptTokens: 100, completionTokens: 20 });
+  return { content, model: 'gpt-4o-mini', usage: { promptTokens: 100, completionTokens: 20 } };
+});
+const stubUsage = () => mock.method(Usage, 'updateOne', async () => ({}));
+
+const ORIGINAL = 'Notwithstanding considerable institutional opposition, the administration implemented comprehensive restructuring.';
+const REWRITTEN = 'Despite pushback, the team made big changes to how SEO tools are run.';
+
+test('wordDiff merges runs and diffStats counts words', () => {
+  const segments = wordDiff('The quick brown fox jumps', 'The  slow brown fox leaps high');
+  assert.deepEqual(segments, [
+    { type: 'equal', text: 'The' },
+    { type: 'insert', text: 'slow' },
+    { type: 'delete', text: 'quick' },
+    { type: 'equal', text: 'brown fox' },
+    { type: 'insert', text: 'leaps high' },
+    { type: 'delete', text: 'jumps' }
+  ]);
+  assert.deepEqual(diffStats(segments), { unchanged: 3, inserted: 3, deleted: 2 });
+  assert.deepEqual(wordDiff('', ''), []);
+});
+
+test('resolveRewriteOptions validates keywords, tone and reading level', () => {
+  assert.deepEqual(resolveRewriteOptions(), { keywords: [], tone: 'neutral', readingLevel: READING_LEVELS.standard });
+  assert.deepEqual(resolveRewriteOptions({ keywords: [' seo ', ''], tone: 'friendly', readingLevel: 10 }),
+    { keywords: ['seo'], tone: 'friendly', readingLevel: 10 });
+  assert.throws(() => resolveRewriteOptions({ keywords: 'seo' }), /keywords must be an array of strings/);
+  assert.throws(() => resolveRewriteOptions({ keywords: Array(11).fill('x') }), /At most 10 keywords/);
+  assert.throws(() => resolveRewriteOptions({ tone: 'angry' }), /tone must be one of/);
+  assert.throws(() => resolveRewriteOptions({ readingLevel: 'expert' }), /readingLevel must be one of/);
+  assert.throws(() => resolveRewriteOptions({ readingLevel: 19 }), /readingLevel/);
+});
+
+test('the rewrite prompt carries tone, grade and keywords, and quotes are stripped', async () => {
+  let prompt;
+  stubRewrites(content => {
+    prompt = content;
+    return `"${REWRITTEN}"`;
+  });
+  const result = await generateParagraphRewrite(ORIGINAL, { keywords: ['seo tools'], tone: 'friendly', readingLevel: 6 });
+  assert.equal(result, REWRITTEN);
+  assert.match(prompt, /Use a friendly tone\./);
+  assert.match(prompt, /US grade 6 reading level: short sentences/);
+  assert.match(prompt, /"seo tools"/);
+
+  mock.restoreAll();
+  // The offline stub hands the paragraph back
+  assert.equal(await generateParagraphRewrite(ORIGINAL, { llm: new LlmClient({ provider: 'stub' }) }), ORIGINAL);
+});
+
+test('rewriteParagraph compares readability, keyword coverage and words', async () => {
+  stubRewrites(() => REWRITTEN);
+  const result = await rewriteParagraph(ORIGINAL, resolveRewriteOptions({ keywords: ['seo tool', 'restructuring'] }));
+
+  assert.equal(result.rewritten, REWRITTEN);
+  assert.ok(result.readability.after.score > result.readability.before.score);
+  assert.equal(result.readability.scoreChange, result.readability.after.score - result.readability.before.score);
+  assert.ok(result.readability.gradeLevelChange < 0);
+  assert.deepEqual(result.keywordCoverage.keywords[0], {
+    keyword: 'seo tool',
+    before: { occurrences: 0, variantOccurrences: 0 },
+    after: { occurrences: 0, variantOccurrences: 1 }
+  });
+  assert.deepEqual([result.keywordCoverage.coveredBefore, result.keywordCoverage.coveredAfter], [1, 1]);
+  assert.deepEqual(result.keywordCoverage.missingAfter, ['restructuring']);
+  assert.equal(result.diffStats.unchanged, 1);
+});
+
+const paragraphs = (count) => Array.from({ length: count }, (_, i) => `Paragraph ${i} text.`);
+const REPORT = {
+  analysis: {
+    pages: [
+      { url: 'https://example.com/', paragraphs: paragraphs(4) },
+      { url: 'https://example.com/blog', paragraphs: paragraphs(3) }
+    ],
+    contentQuality: {
+      hardestParagraphs: [{ url: 'https://example.com/blog', index: 2, score: 5, reasons: ['Long sentences'] }],
+      readabilityScores: [
+        {
+          url: 'https://example.com/',
+          paragraphs: [{ index: 0, score: 70 }, { index: 1, score: 30 }, { index: 3, score: 50 }],
+          hardestParagraphs: [{ index: 1, score: 30, reasons: ['Reads at grade 14'] }]
+        },
+        {
+          url: 'https://example.com/blog',
+          paragraphs: [{ index: 0, score: 40 }, { index: 2, score: 5 }],
+          hardestParagraphs: [{ index: 2, score: 5, reasons: ['Long sentences'] }]
+        }
+      ]
+    }
+  }
+};
+
+test('selectWeakestParagraphs puts flagged paragraphs first, then the lowest scores', () => {
+  const site = selectWeakestParagraphs(REPORT, { count: 3 });
+  assert.deepEqual(site.map(paragraph => [paragraph.url, paragraph.index]), [
+    ['https://example.com/blog', 2],
+    ['https://example.com/', 1],
+    ['https://example.com/blog', 0]
+  ]);
+  assert.equal(site[0].text, 'Paragraph 2 text.');
+  assert.deepEqual(site[0].reasons, ['Long sentences']);
+
+  const home = selectWeakestParagraphs(REPORT, { url: 'https://example.com/', count: 2 });
+  assert.deepEqual(home.map(paragraph => [paragraph.index, paragraph.reasons]), [[1, ['Reads at grade 14']], [3, []]]);
+  assert.equal(selectWeakestParagraphs(REPORT, { url: 'https://example.com/missing' }), null);
+  assert.deepEqual(selectWeakestParagraphs({}), []);
+});
+
+test('POST /api/rewrite validates input and records usage', async () => {
+  const cases = [
+    [{}, 'Missing text in request body'],
+    [{ text: '   ' }, 'Missing text in request body'],
+    [{ text: 'x'.repeat(5001) }, 'text must be at most 5000 characters'],
+    [{ text: 'Hello', tone: 'angry' }, /tone must be one of/]
+  ];
+  for (const [body, error] of cases) {
+    const res = mockResponse();
+    await rewrite(mockRequest({ body }), res);
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+    assert.match(res.body.error, error instanceof RegExp ? error : new RegExp(`^${error}$`));
+  }
+
+  stubRewrites(() => REWRITTEN);
+  const updates = stubUsage();
+  const res = mockResponse();
+  await rewrite(mockRequest({ body: { text: ` ${ORIGINAL} `, readingLevel: 'simple' } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual([res.body.original, res.body.rewritten, res.body.readingLevel], [ORIGINAL, REWRITTEN, 6]);
+  assert.equal(res.body.llmUsage.requests, 1);
+  assert.deepEqual(updates.mock.calls.at(-1).arguments[1].$inc, {
+    rewrites: 1, 'llm.requests': 1, 'llm.promptTokens': 100, 'llm.completionTokens': 20, 'llm.totalTokens': 120
+  });
+});
+
+test('POST /api/rewrite answers 502 when the LLM fails', async () => {
+  mock.method(console, 'error', () => {});
+  stubRewrites(() => new Error('upstream down'));
+  stubUsage();
+  const res = mockResponse();
+  await rewrite(mockRequest({ body: { text: ORIGINAL } }), res);
+  assert.deepEqual([res.statusCode, res.body], [502, { error: 'Failed to rewrite text' }]);
+});
+
+test('POST /api/rewrite/batch rewrites the weakest paragraphs of a report', async () => {
+  const report = Report.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    url: 'https://example.com',
+    keywords: ['paragraph'],
+    tenant: TENANT_ID,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    ...REPORT
+  });
+  const findOne = mock.method(Report, 'findOne', async () => report);
+  mock.method(console, 'error', () => {});
+  stubUsage();
+  let calls = 0;
+  stubRewrites(() => (++calls === 2 ? new Error('timeout') : 'Shorter paragraph text.'));
+
+  const res = mockResponse();
+  await rewriteBatch(mockRequest({ body: { reportId: String(report._id), count: 3 } }), res);
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: String(report._id), tenant: TENANT_ID });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.rewrites.map(entry => [entry.url, entry.index, entry.error || entry.rewritten]), [
+    ['https://example.com/blog', 2, 'Shorter paragraph text.'],
+    ['https://example.com/', 1, 'Failed to rewrite paragraph'],
+    ['https://example.com/blog', 0, 'Shorter paragraph text.']
+  ]);
+  assert.equal(res.body.rewrites[0].keywordCoverage.keywords[0].keyword, 'paragraph');
+
+  const missing = mockResponse();
+  await rewriteBatch(mockRequest({ body: { reportId: String(report._id), url: 'https://example.com/none' } }), missing);
+  assert.deepEqual([missing.statusCode, missing.body.error], [404, 'Page not found in report']);
+
+  const invalid = mockResponse();
+  await rewriteBatch(mockRequest({ body: { reportId: 'nope' } }), invalid);
+  assert.equal(invalid.statusCode, 400);
+});
@@ -0,0 +1,87 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Schedule from '../models/Schedule.js';
+import { evaluateThresholds } from '../services/alertRules.js';
+import { registerNotifier, dispatchAlerts } from '../services/notifiers.js';
+import { createSchedule } from '../controllers/scheduleController.js';
+import { mockRequest, mockResponse, TENANT_ID } from './helpers/http.js';
+
+afterEach(() => mock.restoreAll());
+
+const report = (analysis) => ({ url: 'https://example.com', analysis: { pages: [{ url: 'https://example.com/a' }], ...analysis } });
+
+test('evaluateThresholds reports each threshold that is crossed', () => {
+  const current = report({
+    metaTags: {
+      title: [{ url: 'https://example.com/a', length: 72 }, { url: 'https://example.com/b', length: 40 }],
+      description: [{ url: 'https://example.com/a', length: 120 }]
+    },
+    keywordDensity: [{ keyword: 'SEO', overall: 0.2 }, { keyword: 'audit', overall: 1.2 }],
+    technical: { imageOptimization: { missingAlt: 4 } },
+    aiVisibility: { score: 42 }
+  });
+
+  const alerts = evaluateThresholds(current, null, [
+    { type: 'titleTooLong', value: 60 },
+    { type: 'descriptionTooLong' },
+    { type: 'keywordDensityBelow', value: 0.5, keyword: 'seo' },
+    { type: 'missingAltAbove', value: 2 },
+    { type: 'aiVisibilityBelow', value: 50 }
+  ]);
+  assert.deepEqual(alerts.map(alert => [alert.type, alert.actual]), [
+    ['titleTooLong', 72],
+    ['keywordDensityBelow', 0.2],
+    ['missingAltAbove', 4],
+    ['aiVisibilityBelow', 42]
+  ]);
+  assert.equal(alerts[0].threshold, 60);
+});
+
+test('newMissingH1 only alerts on pages that lost their H1 since the last run', () => {
+  const headings = (issues) => report({ technical: { headingStructure: { issues } } });
+  const previous = headings(['https://example.com/a: Missing H1']);
+  const current = headings(['https://example.com/a: Missing H1', 'https://example.com/a: Multiple H1 tags']);
+  assert.deepEqual(evaluateThresholds(current, previous, [{ type: 'newMissingH1' }]), []);
+
+  const alerts = evaluateThresholds(current, headings([]), [{ type: 'newMissingH1' }]);
+  assert.deepEqual(alerts.map(alert => alert.url), ['https://example.com/a']);
+});
+
+test('dispatchAlerts sends through every notifier and survives a failing one', async () => {
+  const sent = [];
+  registerNotifier('test-ok', ({ target }) => ({ send: async (payload) => sent.push([target, payload.alerts.length]) }));
+  registerNotifier('test-broken', () => ({ send: async () => { throw new Error('down'); } }));
+  mock.method(console, 'error', () => {});
+
+  const schedule = { _id: 's1', url: 'https://example.com', notifiers: [{ type: 'test-broken' }, { type: 'test-ok', target: 'ops' }] };
+  await dispatchAlerts(schedule, 'r1', [{ type: 'missingAltAbove', message: '4 images' }]);
+  assert.deepEqual(sent, [['ops', 1]]);
+
+  await dispatchAlerts(schedule, 'r1', []);
+  assert.equal(sent.length, 1, 'nothing is sent without alerts');
+});
+
+test('Schedule rejects cron expressions that never run', async () => {
+  const schedule = new Schedule({ url: 'https://example.com', keywords: ['seo'], cron: '0 0 31 2 *' });
+  await assert.rejects(schedule.validate(), /cron: Invalid cron expression/);
+  assert.equal(new Schedule({ url: 'https://example.com', keywords: ['seo'], cron: '@daily' }).validateSync(), undefined);
+});
+
+test('createSchedule answers 400 for an impossible cron', async () => {
+  const res = mockResponse();
+  await createSchedule(mockRequest({ body: { url: 'https://example.com', keywords: ['seo'], cron: '0 0 30 2 *' } }), res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /Invalid cron expression/);
+});
+
+test('createSchedule stores the schedule for the caller\'s tenant', async () => {
+  const create = mock.method(Schedule, 'create', async (fields) => new Schedule(fields));
+  const res = mockResponse();
+  await createSchedule(mockRequest({
+    body: { url: 'https://example.com', keywords: ['seo'], cron: '@weekly', tenant: 'someone-else', lastStatus: 'success' }
+  }), res);
+  assert.equal(res.statusCode, 201);
+  const fields = create.mock.calls[0].arguments[0];
+  assert.equal(fields.tenant, TENANT_ID);
+  assert.equal(fields.lastStatus, undefined, 'only editable fields are taken from the body');
+});
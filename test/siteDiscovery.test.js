@@ -0,0 +1,171 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { parseRobotsTxt, isAllowed, getCrawlDelay } from '../utils/robotsTxt.js';
+import { discoverSite } from '../services/siteDiscovery.js';
+import { EnhancedAnalyzer } from '../services/enhancedAnalyzer.js';
+import { HttpFetcher } from '../services/httpFetcher.js';
+import { startSite, offlineAnalyzerEnv, page } from './helpers/site.js';
+
+const ROBOTS = `
+# Everyone
+User-agent: *
+Disallow: /private
+Allow: /private/press
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: SEO-AI-Bot
+User-agent: OtherBot
+Disallow: /drafts
+Crawl-delay: 0.5
+
+Sitemap: /sitemap-index.xml
+`;
+
+test('parseRobotsTxt groups consecutive user-agents and collects sitemaps', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  assert.equal(robots.groups.length, 2);
+  assert.deepEqual(robots.groups[1].agents, ['seo-ai-bot', 'otherbot']);
+  assert.deepEqual(robots.sitemaps, ['/sitemap-index.xml']);
+  assert.equal(robots.groups[0].crawlDelay, 2);
+});
+
+test('isAllowed applies the most specific group and the longest rule', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  assert.equal(isAllowed(robots, 'Googlebot', '/private/page'), false);
+  assert.equal(isAllowed(robots, 'Googlebot', 'https://example.com/private/press/2024'), true);
+  assert.equal(isAllowed(robots, 'Googlebot', '/files/report.pdf'), false);
+  assert.equal(isAllowed(robots, 'Googlebot', '/files/report.pdf?download=1'), true, '$ anchors the end');
+  // The bot's own group replaces the * group entirely
+  assert.equal(isAllowed(robots, 'SEO-AI-Bot/1.0', '/private/page'), true);
+  assert.equal(isAllowed(robots, 'seo-ai-bot', '/private/page'), true);
+  assert.equal(isAllowed(robots, 'SEO-AI-Bot', '/drafts/x'), false);
+  assert.equal(isAllowed(robots, 'SEO-AI-Bot', '/robots.txt'), true);
+  assert.equal(isAllowed(null, 'SEO-AI-Bot', '/anything'), true);
+});
+
+test('user-agents match groups by their whole product token', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  // Only the product token counts, not names elsewhere in a browser-style string
+  assert.equal(isAllowed(robots, 'Mozilla/5.0 (compatible; SEO-AI-Bot/1.0)', '/private/page'), false);
+  assert.equal(isAllowed(robots, 'SEO-AI-Bot-Images', '/private/page'), false);
+  assert.equal(isAllowed(parseRobotsTxt('User-agent: bot\nDisallow: /'), 'Googlebot', '/a'), true);
+  assert.equal(getCrawlDelay(robots, 'OtherBot/2.1'), 0.5);
+});
+
+test('allow wins a tie and an empty disallow allows everything', () => {
+  const robots = parseRobotsTxt('User-agent: *\nDisallow: /a\nAllow: /a\n\nUser-agent: open\nDisallow:\n');
+  assert.equal(isAllowed(robots, 'bot', '/a'), true);
+  assert.equal(isAllowed(robots, 'open', '/a'), true);
+});
+
+test('getCrawlDelay reads the matching group', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  assert.equal(getCrawlDelay(robots, 'Googlebot'), 2);
+  assert.equal(getCrawlDelay(robots, 'SEO-AI-Bot'), 0.5);
+  assert.equal(getCrawlDelay(parseRobotsTxt('User-agent: *\nDisallow: /x'), 'bot'), null);
+});
+
+let site;
+
+before(async () => {
+  offlineAnalyzerEnv();
+  site = await startSite({
+    '/robots.txt': 'User-agent: *\nDisallow: /private\nSitemap: /sitemap-index.xml\n',
+    '/sitemap-index.xml': '<?xml version="1.0"?><sitemapindex><sitemap><loc>BASE/pages.xml.gz</loc></sitemap><sitemap><loc>BASE/missing.xml</loc></sitemap></sitemapindex>',
+    '/pages.xml.gz': {
+      headers: { 'content-type': 'application/gzip' },
+      body: zlib.gzipSync('<urlset><url><loc>{BASE}/</loc></url><url><loc>{BASE}/deep</loc></url><url><loc>{BASE}/private/x</loc></url></urlset>')
+    },
+    '/llms.txt': '# Example\n> Widgets and more\n\n- [Docs](/docs)\n',
+    '/': page({ title: 'Home', body: '<a href="/private/secret">Secret</a>' }),
+    '/deep': page({ title: 'Deep', body: '<p>Only in the sitemap</p>' })
+  });
+});
+after(() => site.close());
+
+// Gzipped bodies cannot carry the BASE placeholder through replaceAll
+const resolveBase = (urls) => urls.map(url => url.replace('{BASE}', site.base));
+
+test('discoverSite follows robots.txt to sitemap indexes and gzipped sitemaps', async () => {
+  const discovered = await discoverSite(site.base, { userAgent: 'test', robotsAgent: 'SEO-AI-Bot', timeout: 5000 });
+  assert.equal(discovered.robots.found, true);
+  assert.deepEqual(discovered.robots.sitemaps, [`${site.base}/sitemap-index.xml`]);
+  assert.deepEqual(discovered.sitemap.sitemaps.map(entry => [entry.type, entry.urlCount, entry.error]), [
+    ['index', 2, null],
+    ['urlset', 3, null],
+    [null, 0, 'HTTP 404']
+  ]);
+  assert.equal(discovered.sitemap.urls.length, 3);
+  assert.match(discovered.sitemap.issues[0], /missing\.xml: Sitemap could not be read \(HTTP 404\)/);
+  assert.deepEqual(
+    [discovered.llmsTxt.found, discovered.llmsTxt.title, discovered.llmsTxt.linkCount],
+    [true, 'Example', 1]
+  );
+});
+
+test('discoverSite notes a site without robots.txt or sitemap', async () => {
+  const bare = await startSite({ '/': page() });
+  try {
+    const discovered = await discoverSite(bare.base, { userAgent: 'test', robotsAgent: 'SEO-AI-Bot', timeout: 5000 });
+    assert.equal(discovered.robots.found, false);
+    assert.deepEqual(discovered.sitemap.issues, [`${bare.base}: No sitemap declared in robots.txt and none found at /sitemap.xml`]);
+  } finally {
+    await bare.close();
+  }
+});
+
+test('discoverSite refuses oversized files and gzip bombs', async () => {
+  const bomb = zlib.gzipSync(`<urlset>${' '.repeat(1024 * 1024)}</urlset>`);
+  const big = await startSite({
+    '/robots.txt': 'User-agent: *\nSitemap: /bomb.xml.gz\n',
+    '/bomb.xml.gz': { headers: { 'content-type': 'application/gzip' }, body: bomb },
+    '/llms.txt': `# Big\n${'x'.repeat(4096)}`
+  });
+  try {
+    assert.ok(bomb.length < 2048);
+    const discovered = await discoverSite(big.base, { userAgent: 'test', robotsAgent: 'SEO-AI-Bot', timeout: 5000, maxContentLength: 2048 });
+    assert.equal(discovered.robots.found, true);
+    assert.equal(discovered.sitemap.sitemaps[0].error, `Response from ${big.base}/bomb.xml.gz is larger than 2048 bytes`);
+    assert.deepEqual(discovered.llmsTxt.issues, [`${big.base}/llms.txt: Failed to fetch llms.txt (Response from ${big.base}/llms.txt is larger than 2048 bytes)`]);
+  } finally {
+    await big.close();
+  }
+});
+
+test('the crawler obeys robots.txt and records blocked URLs', async () => {
+  const analyzer = new EnhancedAnalyzer({ crawl: { render: 'never', maxPages: 5 } });
+  const discovered = await discoverSite(site.base, { userAgent: 'test', robotsAgent: analyzer.robotsAgent, timeout: 5000 });
+  discovered.sitemap.urls = resolveBase(discovered.sitemap.urls);
+
+  const pages = await analyzer.crawlWebsite(`${site.base}/`, () => {}, discovered);
+  assert.deepEqual(pages.map(crawled => new URL(crawled.url).pathname).sort(), ['/', '/deep']);
+  assert.deepEqual(discovered.blockedUrls.map(url => new URL(url).pathname).sort(), ['/private/secret', '/private/x']);
+  assert.ok(!site.hits.includes('/private/secret'));
+});
+
+test('sitemap URLs the crawl missed are checked through the fetch pool', async () => {
+  const mapped = await startSite({
+    '/robots.txt': 'User-agent: *\nSitemap: /sitemap.xml\n',
+    '/sitemap.xml': '<urlset><url><loc>BASE/</loc></url><url><loc>BASE/gone</loc></url><url><loc>BASE/old</loc></url><url><loc>BASE/fine</loc></url></urlset>',
+    '/': page(),
+    '/fine': page(),
+    '/old': { status: 301, headers: { location: '/fine' } }
+  });
+  const fetches = mock.method(HttpFetcher.prototype, 'fetch');
+  try {
+    const analyzer = new EnhancedAnalyzer({ crawl: { render: 'never' } });
+    const discovered = await discoverSite(mapped.base, { userAgent: 'test', robotsAgent: analyzer.robotsAgent, timeout: 5000 });
+    const crawlability = await analyzer.analyzeCrawlability([{ url: `${mapped.base}/`, links: [] }], discovered);
+
+    assert.deepEqual(crawlability.sitemap.errors, [
+      { url: `${mapped.base}/gone`, status: 404, error: null },
+      { url: `${mapped.base}/old`, status: 301, error: null }
+    ]);
+    assert.deepEqual(fetches.mock.calls.map(call => call.arguments[0]).sort(), ['/fine', '/gone', '/old'].map(path => `${mapped.base}${path}`));
+  } finally {
+    mock.restoreAll();
+    await mapped.close();
+  }
+});
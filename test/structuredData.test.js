@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import {
+  baseType, extractStructuredData, validateStructuredDataItem, generateStructuredData
+} from '../services/structuredData.js';
+
+const BASE = 'https://example.com/shop/';
+const extract = (html) => extractStructuredData(cheerio.load(html), BASE);
+
+test('JSON-LD blocks are flattened through @graph and keep their context', () => {
+  const { items, errors } = extract(`
+    <script type="application/ld+json">
+      {"@context": "https://schema.org", "@graph": [
+        {"@type": "Organization", "name": "Acme"},
+        {"@type": ["Product", "schema:Thing"], "name": "Widget"}
+      ]}
+    </script>
+    <script type="application/ld+json">{ not json</script>`);
+
+  assert.deepEqual(items.map(item => [item.format, item.types]), [
+    ['json-ld', ['Organization']],
+    ['json-ld', ['Product', 'Thing']]
+  ]);
+  assert.equal(items[0].data['@context'], 'https://schema.org');
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Invalid JSON-LD in block 2/);
+});
+
+test('Microdata nests items and resolves links against the page URL', () => {
+  const { items } = extract(`
+    <div itemscope itemtype="https://schema.org/Product">
+      <span itemprop="name">Widget</span>
+      <img itemprop="image" src="widget.png">
+      <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+        <meta itemprop="price" content="9.99">
+        <span itemprop="priceCurrency">EUR</span>
+      </div>
+    </div>`);
+
+  assert.equal(items.length, 1);
+  const { data } = items[0];
+  assert.deepEqual(items[0].types, ['Product']);
+  assert.equal(data.image, 'https://example.com/shop/widget.png');
+  assert.deepEqual(data.offers, { '@type': 'Offer', price: '9.99', priceCurrency: 'EUR' });
+  assert.equal(data.price, undefined);
+});
+
+test('RDFa Lite properties and repeated values are collected', () => {
+  const { items } = extract(`
+    <div vocab="https://schema.org/" typeof="Organization">
+      <span property="name">Acme</span>
+      <a property="sameAs" href="https://x.com/acme">X</a>
+      <a property="sameAs" href="/about">About</a>
+    </div>`);
+
+  assert.equal(items[0].format, 'rdfa');
+  assert.deepEqual(items[0].data.sameAs, ['https://x.com/acme', 'https://example.com/about']);
+});
+
+test('validation separates blocking issues from recommendations', () => {
+  const product = validateStructuredDataItem({
+    format: 'json-ld',
+    types: ['Product'],
+    data: { '@type': 'Product', name: 'Widget', offers: { '@type': 'Offer', price: '9.99' } }
+  });
+  assert.equal(product.validated, true);
+  assert.deepEqual(product.issues, ['Offer 1 is missing "priceCurrency"']);
+  assert.ok(product.warnings.includes('Offer 1 is missing recommended "availability"'));
+  assert.ok(product.warnings.includes('Product is missing recommended property "brand"'));
+
+  const article = validateStructuredDataItem({ format: 'json-ld', types: ['BlogPosting'], data: { name: 'x' } });
+  assert.equal(baseType('BlogPosting'), 'Article');
+  assert.deepEqual(article.issues, ['Article is missing required property "headline"']);
+
+  const unknown = validateStructuredDataItem({ format: 'json-ld', types: ['Event'], data: {} });
+  assert.deepEqual([unknown.validated, unknown.issues], [false, []]);
+});
+
+test('breadcrumb validation lets the last crumb omit its item', () => {
+  const result = validateStructuredDataItem({
+    format: 'json-ld',
+    types: ['BreadcrumbList'],
+    data: {
+      itemListElement: [
+        { position: 1, name: 'Home' },
+        { position: 2, name: 'Shop' }
+      ]
+    }
+  });
+  assert.deepEqual(result.issues, ['Breadcrumb 1 is missing "item"']);
+});
+
+test('generateStructuredData suggests only the types the site lacks', () => {
+  const pages = [
+    { url: 'https://example.com/', title: 'Acme | Widgets', metaTags: {}, structuredData: [] },
+    { url: 'https://example.com/blog/first-post', title: 'First Post', structuredData: [{ types: ['BreadcrumbList'] }] },
+    { url: 'https://example.com/blog_archive/2024', title: '', structuredData: [{ types: ['Corporation'] }] }
+  ];
+  const suggestions = generateStructuredData({
+    pages,
+    aiInsights: { suggestedFaqs: [{ question: 'Why?', answer: 'Because.' }, { question: 'No answer' }] }
+  });
+
+  assert.deepEqual(suggestions.map(item => [item.type, item.url]), [
+    ['FAQPage', 'https://example.com/'],
+    ['BreadcrumbList', 'https://example.com/blog_archive/2024']
+  ]);
+  assert.equal(suggestions[0].jsonLd.mainEntity.length, 1);
+  assert.deepEqual(suggestions[1].jsonLd.itemListElement.map(crumb => crumb.name), ['Home', 'Blog Archive', '2024']);
+  assert.match(suggestions[1].snippet, /^<script type="application\/ld\+json">/);
+});
+
+test('breadcrumb names tolerate a bare percent sign in the path', () => {
+  const suggestions = generateStructuredData({
+    pages: [
+      { url: 'https://ex.com/', title: 'Ex', metaTags: { 'og:site_name': 'Ex Shop' }, structuredData: [] },
+      { url: 'https://ex.com/100%-off/sale', title: 'Sale', structuredData: [] },
+      { url: 'https://ex.com/caf%C3%A9/menu', title: 'Menu', structuredData: [] }
+    ]
+  });
+
+  assert.equal(suggestions[0].jsonLd.name, 'Ex Shop');
+  const names = suggestions
+    .filter(item => item.type === 'BreadcrumbList')
+    .map(item => item.jsonLd.itemListElement.map(crumb => crumb.name));
+  assert.deepEqual(names, [['Home', '100% Off', 'Sale'], ['Home', 'Café', 'Menu']]);
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkLanguageCode, parseRobotsDirectives, runTechnicalChecks, urlsToVerify
+} from '../services/technicalChecks.js';
+
+const BASE = 'https://example.com';
+const OG_TAGS = {
+  'og:title': 'Title',
+  'og:type': 'website',
+  'og:image': `${BASE}/card.png`,
+  'og:url': `${BASE}/`,
+  'og:description': 'Description',
+  'twitter:card': 'summary_large_image'
+};
+// A page that passes every check unless overridden
+const crawled = (path, extra = {}) => ({
+  url: `${BASE}${path}`,
+  finalUrl: `${BASE}${path}`,
+  canonicalUrl: `${BASE}${path}`,
+  lang: 'en',
+  title: `Title of ${path}`,
+  description: `Description of ${path}`,
+  metaTags: OG_TAGS,
+  ...extra
+});
+const ok = (url) => [url, { status: 200, finalUrl: url, redirectChain: [], redirectLoop: false, error: null }];
+const messagesFor = (findings, check) => findings.filter(finding => finding.check === check).map(finding => finding.message);
+
+test('checkLanguageCode accepts BCP 47 style tags and explains mistakes', () => {
+  ['en', 'en-GB', 'zh-Hant-TW', 'es-419'].forEach(code => assert.equal(checkLanguageCode(code), null, code));
+  assert.equal(checkLanguageCode('x-default', { allowDefault: true }), null);
+  assert.match(checkLanguageCode('x-default'), /ISO 639-1/);
+  assert.equal(checkLanguageCode('en-UK'), '"en-UK" uses invalid region "UK" (use GB)');
+  assert.equal(checkLanguageCode('en_GB'), '"en_GB" uses "_" instead of "-"');
+  assert.match(checkLanguageCode('english'), /ISO 639-1/);
+  assert.match(checkLanguageCode('en-GBR'), /not a valid language-region code/);
+});
+
+test('parseRobotsDirectives expands none and ignores other crawlers', () => {
+  assert.deepEqual([...parseRobotsDirectives('NONE')], ['noindex', 'nofollow']);
+  assert.deepEqual([...parseRobotsDirectives('bingbot: noindex, googlebot: nofollow')], ['nofollow']);
+  assert.deepEqual([...parseRobotsDirectives('max-snippet: 50, noarchive')], ['max-snippet: 50', 'noarchive']);
+  assert.equal(parseRobotsDirectives(undefined).size, 0);
+});
+
+test('a complete page produces no findings', () => {
+  const page = crawled('/');
+  assert.deepEqual(runTechnicalChecks([page], { statuses: new Map([ok(page.url), ok(OG_TAGS['og:image'])]) }), []);
+});
+
+test('canonical problems are reported by severity', () => {
+  const pages = [
+    crawled('/a', { canonicalUrl: undefined }),
+    crawled('/b', { canonicalUrl: 'https://other.com/b' }),
+    crawled('/c', { canonicalUrl: `${BASE}/gone` }),
+    crawled('/d', { canonicalUrl: `${BASE}/moved` })
+  ];
+  const statuses = new Map([
+    [`${BASE}/gone`, { status: 404, redirectChain: [], redirectLoop: false }],
+    [`${BASE}/moved`, { status: 200, finalUrl: `${BASE}/new`, redirectChain: [{ url: `${BASE}/moved`, status: 301 }], redirectLoop: false }]
+  ]);
+  const findings = runTechnicalChecks(pages, { statuses, isSameSite: url => url.startsWith(BASE) })
+    .filter(finding => finding.check === 'canonical');
+
+  assert.deepEqual(findings.map(finding => [finding.url, finding.severity, finding.message]), [
+    [`${BASE}/a`, 'warning', 'Missing canonical tag'],
+    [`${BASE}/b`, 'warning', 'Canonical points to another domain (https://other.com/b)'],
+    [`${BASE}/c`, 'error', `Canonical target ${BASE}/gone is unreachable (HTTP 404)`],
+    [`${BASE}/d`, 'error', `Canonical target ${BASE}/moved redirects to ${BASE}/new`]
+  ]);
+});
+
+test('noindex in meta robots or X-Robots-Tag is an error', () => {
+  const findings = runTechnicalChecks([
+    crawled('/', { metaTags: { ...OG_TAGS, robots: 'noindex' }, xRobotsTag: 'googlebot: none' })
+  ]);
+  assert.deepEqual(messagesFor(findings, 'robots'), [
+    'Page is marked noindex (meta robots)',
+    'Page is marked noindex (X-Robots-Tag)',
+    'Links on this page are marked nofollow (X-Robots-Tag)'
+  ]);
+});
+
+test('hreflang sets must be valid, self-referencing and reciprocal', () => {
+  const en = crawled('/en', {
+    hreflang: [
+      { lang: 'en', url: `${BASE}/en` },
+      { lang: 'de', url: `${BASE}/de` },
+      { lang: 'fr', url: `${BASE}/fr` },
+      { lang: 'en-UK', url: `${BASE}/uk` }
+    ]
+  });
+  const de = crawled('/de', { hreflang: [{ lang: 'de', url: `${BASE}/de` }, { lang: 'en', url: `${BASE}/en` }] });
+  const fr = crawled('/fr', { hreflang: [{ lang: 'de', url: `${BASE}/de` }] });
+  const findings = runTechnicalChecks([en, de, fr]);
+
+  assert.deepEqual(messagesFor(findings.filter(finding => finding.url === en.url), 'hreflang'), [
+    'Invalid hreflang: "en-UK" uses invalid region "UK" (use GB)',
+    `hreflang "fr" alternate ${BASE}/fr does not link back to this page`
+  ]);
+  assert.deepEqual(messagesFor(findings.filter(finding => finding.url === fr.url), 'hreflang'), [
+    'hreflang set does not reference the page itself',
+    `hreflang "de" alternate ${BASE}/de does not link back to this page`
+  ]);
+  assert.deepEqual(messagesFor(findings.filter(finding => finding.url === de.url), 'hreflang'), []);
+});
+
+test('social cards: incomplete Open Graph, card fallbacks and unreachable images', () => {
+  const findings = runTechnicalChecks([
+    crawled('/a', { metaTags: { 'og:title': 'A', 'og:image': '/relative.png', 'twitter:card': 'summary' } }),
+    crawled('/b', { metaTags: { ...OG_TAGS, 'twitter:card': undefined } }),
+    crawled('/c', { metaTags: { 'twitter:card': 'huge' } })
+  ], { statuses: new Map([[OG_TAGS['og:image'], { status: 500, redirectChain: [] }]]) });
+
+  const forPage = (path) => findings.filter(finding => finding.url === `${BASE}${path}`)
+    .map(finding => `${finding.severity} ${finding.message}`);
+  assert.deepEqual(forPage('/a'), [
+    'warning Incomplete Open Graph tags: missing og:type, og:url',
+    'info Missing og:description',
+    'warning Twitter card has no description (twitter:description or og:description)',
+    'warning og:image is not a valid absolute URL (/relative.png)'
+  ]);
+  assert.deepEqual(forPage('/b'), [
+    'info Missing twitter:card',
+    `error og:image ${OG_TAGS['og:image']} is unreachable (HTTP 500)`
+  ]);
+  assert.deepEqual(forPage('/c'), ['warning No Open Graph tags', 'warning Unknown twitter:card type "huge"']);
+});
+
+test('duplicate titles and descriptions are matched case-insensitively', () => {
+  const findings = runTechnicalChecks([
+    crawled('/a', { title: 'Widgets' }),
+    crawled('/b', { title: ' widgets ' }),
+    crawled('/c', { description: 'Description of /a' })
+  ]);
+  assert.deepEqual(messagesFor(findings, 'duplicateTitle'), [
+    `Duplicate title (also on ${BASE}/b)`,
+    `Duplicate title (also on ${BASE}/a)`
+  ]);
+  assert.equal(messagesFor(findings, 'duplicateDescription').length, 2);
+});
+
+test('urlsToVerify lists uncrawled canonical targets and absolute social images', () => {
+  const pages = [
+    crawled('/a', { canonicalUrl: `${BASE}/b` }),
+    crawled('/b', { canonicalUrl: `${BASE}/elsewhere`, metaTags: { 'og:image': 'img.png', 'twitter:image': `${BASE}/t.png` } })
+  ];
+  assert.deepEqual(urlsToVerify(pages), [`${BASE}/card.png`, `${BASE}/elsewhere`, `${BASE}/t.png`]);
+});
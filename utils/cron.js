@@ -0,0 +1,123 @@
+/**
+ * Minimal 5-field cron support (minute hour day-of-month month day-of-week)
+ * for scheduled audits. Supports `*`, lists (`1,15`), ranges (`1-5`) and
+ * steps (`*\/15`, `0-30/10`). Times are evaluated in server local time.
+ */
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Longest each month can be (February in a leap year)
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Give up looking for a match after roughly four years of minutes.
+const MAX_ITERATIONS = 60 * 24 * 366 * 4;
+
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [rangePart, stepPart] = item.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in cron ${name} field`);
+    }
+
+    let start = min;
+    let end = max;
+    if (rangePart !== '*') {
+      const [from, to] = rangePart.split('-').map(value => parseInt(value, 10));
+      start = from;
+      end = to === undefined ? (stepPart === undefined ? from : max) : to;
+    }
+    if (![start, end].every(Number.isInteger) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${item}" in cron ${name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+export function parseCron(expression) {
+  const normalized = ALIASES[expression?.trim()] || expression?.trim();
+  const parts = (normalized || '').split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  const cron = {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: if both day fields are restricted, either may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+  };
+  // Only a day of month none of the months have (e.g. `0 0 31 2 *`) can
+  // make an expression that parses never match
+  const dayExists = [...month].some(value => [...dayOfMonth].some(day => day <= DAYS_IN_MONTH[value - 1]));
+  if (!cron.anyDay && !dayExists) {
+    throw new Error(`Cron expression never matches: "${expression}"`);
+  }
+  return cron;
+}
+
+/**
+ * Whether the expression parses and matches at least one date.
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Next time strictly after `from` that matches the expression.
+ */
+export function nextCronDate(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const dayOfMonthMatch = cron.dayOfMonth.has(date.getDate());
+    const dayOfWeekMatch = cron.dayOfWeek.has(date.getDay());
+    const dayMatches = cron.anyDay ? dayOfMonthMatch || dayOfWeekMatch : dayOfMonthMatch && dayOfWeekMatch;
+
+    if (
+      cron.month.has(date.getMonth() + 1) &&
+      dayMatches &&
+      cron.hour.has(date.getHours()) &&
+      cron.minute.has(date.getMinutes())
+    ) {
+      return date;
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  throw new Error(`Cron expression never matches: "${expression}"`);
+}
@@ -0,0 +1,166 @@
+import { splitWords } from './readability.js';
+
+/**
+ * Keyword matching and term extraction. Text is tokenized into lowercase
+ * words, so keywords never become regular expressions and only match whole
+ * words ("seo" does not match "seoul").
+ */
+export const STOPWORDS = new Set(`a about above after again against all am an and any are aren't as at be because
+been before being below between both but by can can't cannot could couldn't did didn't do does doesn't doing don't
+down during each few for from further get got had hadn't has hasn't have haven't having he he'd he'll he's her here
+here's hers herself him himself his how how's i i'd i'll i'm i've if in into is isn't it it's its itself just let's
+like may me might more most must mustn't my myself new no nor not now of off on once one only or other ought our
+ours ourselves out over own same shan't she she'd she'll she's should shouldn't so some such than that that's the
+their theirs them themselves then there there's these they they'd they'll they're they've this those through to too
+under until up us use used using very via was wasn't we we'd we'll we're we've were weren't what what's when when's
+where where's which while who who's whom why why's will with won't would wouldn't you you'd you'll you're you've
+your yours yourself yourselves also etc`.split(/\s+/));
+
+export function tokenize(text = '') {
+  return splitWords(text.replace(/’/g, "'")).map(word => word.toLowerCase());
+}
+
+/**
+ * Plural -> singular for regular English plurals.
+ */
+export function singularize(word) {
+  if (word.length <= 3) return word;
+  if (/[^aeiou]ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(sses|xes|ches|shes|zzes)$/.test(word)) return word.slice(0, -2);
+  if (/(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Light stemmer: plurals, -ing, -ed and a trailing e, so "optimize",
+ * "optimized", "optimizing" and "optimizes" share a stem.
+ */
+export function stem(word) {
+  let stemmed = singularize(word);
+  const suffix = stemmed.match(/^(.{3,}?)(ing|ed)$/);
+  if (suffix && /[aeiouy]/.test(suffix[1]) && !stemmed.endsWith('eed')) {
+    stemmed = suffix[1];
+    // "running" -> "run"
+    if (/([^aeiouylsz])\1$/.test(stemmed)) stemmed = stemmed.slice(0, -1);
+  }
+  return stemmed.length > 3 ? stemmed.replace(/e$/, '') : stemmed;
+}
+
+/**
+ * Positions where `phraseTokens` occur in `tokens`. `normalize` maps both
+ * sides before comparing (identity for exact matches, `stem` for variants).
+ */
+export function findPhrase(tokens, phraseTokens, normalize = (word) => word) {
+  if (phraseTokens.length === 0) return [];
+  const target = phraseTokens.map(normalize);
+  const normalized = tokens.map(normalize);
+  const positions = [];
+  for (let i = 0; i <= normalized.length - target.length; i++) {
+    if (target.every((word, j) => normalized[i + j] === word)) positions.push(i);
+  }
+  return positions;
+}
+
+/**
+ * Exact and variant (plural / stemmed) occurrences of a phrase in text.
+ */
+export function countPhrase(text, phrase) {
+  const tokens = Array.isArray(text) ? text : tokenize(text);
+  const phraseTokens = tokenize(phrase);
+  const exact = findPhrase(tokens, phraseTokens);
+  const all = findPhrase(tokens, phraseTokens, stem);
+  return { exact: exact.length, variants: all.length - exact.length, positions: all };
+}
+
+export function containsPhrase(text, phrase) {
+  return countPhrase(text, phrase).positions.length > 0;
+}
+
+const isTerm = (word) => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+
+function termsIn(tokens) {
+  const terms = [];
+  tokens.forEach((word, i) => {
+    if (!isTerm(word)) return;
+    terms.push(word);
+    if (i + 1 < tokens.length && isTerm(tokens[i + 1])) terms.push(`${word} ${tokens[i + 1]}`);
+  });
+  return terms;
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  termsIn(tokens).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+/**
+ * TF-IDF index over `documents` (`[{ id, text }]`), with unigrams and
+ * bigrams that are not stopwords.
+ */
+export function buildTermIndex(documents) {
+  const docs = new Map();
+  const documentFrequency = new Map();
+  documents.forEach(({ id, text }) => {
+    const tokens = tokenize(text);
+    const counts = countTerms(tokens);
+    docs.set(id, { tokens, counts, length: Math.max(1, tokens.length) });
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  // Smoothed so terms found in every document still score above zero
+  const idf = (term) => Math.log((1 + docs.size) / (1 + (documentFrequency.get(term) || 0))) + 1;
+  return { docs, idf };
+}
+
+function rankTerms(scores, counts, { exclude = [], limit = 10 } = {}) {
+  const excluded = new Set(exclude.map(stem));
+  return [...scores.entries()]
+    // A term seen once is noise, unless it is all we have
+    .filter(([term]) => counts.get(term) > 1 || counts.size < 20)
+    .filter(([term]) => !term.split(' ').some(word => excluded.has(stem(word))))
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([term, score]) => ({ term, score: Number(score.toFixed(4)) }));
+}
+
+/**
+ * Highest TF-IDF terms across the given documents (all by default).
+ */
+export function topTerms(index, { ids = [...index.docs.keys()], exclude = [], limit = 10 } = {}) {
+  const scores = new Map();
+  const counts = new Map();
+  ids.forEach(id => {
+    const doc = index.docs.get(id);
+    if (!doc) return;
+    doc.counts.forEach((count, term) => {
+      scores.set(term, (scores.get(term) || 0) + (count / doc.length) * index.idf(term));
+      counts.set(term, (counts.get(term) || 0) + count);
+    });
+  });
+  return rankTerms(scores, counts, { exclude, limit });
+}
+
+/**
+ * Terms that appear near a phrase (within `window` words either side),
+ * weighted by TF-IDF, i.e. what the site talks about alongside the keyword.
+ */
+export function relatedTerms(index, phrase, { window = 15, limit = 10 } = {}) {
+  const phraseTokens = tokenize(phrase);
+  const scores = new Map();
+  const counts = new Map();
+  index.docs.forEach(doc => {
+    const positions = findPhrase(doc.tokens, phraseTokens, stem);
+    if (positions.length === 0) return;
+    const nearby = positions.flatMap(position => doc.tokens.slice(
+      Math.max(0, position - window),
+      position + phraseTokens.length + window
+    ));
+    countTerms(nearby).forEach((count, term) => {
+      scores.set(term, (scores.get(term) || 0) + (count / nearby.length) * index.idf(term));
+      counts.set(term, (counts.get(term) || 0) + count);
+    });
+  });
+  return rankTerms(scores, counts, { exclude: phraseTokens, limit });
+}
@@ -1,34 +1,198 @@
-export function calculateFleschKincaid(text) {
-  const sentences = text.split(/[.!?]+/).filter(Boolean).length;
-  const words = text.split(/\s+/).filter(Boolean).length;
-  const syllables = countSyllables(text);
+/**
+ * Readability scoring for English text: Flesch Reading Ease, Flesch-Kincaid
+ * Grade, Gunning Fog, SMOG and Coleman-Liau, for whole documents and for
+ * individual paragraphs, with the hardest paragraphs called out.
+ */
 
-  if (sentences === 0 || words === 0) return 0;
+// Abbreviations whose trailing period does not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'inc', 'ltd', 'co',
+  'corp', 'no', 'fig', 'approx', 'dept', 'est', 'u.s', 'u.k', 'a.m', 'p.m', 'jan', 'feb', 'mar',
+  'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'mt', 'ave', 'vol', 'cf',
+]);
 
-  // Flesch-Kincaid Grade Level formula
-  const score = 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
-  return Math.round(score * 100) / 100;
+// Words the heuristics below get wrong
+const SYLLABLE_EXCEPTIONS = {
+  area: 3, beautiful: 3, business: 2, every: 2, everything: 4, idea: 3, people: 2, poem: 2,
+  queue: 1, quiet: 2, real: 1, science: 2, simile: 3, someone: 2, something: 2, whole: 1,
+  wednesday: 2, forever: 3, shoreline: 2, video: 3, radio: 3, naive: 2,
+};
+
+// Vowel-group corrections (after Lingua::EN::Syllable)
+const SUBTRACT_SYLLABLE = [/cial/, /tia/, /cius/, /cious/, /giu/, /ion/, /iou/, /sia$/, /.ely$/, /[^td]ed$/];
+const ADD_SYLLABLE = [
+  /ia/, /riet/, /dien/, /iu/, /io/, /ii/, /[aeiou]{3}/, /^mc/, /ism$/, /([^aeiouy])\1l$/,
+  /[^l]lien/, /^coa[dglx]./, /[^gq]ua[^auieo]/, /dnt$/, /^cre[aá]t/, /[aeiouy]ing$/,
+];
+
+const MIN_PARAGRAPH_WORDS = 20;
+const HARDEST_PARAGRAPHS = 3;
+
+export function countSyllables(word) {
+  let cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!cleaned) return 0;
+  const exception = SYLLABLE_EXCEPTIONS[cleaned] || SYLLABLE_EXCEPTIONS[cleaned.replace(/s$/, '')];
+  if (exception) return exception;
+  if (cleaned.length <= 3) return 1;
+
+  cleaned = cleaned
+    // "makes" -> "maks", but "boxes", "pages", "wishes" keep the syllable
+    .replace(/(?<![sxz]|[cs]h|[gc])es$/, 's')
+    // silent final e, except consonant + "le" ("table")
+    .replace(/(?:[^laeiouy]e|[aeiouy]le)$/, match => match.slice(0, -1))
+    .replace(/^y/, '');
+
+  let count = cleaned.split(/[^aeiouy]+/).filter(Boolean).length;
+  SUBTRACT_SYLLABLE.forEach(pattern => {
+    if (pattern.test(cleaned)) count--;
+  });
+  ADD_SYLLABLE.forEach(pattern => {
+    if (pattern.test(cleaned)) count++;
+  });
+  return Math.max(1, count);
 }
 
-function countSyllables(text) {
-  text = text.toLowerCase();
-  if (text.length === 0) return 0;
+export function splitWords(text) {
+  return (text.match(/[A-Za-zÀ-ÖØ-öø-ÿ0-9]+(?:['’-][A-Za-zÀ-ÖØ-öø-ÿ0-9]+)*/g) || []);
+}
 
-  const words = text.split(/\s+/);
-  let syllableCount = 0;
+/**
+ * Split text into sentences, treating abbreviations, initials, decimals and
+ * lowercase continuations as part of the same sentence.
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?…]+["'”’)\]]*(?=\s|$)/g;
+  let start = 0;
+  let match;
 
-  for (const word of words) {
-    syllableCount += countSyllablesInWord(word);
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    if (match[0].startsWith('.') && match[0].replace(/["'”’)\]]/g, '') === '.') {
+      const lastWord = text.slice(start, match.index).split(/\s+/).pop().replace(/^["'“‘([]+/, '').toLowerCase();
+      const next = text.slice(end).trimStart()[0];
+      if (ABBREVIATIONS.has(lastWord) || /^[a-z]$/i.test(lastWord) || (next && /[a-z]/.test(next))) {
+        continue;
+      }
+    }
+    const sentence = text.slice(start, end).trim();
+    if (splitWords(sentence).length > 0) sentences.push(sentence);
+    start = end;
   }
 
-  return syllableCount;
+  const rest = text.slice(start).trim();
+  if (splitWords(rest).length > 0) sentences.push(rest);
+  return sentences;
 }
 
-function countSyllablesInWord(word) {
-  word = word.toLowerCase();
-  if(word.length <= 3) { return 1; }
-  word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
-  word = word.replace(/^y/, '');
-  const syllables = word.match(/[aeiouy]{1,2}/g);
-  return syllables ? syllables.length : 1;
+// Gunning Fog "complex" word: 3+ syllables, not a proper noun, hyphenated
+// compound, or 3 syllables only because of an -es/-ed/-ing ending
+function isComplexWord(word, syllables) {
+  if (syllables < 3 || word.includes('-') || /^[A-Z]/.test(word)) return false;
+  const stem = word.replace(/(es|ed|ing)$/i, '');
+  return stem === word || countSyllables(stem) >= 3;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Counts and scores for a block of text. `sentences` may be passed when the
+ * caller already split the text (e.g. one sentence list per paragraph).
+ */
+export function analyzeReadability(text, sentences = splitSentences(text)) {
+  const words = splitWords(text);
+  if (words.length === 0 || sentences.length === 0) return null;
+
+  let syllables = 0;
+  let polysyllables = 0;
+  let complexWords = 0;
+  let letters = 0;
+  words.forEach(word => {
+    const count = countSyllables(word);
+    syllables += count;
+    letters += word.replace(/[^A-Za-zÀ-ÖØ-öø-ÿ0-9]/g, '').length;
+    if (count >= 3) polysyllables++;
+    if (isComplexWord(word, count)) complexWords++;
+  });
+
+  const wordsPerSentence = words.length / sentences.length;
+  const syllablesPerWord = syllables / words.length;
+  const lettersPer100 = (letters / words.length) * 100;
+  const sentencesPer100 = (sentences.length / words.length) * 100;
+
+  const fleschKincaidGrade = 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59;
+  const gunningFog = 0.4 * (wordsPerSentence + 100 * (complexWords / words.length));
+  const smog = 1.043 * Math.sqrt(polysyllables * (30 / sentences.length)) + 3.1291;
+  const colemanLiau = 0.0588 * lettersPer100 - 0.296 * sentencesPer100 - 15.8;
+
+  return {
+    words: words.length,
+    sentences: sentences.length,
+    syllables,
+    complexWords,
+    averageSentenceLength: round(wordsPerSentence),
+    longestSentence: Math.max(...sentences.map(sentence => splitWords(sentence).length)),
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    fleschKincaidGrade: round(fleschKincaidGrade),
+    gunningFog: round(gunningFog),
+    // SMOG is calibrated on 30+ sentences; shorter samples are less reliable
+    smog: round(smog),
+    colemanLiau: round(colemanLiau),
+    gradeLevel: round((fleschKincaidGrade + gunningFog + smog + colemanLiau) / 4),
+  };
+}
+
+/**
+ * 0-100 score for display (Flesch Reading Ease, clamped).
+ */
+export function readabilityScore(scores) {
+  if (!scores) return null;
+  return Math.round(Math.min(100, Math.max(0, scores.fleschReadingEase)));
+}
+
+function difficultyReasons(scores) {
+  const reasons = [];
+  if (scores.averageSentenceLength > 25) {
+    reasons.push(`Long sentences (average ${scores.averageSentenceLength} words)`);
+  } else if (scores.longestSentence > 40) {
+    reasons.push(`One sentence runs to ${scores.longestSentence} words`);
+  }
+  const complexShare = Math.round((scores.complexWords / scores.words) * 100);
+  if (complexShare > 15) reasons.push(`${complexShare}% of words have three or more syllables`);
+  if (scores.gradeLevel > 12) reasons.push(`Reads at grade ${scores.gradeLevel}`);
+  return reasons;
+}
+
+/**
+ * Score a document given as paragraphs (falling back to `content` when the
+ * page has no paragraph markup). Paragraph breaks always end a sentence.
+ */
+export function analyzeDocument({ paragraphs = [], content = '' }) {
+  const blocks = paragraphs.length > 0 ? paragraphs : [content];
+  const sentences = blocks.flatMap(block => splitSentences(block));
+  const overall = analyzeReadability(blocks.join('\n'), sentences);
+
+  const scoredParagraphs = paragraphs
+    .map((text, index) => ({ index, text, scores: analyzeReadability(text) }))
+    .filter(paragraph => paragraph.scores && paragraph.scores.words >= MIN_PARAGRAPH_WORDS)
+    .map(paragraph => ({
+      index: paragraph.index,
+      excerpt: paragraph.text.length > 160 ? `${paragraph.text.substring(0, 157)}...` : paragraph.text,
+      score: readabilityScore(paragraph.scores),
+      gradeLevel: paragraph.scores.gradeLevel,
+      words: paragraph.scores.words,
+      reasons: difficultyReasons(paragraph.scores),
+    }));
+
+  const hardestParagraphs = scoredParagraphs
+    .filter(paragraph => paragraph.reasons.length > 0)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, HARDEST_PARAGRAPHS);
+
+  return {
+    score: readabilityScore(overall),
+    scores: overall,
+    paragraphs: scoredParagraphs,
+    hardestParagraphs,
+  };
 }
@@ -0,0 +1,123 @@
+/**
+ * robots.txt parsing and matching, following the rules Google documents
+ * (RFC 9309): the most specific user-agent group applies, the longest
+ * matching path rule wins, and `allow` wins a tie. `*` and `$` wildcards
+ * are supported in paths.
+ */
+export function parseRobotsTxt(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty disallow means "allow everything"
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Groups for `userAgent`. Per RFC 9309 only its product token (the part
+ * before any `/`) is compared, case-insensitively and in full, so
+ * "Googlebot" does not pick up a "bot" group.
+ */
+function findGroups(robots, userAgent) {
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+  let bestLength = -1;
+  let matched = [];
+
+  for (const group of robots.groups) {
+    for (const name of group.agents) {
+      if (name !== '*' && name !== token) continue;
+      const length = name === '*' ? 0 : name.length;
+      if (length > bestLength) {
+        bestLength = length;
+        matched = [group];
+      } else if (length === bestLength && !matched.includes(group)) {
+        matched.push(group);
+      }
+    }
+  }
+  return matched;
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function toPath(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Is `url` (absolute, or a path) allowed for `userAgent`?
+ */
+export function isAllowed(robots, userAgent, url) {
+  if (!robots) return true;
+  const path = toPath(url);
+  if (path === '/robots.txt') return true;
+
+  let best = null;
+  for (const group of findGroups(robots, userAgent)) {
+    for (const rule of group.rules) {
+      if (!patternToRegExp(rule.path).test(path)) continue;
+      if (
+        !best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)
+      ) {
+        best = rule;
+      }
+    }
+  }
+  return best ? best.allow : true;
+}
+
+export function getCrawlDelay(robots, userAgent) {
+  if (!robots) return null;
+  const delays = findGroups(robots, userAgent)
+    .map(group => group.crawlDelay)
+    .filter(delay => delay !== null);
+  return delays.length > 0 ? Math.max(...delays) : null;
+}
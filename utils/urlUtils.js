@@ -0,0 +1,165 @@
+import { URL } from 'url';
+
+/**
+ * URL canonicalization and crawl-scope helpers.
+ */
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(gclid|dclid|fbclid|msclkid|yclid|twclid|igshid)$/i,
+  /^(mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|ref_src)$/i,
+];
+
+export const SUBDOMAIN_POLICIES = ['none', 'www', 'all'];
+
+// User patterns run against every discovered URL; keep them short enough
+// that a pathological one cannot stall the crawl.
+export const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Canonical form of an http(s) URL: lowercase host, no default port, no
+ * fragment, no tracking params and remaining params sorted. The path is
+ * kept as written, so fetching it does not cost a trailing-slash redirect.
+ * Returns null for anything unparsable or non-http(s).
+ */
+export function normalizeUrl(input, base) {
+  let url;
+  try {
+    url = new URL(input, base);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase();
+  if ((url.protocol === 'http:' && url.port === '80') || (url.protocol === 'https:' && url.port === '443')) {
+    url.port = '';
+  }
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+
+  return url.href;
+}
+
+/**
+ * Dedupe key for a URL: `normalizeUrl` with the trailing slash dropped
+ * from non-root paths, so `/blog` and `/blog/` count as one page.
+ */
+export function urlKey(input, base) {
+  const normalized = normalizeUrl(input, base);
+  if (!normalized) return null;
+  const url = new URL(normalized);
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+  }
+  return url.href;
+}
+
+function stripWww(host) {
+  return host.replace(/^www\./, '');
+}
+
+/**
+ * Is `host` part of the site rooted at `rootHost` under the given policy?
+ * - none: exact host only
+ * - www:  `www.` and bare host are treated as the same site (default)
+ * - all:  any subdomain of the root host
+ */
+export function isSameSite(host, rootHost, policy = 'www') {
+  host = host.toLowerCase();
+  rootHost = rootHost.toLowerCase();
+  if (host === rootHost) return true;
+  if (policy === 'none') return false;
+
+  const bare = stripWww(host);
+  const rootBare = stripWww(rootHost);
+  if (bare === rootBare) return true;
+  return policy === 'all' && bare.endsWith(`.${rootBare}`);
+}
+
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        pattern += '.*';
+        i++;
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '.';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+// A repeating quantifier (*, +, {n,} or {n,m}) at the start of a string
+const REPEAT = /^(\*|\+|\{\d+,\d*\})/;
+
+/**
+ * Does the regex source repeat a group that itself contains a repeating
+ * quantifier, e.g. `(a+)+` or `(?:\w*x)*`? Such patterns can backtrack
+ * exponentially on a long non-matching URL.
+ */
+function hasNestedQuantifier(source) {
+  const groups = [false]; // per open group: does it contain a repeat?
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')' && groups.length > 1) {
+      const repeats = groups.pop();
+      const repeated = REPEAT.test(source.slice(i + 1));
+      if (repeats && repeated) return true;
+      if (repeats || repeated) groups[groups.length - 1] = true;
+    } else if (REPEAT.test(source.slice(i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile an include/exclude pattern. `/.../flags` is a regular expression
+ * tested anywhere in the path; anything else is a glob over the whole path
+ * (`*` within a segment, `**` across segments). Paths include the query.
+ * Throws for patterns over MAX_PATTERN_LENGTH, for the stateful `g` and
+ * `y` flags, which would make `test` alternate between URLs, and for nested
+ * quantifiers, which can backtrack catastrophically.
+ */
+export function compilePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    if (/[gy]/.test(regexMatch[2])) {
+      throw new Error('The g and y regex flags are not supported');
+    }
+    if (hasNestedQuantifier(regexMatch[1])) {
+      throw new Error('Nested quantifiers such as (a+)+ are not supported');
+    }
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  return globToRegExp(pattern);
+}
+
+export function matchesAny(patterns, url) {
+  const { pathname, search } = new URL(url);
+  const path = pathname + search;
+  return patterns.some(pattern => pattern.test(path) || (search && pattern.test(pathname)));
+}
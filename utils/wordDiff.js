@@ -0,0 +1,63 @@
+// Beyond this many word pairs the LCS table gets too large to be worth it
+const MAX_CELLS = 4000000;
+
+/**
+ * Word-level diff of two texts as `{ type, text }` segments, where type is
+ * `equal`, `delete` (only in `before`) or `insert` (only in `after`).
+ * Whitespace differences are ignored.
+ */
+export function wordDiff(before = '', after = '') {
+  const a = before.match(/\S+/g) || [];
+  const b = after.match(/\S+/g) || [];
+  const operations = [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    a.forEach(word => operations.push(['delete', word]));
+    b.forEach(word => operations.push(['insert', word]));
+  } else {
+    // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        operations.push(['equal', a[i++]]);
+        j++;
+      } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+        operations.push(['insert', b[j++]]);
+      } else {
+        operations.push(['delete', a[i++]]);
+      }
+    }
+  }
+
+  // Merge runs of the same type into one segment
+  const segments = [];
+  operations.forEach(([type, word]) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      segments.push({ type, text: word });
+    }
+  });
+  return segments;
+}
+
+/**
+ * Word counts per segment type.
+ */
+export function diffStats(segments) {
+  const stats = { equal: 0, insert: 0, delete: 0 };
+  segments.forEach(segment => {
+    stats[segment.type] += segment.text.split(' ').length;
+  });
+  return { unchanged: stats.equal, inserted: stats.insert, deleted: stats.delete };
+}